@@ -1,3 +1,5 @@
+import meteora from '../services/dexProtocols/meteora.js';
+
 /**
  * 地址过滤配置文件
  * 通过配置列表来管理需要过滤的地址和程序 ID
@@ -29,14 +31,15 @@ export const addressFilterConfig = {
     // Pump.fun / Bonk 流动性池（通过 owner 检查过滤 Pump.fun 的地址）
     'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', // Pump.fun/Bonk 流动性池程序 ID
     
-    // Meteora 流动性池（通过 owner 检查过滤 Meteora 的地址）
-    'HLnpSz9h2S4hiLQ43rnSD9XkcUThA7B8hQMKmDaiTLcC', // Meteora Pool Authority
+    // Meteora 程序和池子 authority（与 DEX 协议注册表使用同一份定义，通过 owner 检查过滤 Meteora 的地址）
+    ...meteora.programIds,
+    ...meteora.poolAuthorities,
   ],
 
   // 已知的流动性池地址列表（直接过滤这些地址，如 Bonk 的流动性池地址）
   knownLiquidityPoolAddresses: [
     'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', // Bonk/Pump.fun 流动性池地址
-    'HLnpSz9h2S4hiLQ43rnSD9XkcUThA7B8hQMKmDaiTLcC', // Meteora Pool Authority
+    ...meteora.poolAuthorities, // Meteora DAMM v2 / DBC Pool Authority
   ],
 
   // 已知的 CEX 地址列表（直接过滤这些地址）
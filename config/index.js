@@ -37,6 +37,11 @@ export const config = {
     apiKey: process.env.BIRDEYE_API_KEY || '',
   },
 
+  // 交易解析策略：local_only（完全离线）/ local_then_api / api_then_local
+  tradeParsing: {
+    strategy: process.env.TRADE_PARSE_STRATEGY || 'local_then_api',
+  },
+
   mysql: {
     HOST: process.env.MYSQL_HOST || "localhost",
     USER: process.env.MYSQL_USER || "root",
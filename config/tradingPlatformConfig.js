@@ -0,0 +1,99 @@
+/**
+ * 交易机器人 / 交易终端特征表
+ * 用于识别交易是通过哪个平台下单的：
+ *   - programIds: 平台自己的路由程序（交易指令直接调用）
+ *   - feeAccounts: 平台收费地址（交易中向其转账平台费）
+ *   - referralAccounts: 平台在聚合器（如 Jupiter）中使用的推荐账户
+ * 地址来自链上观察，平台会不定期更换收费地址，新增或变更时通过环境变量补充
+ * （PLATFORM_PROGRAM_IDS / PLATFORM_FEE_ACCOUNTS / PLATFORM_REFERRAL_ACCOUNTS，格式：平台:地址,平台:地址）
+ */
+
+export const tradingPlatforms = {
+  photon: {
+    label: 'Photon',
+    programIds: ['BSfD6SHZigAfDWSjzD5Q41jw8LmKwtmjskPH9XW1mrRW'],
+    feeAccounts: ['AVUCZyuT35YSuj4RH7fwiyPu82Djn2Hfg7y2ND2XcnZH'],
+    referralAccounts: [],
+  },
+  bullx: {
+    label: 'BullX',
+    programIds: [],
+    feeAccounts: ['F4hJ3Ee3c5UuaorKAMfELBjYCjiiLH75haZTKqTywRP3'],
+    referralAccounts: [],
+  },
+  gmgn: {
+    label: 'GMGN',
+    programIds: [],
+    feeAccounts: ['BB5dnY55FXS1e1NXqZDwCzgdYJdMCj3B92PU6Q5Fb6DT'],
+    referralAccounts: [],
+  },
+  axiom: {
+    label: 'Axiom',
+    programIds: [],
+    feeAccounts: ['7LCZckF6XXGQ1hDY6HFXBKWAtiUgL9QY5vj1C4Bn1Qjj'],
+    referralAccounts: [],
+  },
+  trojan: {
+    label: 'Trojan',
+    programIds: [],
+    feeAccounts: ['9yMwSPk9mrXSN7yDHUuZurAh1sjbJsfpUqjZ7SvVtdco'],
+    referralAccounts: [],
+  },
+  maestro: {
+    label: 'Maestro',
+    programIds: [],
+    feeAccounts: ['MaestroUL88UBnZr3wfoN7hqmNWFi3ZYCGqZoJJHE36'],
+    referralAccounts: [],
+  },
+};
+
+// 解析环境变量中的地址列表，格式：平台:地址,平台:地址
+function parsePlatformAddressesEnv(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [platform, address] = entry.split(':').map(part => part.trim());
+      return platform && address ? { platform: platform.toLowerCase(), address } : null;
+    })
+    .filter(Boolean);
+}
+
+const extraAddresses = {
+  programIds: parsePlatformAddressesEnv(process.env.PLATFORM_PROGRAM_IDS),
+  feeAccounts: parsePlatformAddressesEnv(process.env.PLATFORM_FEE_ACCOUNTS),
+  referralAccounts: parsePlatformAddressesEnv(process.env.PLATFORM_REFERRAL_ACCOUNTS),
+};
+
+/**
+ * 某一类特征的地址 -> 平台名称
+ * @param {string} kind - 'programIds' | 'feeAccounts' | 'referralAccounts'
+ * @returns {Map<string, string>}
+ */
+export function getPlatformAddressMap(kind) {
+  const map = new Map();
+  Object.entries(tradingPlatforms).forEach(([platform, signatures]) => {
+    (signatures[kind] || []).forEach(address => map.set(address, platform));
+  });
+  (extraAddresses[kind] || []).forEach(({ platform, address }) => map.set(address, platform));
+  return map;
+}
+
+/**
+ * 收费地址 -> 平台名称
+ * @returns {Map<string, string>}
+ */
+export function getPlatformFeeAccountMap() {
+  return getPlatformAddressMap('feeAccounts');
+}
+
+/**
+ * 所有可识别的平台名称（含环境变量补充的平台）
+ * @returns {Array<string>}
+ */
+export function listTradingPlatformNames() {
+  const names = new Set(Object.keys(tradingPlatforms));
+  Object.values(extraAddresses).forEach(entries => entries.forEach(({ platform }) => names.add(platform)));
+  return [...names];
+}
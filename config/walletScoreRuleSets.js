@@ -0,0 +1,58 @@
+/**
+ * 聪明钱钱包评分规则集（内置）
+ * 规则集按 name + version 区分，修改规则时新增版本，不要改动已经使用过的版本（已保存的评分记录了版本号）
+ * 也可以通过 POST /api/wallet-score/rule-sets 提交 JSON 格式的规则集（保存在 tbl_wallet_score_rule_set）
+ *
+ * 规则集结构：
+ *   params   因子计算参数：flipSeconds（短线翻转的持有时间）、longHoldSeconds（长期持有）、
+ *            rugLossRatio（亏损超过该收益率视为踩雷，%）、highRoiRatio（高收益代币的收益率，%）
+ *   factors  评分因子：{ weight 权重, min / max 线性映射区间（min 及以下为 0 分，max 及以上为满分）, invert 越小越好 }
+ *   gates    硬性条件：{ factor, min / max, exclusive（不包含边界值）, when（满足该条件时才检查，如代币数超过 10 个） }，
+ *            不满足时 passed 为 false
+ *   minTokens  代币数少于该值时数据不足，passed 为 false
+ *   passScore  总分（0 ~ 100）不低于该值才算通过
+ *
+ * 可用因子见 services/walletScoring.js 中的 WALLET_SCORE_FACTORS
+ */
+export const walletScoreRuleSets = [
+  {
+    // 与原来的纸手过滤条件相同：3 分钟内翻转的代币不超过一半、高收益代币的盈利合计超过阈值、
+    // 代币数超过 10 个时持有超过 12 小时的代币过半
+    name: 'legacy',
+    version: 1,
+    description: '原纸手过滤条件（只有硬性条件，通过为 100 分）',
+    params: { flipSeconds: 180, longHoldSeconds: 43200, highRoiRatio: 200 },
+    minTokens: 1,
+    passScore: 0,
+    gates: [
+      { factor: 'flipRate', max: 0.5 },
+      { factor: 'highRoiPnl', min: 5000, exclusive: true },
+      { factor: 'longHoldRate', min: 0.5, when: { factor: 'tokenCount', min: 11 } }
+    ],
+    factors: {}
+  },
+  {
+    name: 'default',
+    version: 1,
+    description: '胜率、持有时间、已实现盈亏、收益分布、踩雷比例和交易频率加权评分',
+    params: { flipSeconds: 180, longHoldSeconds: 43200, rugLossRatio: -90, highRoiRatio: 100 },
+    minTokens: 3,
+    passScore: 60,
+    gates: [
+      { factor: 'flipRate', max: 0.5 },
+      { factor: 'realizedPnl', min: 5000 }
+    ],
+    factors: {
+      winRate: { weight: 25, min: 0.3, max: 0.7 },
+      medianHoldSeconds: { weight: 15, min: 180, max: 43200 },
+      realizedPnl: { weight: 20, min: 0, max: 50000 },
+      medianRoi: { weight: 10, min: 0, max: 200 },
+      multiBaggerRate: { weight: 10, min: 0, max: 0.3 },
+      rugExposure: { weight: 10, min: 0, max: 0.5, invert: true },
+      tradesPerDay: { weight: 10, min: 5, max: 100, invert: true }
+    }
+  }
+];
+
+// 没有指定规则集时使用
+export const DEFAULT_WALLET_SCORE_RULE_SET = 'default';
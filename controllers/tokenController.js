@@ -9,14 +9,30 @@ import {
 import {filterLiquidityPoolsAndExchanges} from '../services/tokenSyncService.js';
 import {config} from '../config/index.js';
 import {getTokenHoldersSummaryByBatchTime} from '../db/solAddrSplInfoMapper.js';
-import {getTokenMetadataMultipleViaHelius, getSolUsdPrice} from '../services/cacheService.js';
+import {getTokenMetadataMultipleViaHelius} from '../services/cacheService.js';
+import {QUOTE_TOKENS} from '../services/tradePricing.js';
+import {fetchBirdeyePnlPage} from '../services/walletPnlSources.js';
+import {checkWalletFilterCondition, normalizeBirdeyeToken, saveWalletPnl} from '../services/walletPnlService.js';
 import {batchSaveTradeInfo, getRobotAddresses} from '../db/solTradeInfoMapper.js';
+import {recordTradeLiquidityPools} from '../services/liquidityPoolStorage.js';
+import {expandTradeLegs} from '../services/tradeLegs.js';
+import {getTokenCandlesWithSync} from '../services/tokenCandleService.js';
+import {CANDLE_INTERVALS, extractCandleTrades} from '../services/tokenCandles.js';
+import {batchInsertTokenTrades} from '../db/tokenTradeMapper.js';
+import {getTokenTraders} from '../services/tokenTradersService.js';
+import {TOKEN_TRADER_SORTS} from '../services/tokenTraders.js';
+import {analyzeTokenLaunch} from '../services/launchAnalysisService.js';
+import {attachBundlesToHolders, BUNDLE_SOURCES, DEFAULT_LAUNCH_WINDOW_SECONDS, getTokenBundles} from '../services/bundleDetectionService.js';
+import {getDeployerTokens, getTokenDeployerReport, getTokenDevMetric} from '../services/tokenDeployerService.js';
 import {
   checkRPCConfig,
+  getSupportedTradingPlatforms,
   parseMultipleTradeInfo,
   parseMultipleTradeInfoFromTransactions,
+  parseRawTransaction,
   parseTransactionBuySellInfo
 } from '../services/transactionParseService.js';
+import {RESOLUTION_STRATEGIES} from '../services/SolanaDexTradeParser.js';
 
 /**
  * 获取代币交易记录
@@ -148,6 +164,8 @@ export async function getTokenHoldersHandler(req, res) {
     const filterPools = req.query.filterPools === 'true'; // 默认 false，需要显式启用
     const checkOnChain = req.query.checkOnChain === 'true'; // 默认 false，需要显式启用
     const enableClustering = req.query.enableClustering === 'true'; // 默认 false，地址聚类较慢
+    const includeBundles = req.query.includeBundles === 'true'; // 默认 false，标记持有人所属的捆绑组
+    const includeDev = req.query.includeDev === 'true'; // 默认 false，附带部署者和 dev 卖出比例
     
     if (!config.helius.apiKey) {
       return res.status(400).json({
@@ -180,7 +198,9 @@ export async function getTokenHoldersHandler(req, res) {
           uiSupply: uiSupply,
           decimals: decimals,
           symbol: metadata.symbol || '',
-          name: '' // 元数据方法不返回 name
+          name: '', // 元数据方法不返回 name
+          tokenProgram: metadata.tokenProgram || null,
+          extensions: metadata.extensions || null
         };
         
         console.log(`代币符号: ${totalSupplyInfo.symbol || '(未获取)'}, 总供应量: ${totalSupplyInfo.uiSupply}, decimals: ${decimals}`);
@@ -253,12 +273,28 @@ export async function getTokenHoldersHandler(req, res) {
     const totalSupply = totalSupplyInfo.uiSupply;
     const tokenSymbol = totalSupplyInfo.symbol || '';
 
+    // 标记捆绑组（在聚类之后，聚类合并的地址只要有一个在组内就标记）
+    const bundleInfo = includeBundles
+      ? await attachHolderBundles(tokenAddress, filteredHolders, totalSupply, req.query)
+      : null;
+    if (bundleInfo) {
+      filteredHolders = bundleInfo.holders;
+    }
+    const dev = includeDev ? await getHolderDevMetric(tokenAddress, totalSupply) : null;
+
     const formattedHolders = filteredHolders.map((holder, index) => ({
       rank: holder.rank !== null ? holder.rank : index + 1,
       address: holder.address,
       amount: holder.totalAmount || holder.amount, // 兼容两种数据结构
       uiAmount: holder.uiAmount,
       percentage: totalSupply > 0 ? ((holder.uiAmount / totalSupply) * 100).toFixed(4) : '0.0000',
+      ...(bundleInfo ? { bundleId: holder.bundleId } : {}),
+      ...(dev ? { isDeployer: isDeployerHolder(holder, dev.deployer) } : {}),
+      // Token-2022 转账手续费：账户中被扣留的手续费和含手续费的总额
+      ...(holder.tokenProgram === 'token-2022' ? {
+        withheldFee: holder.withheldFee,
+        grossAmount: holder.grossAmount
+      } : {})
     }));
 
     // 注意：offset 和 limit 已经在 getTokenHoldersViaHeliusV2 中处理了
@@ -283,10 +319,19 @@ export async function getTokenHoldersHandler(req, res) {
       totalSupply: totalSupply,
       totalSupplyRaw: totalSupplyInfo.supply,
       decimals: totalSupplyInfo.decimals,
+      tokenProgram: totalSupplyInfo.tokenProgram || null, // 'spl-token' 或 'token-2022'
+      extensions: totalSupplyInfo.extensions || null, // Token-2022 mint 扩展（转账手续费、计息等）
       offset,
       limit,
       holders: paginatedHolders, // 分页后的持有人列表
       clustered: enableClustering, // 是否启用了地址聚类
+      ...(bundleInfo ? {
+        bundleSource: bundleInfo.source,
+        bundlesTruncated: bundleInfo.truncated,
+        bundles: bundleInfo.bundles,
+        bundledSupplyPercent: bundleInfo.bundledSupplyPercent // 捆绑组钱包当前持仓合计占总供应量的比例（%）
+      } : {}),
+      ...(includeDev ? { dev } : {}), // dev.soldPercent：部署者卖出数量占其获得数量的比例（%）
       method: 'Helius DAS API getTokenAccounts',
       provider: 'Helius'
     });
@@ -304,6 +349,8 @@ export async function getTokenHoldersHandler(req, res) {
 export async function parseTransactionBuySellInfoHandler(req, res) {
   try {
     const { signature } = req.params;
+    const { strategy } = req.query;
+    const crossCheck = req.query.crossCheck === 'true';
     
     // 参数验证
     if (!signature) {
@@ -312,6 +359,14 @@ export async function parseTransactionBuySellInfoHandler(req, res) {
         error: '缺少交易签名参数'
       });
     }
+
+    if (strategy && !RESOLUTION_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的解析策略: ${strategy}`,
+        hint: `可选值: ${RESOLUTION_STRATEGIES.join(', ')}`
+      });
+    }
     
     // 检查 RPC 配置
     if (!checkRPCConfig()) {
@@ -442,7 +497,7 @@ export async function parseTransactionBuySellInfoHandler(req, res) {
     // 调用 service 处理业务逻辑（获取买卖信息）
     let tradeInfo = null;
     try {
-      const tradeResult = await parseTransactionBuySellInfo(signature);
+      const tradeResult = await parseTransactionBuySellInfo(signature, { strategy, crossCheck });
       if (tradeResult.success) {
         tradeInfo = tradeResult.data;
       }
@@ -459,7 +514,9 @@ export async function parseTransactionBuySellInfoHandler(req, res) {
         blockTime: transaction.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : null,
         fee: meta.fee ? meta.fee / 1e9 : 0, // 转换为 SOL
         status: transaction.meta?.err ? 'failed' : 'success',
-        error: transaction.meta?.err || null
+        error: transaction.meta?.err || null,
+        tradingPlatform: tradeInfo?.tradingPlatform || null, // 下单平台（photon、bullx、jupiter 等）
+        router: tradeInfo?.router || null
       },
       signers: signers.map(s => s.address),
       primarySigner: signers.length > 0 ? signers[0].address : null,
@@ -485,6 +542,59 @@ export async function parseTransactionBuySellInfoHandler(req, res) {
   }
 }
 
+/**
+ * 解析原始交易的买入/卖出信息
+ * 请求体可以直接是 getTransaction 返回的交易对象（或完整的 JSON-RPC 响应），
+ * 也可以是 { transaction, encoding, offline }，transaction 为序列化交易字符串或交易对象
+ */
+export async function parseRawTransactionHandler(req, res) {
+  try {
+    const body = req.body || {};
+    const isRpcTransaction = body.meta !== undefined || body.result !== undefined || body.jsonrpc !== undefined;
+    const input = isRpcTransaction ? body : body.transaction;
+    const encoding = isRpcTransaction ? undefined : body.encoding;
+    const offline = body.offline === true || body.offline === 'true' || req.query.offline === 'true';
+
+    if (!input) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少交易数据',
+        hint: '请求体传入 { "transaction": "<base64/base58 序列化交易>" }，或直接粘贴 getTransaction 返回的交易对象'
+      });
+    }
+
+    if (encoding && encoding !== 'base64' && encoding !== 'base58') {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的编码: ${encoding}`,
+        hint: '可选值: base64, base58'
+      });
+    }
+
+    // 序列化交易需要通过 RPC 模拟执行
+    if (typeof input === 'string' && !input.trim().startsWith('{') && !offline && !checkRPCConfig()) {
+      return res.status(400).json({
+        success: false,
+        error: '需要配置 dRPC 或 Helius API Key 才能模拟执行序列化交易',
+        hint: '请在 .env 文件中设置 DRPC_API_KEY（优先）或 HELIUS_API_KEY，或粘贴包含 meta 的 JSON 交易对象'
+      });
+    }
+
+    const result = await parseRawTransaction(input, { encoding, offline });
+    if (!result.success) {
+      // 输入格式错误返回 400，解析不出买卖信息返回 422
+      return res.status(result.error === '无法读取原始交易' ? 400 : 422).json(result);
+    }
+    return res.json(result);
+  } catch (error) {
+    console.error('解析原始交易失败:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 export async function getAddressTransactionHistoryHandler(req, res) {
   try {
     const { address } = req.params;
@@ -838,13 +948,7 @@ export async function getTokenHoldersSummaryHandler(req, res) {
     res.json({
       success: true,
       tokenAddress,
-      summary: summary.map(item => ({
-        batchTime: item.batch_time,
-        addressCount: item.address_count,
-        totalPercent: parseFloat(item.total_percent || 0),
-        maxPercent: parseFloat(item.max_percent || 0),
-        avgPercent: parseFloat(item.avg_percent || 0)
-      }))
+      summary: formatHoldersSummary(summary)
     });
   } catch (error) {
     console.error('获取代币持仓占比汇总失败:', error);
@@ -855,6 +959,318 @@ export async function getTokenHoldersSummaryHandler(req, res) {
   }
 }
 
+function formatHoldersSummary(summary) {
+  return summary.map(item => ({
+    batchTime: item.batch_time,
+    addressCount: item.address_count,
+    totalPercent: parseFloat(item.total_percent || 0),
+    maxPercent: parseFloat(item.max_percent || 0),
+    avgPercent: parseFloat(item.avg_percent || 0)
+  }));
+}
+
+/**
+ * 获取代币 K 线（由已入库的成交记录聚合，价格以 SOL 计价）
+ * 查询参数:
+ *   interval: 1s / 1m / 5m / 1h（默认 1m）
+ *   from / to: 时间范围（Unix 秒）
+ *   limit: 最大数量（默认 500，最大 5000）
+ *   refresh: 查询前是否增量聚合（默认 true）
+ *   rebuild: 是否重建该周期的 K 线（补录历史交易后使用，默认 false）
+ *   includeHolders: 是否同时返回持仓占比汇总（默认 false）
+ */
+export async function getTokenCandlesHandler(req, res) {
+  try {
+    const { tokenAddress } = req.params;
+    const interval = req.query.interval || '1m';
+
+    if (!tokenAddress) {
+      return res.status(400).json({
+        success: false,
+        error: '代币地址不能为空'
+      });
+    }
+
+    if (!CANDLE_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的 K 线周期: ${interval}`,
+        supportedIntervals: Object.keys(CANDLE_INTERVALS)
+      });
+    }
+
+    const from = req.query.from ? parseInt(req.query.from) : undefined;
+    const to = req.query.to ? parseInt(req.query.to) : undefined;
+    if ((from !== undefined && isNaN(from)) || (to !== undefined && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from / to 必须是 Unix 时间戳（秒）'
+      });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+
+    const candles = await getTokenCandlesWithSync(tokenAddress, interval, {
+      from,
+      to,
+      limit,
+      refresh: req.query.refresh !== 'false',
+      rebuild: req.query.rebuild === 'true'
+    });
+
+    const result = {
+      success: true,
+      tokenAddress,
+      interval,
+      priceUnit: 'SOL',
+      count: candles.length,
+      candles
+    };
+    if (req.query.includeHolders === 'true') {
+      result.holdersSummary = formatHoldersSummary(await getTokenHoldersSummaryByBatchTime(tokenAddress));
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('获取代币 K 线失败:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 获取代币的交易者对比（建仓时间和市值、规模、卖出和已实现倍数，附带保存的盈亏、钱包评分和 dev 指标）
+ * 查询参数:
+ *   sortBy: timing（建仓顺序，默认）/ roi / size
+ *   page / pageSize: 分页（默认 1 / 50，pageSize 最大 500）
+ *   ruleSet: 附带的钱包评分规则集（默认 default）
+ */
+export async function getTokenTradersHandler(req, res) {
+  try {
+    const { tokenAddress } = req.params;
+    const sortBy = req.query.sortBy || 'timing';
+    if (!TOKEN_TRADER_SORTS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的排序方式: ${sortBy}，可选: ${TOKEN_TRADER_SORTS.join(' / ')}`
+      });
+    }
+
+    const result = await getTokenTraders(tokenAddress, {
+      sortBy,
+      page: Math.max(parseInt(req.query.page) || 1, 1),
+      pageSize: Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), 500),
+      ruleSet: req.query.ruleSet || undefined
+    });
+
+    // 只使用已保存的部署者记录，不拉取链上数据
+    const dev = await getTokenDevMetric(tokenAddress, { supply: result.supply }).catch(error => {
+      console.warn(`查询代币 ${tokenAddress} 的 dev 指标失败: ${error.message}`);
+      return null;
+    });
+
+    res.json({
+      success: true,
+      ...result,
+      traders: result.traders.map(trader => ({ ...trader, isDeployer: Boolean(dev && trader.walletAddress === dev.deployer) })),
+      dev
+    });
+  } catch (error) {
+    console.error('获取代币交易者失败:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 代币发射分析：创建 slot、最早的买家、同 slot 捆绑买入、部署者出资的买家
+ * 查询参数:
+ *   firstBuyers: 分析前多少个买家（默认 50，最大 200）
+ *   sniperSlots: 开盘后多少个 slot 内买入视为狙击（默认 2）
+ *   minBundleSize: 同一 slot 内至少多少个钱包买入视为捆绑（默认 2）
+ *   maxPages: 代币交易最多拉取的页数（默认 5，每页 100 笔）
+ *   checkFunding: 是否检查部署者出资（默认 true，需要额外拉取部署者的交易）
+ */
+export async function getTokenLaunchAnalysisHandler(req, res) {
+  try {
+    const { tokenAddress } = req.params;
+    if (!config.helius.apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: '未配置 Helius API Key',
+        hint: '请在 .env 文件中设置 HELIUS_API_KEY'
+      });
+    }
+
+    const toInt = value => (value === undefined ? undefined : parseInt(value));
+    const result = await analyzeTokenLaunch(tokenAddress, {
+      firstBuyers: Math.min(toInt(req.query.firstBuyers) || 50, 200),
+      sniperSlots: toInt(req.query.sniperSlots),
+      minBundleSize: toInt(req.query.minBundleSize),
+      maxPages: Math.min(toInt(req.query.maxPages) || 5, 20),
+      fundingPages: req.query.checkFunding === 'false' ? 0 : 2
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('代币发射分析失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// 捆绑检测的查询参数（bundles 接口和持有人接口的 includeBundles 共用）
+function parseBundleQuery(query, sourceParam) {
+  return {
+    source: query[sourceParam] || 'trades',
+    minWallets: query.minWallets === undefined ? undefined : Math.max(parseInt(query.minWallets) || 2, 2),
+    maxPages: Math.min(parseInt(query.maxPages) || 5, 20),
+    launchWindow: Math.min(Math.max(parseInt(query.launchWindow) || DEFAULT_LAUNCH_WINDOW_SECONDS, 1), 3600)
+  };
+}
+
+/**
+ * 持有人接口 includeBundles=true 时标记捆绑组，检测失败只记录警告，返回 null
+ */
+async function attachHolderBundles(tokenAddress, holders, totalSupply, query) {
+  console.log(`正在检测捆绑买入...`);
+  try {
+    return await attachBundlesToHolders(tokenAddress, holders, {
+      totalSupply,
+      ...parseBundleQuery(query, 'bundleSource')
+    });
+  } catch (error) {
+    console.warn(`捆绑检测失败: ${error.message}，不标记捆绑组`);
+    return null;
+  }
+}
+
+/**
+ * 代币的疑似捆绑买入：同一交易 / 同一 slot 多个钱包买入，或相邻的买入给同一个 Jito 小费账户付小费，
+ * 输出每组的钱包和买入数量占总供应量的比例；数据库成交没有 slot，同一秒买入只作为弱证据输出（weakGroups）
+ * 查询参数:
+ *   source: trades（tbl_sol_trade_info 中的开盘成交，默认）/ stream（Helius 按 slot 升序拉取代币交易，可识别 Jito 小费）
+ *   minWallets: 至少多少个钱包才算捆绑（默认 2）
+ *   maxPages: source=stream 时最多拉取的页数（默认 5，每页 100 笔，最大 20）
+ *   launchWindow: source=trades 时只使用第一笔成交之后多少秒内的买入（默认 300，最大 3600）
+ */
+export async function getTokenBundlesHandler(req, res) {
+  try {
+    const { tokenAddress } = req.params;
+    const options = parseBundleQuery(req.query, 'source');
+    if (!BUNDLE_SOURCES.includes(options.source)) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的数据源: ${options.source}，可选: ${BUNDLE_SOURCES.join(' / ')}`
+      });
+    }
+    if (options.source === 'stream' && !config.helius.apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: '未配置 Helius API Key',
+        hint: '请在 .env 文件中设置 HELIUS_API_KEY'
+      });
+    }
+
+    const result = await getTokenBundles(tokenAddress, options);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('检测捆绑买入失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 持有人接口 includeDev=true 时获取 dev 指标（没有部署者记录时解析并同步，部署者活动过期时增量同步），失败只记录警告，返回 null
+ */
+async function getHolderDevMetric(tokenAddress, totalSupply) {
+  console.log(`正在获取部署者和 dev 卖出比例...`);
+  try {
+    return await getTokenDevMetric(tokenAddress, { resolve: true, supply: totalSupply });
+  } catch (error) {
+    console.warn(`获取 dev 指标失败: ${error.message}`);
+    return null;
+  }
+}
+
+// 持有人（或聚类合并的关联地址）是否为部署者
+function isDeployerHolder(holder, deployer) {
+  return holder.address === deployer || (holder.relatedAddresses || []).includes(deployer);
+}
+
+/**
+ * 代币的部署者（dev）：创建交易、更新权限和 mint / freeze 权限状态、dev 的买入卖出和转出、部署者创建的其他代币
+ * 查询参数:
+ *   refresh: 重新获取权限信息（默认 false，使用保存的结果）
+ *   sync: 先增量同步部署者之后的交易（默认 true）
+ *   maxPages: 同步最多拉取的页数（默认 5，每页 100 笔，最大 20）
+ */
+export async function getTokenDeployerHandler(req, res) {
+  try {
+    const { tokenAddress } = req.params;
+    if (!config.helius.apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: '未配置 Helius API Key',
+        hint: '请在 .env 文件中设置 HELIUS_API_KEY'
+      });
+    }
+
+    const result = await getTokenDeployerReport(tokenAddress, {
+      refresh: req.query.refresh === 'true',
+      sync: req.query.sync !== 'false',
+      maxPages: Math.min(parseInt(req.query.maxPages) || 5, 20)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('获取代币部署者失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * 部署者创建的代币列表
+ * 查询参数:
+ *   discover: 先扫描部署者最近的交易，记录其中创建的代币（默认 false，只返回已保存的）
+ *   maxPages: 扫描最多拉取的页数（默认 2，每页 100 笔，最大 20）
+ */
+export async function getDeployerTokensHandler(req, res) {
+  try {
+    const { deployerAddress } = req.params;
+    const discover = req.query.discover === 'true';
+    if (discover && !config.helius.apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: '未配置 Helius API Key',
+        hint: '请在 .env 文件中设置 HELIUS_API_KEY'
+      });
+    }
+
+    const result = await getDeployerTokens(deployerAddress, {
+      discover,
+      maxPages: Math.min(parseInt(req.query.maxPages) || 2, 20)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('获取部署者创建的代币失败:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * 测试路由：批量获取代币元数据（使用 Birdeye API）
  * 文档: https://docs.birdeye.so/reference/get-defi-v3-token-meta-data-multiple
@@ -1176,377 +1592,19 @@ export async function getTokenMetadataMultipleHandler(req, res) {
 
 
 /**
- * 从 Jupiter API 获取代币价格（通过 USDC 报价）
- * @param {string} tokenAddress - 代币地址
- * @param {number} tokenDecimals - 代币精度，默认 6
- * @returns {Promise<number|null>} 代币的 USD 价格
- */
-async function getTokenPriceFromJupiter(tokenAddress, tokenDecimals = 6) {
-  try {
-    const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'; // USDC
-    // 使用 Jupiter Quote API 获取代币可以兑换多少 USDC
-    // amount 使用 10^tokenDecimals，表示 1 个代币
-    const amount = Math.pow(10, tokenDecimals);
-    const apiUrl = `https://quote-api.jup.ag/v6/quote?inputMint=${tokenAddress}&outputMint=${USDC_MINT}&amount=${amount}&slippageBps=50`;
-    
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      }
-    });
-
-    if (!response.ok) {
-      return null;
-    }
-
-    const data = await response.json();
-    // Jupiter 返回的 outAmount 是 outputMint (USDC) 的最小单位数量
-    // USDC 有 6 位小数，所以需要除以 1e6
-    if (data.outAmount) {
-      const usdcAmount = parseFloat(data.outAmount) / 1e6; // USDC 有 6 位小数
-      const tokenAmount = 1; // 我们查询的是 1 个代币
-      const price = usdcAmount / tokenAmount;
-      return price > 0 ? price : null;
-    }
-    return null;
-  } catch (error) {
-    console.warn(`从 Jupiter 获取代币 ${tokenAddress} 价格失败:`, error.message);
-    return null;
-  }
-}
-
-/**
- * 从 Birdeye API 批量获取代币 USD 价格（带备用方案）
- * @param {string[]} tokenAddresses - 代币地址数组
- * @returns {Promise<Array<{address: string, price: number}>>} 代币价格数组
+ * 按成交时的价格计算买入金额（USD）：SOL 买入用成交时的 SOL 价格，稳定币换入按 1:1 计算
+ * @param {object} tradeInfo - 交易对（solUsdPrice 由 applyTradePricing 写入）
+ * @param {number} solAmount - 花费的 SOL 数量
+ * @returns {number|null}
  */
-async function getTokenPricesFromBirdeye(tokenAddresses) {
-  if (!config.birdeye?.apiKey || !tokenAddresses || tokenAddresses.length === 0) {
-    return [];
-  }
-
-  const SOL_MINT = 'So11111111111111111111111111111111111111112';
-  
-  try {
-    // 先获取 SOL 价格（如果列表中有 SOL）
-    let solPrice = null;
-    if (tokenAddresses.includes(SOL_MINT)) {
-      solPrice = await getSolUsdPrice();
-      if (solPrice) {
-        console.log(`✓ 获取到 SOL 价格: $${solPrice}`);
-      } else {
-        console.warn('⚠️  无法获取 SOL 价格');
-      }
-    }
-
-    // Birdeye API: GET /defi/token_overview?address={address}
-    // 需要逐个请求，或者使用批量接口
-    const results = [];
-    const batchSize = 10; // 控制并发数
-    
-    for (let i = 0; i < tokenAddresses.length; i += batchSize) {
-      const batch = tokenAddresses.slice(i, i + batchSize);
-      const batchPromises = batch.map(async (address) => {
-        // 如果是 SOL，直接使用已获取的价格
-        if (address === SOL_MINT) {
-          return { address, price: solPrice };
-        }
-
-        let price = null;
-        
-        // 1. 优先从 Birdeye API 获取
-        try {
-          const apiUrl = `https://public-api.birdeye.so/defi/token_overview?address=${address}`;
-          const response = await fetch(apiUrl, {
-            method: 'GET',
-            headers: {
-              'X-API-KEY': config.birdeye.apiKey,
-              'accept': 'application/json'
-            }
-          });
-
-          if (response.ok) {
-            const data = await response.json();
-            // Birdeye 返回的价格在 data.price 或 data.data.price
-            price = data?.data?.price || data?.price || null;
-            if (price && price > 0) {
-              console.log(`✓ 从 Birdeye 获取到 ${address} 价格: $${price}`);
-              return { address, price };
-            }
-          }
-        } catch (error) {
-          console.warn(`从 Birdeye 获取代币 ${address} 价格失败:`, error.message);
-        }
-
-        // 2. 如果 Birdeye 失败，尝试从 Jupiter API 获取（备用方案）
-        if (!price || price <= 0) {
-          console.log(`尝试从 Jupiter 获取代币 ${address} 价格...`);
-          try {
-            // 尝试不同的 decimals（6, 9, 18 是常见的）
-            for (const decimals of [6, 9, 18]) {
-              price = await getTokenPriceFromJupiter(address, decimals);
-              if (price && price > 0) {
-                console.log(`✓ 从 Jupiter 获取到 ${address} 价格: $${price} (decimals: ${decimals})`);
-                return { address, price };
-              }
-            }
-          } catch (error) {
-            console.warn(`从 Jupiter 获取代币 ${address} 价格失败:`, error.message);
-          }
-        }
-
-        return { address, price: null };
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-      
-      // 添加延迟，避免请求过快
-      if (i + batchSize < tokenAddresses.length) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-    }
-
-    return results;
-  } catch (error) {
-    console.error('批量获取代币价格失败:', error);
-    return tokenAddresses.map(address => ({ address, price: null }));
+function calculateTradeUsdAmount(tradeInfo, solAmount) {
+  if (tradeInfo.type === 'buy' && solAmount > 0 && tradeInfo.solUsdPrice > 0) {
+    return parseFloat((solAmount * tradeInfo.solUsdPrice).toFixed(2));
   }
-}
-
-/**
- * 从 Helius 交易数据中解析 swap 信息
- * @param {Object} transaction - Helius API 返回的交易对象
- * @param {string} walletAddress - 钱包地址（用于确定交易方向）
- * @returns {Promise<Object|null>} swap 信息，包含 tokenA, tokenB, 价格等
- */
-async function parseSwapFromHeliusTransaction(transaction, walletAddress) {
-  try {
-    if (!transaction || transaction.type !== 'SWAP') {
-      return null;
-    }
-
-    const SOL_MINT = 'So11111111111111111111111111111111111111112';
-    // 稳定币 mint 地址（1:1 兑换 USD）
-    const STABLE_COINS = {
-      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-      USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-      USDC_LEGACY: 'A9mUU4qviSctJVPJdBJWkb28deg915LYJKrzQ19ji3FM', // USDC (legacy)
-    };
-    const STABLE_COIN_MINTS = Object.values(STABLE_COINS);
-    const tokenTransfers = transaction.tokenTransfers || [];
-    const nativeTransfers = transaction.nativeTransfers || [];
-    const accountData = transaction.accountData || [];
-
-    // 1. 从 accountData 中提取用户账户的余额变化（更准确）
-    // 需要根据 walletAddress 过滤，只考虑该用户的余额变化
-    const tokenBalanceChanges = [];
-    let userSolChange = 0; // 用户的 SOL 余额变化
-    
-    for (const account of accountData) {
-      // 检查是否是用户账户的 SOL 余额变化
-      if (account.account === walletAddress && account.nativeBalanceChange !== undefined) {
-        userSolChange = account.nativeBalanceChange / 1e9; // 转换为 SOL
-      }
-      
-      // 提取用户账户的代币余额变化
-      if (account.tokenBalanceChanges && account.tokenBalanceChanges.length > 0) {
-        for (const change of account.tokenBalanceChanges) {
-          // 只考虑属于该用户的代币账户变化
-          if (change.userAccount === walletAddress) {
-            const rawAmount = BigInt(change.rawTokenAmount?.tokenAmount || '0');
-            const decimals = change.rawTokenAmount?.decimals || 0;
-            const amount = Number(rawAmount) / Math.pow(10, decimals);
-            
-            tokenBalanceChanges.push({
-              mint: change.mint,
-              userAccount: change.userAccount,
-              amount: amount, // 正数=增加，负数=减少
-              rawAmount: rawAmount.toString(),
-              decimals: decimals
-            });
-          }
-        }
-      }
-    }
-
-    // 2. 如果没有 accountData，从 tokenTransfers 中提取
-    if (tokenBalanceChanges.length === 0) {
-      const mintMap = new Map();
-      for (const transfer of tokenTransfers) {
-        const mint = transfer.mint;
-        if (!mintMap.has(mint)) {
-          mintMap.set(mint, {
-            mint: mint,
-            amount: 0,
-            decimals: 9 // 默认 decimals，实际应该从其他地方获取
-          });
-        }
-        const amount = parseFloat(transfer.tokenAmount) || 0;
-        // 根据 fromUserAccount 和 toUserAccount 判断方向
-        if (transfer.fromUserAccount === walletAddress) {
-          mintMap.get(mint).amount -= amount;
-        } else if (transfer.toUserAccount === walletAddress) {
-          mintMap.get(mint).amount += amount;
-        }
-      }
-      mintMap.forEach((value, mint) => {
-        if (Math.abs(value.amount) > 0.00000001) {
-          tokenBalanceChanges.push(value);
-        }
-      });
-    }
-
-    // 3. 识别 fromToken 和 toToken
-    // fromToken: 减少的代币（卖出的代币）
-    // toToken: 增加的代币（买入的代币）
-    const soldToken = tokenBalanceChanges.find(change => change.amount < 0);
-    const boughtToken = tokenBalanceChanges.find(change => change.amount > 0);
-
-    // 如果 accountData 中没有 SOL 变化，尝试从 nativeTransfers 中识别 SOL 转移
-    if (Math.abs(userSolChange) < 0.0001) {
-      for (const transfer of nativeTransfers) {
-        const amount = transfer.amount / 1e9; // 转换为 SOL
-        if (transfer.fromUserAccount === walletAddress) {
-          userSolChange -= amount;
-        } else if (transfer.toUserAccount === walletAddress) {
-          userSolChange += amount;
-        }
-      }
-    }
-
-    // 4. 构建 swap 信息
-    let fromToken = null; // 卖出的代币
-    let toToken = null;   // 买入的代币
-    let price = null;
-    let swapType = 'swap';
-
-    // 统一处理：根据 soldToken、boughtToken 和 userSolChange 确定 fromToken、toToken
-    if (soldToken && boughtToken) {
-      // 标准 swap：两个代币都有变化
-      fromToken = {
-        mint: soldToken.mint,
-        symbol: soldToken.mint === SOL_MINT ? 'SOL' : 'Unknown',
-        amount: Math.abs(soldToken.amount),
-        decimals: soldToken.decimals || 9
-      };
-      toToken = {
-        mint: boughtToken.mint,
-        symbol: boughtToken.mint === SOL_MINT ? 'SOL' : 'Unknown',
-        amount: boughtToken.amount,
-        decimals: boughtToken.decimals || 9
-      };
-    } else if (soldToken && Math.abs(userSolChange) > 0.0001 && userSolChange > 0) {
-      // 卖出代币换 SOL（用户 SOL 增加，代币减少）
-      fromToken = {
-        mint: soldToken.mint,
-        symbol: soldToken.mint === SOL_MINT ? 'SOL' : 'Unknown',
-        amount: Math.abs(soldToken.amount),
-        decimals: soldToken.decimals || 9
-      };
-      toToken = {
-        mint: SOL_MINT,
-        symbol: 'SOL',
-        amount: userSolChange,
-        decimals: 9
-      };
-    } else if (boughtToken && Math.abs(userSolChange) > 0.0001 && userSolChange < 0) {
-      // 用 SOL 买入代币（用户 SOL 减少，代币增加）
-      fromToken = {
-        mint: SOL_MINT,
-        symbol: 'SOL',
-        amount: Math.abs(userSolChange),
-        decimals: 9
-      };
-      toToken = {
-        mint: boughtToken.mint,
-        symbol: boughtToken.mint === SOL_MINT ? 'SOL' : 'Unknown',
-        amount: boughtToken.amount,
-        decimals: boughtToken.decimals || 9
-      };
-    }
-
-    // 确定 swap 类型
-    if (fromToken && toToken) {
-      if (fromToken.mint === SOL_MINT) {
-        swapType = 'buy'; // SOL -> Token = 买入
-      } else if (toToken.mint === SOL_MINT) {
-        swapType = 'sell'; // Token -> SOL = 卖出
-      }
-
-      // 计算 USD 价格
-      if (fromToken.amount > 0) {
-        if (toToken.mint === SOL_MINT) {
-          // toToken 是 SOL，需要获取 SOL 价格
-          const solPrice = await getSolUsdPrice();
-          if (solPrice && solPrice > 0) {
-            const toTokenUsdValue = toToken.amount * solPrice;
-            price = toTokenUsdValue / fromToken.amount;
-          }
-        } else if (STABLE_COIN_MINTS.includes(toToken.mint)) {
-          // toToken 是稳定币（USDC/USDT），本身就是 USD 计价，直接计算
-          price = toToken.amount / fromToken.amount;
-        } else if (STABLE_COIN_MINTS.includes(fromToken.mint)) {
-          // fromToken 是稳定币，toToken 是代币
-          // fromToken.amount 就是 USD 价值（稳定币 1:1 USD）
-          // price = fromToken.amount / toToken.amount（每个 toToken 值多少 USD）
-          price = fromToken.amount / toToken.amount;
-        } else if (fromToken.mint === SOL_MINT) {
-          // fromToken 是 SOL，toToken 是代币
-          // 获取 SOL 价格，计算 fromToken 的 USD 价值
-          const solPrice = await getSolUsdPrice();
-          if (solPrice && solPrice > 0) {
-            const fromTokenUsdValue = fromToken.amount * solPrice;
-            price = fromTokenUsdValue / toToken.amount;
-          } else {
-            price = null;
-          }
-        } else {
-          // 两个都不是 SOL 或稳定币，需要获取两个代币的价格来计算
-          try {
-            const tokenAddresses = [fromToken.mint, toToken.mint];
-            const priceResults = await getTokenPricesFromBirdeye(tokenAddresses);
-            const priceMap = new Map(priceResults.map(r => [r.address, r.price]));
-            
-            const fromTokenPrice = priceMap.get(fromToken.mint);
-            const toTokenPrice = priceMap.get(toToken.mint);
-            
-            if (fromTokenPrice && fromTokenPrice > 0 && toTokenPrice && toTokenPrice > 0) {
-              // 计算 USD 价格：price = (toToken.amount * toToken.price) / fromToken.amount
-              const toTokenUsdValue = toToken.amount * toTokenPrice;
-              price = toTokenUsdValue / fromToken.amount;
-            } else {
-              // 如果无法获取价格，设为 null
-              price = null;
-            }
-          } catch (error) {
-            console.warn(`获取代币价格失败:`, error.message);
-            price = null;
-          }
-        }
-      }
-    }
-
-    if (!fromToken || !toToken) {
-      return null;
-    }
-
-    return {
-      type: swapType,
-      dex: transaction.source || 'UNKNOWN',
-      fromToken: fromToken,  // 卖出的代币
-      toToken: toToken,      // 买入的代币
-      price: price,
-      fee: transaction.fee ? transaction.fee / 1e9 : null,
-      signature: transaction.signature,
-      timestamp: transaction.timestamp,
-      slot: transaction.slot
-    };
-  } catch (error) {
-    console.error('解析 Helius swap 信息失败:', error);
-    return null;
+  if (tradeInfo.type === 'swap' && QUOTE_TOKENS[tradeInfo.soldToken?.mint]?.stable && tradeInfo.soldToken.amount > 0) {
+    return parseFloat(tradeInfo.soldToken.amount.toFixed(2));
   }
+  return null;
 }
 
 // todo 这个功能等几天看看，接口是否正常
@@ -1675,6 +1733,9 @@ export async function getWalletPnlDetailsByHeliusTestHandler(req, res) {
     }
 }
 
+// Birdeye 的过滤门槛沿用原来的“卖出均价 / 买入均价 > 2”，即收益率超过 100%
+const BIRDEYE_MIN_PROFIT_RATIO = 100;
+
 export async function getWalletPnlDetailsHandler(req, res) {
   try {
     const { walletAddress } = req.params;
@@ -1722,95 +1783,28 @@ export async function getWalletPnlDetailsHandler(req, res) {
     const maxPages = parseInt(req.query.maxPages) || 100; // 最多分页次数，防止无限循环
     let hasMore = true;
     let shouldStop = false; // 是否因过滤条件停止
-    const retryDelay = 2000; // 429 错误重试延迟（毫秒）
-    const maxRetries = 3; // 最大重试次数
 
     while (hasMore && pageCount < maxPages && !shouldStop) {
       pageCount++;
 
-      const requestBody = {
-        wallet: walletAddress,
-        sort_type: req.query.sort_type || 'desc',
-        sort_by: req.query.sort_by || 'last_trade',
-        limit: limit,
-        offset: offset
-      };
-
-      // 如果有其他查询参数，也加上
-      if (req.query.token) {
-        requestBody.token = req.query.token;
-      }
-
-      const apiUrl = `https://public-api.birdeye.so/wallet/v2/pnl/details`;
-      
-      // 重试机制
-      let retryCount = 0;
-      let response = null;
-      let data = null;
-      
-      while (retryCount <= maxRetries) {
-        try {
-          response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-              'X-API-KEY': config.birdeye.apiKey,
-              'accept': 'application/json',
-              'x-chain': 'solana',
-              'content-type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-          });
-
-          if (response.status === 429) {
-            // 429 Too Many Requests，需要等待后重试
-            retryCount++;
-            if (retryCount <= maxRetries) {
-              const waitTime = retryDelay * retryCount; // 递增等待时间
-              console.warn(`⚠️  请求过于频繁 (429)，等待 ${waitTime}ms 后重试 (${retryCount}/${maxRetries})...`);
-              await new Promise(resolve => setTimeout(resolve, waitTime));
-              continue;
-            } else {
-              const errorText = await response.text();
-              console.error(`❌ Birdeye API 错误: ${response.status} - ${errorText}`);
-              return res.status(response.status).json({
-                success: false,
-                error: `Birdeye API 返回错误: ${response.status} - Too many requests`,
-                details: errorText,
-                suggestion: '请稍后重试，或减少请求频率'
-              });
-            }
-          }
-
-          if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`❌ Birdeye API 错误: ${response.status} - ${errorText}`);
-            return res.status(response.status).json({
-              success: false,
-              error: `Birdeye API 返回错误: ${response.status}`,
-              details: errorText
-            });
-          }
-
-          data = await response.json();
-          break; // 成功，退出重试循环
-        } catch (fetchError) {
-          retryCount++;
-          if (retryCount <= maxRetries) {
-            console.warn(`⚠️  请求异常，等待 ${retryDelay}ms 后重试 (${retryCount}/${maxRetries}):`, fetchError.message);
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-            continue;
-          } else {
-            throw fetchError;
-          }
+      let data;
+      try {
+        data = await fetchBirdeyePnlPage(walletAddress, {
+          offset,
+          limit,
+          sortBy: req.query.sort_by || 'last_trade',
+          sortType: req.query.sort_type || 'desc',
+          token: req.query.token
+        });
+      } catch (fetchError) {
+        if (!fetchError.status) {
+          throw fetchError;
         }
-      }
-
-      if (data.success === false) {
-        console.error(`❌ Birdeye API 返回失败:`, data);
-        return res.status(400).json({
+        console.error(`❌ ${fetchError.message}:`, fetchError.details);
+        return res.status(fetchError.status).json({
           success: false,
-          error: 'Birdeye API 返回失败',
-          details: data
+          error: fetchError.message,
+          details: fetchError.details
         });
       }
 
@@ -1825,7 +1819,7 @@ export async function getWalletPnlDetailsHandler(req, res) {
 
       // 如果是第一次查询且启用了过滤，检查前100条是否满足条件
       if (enableFilter && pageCount === 1) {
-        const meetsCondition = checkTokensFilterCondition(tokens, minPnlUsd);
+        const meetsCondition = checkWalletFilterCondition(tokens.map(normalizeBirdeyeToken), { minPnlUsd, minProfitRatio: BIRDEYE_MIN_PROFIT_RATIO });
         if (!meetsCondition) {
           console.log(`钱包 ${walletAddress} 的前100条代币不满足过滤条件（最小盈利阈值: ${minPnlUsd} USD），停止查询`);
           shouldStop = true;
@@ -1912,8 +1906,7 @@ export async function getWalletPnlDetailsHandler(req, res) {
     // 保存数据到数据库（只有未被过滤停止时才保存）
     if (responseData.success && !shouldStop && allTokens.length > 0) {
       try {
-        const { saveWalletPnlToDatabase } = await import('../services/pnlService.js');
-        const saveResult = await saveWalletPnlToDatabase(walletAddress, responseData);
+        const saveResult = await saveWalletPnl(walletAddress, allTokens.map(normalizeBirdeyeToken));
         console.log(`保存盈亏数据结果:`, saveResult);
       } catch (saveError) {
         // 保存失败不影响 API 响应，只记录错误日志
@@ -1944,57 +1937,6 @@ export async function getWalletPnlDetailsHandler(req, res) {
   }
 }
 
-/**
- * 检查代币是否满足过滤条件
- * @param {Array} tokens - 代币列表
- * @param {number} minPnlUsd - 最小盈利金额阈值（USD），默认 10000
- * @returns {boolean} 是否满足条件
- */
-function checkTokensFilterCondition(tokens, minPnlUsd = 10000) {
-  if (!tokens || tokens.length === 0) {
-    return false;
-  }
-
-  // 检查前100条（或更少）
-  const tokensToCheck = tokens.slice(0, 100);
-  let sumPnlUsd = 0; // 累计盈利金额
-
-  for (const token of tokensToCheck) {
-    const pricing = token.pricing || {};
-    const cashflow = token.cashflow_usd || {};
-    
-    let meetsCondition = false;
-    let tokenPnlUsd = 0;
-    
-    // 条件1: avg_sell_cost / avg_buy_cost > 2
-    const avgBuyCost = pricing.avg_buy_cost || 0;
-    const avgSellCost = pricing.avg_sell_cost || 0;
-    if (avgBuyCost > 0 && avgSellCost / avgBuyCost > 2) {
-      meetsCondition = true;
-    }
-    
-    // 条件2: total_invested / (cost_of_quantity_sold + current_value) > 2
-    const totalInvested = cashflow.total_invested || 0;
-    const costOfQuantitySold = cashflow.cost_of_quantity_sold || 0;
-    const currentValue = cashflow.current_value || 0;
-    const denominator = costOfQuantitySold + currentValue;
-    
-    if (!meetsCondition && denominator > 0 && totalInvested / denominator > 2) {
-      meetsCondition = true;
-    }
-    
-    // 如果满足任一条件，计算该代币的盈利金额
-    if (meetsCondition) {
-      // 盈利金额 = denominator - totalInvested
-      tokenPnlUsd = denominator - totalInvested;
-      sumPnlUsd += tokenPnlUsd;
-    }
-  }
-  
-  // 只有当累计盈利金额 > minPnlUsd 时才返回 true
-  return sumPnlUsd > minPnlUsd;
-}
-
 /**
  * 生成钱包 PnL 详情的缓存键
  * @param {string} walletAddress - 钱包地址
@@ -2058,76 +2000,12 @@ async function getWalletPnlDetailsInternal(walletAddress, options = {}) {
   let offset = 0;
   let pageCount = 0;
   let hasMore = true;
-  const retryDelay = 2000;
-  const maxRetries = 3;
   let shouldStop = false;
 
   while (hasMore && pageCount < maxPages && !shouldStop) {
     pageCount++;
 
-    const requestBody = {
-      wallet: walletAddress,
-      sort_type: 'desc',
-      sort_by: 'last_trade',
-      limit: limit,
-      offset: offset
-    };
-
-    const apiUrl = `https://public-api.birdeye.so/wallet/v2/pnl/details`;
-    
-    let retryCount = 0;
-    let response = null;
-    let data = null;
-    
-    while (retryCount <= maxRetries) {
-      try {
-        response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'X-API-KEY': config.birdeye.apiKey,
-            'accept': 'application/json',
-            'x-chain': 'solana',
-            'content-type': 'application/json'
-          },
-          body: JSON.stringify(requestBody)
-        });
-
-        if (response.status === 429) {
-          retryCount++;
-          if (retryCount <= maxRetries) {
-            const waitTime = retryDelay * retryCount;
-            console.warn(`⚠️  请求过于频繁 (429)，等待 ${waitTime}ms 后重试 (${retryCount}/${maxRetries})...`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-            continue;
-          } else {
-            await response.text();
-            throw new Error(`Birdeye API 返回错误: ${response.status} - Too many requests`);
-          }
-        }
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Birdeye API 返回错误: ${response.status} - ${errorText}`);
-        }
-
-        data = await response.json();
-        break;
-      } catch (fetchError) {
-        retryCount++;
-        if (retryCount <= maxRetries) {
-          console.warn(`⚠️  请求异常，等待 ${retryDelay}ms 后重试 (${retryCount}/${maxRetries}):`, fetchError.message);
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          continue;
-        } else {
-          throw fetchError;
-        }
-      }
-    }
-
-    if (data.success === false) {
-      throw new Error('Birdeye API 返回失败');
-    }
-
+    const data = await fetchBirdeyePnlPage(walletAddress, { offset, limit });
     const tokens = data?.data?.tokens || [];
 
     if (tokens.length === 0) {
@@ -2138,7 +2016,7 @@ async function getWalletPnlDetailsInternal(walletAddress, options = {}) {
     // 如果是第一次查询且启用了过滤，检查前100条是否满足条件
     if (enableFilter && pageCount === 1) {
       // 找出聪明钱包，过滤机器人地址
-      const meetsCondition = checkTokensFilterCondition(tokens, minPnlUsd);
+      const meetsCondition = checkWalletFilterCondition(tokens.map(normalizeBirdeyeToken), { minPnlUsd, minProfitRatio: BIRDEYE_MIN_PROFIT_RATIO });
       if (!meetsCondition) {
         console.log(`钱包 ${walletAddress} 的前100条代币不满足过滤条件（最小盈利阈值: ${minPnlUsd} USD），停止查询该地址`);
         shouldStop = true;
@@ -2194,8 +2072,7 @@ async function getWalletPnlDetailsInternal(walletAddress, options = {}) {
   // 保存数据到数据库（只有满足条件且未被过滤停止时才保存）
   if (saveToDatabase && responseData.success && !shouldStop && allTokens.length > 0) {
     try {
-      const { saveWalletPnlToDatabase } = await import('../services/pnlService.js');
-      await saveWalletPnlToDatabase(walletAddress, responseData);
+      await saveWalletPnl(walletAddress, allTokens.map(normalizeBirdeyeToken));
       console.log(`✓ 钱包 ${walletAddress} 的盈亏数据已保存到数据库（${allTokens.length} 个代币）`);
     } catch (saveError) {
       console.error(`保存钱包 ${walletAddress} 的盈亏数据失败:`, saveError);
@@ -2235,58 +2112,39 @@ async function getWalletPnlDetailsInternal(walletAddress, options = {}) {
  * 获取单页代币盈亏详情（不自动分页）
  */
 async function getSinglePagePnlDetails(walletAddress, req, res) {
-  const apiUrl = `https://public-api.birdeye.so/wallet/v2/pnl/details`;
-  
   const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
   const limit = parseInt(req.query.limit) || 30;
-  
-  const requestBody = {
-    wallet: walletAddress,
-    sort_type: req.query.sort_type || 'desc',
-    sort_by: req.query.sort_by || 'last_trade',
-    limit: limit,
-    offset: offset
-  };
-
-  if (req.query.token) {
-    requestBody.token = req.query.token;
-  }
 
-  console.log(`正在获取钱包 ${walletAddress} 的代币盈亏详情（单页）...`);
-  console.log(`请求体:`, JSON.stringify(requestBody, null, 2));
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: {
-      'X-API-KEY': config.birdeye.apiKey,
-      'accept': 'application/json',
-      'x-chain': 'solana',
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify(requestBody)
-  });
+  console.log(`正在获取钱包 ${walletAddress} 的代币盈亏详情（单页，offset: ${offset}, limit: ${limit}）...`);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`Birdeye API 错误: ${response.status} - ${errorText}`);
-    return res.status(response.status).json({
+  let data;
+  try {
+    data = await fetchBirdeyePnlPage(walletAddress, {
+      offset,
+      limit,
+      sortBy: req.query.sort_by || 'last_trade',
+      sortType: req.query.sort_type || 'desc',
+      token: req.query.token,
+      maxRetries: 0
+    });
+  } catch (fetchError) {
+    if (!fetchError.status) {
+      throw fetchError;
+    }
+    console.error(`Birdeye API 错误: ${fetchError.status} - ${fetchError.details}`);
+    return res.status(fetchError.status).json({
       success: false,
-      error: `Birdeye API 返回错误: ${response.status}`,
-      details: errorText
+      error: fetchError.message,
+      details: fetchError.details
     });
   }
 
-  const data = await response.json();
-
-  // 保存数据到数据库（异步执行，不影响 API 响应）
-  if (data && data.success !== false) {
-    try {
-      const { saveWalletPnlToDatabase } = await import('../services/pnlService.js');
-      const saveResult = await saveWalletPnlToDatabase(walletAddress, data);
-      console.log(`保存盈亏数据结果:`, saveResult);
-    } catch (saveError) {
-      console.error('保存盈亏数据到数据库失败（不影响 API 响应）:', saveError);
-    }
+  // 保存数据到数据库（保存失败不影响 API 响应）
+  try {
+    const saveResult = await saveWalletPnl(walletAddress, (data?.data?.tokens || []).map(normalizeBirdeyeToken));
+    console.log(`保存盈亏数据结果:`, saveResult);
+  } catch (saveError) {
+    console.error('保存盈亏数据到数据库失败（不影响 API 响应）:', saveError);
   }
 
   res.json({
@@ -2306,6 +2164,8 @@ export async function getTokenHoldersV2Handler(req, res) {
     const filterPools = req.query.filterPools === 'true'; // 默认 false，需要显式启用
     const checkOnChain = req.query.checkOnChain === 'true'; // 默认 false，需要显式启用
     const enableClustering = req.query.enableClustering === 'true'; // 默认 false，地址聚类较慢
+    const includeBundles = req.query.includeBundles === 'true'; // 默认 false，标记持有人所属的捆绑组
+    const includeDev = req.query.includeDev === 'true'; // 默认 false，附带部署者和 dev 卖出比例
     
     if (!config.helius.apiKey) {
       return res.status(400).json({
@@ -2363,14 +2223,31 @@ export async function getTokenHoldersV2Handler(req, res) {
       }
     }
 
+    // 没有传入总供应量，占比使用缓存的总供应量
+    const bundleInfo = includeBundles
+      ? await attachHolderBundles(tokenAddress, filteredHolders, null, req.query)
+      : null;
+    const dev = includeDev ? await getHolderDevMetric(tokenAddress, null) : null;
+    let resultHolders = bundleInfo ? bundleInfo.holders : filteredHolders;
+    if (dev) {
+      resultHolders = resultHolders.map(holder => ({ ...holder, isDeployer: isDeployerHolder(holder, dev.deployer) }));
+    }
+
     res.json({
       success: true,
       tokenAddress,
       totalHolders: filteredHolders.length,
       filtered: filteredCount,
       method: 'Helius getProgramAccountsV2',
-      holders: filteredHolders,
-      clustered: enableClustering
+      holders: resultHolders,
+      clustered: enableClustering,
+      ...(bundleInfo ? {
+        bundleSource: bundleInfo.source,
+        bundlesTruncated: bundleInfo.truncated,
+        bundles: bundleInfo.bundles,
+        bundledSupplyPercent: bundleInfo.bundledSupplyPercent
+      } : {}),
+      ...(includeDev ? { dev } : {})
     });
   } catch (error) {
     console.error('使用 Helius getProgramAccountsV2 获取代币持有人失败:', error);
@@ -2408,8 +2285,13 @@ function buildSyncFilters(blockTimeGte, blockTimeLt) {
   return filters;
 }
 
+// 同步交易时持有人识别的最低置信度（低于此值说明只能回退到签名者，可能是中继/路由地址）
+const MIN_HOLDER_CONFIDENCE = 0.5;
+
 /**
  * 处理单笔交易，判断是否应该保存
+ * 捆绑交易（同一笔交易买入 A 卖出 B、多个钱包同时买入）的每一腿分别判断，返回所有需要保存的记录
+ * @returns {Array<object>} 需要保存的交易记录
  */
 function processSingleTransaction(
   tx,
@@ -2421,26 +2303,67 @@ function processSingleTransaction(
   blockTimeLt,
   SOL_MINT,
   MIN_SOL_AMOUNT,
+  platformFilter,
   stats
 ) {
   const signature = tx.signature || tx.transaction?.signatures?.[0];
   if (!signature) {
-    return null;
+    return [];
   }
 
   // 客户端二次验证：检查交易是否真的在时间范围内（Helius API 可能返回范围外的交易）
   if (blockTimeGte && blockTimeLt && tx.blockTime) {
     if (tx.blockTime < blockTimeGte || tx.blockTime >= blockTimeLt) {
       stats.skippedOutOfTimeRange++;
-      return null;
+      return [];
     }
   }
 
   if (!tradeInfo) {
     stats.skippedNoTradeInfo++;
-    return null; // 无法解析的交易跳过
+    return []; // 无法解析的交易跳过
   }
 
+  // 只同步指定平台下单的交易（platformFilter 为空时不过滤）
+  if (platformFilter && !platformFilter.has(tradeInfo.tradingPlatform)) {
+    stats.skippedPlatform++;
+    return [];
+  }
+
+  // 持有人的主交易对 + 交易中其他钱包/代币的买卖对（下单平台是整笔交易的属性，每个买卖对都记录）
+  return expandTradeLegs(tradeInfo, SOL_MINT)
+    .map(trade => processTradePair(
+      tx,
+      signature,
+      { ...trade, tradingPlatform: tradeInfo.tradingPlatform, solUsdPrice: tradeInfo.solUsdPrice },
+      address,
+      tokenMetadataMap,
+      robotAddresses,
+      SOL_MINT,
+      MIN_SOL_AMOUNT,
+      stats
+    ))
+    .filter(Boolean);
+}
+
+/**
+ * 处理单个买卖对，判断是否应该保存
+ * @param {object} tx - 交易数据
+ * @param {string} signature - 交易签名
+ * @param {object} tradeInfo - 买卖对（type、soldToken、boughtToken、holderAddress、holderConfidence）
+ * @returns {object|null} 需要保存的交易记录
+ */
+function processTradePair(
+  tx,
+  signature,
+  tradeInfo,
+  address,
+  tokenMetadataMap,
+  robotAddresses,
+  SOL_MINT,
+  MIN_SOL_AMOUNT,
+  stats
+) {
   // 只处理买入交易（type === 'buy'）和交换交易（type === 'swap'）
   if (tradeInfo.type !== 'buy' && tradeInfo.type !== 'swap') {
     stats.skippedNotBuy++;
@@ -2474,9 +2397,10 @@ function processSingleTransaction(
       return null; // 不是 SOL 买入代币的交易，跳过
     }
 
-    // 检查 SOL 金额是否大于阈值
+    // 检查 SOL 金额是否大于阈值（成交金额，手续费、小费、平台费和租金已由解析器拆分到 feeBreakdown）
+    // 多个代币共用同一笔 SOL 支出时无法拆分金额（amount 为 null），与 swap 一样记录为 0，不做阈值过滤
     solAmount = soldToken.amount || 0;
-    if (solAmount < MIN_SOL_AMOUNT) {
+    if (!tradeInfo.counterShared && solAmount < MIN_SOL_AMOUNT) {
       stats.skippedLowAmount++;
       return null; // SOL 金额小于阈值，不记录
     }
@@ -2533,6 +2457,13 @@ function processSingleTransaction(
     return null;
   }
 
+  // 持有人识别置信度过低（只能回退到签名者/解析器结果，可能是中继、路由或手续费支付者），跳过
+  if (tradeInfo.holderConfidence !== null && tradeInfo.holderConfidence !== undefined &&
+      tradeInfo.holderConfidence < MIN_HOLDER_CONFIDENCE) {
+    stats.skippedLowHolderConfidence++;
+    return null;
+  }
+
   // 过滤机器人地址（需要转换为小写进行匹配，因为 robotAddresses 是小写的）
   if (robotAddresses.has(holderAddress.toLowerCase())) {
     stats.totalFilteredByRobot++;
@@ -2551,7 +2482,9 @@ function processSingleTransaction(
     solAmount: parseFloat(solAmount.toFixed(2)),
     splAmount: parseFloat((boughtToken.amount || 0).toFixed(2)),
     tradeAt: tradeAt, // 使用实际的交易时间
-    signature: signature // 交易签名
+    signature: signature, // 交易签名
+    tradingPlatform: tradeInfo.tradingPlatform || null, // 下单平台
+    usdAmount: calculateTradeUsdAmount(tradeInfo, solAmount) // 按成交时价格计算的 USD 金额
   };
   
   // 如果是 swap 类型，添加 swap_from_token 和 swap_from_tag
@@ -2565,6 +2498,8 @@ function processSingleTransaction(
 
 /**
  * 处理一批交易数据
+ * @returns {Promise<{buyTrades: Array<object>, candleTrades: Array<object>}>} 需要保存到 tbl_sol_trade_info 的买入交易，
+ *   和保存到 tbl_token_trade 的该代币全部 SOL 买卖（K 线输入，不受金额阈值、机器人和下单平台过滤）
  */
 async function processTransactionBatch(
   result,
@@ -2574,6 +2509,7 @@ async function processTransactionBatch(
   blockTimeLt,
   SOL_MINT,
   MIN_SOL_AMOUNT,
+  platformFilter,
   stats
 ) {
   // 解析交易买卖信息
@@ -2587,6 +2523,11 @@ async function processTransactionBatch(
     console.warn(`[后台任务] ⚠ 超过 50% 的交易无法解析，可能存在问题`);
   }
 
+  // 记录解码出的流动性池地址（不影响交易同步，失败只记录日志）
+  await recordTradeLiquidityPools(tradeInfoMap.values(), SOL_MINT).catch(error => {
+    console.warn(`[后台任务] 记录流动性池地址失败: ${error.message}`);
+  });
+
   // 收集所有代币地址，用于批量获取元数据
   const tokenMints = collectTokenMints(tradeInfoMap);
   
@@ -2595,13 +2536,20 @@ async function processTransactionBatch(
 
   // 当前批次符合条件的买入交易（立即保存，不累积）
   const currentBatchBuyTrades = [];
+  const candleTrades = [];
 
   // 处理每笔交易，找出买入交易
   result.data.forEach(tx => {
     const signature = tx.signature || tx.transaction?.signatures?.[0];
     const tradeInfo = tradeInfoMap.get(signature);
+
+    const inTimeRange = !(blockTimeGte && blockTimeLt && tx.blockTime) ||
+      (tx.blockTime >= blockTimeGte && tx.blockTime < blockTimeLt);
+    if (inTimeRange) {
+      candleTrades.push(...extractCandleTrades(tx, tradeInfo, address, SOL_MINT));
+    }
     
-    const tradeData = processSingleTransaction(
+    const tradeDataList = processSingleTransaction(
       tx,
       tradeInfo,
       address,
@@ -2611,16 +2559,17 @@ async function processTransactionBatch(
       blockTimeLt,
       SOL_MINT,
       MIN_SOL_AMOUNT,
+      platformFilter,
       stats
     );
 
-    if (tradeData) {
+    tradeDataList.forEach(tradeData => {
       currentBatchBuyTrades.push(tradeData);
       stats.totalBuyTrades++;
-    }
+    });
   });
 
-  return currentBatchBuyTrades;
+  return { buyTrades: currentBatchBuyTrades, candleTrades };
 }
 
 /**
@@ -2660,6 +2609,7 @@ function collectTokenMints(tradeInfoMap) {
     if (tradeInfo.boughtToken?.mint) {
       tokenMints.add(tradeInfo.boughtToken.mint);
     }
+    (tradeInfo.legs || []).forEach(leg => tokenMints.add(leg.mint));
   });
   return tokenMints;
 }
@@ -2676,7 +2626,8 @@ function logFinalStatistics(
   robotCount,
   MIN_SOL_AMOUNT,
   blockTimeGte,
-  blockTimeLt
+  blockTimeLt,
+  platformFilter
 ) {
   console.log(`[后台任务] ========== 最终统计 ==========`);
   console.log(`[后台任务] 总处理交易数: ${totalTransactions}`);
@@ -2686,7 +2637,9 @@ function logFinalStatistics(
   console.log(`  - 不是SOL买入代币/代币交换: ${stats.totalSkippedNotSOLBuy}`);
   console.log(`  - SOL金额 < ${MIN_SOL_AMOUNT}: ${stats.totalSkippedLowAmount}`);
   console.log(`  - 无持有人地址: ${stats.totalSkippedNoHolder}`);
+  console.log(`  - 持有人置信度 < ${MIN_HOLDER_CONFIDENCE}: ${stats.totalSkippedLowHolderConfidence}`);
   console.log(`  - 时间范围外: ${stats.totalSkippedOutOfTimeRange}`);
+  console.log(`  - 下单平台不匹配: ${stats.totalSkippedPlatform}`);
   console.log(`  - 机器人地址过滤: ${totalFilteredByRobot}`);
   console.log(`[后台任务] 符合条件的买入/交换交易: ${totalBuyTrades}`);
   console.log(`[后台任务] 已保存到数据库: ${totalSavedTrades}`);
@@ -2698,6 +2651,9 @@ function logFinalStatistics(
   if (blockTimeGte && blockTimeLt) {
     console.log(`  - 时间范围: [${blockTimeGte}, ${blockTimeLt}]`);
   }
+  if (platformFilter) {
+    console.log(`  - 下单平台: ${[...platformFilter].join(', ')}`);
+  }
   console.log(`[后台任务] =============================`);
 }
 
@@ -2708,14 +2664,21 @@ function logFinalStatistics(
  * @param {number} blockTimeLt - 结束时间（Unix 时间戳，秒，可选）
  * @param {number} maxPages - 最大页数
  * @param {number} maxDuration - 最大持续时间（毫秒）
+ * @param {object} options - 其他过滤条件
+ * @param {Array<string>} [options.platforms] - 只同步这些平台下单的交易（如 ['photon', 'bullx']），为空时不过滤
  */
-async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, maxPages = 1000, maxDuration = 900000) {
+async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, maxPages = 1000, maxDuration = 900000, options = {}) {
   try {
+    const platformFilter = options.platforms?.length > 0 ? new Set(options.platforms) : null;
+
     // 构建日志信息
     const filterInfo = [];
     if (blockTimeGte && blockTimeLt) {
       filterInfo.push(`时间范围 [${blockTimeGte}, ${blockTimeLt}]`);
     }
+    if (platformFilter) {
+      filterInfo.push(`下单平台 [${[...platformFilter].join(', ')}]`);
+    }
     const filterDesc = filterInfo.length > 0 ? filterInfo.join(', ') : '无过滤条件';
     console.log(`[后台任务] 开始同步地址 ${address} 在 ${filterDesc} 的交易到数据库...`);
 
@@ -2748,13 +2711,17 @@ async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, max
       skippedNotSOLBuy: 0,
       skippedLowAmount: 0,
       skippedNoHolder: 0,
+      skippedLowHolderConfidence: 0,
       skippedOutOfTimeRange: 0,
+      skippedPlatform: 0,
       totalSkippedNoTradeInfo: 0,
       totalSkippedNotBuy: 0,
       totalSkippedNotSOLBuy: 0,
       totalSkippedLowAmount: 0,
       totalSkippedNoHolder: 0,
+      totalSkippedLowHolderConfidence: 0,
       totalSkippedOutOfTimeRange: 0,
+      totalSkippedPlatform: 0,
       totalFilteredByRobot: 0
     };
     
@@ -2833,10 +2800,12 @@ async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, max
       stats.skippedNotSOLBuy = 0;
       stats.skippedLowAmount = 0;
       stats.skippedNoHolder = 0;
+      stats.skippedLowHolderConfidence = 0;
       stats.skippedOutOfTimeRange = 0;
+      stats.skippedPlatform = 0;
 
       // 处理当前批次的交易（包括解析、获取元数据、处理交易）
-      const currentBatchBuyTrades = await processTransactionBatch(
+      const { buyTrades: currentBatchBuyTrades, candleTrades } = await processTransactionBatch(
         result,
         address,
         robotAddresses,
@@ -2844,6 +2813,7 @@ async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, max
         blockTimeLt,
         SOL_MINT,
         MIN_SOL_AMOUNT,
+        platformFilter,
         stats
       );
 
@@ -2861,13 +2831,22 @@ async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, max
         }
       }
 
+      // 保存该代币的全部 SOL 买卖（K 线输入），失败不影响交易同步
+      try {
+        await batchInsertTokenTrades(candleTrades);
+      } catch (error) {
+        console.warn(`[后台任务] 第 ${pageCount} 页保存 ${candleTrades.length} 笔代币成交（K 线输入）失败: ${error.message}`);
+      }
+
       // 累计统计
       stats.totalSkippedNoTradeInfo += stats.skippedNoTradeInfo;
       stats.totalSkippedNotBuy += stats.skippedNotBuy;
       stats.totalSkippedNotSOLBuy += stats.skippedNotSOLBuy;
       stats.totalSkippedLowAmount += stats.skippedLowAmount;
       stats.totalSkippedNoHolder += stats.skippedNoHolder;
+      stats.totalSkippedLowHolderConfidence += stats.skippedLowHolderConfidence;
       stats.totalSkippedOutOfTimeRange += stats.skippedOutOfTimeRange;
+      stats.totalSkippedPlatform += stats.skippedPlatform;
       totalFilteredByRobot = stats.totalFilteredByRobot;
 
       // 更新分页令牌
@@ -2914,7 +2893,8 @@ async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, max
       robotCount,
       MIN_SOL_AMOUNT,
       blockTimeGte,
-      blockTimeLt
+      blockTimeLt,
+      platformFilter
     );
 
     return {
@@ -2922,7 +2902,8 @@ async function syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, max
       message,
       address,
       filters: {
-        ...(blockTimeGte && blockTimeLt ? { blockTime: { gte: blockTimeGte, lte: blockTimeLt } } : {})
+        ...(blockTimeGte && blockTimeLt ? { blockTime: { gte: blockTimeGte, lte: blockTimeLt } } : {}),
+        ...(platformFilter ? { platforms: [...platformFilter] } : {})
       },
       stats: {
         totalTransactions,
@@ -3002,10 +2983,25 @@ export async function syncTradesToDatabaseHandler(req, res) {
     // 获取可选参数
     const maxPages = parseInt(req.query.maxPages) || 500;
     const maxDuration = parseInt(req.query.maxDuration) || 900000;
+    // 按下单平台过滤（逗号分隔，如 platforms=photon,bullx）
+    const platforms = (req.query.platforms || '')
+      .split(',')
+      .map(platform => platform.trim().toLowerCase())
+      .filter(Boolean);
+    const supportedPlatforms = getSupportedTradingPlatforms();
+    const unsupportedPlatforms = platforms.filter(platform => !supportedPlatforms.includes(platform));
+    if (unsupportedPlatforms.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的下单平台: ${unsupportedPlatforms.join(', ')}`,
+        hint: `可选值: ${supportedPlatforms.join(', ')}`
+      });
+    }
 
     // 构建响应信息
     const filters = {
-      blockTime: { gte: blockTimeGte, lte: blockTimeLt }
+      blockTime: { gte: blockTimeGte, lte: blockTimeLt },
+      ...(platforms.length > 0 ? { platforms } : {})
     };
 
     // 构建提示信息
@@ -3028,7 +3024,7 @@ export async function syncTradesToDatabaseHandler(req, res) {
     });
 
     // 在后台异步执行同步逻辑（不等待完成）
-    syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, maxPages, maxDuration)
+    syncTradesToDatabaseAsync(address, blockTimeGte, blockTimeLt, maxPages, maxDuration, { platforms })
       .then(result => {
         console.log(`[后台任务] 同步完成:`, result);
       })
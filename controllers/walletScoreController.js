@@ -0,0 +1,128 @@
+import {
+  listRuleSets,
+  getRuleSet,
+  createRuleSet,
+  scoreWalletAddress,
+  rescoreWallets,
+  getWalletScores
+} from '../services/walletScoreService.js';
+import {COST_BASIS_METHODS} from '../services/costBasis.js';
+import {WALLET_SCORE_FACTORS} from '../services/walletScoring.js';
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.details ? { details: error.details } : {})
+  });
+}
+
+/**
+ * 获取全部评分规则集和可用因子
+ */
+export async function getRuleSetsHandler(req, res) {
+  try {
+    const ruleSets = await listRuleSets();
+    res.json({
+      success: true,
+      count: ruleSets.length,
+      ruleSets,
+      factors: WALLET_SCORE_FACTORS
+    });
+  } catch (error) {
+    sendError(res, error, '获取评分规则集失败');
+  }
+}
+
+/**
+ * 获取规则集（?version= 指定版本，默认最新）
+ */
+export async function getRuleSetHandler(req, res) {
+  try {
+    const ruleSet = await getRuleSet(req.params.name, req.query.version);
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    sendError(res, error, '获取评分规则集失败');
+  }
+}
+
+/**
+ * 新增规则集版本（请求体为规则集 JSON）
+ */
+export async function createRuleSetHandler(req, res) {
+  try {
+    const ruleSet = await createRuleSet(req.body);
+    res.status(201).json({ success: true, ruleSet });
+  } catch (error) {
+    sendError(res, error, '保存评分规则集失败');
+  }
+}
+
+/**
+ * 计算钱包评分（使用已保存的买卖记录）
+ * 查询参数: ?ruleSet=default&version=&costBasis=fifo&save=false
+ */
+export async function scoreWalletHandler(req, res) {
+  try {
+    const costBasisMethod = (req.query.costBasis || 'fifo').toLowerCase();
+    if (!COST_BASIS_METHODS.includes(costBasisMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的成本计算方法，可选: ${COST_BASIS_METHODS.join(' / ')}`
+      });
+    }
+
+    const result = await scoreWalletAddress(req.params.walletAddress, {
+      ruleSet: req.query.ruleSet,
+      ruleVersion: req.query.version,
+      costBasisMethod,
+      save: req.query.save !== 'false'
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, '计算钱包评分失败');
+  }
+}
+
+/**
+ * 查询钱包已保存的评分（?ruleSet=&version= 过滤）
+ */
+export async function getWalletScoresHandler(req, res) {
+  try {
+    const scores = await getWalletScores(req.params.walletAddress, {
+      ruleSet: req.query.ruleSet,
+      ruleVersion: req.query.version ? Number(req.query.version) : undefined
+    });
+    res.json({ success: true, count: scores.length, scores });
+  } catch (error) {
+    sendError(res, error, '查询钱包评分失败');
+  }
+}
+
+/**
+ * 批量重新评分
+ * 请求体: { walletAddresses: [], ruleSet, version, costBasisMethod }
+ */
+export async function rescoreWalletsHandler(req, res) {
+  try {
+    const { walletAddresses, ruleSet, version, costBasisMethod = 'fifo' } = req.body || {};
+    if (!Array.isArray(walletAddresses) || walletAddresses.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'walletAddresses 不能为空'
+      });
+    }
+
+    const results = await rescoreWallets(walletAddresses, { ruleSet, ruleVersion: version, costBasisMethod });
+    res.json({
+      success: true,
+      total: results.length,
+      passed: results.filter(result => result.passed).length,
+      failed: results.filter(result => result.error).length,
+      results
+    });
+  } catch (error) {
+    sendError(res, error, '批量重新评分失败');
+  }
+}
@@ -32,6 +32,38 @@ export async function saveTokenLiquidityPools(tokenAddress, poolAddresses) {
   }
 }
 
+/**
+ * 追加代币的流动性池地址（已存在的地址跳过，不删除旧记录）
+ * @param {string} tokenAddress - 代币地址
+ * @param {Array<string>} poolAddresses - 流动性池地址列表
+ * @returns {Promise<number>} 新增的地址数量
+ */
+export async function addTokenLiquidityPools(tokenAddress, poolAddresses) {
+  if (!poolAddresses || poolAddresses.length === 0) {
+    return 0;
+  }
+
+  try {
+    const insertSql = `
+      INSERT INTO tbl_token_liquidity_pools (token_address, pool_address, create_at)
+      SELECT ?, ?, NOW() FROM DUAL
+      WHERE NOT EXISTS (
+        SELECT 1 FROM tbl_token_liquidity_pools WHERE token_address = ? AND pool_address = ?
+      )
+    `;
+
+    let inserted = 0;
+    for (const poolAddress of poolAddresses) {
+      const result = await query(insertSql, [tokenAddress, poolAddress, tokenAddress, poolAddress]);
+      inserted += result.affectedRows || 0;
+    }
+    return inserted;
+  } catch (error) {
+    console.error('追加流动性池地址失败:', error);
+    throw error;
+  }
+}
+
 /**
  * 获取代币的流动性池地址列表
  * @param {string} tokenAddress - 代币地址
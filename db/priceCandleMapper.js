@@ -0,0 +1,134 @@
+import { query } from './solAddrSplInfoMapper.js';
+
+/**
+ * 价格 K 线（用于按交易时间换算 USD 价格）
+ * 表结构：
+ *   tbl_price_candle (
+ *     mint          VARCHAR(64)    代币地址（SOL 使用 WSOL mint）
+ *     interval_type VARCHAR(8)     K 线周期（1m / 1H）
+ *     open_time     INT UNSIGNED   开盘时间（Unix 秒，UTC）
+ *     open_price / high_price / low_price / close_price DECIMAL(30,12)  USD 价格
+ *     volume        DECIMAL(38,12) 成交量（可为空）
+ *     source        VARCHAR(32)    数据来源（birdeye / csv 等）
+ *     update_at     DATETIME
+ *     PRIMARY KEY (mint, interval_type, open_time)
+ *   )
+ */
+
+function toCandle(row) {
+  if (!row) return null;
+  return {
+    mint: row.mint,
+    interval: row.interval_type,
+    openTime: Number(row.open_time),
+    open: Number(row.open_price),
+    high: Number(row.high_price),
+    low: Number(row.low_price),
+    close: Number(row.close_price),
+    volume: row.volume === null ? null : Number(row.volume),
+    source: row.source
+  };
+}
+
+/**
+ * 批量保存 K 线（已存在的同一根 K 线覆盖更新）
+ * @param {Array<object>} candles - [{ mint, interval, openTime, open, high, low, close, volume, source }]
+ * @returns {Promise<number>} 保存的数量
+ */
+export async function batchUpsertPriceCandles(candles) {
+  if (!candles || candles.length === 0) {
+    return 0;
+  }
+
+  const sql = `
+    INSERT INTO tbl_price_candle
+      (mint, interval_type, open_time, open_price, high_price, low_price, close_price, volume, source, update_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      open_price = VALUES(open_price),
+      high_price = VALUES(high_price),
+      low_price = VALUES(low_price),
+      close_price = VALUES(close_price),
+      volume = VALUES(volume),
+      source = VALUES(source),
+      update_at = NOW()
+  `;
+
+  try {
+    for (const candle of candles) {
+      await query(sql, [
+        candle.mint,
+        candle.interval,
+        candle.openTime,
+        candle.open,
+        candle.high,
+        candle.low,
+        candle.close,
+        candle.volume ?? null,
+        candle.source || null
+      ]);
+    }
+    return candles.length;
+  } catch (error) {
+    console.error('保存价格 K 线失败:', error);
+    throw error;
+  }
+}
+
+/**
+ * 获取指定时间前后最近的 K 线（各一根，超出 maxGapSeconds 的不返回）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ * @param {number} timestamp - 时间（Unix 秒）
+ * @param {number} maxGapSeconds - 允许的最大时间差（秒）
+ * @returns {Promise<{before: object|null, after: object|null}>}
+ */
+export async function getSurroundingPriceCandles(mint, interval, timestamp, maxGapSeconds) {
+  const beforeSql = `
+    SELECT * FROM tbl_price_candle
+    WHERE mint = ? AND interval_type = ? AND open_time <= ? AND open_time >= ?
+    ORDER BY open_time DESC LIMIT 1
+  `;
+  const afterSql = `
+    SELECT * FROM tbl_price_candle
+    WHERE mint = ? AND interval_type = ? AND open_time > ? AND open_time <= ?
+    ORDER BY open_time ASC LIMIT 1
+  `;
+
+  const ts = Math.floor(timestamp);
+  const [beforeRows, afterRows] = await Promise.all([
+    query(beforeSql, [mint, interval, ts, ts - maxGapSeconds]),
+    query(afterSql, [mint, interval, ts, ts + maxGapSeconds])
+  ]);
+  return { before: toCandle(beforeRows[0]), after: toCandle(afterRows[0]) };
+}
+
+/**
+ * 获取已保存的最新一根 K 线的开盘时间（用于增量同步）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ * @returns {Promise<number|null>} 开盘时间（Unix 秒），没有数据时返回 null
+ */
+export async function getLatestPriceCandleTime(mint, interval) {
+  const sql = 'SELECT MAX(open_time) AS latest FROM tbl_price_candle WHERE mint = ? AND interval_type = ?';
+  const rows = await query(sql, [mint, interval]);
+  return rows[0]?.latest === null || rows[0]?.latest === undefined ? null : Number(rows[0].latest);
+}
+
+/**
+ * 获取一段时间内已保存的 K 线开盘时间（升序，用于找出需要回补的缺口）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ * @param {number} from - 开始时间（Unix 秒，包含）
+ * @param {number} to - 结束时间（Unix 秒，包含）
+ * @returns {Promise<Array<number>>}
+ */
+export async function getPriceCandleTimes(mint, interval, from, to) {
+  const sql = `
+    SELECT open_time FROM tbl_price_candle
+    WHERE mint = ? AND interval_type = ? AND open_time >= ? AND open_time <= ?
+    ORDER BY open_time ASC
+  `;
+  const rows = await query(sql, [mint, interval, Math.floor(from), Math.ceil(to)]);
+  return rows.map(row => Number(row.open_time));
+}
@@ -160,5 +160,18 @@ export async function getPnlInfoByToken(splAddr) {
   }
 }
 
+/**
+ * 删除钱包的全部盈亏信息（全量重建前使用）
+ * @param {string} addr - 钱包地址
+ */
+export async function deletePnlInfoByAddress(addr) {
+  try {
+    await query('DELETE FROM tbl_sol_addr_pnl_info WHERE addr = ?', [addr]);
+  } catch (error) {
+    console.error('删除地址盈亏信息失败:', error);
+    throw error;
+  }
+}
+
 export default pool;
 
@@ -40,8 +40,9 @@ export async function query(sql, params) {
  * @param {string} signature - 交易签名（可选）
  * @param {string} swapFromToken - swap 买入时对应的卖出代币地址（可选）
  * @param {string} swapFromTag - swap 买入时对应的卖出代币符号（可选）
+ * @param {string} tradingPlatform - 下单的交易平台，如 photon / bullx / jupiter（可选，写入 trading_platform 字段）
  */
-export async function saveTradeInfo(addr, splTag, splAddr, type, solAmount, splAmount, connection = null, tradeAt = null, signature = null, swapFromToken = null, swapFromTag = null) {
+export async function saveTradeInfo(addr, splTag, splAddr, type, solAmount, splAmount, connection = null, tradeAt = null, signature = null, swapFromToken = null, swapFromTag = null, tradingPlatform = null) {
   try {
     // 处理交易时间
     let tradeAtValue;
@@ -97,10 +98,17 @@ export async function saveTradeInfo(addr, splTag, splAddr, type, solAmount, splA
       placeholders.push('?');
       params.push(swapFromTag);
     }
+
+    // 添加 trading_platform（如果有）
+    if (tradingPlatform) {
+      fields.push('trading_platform');
+      placeholders.push('?');
+      params.push(tradingPlatform);
+    }
     
     // 构建 SQL
     // 如果 signature 存在，使用 INSERT IGNORE 避免重复插入
-    // 注意：需要确保数据库表 signature 字段有唯一索引
+    // 注意：去重依赖唯一索引 uk_trade_leg (signature, addr, spl_addr, type)，见 tradeInfoLegKey / checkTradeLegIndex
     const insertType = signature ? 'INSERT IGNORE' : 'INSERT';
     insertSql = `
       ${insertType} INTO tbl_sol_trade_info 
@@ -126,11 +134,13 @@ export async function saveTradeInfo(addr, splTag, splAddr, type, solAmount, splA
 
 /**
  * 批量保存交易信息（使用真正的批量插入，避免单条失败影响整批）
- * @param {Array} tradeDataList - 交易数据数组，每个元素包含 {addr, splTag, splAddr, type, solAmount, splAmount, tradeAt, signature, swapFromToken, swapFromTag}
+ * @param {Array} tradeDataList - 交易数据数组，每个元素包含 {addr, splTag, splAddr, type, solAmount, splAmount, tradeAt, signature, swapFromToken, swapFromTag, tradingPlatform, usdAmount}
  * tradeAt 可选，可以是 Unix 时间戳（秒）、Date 对象或字符串
  * signature 可选，交易签名
  * swapFromToken 可选，swap 买入时对应的卖出代币地址
  * swapFromTag 可选，swap 买入时对应的卖出代币符号
+ * tradingPlatform 可选，下单的交易平台（trading_platform 字段，VARCHAR(32)，可为空）
+ * usdAmount 可选，按成交时价格计算的 USD 金额（usd_amount 字段，DECIMAL(20,2)，可为空）
  */
 export async function batchSaveTradeInfo(tradeDataList) {
   if (!tradeDataList || tradeDataList.length === 0) {
@@ -142,7 +152,7 @@ export async function batchSaveTradeInfo(tradeDataList) {
     await connection.beginTransaction();
 
     try {
-      // 按是否有 signature 分组，因为 signature 有唯一索引
+      // 按是否有 signature 分组，有 signature 的记录按交易腿去重（见 tradeInfoLegKey）
       const withSignature = [];
       const withoutSignature = [];
 
@@ -178,12 +188,102 @@ export async function batchSaveTradeInfo(tradeDataList) {
   }
 }
 
+/**
+ * 交易腿的去重键：同一笔交易按钱包、代币和买卖方向各记录一行
+ * （捆绑交易中多个钱包买入、同一钱包买入多个代币时 signature 相同）
+ * 需要唯一索引 uk_trade_leg (signature, addr, spl_addr, type) 替换原来只有 signature 的唯一索引，
+ * 已有数据库用 npm run db:migrate-trade-leg 迁移（见 planTradeLegIndexMigration），服务启动时会检查
+ * @param {object} item - { signature, addr, splAddr, type }
+ * @returns {string}
+ */
+export function tradeInfoLegKey(item) {
+  return [item.signature, item.addr, item.splAddr, item.type].join(':');
+}
+
+const TRADE_LEG_INDEX_COLUMNS = ['signature', 'addr', 'spl_addr', 'type'];
+
+/**
+ * 根据 tbl_sol_trade_info 的索引判断是否需要迁移到按交易腿去重
+ * 只有 signature 的唯一索引会让同一交易的第二条腿被 INSERT IGNORE 忽略，需要删除
+ * @param {Array<object>} rows - information_schema.STATISTICS 的记录 [{ indexName, nonUnique, columnName, seq }]
+ * @returns {{ok: boolean, signatureIndexes: Array<string>, hasLegIndex: boolean, statement: string|null}}
+ */
+export function planTradeLegIndexMigration(rows) {
+  const indexes = new Map();
+  [...rows].sort((a, b) => Number(a.seq) - Number(b.seq)).forEach(row => {
+    if (!indexes.has(row.indexName)) {
+      indexes.set(row.indexName, { unique: Number(row.nonUnique) === 0, columns: [] });
+    }
+    indexes.get(row.indexName).columns.push(String(row.columnName).toLowerCase());
+  });
+
+  const uniqueIndexes = [...indexes.entries()].filter(([, index]) => index.unique);
+  const signatureIndexes = uniqueIndexes
+    .filter(([name, index]) => name !== 'PRIMARY' && index.columns.length === 1 && index.columns[0] === 'signature')
+    .map(([name]) => name);
+  const hasLegIndex = uniqueIndexes.some(([, index]) => index.columns.join(',') === TRADE_LEG_INDEX_COLUMNS.join(','));
+
+  const changes = [
+    ...signatureIndexes.map(name => `DROP INDEX \`${name}\``),
+    ...(hasLegIndex ? [] : [`ADD UNIQUE KEY uk_trade_leg (${TRADE_LEG_INDEX_COLUMNS.join(', ')})`])
+  ];
+  return {
+    ok: signatureIndexes.length === 0 && hasLegIndex,
+    signatureIndexes,
+    hasLegIndex,
+    statement: changes.length > 0 ? `ALTER TABLE tbl_sol_trade_info ${changes.join(', ')}` : null
+  };
+}
+
+/**
+ * 检查 tbl_sol_trade_info 的唯一索引是否已经迁移到按交易腿去重
+ * @returns {Promise<object>} planTradeLegIndexMigration 的结果
+ */
+export async function checkTradeLegIndex() {
+  const sql = `
+    SELECT INDEX_NAME AS indexName, NON_UNIQUE AS nonUnique, COLUMN_NAME AS columnName, SEQ_IN_INDEX AS seq
+    FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'tbl_sol_trade_info'
+  `;
+  return planTradeLegIndexMigration(await query(sql, []));
+}
+
+/**
+ * 把 tbl_sol_trade_info 的唯一索引迁移到按交易腿去重（已经迁移时不做修改）
+ * @returns {Promise<object>} 迁移前的检查结果
+ */
+export async function migrateTradeLegIndex() {
+  const plan = await checkTradeLegIndex();
+  if (plan.statement) {
+    await query(plan.statement, []);
+  }
+  return plan;
+}
+
 /**
  * 批量插入有 signature 的记录（使用 INSERT IGNORE）
  */
 async function batchInsertWithSignature(connection, tradeDataList) {
   if (tradeDataList.length === 0) return;
 
+  const { sql, params } = buildTradeInfoInsertWithSignature(tradeDataList);
+  await connection.execute(sql, params);
+}
+
+/**
+ * 构建有 signature 的记录的批量插入语句（同一交易腿在批次内只保留第一条，与唯一索引 uk_trade_leg 一致）
+ * @param {Array<object>} tradeDataList - 交易数据数组，见 batchSaveTradeInfo
+ * @returns {{sql: string, params: Array, rowCount: number}}
+ */
+export function buildTradeInfoInsertWithSignature(tradeDataList) {
+  const seen = new Set();
+  tradeDataList = tradeDataList.filter(item => {
+    const key = tradeInfoLegKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
   // 构建批量插入 SQL
   const fields = ['addr', 'spl_tag', 'spl_addr', 'type', 'sol_amount', 'spl_amount', 'trade_at', 'signature'];
   const allFields = [...fields];
@@ -194,6 +294,18 @@ async function batchInsertWithSignature(connection, tradeDataList) {
     allFields.push('swap_from_token', 'swap_from_tag');
   }
 
+  // 检查是否有交易平台字段
+  const hasPlatformField = tradeDataList.some(item => item.tradingPlatform);
+  if (hasPlatformField) {
+    allFields.push('trading_platform');
+  }
+
+  // 检查是否有成交金额（USD）字段
+  const hasUsdAmountField = tradeDataList.some(item => item.usdAmount !== null && item.usdAmount !== undefined);
+  if (hasUsdAmountField) {
+    allFields.push('usd_amount');
+  }
+
   const values = [];
   const params = [];
 
@@ -252,6 +364,18 @@ async function batchInsertWithSignature(connection, tradeDataList) {
       rowValues.push('?');
       params.push(item.swapFromTag || null);
     }
+
+    // trading_platform
+    if (hasPlatformField) {
+      rowValues.push('?');
+      params.push(item.tradingPlatform || null);
+    }
+
+    // usd_amount
+    if (hasUsdAmountField) {
+      rowValues.push('?');
+      params.push(item.usdAmount ?? null);
+    }
     
     values.push(`(${rowValues.join(', ')})`);
   });
@@ -262,7 +386,7 @@ async function batchInsertWithSignature(connection, tradeDataList) {
     VALUES ${values.join(', ')}
   `;
 
-  await connection.execute(sql, params);
+  return { sql, params, rowCount: values.length };
 }
 
 /**
@@ -281,6 +405,18 @@ async function batchInsertWithoutSignature(connection, tradeDataList) {
     allFields.push('swap_from_token', 'swap_from_tag');
   }
 
+  // 检查是否有交易平台字段
+  const hasPlatformField = tradeDataList.some(item => item.tradingPlatform);
+  if (hasPlatformField) {
+    allFields.push('trading_platform');
+  }
+
+  // 检查是否有成交金额（USD）字段
+  const hasUsdAmountField = tradeDataList.some(item => item.usdAmount !== null && item.usdAmount !== undefined);
+  if (hasUsdAmountField) {
+    allFields.push('usd_amount');
+  }
+
   const values = [];
   const params = [];
 
@@ -335,6 +471,18 @@ async function batchInsertWithoutSignature(connection, tradeDataList) {
       rowValues.push('?');
       params.push(item.swapFromTag || null);
     }
+
+    // trading_platform
+    if (hasPlatformField) {
+      rowValues.push('?');
+      params.push(item.tradingPlatform || null);
+    }
+
+    // usd_amount
+    if (hasUsdAmountField) {
+      rowValues.push('?');
+      params.push(item.usdAmount ?? null);
+    }
     
     values.push(`(${rowValues.join(', ')})`);
   });
@@ -392,6 +540,104 @@ export async function getTradeInfoByToken(splAddr, limit = 100) {
   }
 }
 
+/**
+ * 按时间顺序分页获取代币的成交记录
+ * 按 (trade_at, signature, addr, type) 翻页（同一代币下唯一，见 tradeInfoLegKey），不使用 OFFSET
+ * trade_at 以 UTC 写入，按 UTC 换算为 Unix 秒，不受数据库会话时区影响
+ * @param {string} splAddr - 代币地址
+ * @param {number} since - 开始时间（Unix 秒，包含）
+ * @param {number} limit - 每页数量
+ * @param {object|null} after - 上一页最后一条记录，为空时从 since 开始
+ * @returns {Promise<Array>} [{addr, signature, tradeTime, type, solAmount, splAmount, usdAmount}]
+ */
+export async function getTokenTradesSince(splAddr, since, limit = 5000, after = null) {
+  const toDateTime = seconds => new Date(seconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+  try {
+    const columns = `
+      SELECT
+        addr,
+        signature,
+        TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', trade_at) AS tradeTime,
+        type,
+        sol_amount AS solAmount,
+        spl_amount AS splAmount,
+        usd_amount AS usdAmount
+      FROM tbl_sol_trade_info
+    `;
+    const order = 'ORDER BY trade_at ASC, signature ASC, addr ASC, type ASC LIMIT ?';
+    if (!after) {
+      return await query(`${columns} WHERE spl_addr = ? AND trade_at >= ? ${order}`, [splAddr, toDateTime(since), limit]);
+    }
+    return await query(
+      `${columns} WHERE spl_addr = ? AND (trade_at, signature, addr, type) > (?, ?, ?, ?) ${order}`,
+      [splAddr, toDateTime(Number(after.tradeTime)), after.signature, after.addr, after.type, limit]
+    );
+  } catch (error) {
+    console.error('获取代币成交记录失败:', error);
+    throw error;
+  }
+}
+
+/**
+ * 按钱包汇总代币的买卖（只统计代币数量大于 0 的买入和卖出）
+ * @param {string} splAddr - 代币地址
+ * @returns {Promise<Array>} [{addr, buyCount, sellCount, boughtQuantity, soldQuantity, buySol, sellSol, buyUsd, sellUsd,
+ *                            usdComplete, firstBuyAt, firstSellAt, lastSellAt}]，时间为 Unix 秒
+ */
+export async function getTokenTraderSummaries(splAddr) {
+  try {
+    const sql = `
+      SELECT
+        addr,
+        SUM(type = 1) AS buyCount,
+        SUM(type = 2) AS sellCount,
+        SUM(IF(type = 1, spl_amount, 0)) AS boughtQuantity,
+        SUM(IF(type = 2, spl_amount, 0)) AS soldQuantity,
+        SUM(IF(type = 1, sol_amount, 0)) AS buySol,
+        SUM(IF(type = 2, sol_amount, 0)) AS sellSol,
+        SUM(IF(type = 1, COALESCE(usd_amount, 0), 0)) AS buyUsd,
+        SUM(IF(type = 2, COALESCE(usd_amount, 0), 0)) AS sellUsd,
+        SUM(usd_amount IS NULL) = 0 AS usdComplete,
+        TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', MIN(IF(type = 1, trade_at, NULL))) AS firstBuyAt,
+        TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', MIN(IF(type = 2, trade_at, NULL))) AS firstSellAt,
+        TIMESTAMPDIFF(SECOND, '1970-01-01 00:00:00', MAX(IF(type = 2, trade_at, NULL))) AS lastSellAt
+      FROM tbl_sol_trade_info
+      WHERE spl_addr = ? AND addr <> '' AND spl_amount > 0 AND type IN (1, 2)
+      GROUP BY addr
+    `;
+    return await query(sql, [splAddr]);
+  } catch (error) {
+    console.error('按钱包汇总代币成交失败:', error);
+    throw error;
+  }
+}
+
+/**
+ * 获取每个钱包在代币上的首次买入（同一时间有多笔时按签名排序，都返回）
+ * @param {string} splAddr - 代币地址
+ * @returns {Promise<Array>} [{addr, signature, solAmount, splAmount, usdAmount}]，按 addr、signature 排序
+ */
+export async function getTokenFirstBuys(splAddr) {
+  try {
+    const sql = `
+      SELECT t.addr, t.signature, t.sol_amount AS solAmount, t.spl_amount AS splAmount, t.usd_amount AS usdAmount
+      FROM tbl_sol_trade_info t
+      JOIN (
+        SELECT addr, MIN(trade_at) AS first_at
+        FROM tbl_sol_trade_info
+        WHERE spl_addr = ? AND addr <> '' AND spl_amount > 0 AND type = 1
+        GROUP BY addr
+      ) f ON t.addr = f.addr AND t.trade_at = f.first_at
+      WHERE t.spl_addr = ? AND t.spl_amount > 0 AND t.type = 1
+      ORDER BY t.addr ASC, t.signature ASC
+    `;
+    return await query(sql, [splAddr, splAddr]);
+  } catch (error) {
+    console.error('获取代币首次买入失败:', error);
+    throw error;
+  }
+}
+
 /**
  * 获取所有机器人地址列表
  * @returns {Promise<Set<string>>} 机器人地址集合（已规范化：去除空格，转小写）
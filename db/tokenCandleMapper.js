@@ -0,0 +1,153 @@
+import { query } from './solAddrSplInfoMapper.js';
+
+/**
+ * 代币 K 线（由 tbl_token_trade 中已解析的交易聚合，价格以 SOL 计价）
+ * 表结构：
+ *   tbl_token_candle (
+ *     mint             VARCHAR(64)    代币地址
+ *     interval_type    VARCHAR(8)     K 线周期（1s / 1m / 5m / 1h）
+ *     open_time        INT UNSIGNED   开盘时间（Unix 秒，UTC）
+ *     open_price / high_price / low_price / close_price DECIMAL(30,18)  SOL 价格
+ *     volume_token     DECIMAL(38,6)  代币成交量
+ *     volume_sol       DECIMAL(30,9)  SOL 成交额
+ *     volume_usd       DECIMAL(30,2)  USD 成交额（按成交时价格，可为空）
+ *     buy_volume_sol / sell_volume_sol DECIMAL(30,9)  买入 / 卖出成交额
+ *     buy_count / sell_count / trade_count INT UNSIGNED  成交笔数
+ *     update_at        DATETIME
+ *     PRIMARY KEY (mint, interval_type, open_time)
+ *   )
+ */
+
+// 每条 INSERT 的最大行数
+const UPSERT_BATCH_SIZE = 500;
+
+function toCandle(row) {
+  return {
+    mint: row.mint,
+    interval: row.interval_type,
+    openTime: Number(row.open_time),
+    open: Number(row.open_price),
+    high: Number(row.high_price),
+    low: Number(row.low_price),
+    close: Number(row.close_price),
+    volumeToken: Number(row.volume_token),
+    volumeSol: Number(row.volume_sol),
+    volumeUsd: row.volume_usd === null ? null : Number(row.volume_usd),
+    buyVolumeSol: Number(row.buy_volume_sol),
+    sellVolumeSol: Number(row.sell_volume_sol),
+    buyCount: Number(row.buy_count),
+    sellCount: Number(row.sell_count),
+    tradeCount: Number(row.trade_count)
+  };
+}
+
+/**
+ * 批量保存 K 线（同一根 K 线整根覆盖，调用方需保证 K 线包含该周期内的全部交易）
+ * @param {Array<object>} candles - aggregateTradeCandles 的结果
+ * @returns {Promise<number>} 保存的数量
+ */
+export async function batchUpsertTokenCandles(candles) {
+  if (!candles || candles.length === 0) {
+    return 0;
+  }
+
+  try {
+    for (let i = 0; i < candles.length; i += UPSERT_BATCH_SIZE) {
+      const batch = candles.slice(i, i + UPSERT_BATCH_SIZE);
+      const params = [];
+      batch.forEach(candle => {
+        params.push(
+          candle.mint,
+          candle.interval,
+          candle.openTime,
+          candle.open,
+          candle.high,
+          candle.low,
+          candle.close,
+          candle.volumeToken,
+          candle.volumeSol,
+          candle.volumeUsd ?? null,
+          candle.buyVolumeSol,
+          candle.sellVolumeSol,
+          candle.buyCount,
+          candle.sellCount,
+          candle.tradeCount
+        );
+      });
+
+      const sql = `
+        INSERT INTO tbl_token_candle
+          (mint, interval_type, open_time, open_price, high_price, low_price, close_price,
+           volume_token, volume_sol, volume_usd, buy_volume_sol, sell_volume_sol,
+           buy_count, sell_count, trade_count, update_at)
+        VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())').join(', ')}
+        ON DUPLICATE KEY UPDATE
+          open_price = VALUES(open_price),
+          high_price = VALUES(high_price),
+          low_price = VALUES(low_price),
+          close_price = VALUES(close_price),
+          volume_token = VALUES(volume_token),
+          volume_sol = VALUES(volume_sol),
+          volume_usd = VALUES(volume_usd),
+          buy_volume_sol = VALUES(buy_volume_sol),
+          sell_volume_sol = VALUES(sell_volume_sol),
+          buy_count = VALUES(buy_count),
+          sell_count = VALUES(sell_count),
+          trade_count = VALUES(trade_count),
+          update_at = NOW()
+      `;
+      await query(sql, params);
+    }
+    return candles.length;
+  } catch (error) {
+    console.error('保存代币 K 线失败:', error);
+    throw error;
+  }
+}
+
+/**
+ * 获取已保存的最新一根 K 线的开盘时间（用于增量聚合）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ * @returns {Promise<number|null>} 开盘时间（Unix 秒），没有数据时返回 null
+ */
+export async function getLatestTokenCandleTime(mint, interval) {
+  const sql = 'SELECT MAX(open_time) AS latest FROM tbl_token_candle WHERE mint = ? AND interval_type = ?';
+  const rows = await query(sql, [mint, interval]);
+  return rows[0]?.latest === null || rows[0]?.latest === undefined ? null : Number(rows[0].latest);
+}
+
+/**
+ * 删除代币指定周期的全部 K 线（重建前使用）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ */
+export async function deleteTokenCandles(mint, interval) {
+  await query('DELETE FROM tbl_token_candle WHERE mint = ? AND interval_type = ?', [mint, interval]);
+}
+
+/**
+ * 查询代币 K 线（时间范围内最新的 limit 根，按开盘时间升序返回）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ * @param {object} options
+ * @param {number} [options.from] - 开始时间（Unix 秒，包含）
+ * @param {number} [options.to] - 结束时间（Unix 秒，包含）
+ * @param {number} [options.limit=500] - 最大数量
+ * @returns {Promise<Array<object>>}
+ */
+export async function getTokenCandles(mint, interval, { from = 0, to = 4294967295, limit = 500 } = {}) {
+  try {
+    const sql = `
+      SELECT * FROM tbl_token_candle
+      WHERE mint = ? AND interval_type = ? AND open_time >= ? AND open_time <= ?
+      ORDER BY open_time DESC
+      LIMIT ?
+    `;
+    const rows = await query(sql, [mint, interval, from, to, limit]);
+    return rows.map(toCandle).reverse();
+  } catch (error) {
+    console.error('查询代币 K 线失败:', error);
+    throw error;
+  }
+}
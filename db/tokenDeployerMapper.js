@@ -0,0 +1,194 @@
+import { query } from './solAddrSplInfoMapper.js';
+
+/**
+ * 代币部署者（dev）
+ * 表结构：
+ *   tbl_token_deployer (
+ *     mint                  VARCHAR(64)    代币地址
+ *     deployer              VARCHAR(64)    部署者（创建交易的手续费支付者）
+ *     creation_slot         BIGINT UNSIGNED
+ *     creation_time         INT UNSIGNED   创建时间（Unix 秒）
+ *     creation_signature    VARCHAR(128)
+ *     update_authority      VARCHAR(64)    元数据更新权限
+ *     mint_authority        VARCHAR(64)    为空表示已放弃
+ *     freeze_authority      VARCHAR(64)    为空表示已放弃
+ *     mutable               TINYINT        元数据是否可修改
+ *     authorities_at        DATETIME       权限信息获取时间（为空表示还没有获取）
+ *     activity_slot         BIGINT UNSIGNED  已同步到的部署者交易 slot（增量同步游标）
+ *     activity_synced_at    DATETIME
+ *     update_at             DATETIME
+ *     PRIMARY KEY (mint),
+ *     KEY idx_deployer (deployer)
+ *   )
+ *   tbl_token_deployer_activity (
+ *     signature      VARCHAR(128)
+ *     mint           VARCHAR(64)
+ *     type           VARCHAR(16)     buy / sell / transfer_in / transfer_out / mint
+ *     counterparty   VARCHAR(64)     转账对手方（没有时为空字符串）
+ *     deployer       VARCHAR(64)
+ *     token_amount   DECIMAL(38,9)
+ *     sol_amount     DECIMAL(30,9)
+ *     slot           BIGINT UNSIGNED
+ *     block_time     INT UNSIGNED
+ *     PRIMARY KEY (signature, mint, type, counterparty),
+ *     KEY idx_mint_slot (mint, slot)
+ *   )
+ */
+
+const INSERT_BATCH_SIZE = 500;
+
+function toTokenDeployer(row) {
+  return {
+    mint: row.mint,
+    deployer: row.deployer,
+    creationSlot: row.creation_slot === null ? null : Number(row.creation_slot),
+    creationTime: row.creation_time === null ? null : Number(row.creation_time),
+    creationSignature: row.creation_signature,
+    authorities: row.authorities_at ? {
+      updateAuthority: row.update_authority,
+      mintAuthority: row.mint_authority,
+      freezeAuthority: row.freeze_authority,
+      mintAuthorityRevoked: !row.mint_authority,
+      freezeAuthorityRevoked: !row.freeze_authority,
+      mutable: row.mutable === null ? null : Boolean(row.mutable)
+    } : null,
+    authoritiesAt: row.authorities_at,
+    activitySlot: row.activity_slot === null ? null : Number(row.activity_slot),
+    activitySyncedAt: row.activity_synced_at
+  };
+}
+
+function toDeployerActivity(row) {
+  return {
+    signature: row.signature,
+    mint: row.mint,
+    type: row.type,
+    counterparty: row.counterparty || null,
+    tokenAmount: Number(row.token_amount),
+    solAmount: row.sol_amount === null ? null : Number(row.sol_amount),
+    slot: row.slot === null ? null : Number(row.slot),
+    blockTime: row.block_time === null ? null : Number(row.block_time)
+  };
+}
+
+/**
+ * 查询代币的部署者记录
+ * @param {string} mint - 代币地址
+ * @returns {Promise<object|null>}
+ */
+export async function getTokenDeployer(mint) {
+  const rows = await query('SELECT * FROM tbl_token_deployer WHERE mint = ?', [mint]);
+  return rows.length > 0 ? toTokenDeployer(rows[0]) : null;
+}
+
+/**
+ * 查询部署者创建的全部代币（按创建 slot 倒序）
+ * @param {string} deployer - 部署者地址
+ * @returns {Promise<Array<object>>}
+ */
+export async function getTokensByDeployer(deployer) {
+  const rows = await query('SELECT * FROM tbl_token_deployer WHERE deployer = ? ORDER BY creation_slot DESC', [deployer]);
+  return rows.map(toTokenDeployer);
+}
+
+/**
+ * 保存代币的部署者和创建交易（已存在时只补充为空的创建信息，不覆盖权限和同步游标）
+ * @param {Array<object>} tokens - [{ mint, deployer, creationSlot, creationTime, creationSignature }]
+ */
+export async function upsertTokenDeployers(tokens) {
+  if (!tokens || tokens.length === 0) {
+    return;
+  }
+  for (let i = 0; i < tokens.length; i += INSERT_BATCH_SIZE) {
+    const batch = tokens.slice(i, i + INSERT_BATCH_SIZE);
+    const params = [];
+    batch.forEach(token => {
+      params.push(token.mint, token.deployer, token.creationSlot ?? null, token.creationTime ?? null, token.creationSignature ?? null);
+    });
+    const sql = `
+      INSERT INTO tbl_token_deployer (mint, deployer, creation_slot, creation_time, creation_signature, update_at)
+      VALUES ${batch.map(() => '(?, ?, ?, ?, ?, NOW())').join(', ')}
+      ON DUPLICATE KEY UPDATE
+        creation_slot = COALESCE(creation_slot, VALUES(creation_slot)),
+        creation_time = COALESCE(creation_time, VALUES(creation_time)),
+        creation_signature = COALESCE(creation_signature, VALUES(creation_signature)),
+        update_at = NOW()
+    `;
+    await query(sql, params);
+  }
+}
+
+/**
+ * 更新代币的权限信息
+ * @param {string} mint - 代币地址
+ * @param {object} authorities - normalizeAssetAuthorities 的结果
+ */
+export async function updateTokenAuthorities(mint, authorities) {
+  const sql = `
+    UPDATE tbl_token_deployer
+    SET update_authority = ?, mint_authority = ?, freeze_authority = ?, mutable = ?, authorities_at = NOW(), update_at = NOW()
+    WHERE mint = ?
+  `;
+  await query(sql, [
+    authorities.updateAuthority,
+    authorities.mintAuthority,
+    authorities.freezeAuthority,
+    authorities.mutable === null ? null : (authorities.mutable ? 1 : 0),
+    mint
+  ]);
+}
+
+/**
+ * 更新部署者活动的同步游标
+ * @param {string} mint - 代币地址
+ * @param {number} slot - 已同步到的部署者交易 slot
+ */
+export async function updateDeployerActivityCursor(mint, slot) {
+  await query('UPDATE tbl_token_deployer SET activity_slot = ?, activity_synced_at = NOW(), update_at = NOW() WHERE mint = ?', [slot, mint]);
+}
+
+/**
+ * 批量保存部署者活动（同一交易、代币、类型和对手方已存在时忽略）
+ * @param {string} deployer - 部署者地址
+ * @param {Array<object>} activity - extractDeployerActivity 的结果
+ * @returns {Promise<number>} 提交的数量
+ */
+export async function insertDeployerActivity(deployer, activity) {
+  if (!activity || activity.length === 0) {
+    return 0;
+  }
+  for (let i = 0; i < activity.length; i += INSERT_BATCH_SIZE) {
+    const batch = activity.slice(i, i + INSERT_BATCH_SIZE);
+    const params = [];
+    batch.forEach(item => {
+      params.push(
+        item.signature,
+        item.mint,
+        item.type,
+        item.counterparty || '',
+        deployer,
+        item.tokenAmount,
+        item.solAmount ?? null,
+        item.slot ?? null,
+        item.blockTime ?? null
+      );
+    });
+    const sql = `
+      INSERT IGNORE INTO tbl_token_deployer_activity
+        (signature, mint, type, counterparty, deployer, token_amount, sol_amount, slot, block_time)
+      VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `;
+    await query(sql, params);
+  }
+  return activity.length;
+}
+
+/**
+ * 查询部署者在代币上的活动（按 slot 升序）
+ * @param {string} mint - 代币地址
+ * @returns {Promise<Array<object>>}
+ */
+export async function getDeployerActivity(mint) {
+  const rows = await query('SELECT * FROM tbl_token_deployer_activity WHERE mint = ? ORDER BY slot, signature', [mint]);
+  return rows.map(toDeployerActivity);
+}
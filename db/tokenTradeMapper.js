@@ -0,0 +1,88 @@
+import { query } from './solAddrSplInfoMapper.js';
+
+/**
+ * 代币成交明细（K 线输入）
+ * 同步代币交易时记录该代币和 SOL 成交的全部买卖腿，不做金额阈值、机器人和下单平台过滤；
+ * tbl_sol_trade_info 只保存满足条件的买入，不能用来聚合价格
+ * 表结构：
+ *   tbl_token_trade (
+ *     mint          VARCHAR(64)      代币地址
+ *     signature     VARCHAR(128)     交易签名
+ *     addr          VARCHAR(64)      钱包地址
+ *     type          TINYINT          1-买 2-卖
+ *     sol_amount    DECIMAL(30,9)    SOL 成交额
+ *     token_amount  DECIMAL(38,9)    代币数量
+ *     usd_amount    DECIMAL(20,2)    USD 成交额（按成交时 SOL 价格，可为空）
+ *     trade_time    INT UNSIGNED     成交时间（Unix 秒）
+ *     slot          BIGINT UNSIGNED
+ *     PRIMARY KEY (signature, addr, mint, type),
+ *     KEY idx_mint_time (mint, trade_time)
+ *   )
+ */
+
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * 批量保存代币成交（同一交易腿已存在时忽略）
+ * @param {Array<object>} trades - extractCandleTrades 的结果
+ * @returns {Promise<number>} 提交的数量
+ */
+export async function batchInsertTokenTrades(trades) {
+  if (!trades || trades.length === 0) {
+    return 0;
+  }
+  for (let i = 0; i < trades.length; i += INSERT_BATCH_SIZE) {
+    const batch = trades.slice(i, i + INSERT_BATCH_SIZE);
+    const params = [];
+    batch.forEach(trade => {
+      params.push(
+        trade.mint,
+        trade.signature,
+        trade.addr,
+        trade.type,
+        trade.solAmount,
+        trade.tokenAmount,
+        trade.usdAmount ?? null,
+        trade.tradeTime,
+        trade.slot ?? null
+      );
+    });
+    const sql = `
+      INSERT IGNORE INTO tbl_token_trade
+        (mint, signature, addr, type, sol_amount, token_amount, usd_amount, trade_time, slot)
+      VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `;
+    await query(sql, params);
+  }
+  return trades.length;
+}
+
+/**
+ * 按时间顺序分页获取代币成交（按 (trade_time, signature, addr, type) 翻页，不使用 OFFSET）
+ * @param {string} mint - 代币地址
+ * @param {number} since - 开始时间（Unix 秒，包含）
+ * @param {number} limit - 每页数量
+ * @param {object|null} after - 上一页最后一条记录，为空时从 since 开始
+ * @returns {Promise<Array<object>>} [{ addr, signature, tradeTime, type, solAmount, tokenAmount, usdAmount }]
+ */
+export async function getTokenTradesPage(mint, since, limit = 5000, after = null) {
+  const columns = `
+    SELECT
+      addr,
+      signature,
+      trade_time AS tradeTime,
+      type,
+      sol_amount AS solAmount,
+      token_amount AS tokenAmount,
+      usd_amount AS usdAmount
+    FROM tbl_token_trade
+  `;
+  const order = 'ORDER BY trade_time ASC, signature ASC, addr ASC, type ASC LIMIT ?';
+  if (!after) {
+    return await query(`${columns} WHERE mint = ? AND trade_time >= ? ${order}`, [mint, since, limit]);
+  }
+  return await query(
+    `${columns} WHERE mint = ? AND (trade_time, signature, addr, type) > (?, ?, ?, ?) ${order}`,
+    [mint, after.tradeTime, after.signature, after.addr, after.type, limit]
+  );
+}
@@ -0,0 +1,231 @@
+import { query } from './solAddrSplInfoMapper.js';
+
+/**
+ * 钱包盈亏增量同步
+ * 表结构：
+ *   tbl_wallet_pnl_sync (
+ *     addr               VARCHAR(64)   钱包地址
+ *     source             VARCHAR(16)   数据源（helius / rpc / birdeye）
+ *     cost_basis_method  VARCHAR(16)   成本方法
+ *     last_signature     VARCHAR(128)  已处理的最新交易签名（下次只查询该签名之后的交易）
+ *     last_slot          BIGINT        已处理的最新交易 slot
+ *     last_block_time    INT UNSIGNED  已处理的最新交易时间（Unix 秒）
+ *     resume_cursor      VARCHAR(128)  增量同步达到最大页数时下一页的游标（下次从这里继续，直到 last_signature）
+ *     pending_signature  VARCHAR(128)  续传完成后作为 last_signature 的交易（被截断的增量同步拉取到的最新交易）
+ *     pending_slot       BIGINT
+ *     pending_block_time INT UNSIGNED
+ *     status             VARCHAR(16)   running / success / partial / filtered / failed
+ *     message            VARCHAR(512)  失败原因等
+ *     trade_count        INT UNSIGNED  已保存的买卖记录数
+ *     last_run_at        DATETIME      最近一次运行时间
+ *     update_at          DATETIME
+ *     PRIMARY KEY (addr)
+ *   )
+ *   tbl_wallet_pnl_trade (
+ *     addr        VARCHAR(64)    钱包地址
+ *     spl_addr    VARCHAR(64)    代币地址
+ *     spl_tag     VARCHAR(64)    代币符号
+ *     signature   VARCHAR(128)   交易签名
+ *     trade_type  VARCHAR(8)     buy / sell
+ *     trade_at    INT UNSIGNED   成交时间（Unix 秒）
+ *     quantity    DECIMAL(38,9)  代币数量
+ *     amount_usd  DECIMAL(30,6)  成交金额（USD，按成交时价格）
+ *     PRIMARY KEY (addr, spl_addr, signature, trade_type)
+ *   )
+ */
+
+// 每条 INSERT 的最大行数
+const UPSERT_BATCH_SIZE = 500;
+
+function toSyncState(row) {
+  return {
+    walletAddress: row.addr,
+    source: row.source,
+    costBasisMethod: row.cost_basis_method,
+    lastSignature: row.last_signature,
+    lastSlot: row.last_slot === null ? null : Number(row.last_slot),
+    lastBlockTime: row.last_block_time === null ? null : Number(row.last_block_time),
+    resumeCursor: row.resume_cursor ?? null,
+    pendingLatest: row.pending_signature ? {
+      signature: row.pending_signature,
+      slot: row.pending_slot === null ? null : Number(row.pending_slot),
+      blockTime: row.pending_block_time === null ? null : Number(row.pending_block_time)
+    } : null,
+    status: row.status,
+    message: row.message,
+    tradeCount: Number(row.trade_count || 0),
+    lastRunAt: row.last_run_at
+  };
+}
+
+/**
+ * 获取钱包的同步状态
+ * @param {string} addr - 钱包地址
+ * @returns {Promise<object|null>} 没有同步过时返回 null
+ */
+export async function getWalletPnlSyncState(addr) {
+  const rows = await query('SELECT * FROM tbl_wallet_pnl_sync WHERE addr = ?', [addr]);
+  return rows.length > 0 ? toSyncState(rows[0]) : null;
+}
+
+/**
+ * 保存钱包的同步状态（没有传入的游标字段保持原值）
+ * @param {object} state
+ * @param {string} state.walletAddress - 钱包地址
+ * @param {string} state.status - 同步状态
+ * @param {string} [state.source] - 数据源
+ * @param {string} [state.costBasisMethod] - 成本方法
+ * @param {string|null} [state.lastSignature] - 已处理的最新交易签名
+ * @param {number|null} [state.lastSlot] - 已处理的最新交易 slot
+ * @param {number|null} [state.lastBlockTime] - 已处理的最新交易时间
+ * @param {string|null} [state.resumeCursor] - 续传位置
+ * @param {object|null} [state.pendingLatest] - 续传完成后的游标 { signature, slot, blockTime }
+ * @param {string|null} [state.message] - 说明
+ * @param {number} [state.tradeCount] - 已保存的买卖记录数
+ */
+export async function saveWalletPnlSyncState(state) {
+  const sql = `
+    INSERT INTO tbl_wallet_pnl_sync
+      (addr, source, cost_basis_method, last_signature, last_slot, last_block_time,
+       resume_cursor, pending_signature, pending_slot, pending_block_time, status, message, trade_count, last_run_at, update_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+    ON DUPLICATE KEY UPDATE
+      source = COALESCE(VALUES(source), source),
+      cost_basis_method = COALESCE(VALUES(cost_basis_method), cost_basis_method),
+      last_signature = IF(?, VALUES(last_signature), last_signature),
+      last_slot = IF(?, VALUES(last_slot), last_slot),
+      last_block_time = IF(?, VALUES(last_block_time), last_block_time),
+      resume_cursor = IF(?, VALUES(resume_cursor), resume_cursor),
+      pending_signature = IF(?, VALUES(pending_signature), pending_signature),
+      pending_slot = IF(?, VALUES(pending_slot), pending_slot),
+      pending_block_time = IF(?, VALUES(pending_block_time), pending_block_time),
+      status = VALUES(status),
+      message = VALUES(message),
+      trade_count = COALESCE(VALUES(trade_count), trade_count),
+      last_run_at = IF(VALUES(status) = 'running', NOW(), last_run_at),
+      update_at = NOW()
+  `;
+  // 只有显式传入游标 / 续传位置时才覆盖（包括重建时清空为 null）
+  const hasCursor = state.lastSignature !== undefined ? 1 : 0;
+  const hasResume = state.resumeCursor !== undefined ? 1 : 0;
+  await query(sql, [
+    state.walletAddress,
+    state.source ?? null,
+    state.costBasisMethod ?? null,
+    state.lastSignature ?? null,
+    state.lastSlot ?? null,
+    state.lastBlockTime ?? null,
+    state.resumeCursor ?? null,
+    state.pendingLatest?.signature ?? null,
+    state.pendingLatest?.slot ?? null,
+    state.pendingLatest?.blockTime ?? null,
+    state.status,
+    state.message ? String(state.message).slice(0, 512) : null,
+    state.tradeCount ?? null,
+    hasCursor,
+    hasCursor,
+    hasCursor,
+    hasResume,
+    hasResume,
+    hasResume,
+    hasResume
+  ]);
+}
+
+/**
+ * 批量保存钱包的买卖记录（同一笔交易重复处理时覆盖）
+ * @param {string} addr - 钱包地址
+ * @param {Array<object>} trades - [{ tokenMint, tokenSymbol, signature, type, timestamp, quantity, amount }]
+ * @returns {Promise<number>} 保存的数量
+ */
+export async function batchUpsertWalletPnlTrades(addr, trades) {
+  if (!trades || trades.length === 0) {
+    return 0;
+  }
+
+  try {
+    for (let i = 0; i < trades.length; i += UPSERT_BATCH_SIZE) {
+      const batch = trades.slice(i, i + UPSERT_BATCH_SIZE);
+      const params = [];
+      batch.forEach(trade => {
+        params.push(
+          addr,
+          trade.tokenMint,
+          trade.tokenSymbol || '',
+          trade.signature,
+          trade.type,
+          trade.timestamp,
+          trade.quantity,
+          trade.amount
+        );
+      });
+
+      const sql = `
+        INSERT INTO tbl_wallet_pnl_trade
+          (addr, spl_addr, spl_tag, signature, trade_type, trade_at, quantity, amount_usd)
+        VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+        ON DUPLICATE KEY UPDATE
+          spl_tag = VALUES(spl_tag),
+          trade_at = VALUES(trade_at),
+          quantity = VALUES(quantity),
+          amount_usd = VALUES(amount_usd)
+      `;
+      await query(sql, params);
+    }
+    return trades.length;
+  } catch (error) {
+    console.error('保存钱包买卖记录失败:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查询钱包在指定代币上的全部买卖记录（按成交时间升序）
+ * @param {string} addr - 钱包地址
+ * @param {Array<string>} mints - 代币地址
+ * @returns {Promise<Array<object>>} [{ tokenMint, tokenSymbol, signature, type, timestamp, quantity, price, amount }]
+ */
+export async function getWalletPnlTrades(addr, mints) {
+  if (!mints || mints.length === 0) {
+    return [];
+  }
+
+  const sql = `
+    SELECT * FROM tbl_wallet_pnl_trade
+    WHERE addr = ? AND spl_addr IN (${mints.map(() => '?').join(', ')})
+    ORDER BY trade_at ASC
+  `;
+  const rows = await query(sql, [addr, ...mints]);
+  return rows.map(row => {
+    const quantity = Number(row.quantity);
+    const amount = Number(row.amount_usd);
+    return {
+      tokenMint: row.spl_addr,
+      tokenSymbol: row.spl_tag,
+      signature: row.signature,
+      type: row.trade_type,
+      timestamp: Number(row.trade_at),
+      quantity,
+      price: quantity > 0 ? amount / quantity : 0,
+      amount
+    };
+  });
+}
+
+/**
+ * 查询钱包有买卖记录的全部代币
+ * @param {string} addr - 钱包地址
+ * @returns {Promise<Array<string>>} 代币地址
+ */
+export async function getWalletPnlTradeMints(addr) {
+  const rows = await query('SELECT DISTINCT spl_addr FROM tbl_wallet_pnl_trade WHERE addr = ?', [addr]);
+  return rows.map(row => row.spl_addr);
+}
+
+/**
+ * 删除钱包的全部买卖记录（全量重建前使用）
+ * @param {string} addr - 钱包地址
+ */
+export async function deleteWalletPnlTrades(addr) {
+  await query('DELETE FROM tbl_wallet_pnl_trade WHERE addr = ?', [addr]);
+}
@@ -0,0 +1,159 @@
+import { query } from './solAddrSplInfoMapper.js';
+
+/**
+ * 钱包评分
+ * 表结构：
+ *   tbl_wallet_score_rule_set (
+ *     name        VARCHAR(64)   规则集名称
+ *     version     INT UNSIGNED  版本
+ *     definition  TEXT          规则集 JSON
+ *     create_at   DATETIME
+ *     PRIMARY KEY (name, version)
+ *   )
+ *   tbl_wallet_score (
+ *     addr          VARCHAR(64)    钱包地址
+ *     rule_set      VARCHAR(64)    规则集名称
+ *     rule_version  INT UNSIGNED   规则集版本
+ *     score         DECIMAL(5,2)   总分（0 ~ 100）
+ *     passed        TINYINT        是否通过
+ *     token_count   INT UNSIGNED   参与评分的代币数
+ *     factors       TEXT           因子值 JSON
+ *     breakdown     TEXT           逐项明细 JSON（因子得分和硬性条件）
+ *     scored_at     DATETIME
+ *     PRIMARY KEY (addr, rule_set, rule_version)
+ *   )
+ */
+
+function toWalletScore(row) {
+  const breakdown = JSON.parse(row.breakdown || '{}');
+  return {
+    walletAddress: row.addr,
+    ruleSet: row.rule_set,
+    ruleVersion: Number(row.rule_version),
+    score: Number(row.score),
+    passed: Boolean(row.passed),
+    tokenCount: Number(row.token_count),
+    factors: JSON.parse(row.factors || '{}'),
+    breakdown: breakdown.factors || [],
+    gates: breakdown.gates || [],
+    scoredAt: row.scored_at
+  };
+}
+
+/**
+ * 保存规则集（同名同版本已存在时报错，规则集版本不可修改）
+ * @param {object} ruleSet - 规则集
+ */
+export async function insertWalletScoreRuleSet(ruleSet) {
+  const sql = 'INSERT INTO tbl_wallet_score_rule_set (name, version, definition, create_at) VALUES (?, ?, ?, NOW())';
+  await query(sql, [ruleSet.name, ruleSet.version, JSON.stringify(ruleSet)]);
+}
+
+/**
+ * 查询保存的规则集
+ * @param {string} [name] - 规则集名称，为空时返回全部
+ * @returns {Promise<Array<object>>} 规则集列表
+ */
+export async function getWalletScoreRuleSets(name) {
+  const rows = name
+    ? await query('SELECT definition FROM tbl_wallet_score_rule_set WHERE name = ? ORDER BY version', [name])
+    : await query('SELECT definition FROM tbl_wallet_score_rule_set ORDER BY name, version', []);
+  return rows.map(row => JSON.parse(row.definition));
+}
+
+/**
+ * 保存钱包评分（同一钱包、规则集和版本覆盖）
+ * @param {string} addr - 钱包地址
+ * @param {object} result - scoreWallet 的结果
+ */
+export async function upsertWalletScore(addr, result) {
+  const sql = `
+    INSERT INTO tbl_wallet_score
+      (addr, rule_set, rule_version, score, passed, token_count, factors, breakdown, scored_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      score = VALUES(score),
+      passed = VALUES(passed),
+      token_count = VALUES(token_count),
+      factors = VALUES(factors),
+      breakdown = VALUES(breakdown),
+      scored_at = NOW()
+  `;
+  try {
+    await query(sql, [
+      addr,
+      result.ruleSet,
+      result.ruleVersion,
+      result.score,
+      result.passed ? 1 : 0,
+      result.factors.tokenCount,
+      JSON.stringify(result.factors),
+      JSON.stringify({ factors: result.breakdown, gates: result.gates })
+    ]);
+  } catch (error) {
+    console.error('保存钱包评分失败:', error);
+    throw error;
+  }
+}
+
+/**
+ * 查询钱包的评分
+ * @param {string} addr - 钱包地址
+ * @param {object} [options]
+ * @param {string} [options.ruleSet] - 规则集名称
+ * @param {number} [options.ruleVersion] - 规则集版本
+ * @returns {Promise<Array<object>>} 按评分时间倒序
+ */
+export async function getWalletScores(addr, { ruleSet, ruleVersion } = {}) {
+  const conditions = ['addr = ?'];
+  const params = [addr];
+  if (ruleSet) {
+    conditions.push('rule_set = ?');
+    params.push(ruleSet);
+  }
+  if (ruleVersion) {
+    conditions.push('rule_version = ?');
+    params.push(ruleVersion);
+  }
+  const rows = await query(`SELECT * FROM tbl_wallet_score WHERE ${conditions.join(' AND ')} ORDER BY scored_at DESC`, params);
+  return rows.map(toWalletScore);
+}
+
+/**
+ * 批量查询钱包在规则集下最新版本的评分
+ * @param {Array<string>} addrs - 钱包地址
+ * @param {string} ruleSet - 规则集名称
+ * @returns {Promise<Map<string, object>>} 钱包地址 -> 评分
+ */
+export async function getLatestWalletScores(addrs, ruleSet) {
+  if (!addrs || addrs.length === 0) {
+    return new Map();
+  }
+  const sql = `
+    SELECT * FROM tbl_wallet_score
+    WHERE rule_set = ? AND addr IN (${addrs.map(() => '?').join(', ')})
+    ORDER BY rule_version ASC
+  `;
+  const rows = await query(sql, [ruleSet, ...addrs]);
+  // 按版本升序覆盖，保留每个钱包的最新版本
+  return new Map(rows.map(row => [row.addr, toWalletScore(row)]));
+}
+
+/**
+ * 批量查询钱包在指定规则集版本下的评分
+ * @param {Array<string>} addrs - 钱包地址
+ * @param {string} ruleSet - 规则集名称
+ * @param {number} ruleVersion - 规则集版本
+ * @returns {Promise<Map<string, object>>} 钱包地址 -> 评分
+ */
+export async function getWalletScoresByRuleVersion(addrs, ruleSet, ruleVersion) {
+  if (!addrs || addrs.length === 0) {
+    return new Map();
+  }
+  const sql = `
+    SELECT * FROM tbl_wallet_score
+    WHERE rule_set = ? AND rule_version = ? AND addr IN (${addrs.map(() => '?').join(', ')})
+  `;
+  const rows = await query(sql, [ruleSet, ruleVersion, ...addrs]);
+  return new Map(rows.map(row => [row.addr, toWalletScore(row)]));
+}
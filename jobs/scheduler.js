@@ -26,6 +26,16 @@ const scheduledJobsConfig = [
       ],
     },
   },
+  {
+    id: 'sync-price-history',
+    name: '同步历史价格',
+    schedule: '*/10 * * * *', // 每10分钟增量回补一次
+    queue: 'tokenSync',
+    taskId: 'price-history-sync', // 直接执行任务注册表中的任务（不按代币拆分）
+    data: {
+      intervals: ['1m', '1H'],
+    },
+  },
 ];
 
 // 存储 cron 任务实例，用于启动/停止
@@ -43,13 +53,24 @@ export function initScheduler(autoStart = false) {
   console.log(`定时任务模式: ${autoStart ? '自动启动' : '手动启动（需要通过管理界面或 API 启动）'}`);
 
   scheduledJobsConfig.forEach((jobConfig) => {
-    if (jobConfig.data.tokenAddresses && jobConfig.data.tokenAddresses.length > 0) {
+    if (jobConfig.taskId || (jobConfig.data.tokenAddresses && jobConfig.data.tokenAddresses.length > 0)) {
       // 创建任务函数
       const taskFunction = async () => {
           const startTime = Date.now();
           console.log(`[${new Date().toISOString()}] 执行定时任务: ${jobConfig.name}`);
           
           try {
+            // 指定了 taskId 的定时任务只添加一个任务
+            if (jobConfig.taskId) {
+              await queues[jobConfig.queue].add(
+                jobConfig.name,
+                { taskId: jobConfig.taskId, ...jobConfig.data },
+                { jobId: `scheduled-${jobConfig.id}-${Date.now()}` }
+              );
+              console.log(`[${new Date().toISOString()}] 定时任务完成: ${jobConfig.name} (耗时: ${Date.now() - startTime}ms)`);
+              return;
+            }
+
             // 为每个代币地址创建任务（使用任务注册表）
             // 使用 Promise.allSettled 并行添加任务，提高效率
             const addJobPromises = jobConfig.data.tokenAddresses.map(async (tokenAddress) => {
@@ -23,6 +23,68 @@ export const taskDefinitions = {
     },
     requiredParams: ['tokenAddress'],
   },
+  // 历史价格同步任务
+  'price-history-sync': {
+    name: '历史价格同步',
+    description: '增量回补 SOL 和 USDC/USDT 的分钟线和小时线到 tbl_price_candle，用于按交易时间换算 USD 价格',
+    handler: async (job) => {
+      const { syncPriceHistoryJob } = await import('./tasks/priceHistorySyncTask.js');
+      return await syncPriceHistoryJob(job);
+    },
+    defaultParams: {
+      mints: [], // 为空时同步 SOL 和主要稳定币
+      intervals: ['1m', '1H'],
+      lookbackSeconds: null, // 首次同步回补的时长（秒），为空时分钟线 1 天、小时线 90 天
+    },
+    requiredParams: [],
+  },
+  // 代币 K 线聚合任务
+  'token-candle-sync': {
+    name: '代币 K 线聚合',
+    description: '把同步时记录的代币成交（tbl_token_trade）增量聚合为 1s/1m/5m/1h 的 OHLCV K 线，保存到 tbl_token_candle',
+    handler: async (job) => {
+      const { syncTokenCandlesJob } = await import('./tasks/tokenCandleSyncTask.js');
+      return await syncTokenCandlesJob(job);
+    },
+    defaultParams: {
+      tokenAddress: '',
+      intervals: ['1s', '1m', '5m', '1h'],
+      rebuild: false, // 是否删除已有 K 线并重新聚合（补录历史交易后使用）
+    },
+    requiredParams: ['tokenAddress'],
+  },
+  // 钱包盈亏增量同步任务
+  'wallet-pnl-sync': {
+    name: '钱包盈亏增量同步',
+    description: '按每个钱包记录的最新签名只拉取新交易，增量更新买卖批次和 tbl_sol_addr_pnl_info 中的盈亏',
+    handler: async (job) => {
+      const { syncWalletPnlJob } = await import('./tasks/walletPnlSyncTask.js');
+      return await syncWalletPnlJob(job);
+    },
+    defaultParams: {
+      walletAddresses: [],
+      source: 'helius', // helius / rpc / birdeye
+      costBasisMethod: 'fifo', // fifo / lifo / average
+      forceRebuild: false, // 是否删除已有记录全量重建
+    },
+    requiredParams: ['walletAddresses'],
+  },
+  // 钱包重新评分任务
+  'wallet-score': {
+    name: '钱包重新评分',
+    description: '用已保存的买卖记录按指定规则集重新计算钱包评分，保存到 tbl_wallet_score，不重新拉取交易',
+    handler: async (job) => {
+      const { rescoreWalletsJob } = await import('./tasks/walletScoreTask.js');
+      return await rescoreWalletsJob(job);
+    },
+    defaultParams: {
+      walletAddresses: [],
+      ruleSet: 'default',
+      ruleVersion: null, // 为空时使用最新版本
+      costBasisMethod: 'fifo',
+    },
+    requiredParams: ['walletAddresses'],
+  },
   // 可以在这里添加更多任务定义
   // 'another-task': {
   //   name: '另一个任务',
@@ -0,0 +1,33 @@
+import { syncPriceHistory, PRICE_HISTORY_MINTS } from '../../services/priceHistoryService.js';
+
+/**
+ * 历史价格同步任务
+ * 为 SOL 和主要稳定币增量回补分钟线 / 小时线，保证按交易时间换算 USD 时有本地价格可用
+ * @param {object} job - BullMQ 任务
+ * @returns {Promise<object>} 同步结果
+ */
+export async function syncPriceHistoryJob(job) {
+  const { mints, intervals = ['1m', '1H'], lookbackSeconds } = job.data;
+  const logger = (message) => console.log(`[任务 ${job.id}] ${message}`);
+
+  const targetMints = mints && mints.length > 0 ? mints : PRICE_HISTORY_MINTS;
+  logger(`开始同步 ${targetMints.length} 个代币的历史价格（${intervals.join(', ')}）...`);
+
+  const results = await syncPriceHistory({
+    mints: targetMints,
+    intervals,
+    lookbackSeconds,
+    logger
+  });
+
+  const saved = results.reduce((sum, result) => sum + result.saved, 0);
+  const failed = results.filter(result => result.error);
+  logger(`历史价格同步完成: 保存 ${saved} 根 K 线，失败 ${failed.length} 项`);
+
+  // 全部失败时让任务重试
+  if (failed.length === results.length && results.length > 0) {
+    throw new Error(`历史价格同步失败: ${failed[0].error}`);
+  }
+
+  return { success: true, saved, results };
+}
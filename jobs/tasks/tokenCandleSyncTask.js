@@ -0,0 +1,20 @@
+import { syncTokenCandles } from '../../services/tokenCandleService.js';
+
+/**
+ * 代币 K 线聚合任务
+ * 从已入库的成交记录增量生成 K 线，可以在成交同步任务之后定时执行
+ * @param {object} job - BullMQ 任务
+ * @returns {Promise<object>} 聚合结果
+ */
+export async function syncTokenCandlesJob(job) {
+  const { tokenAddress, intervals = ['1s', '1m', '5m', '1h'], rebuild = false } = job.data;
+  const logger = (message) => console.log(`[任务 ${job.id}] ${message}`);
+
+  logger(`开始聚合代币 ${tokenAddress} 的 K 线（${intervals.join(', ')}${rebuild ? '，重建' : ''}）...`);
+  const results = await syncTokenCandles(tokenAddress, { intervals, rebuild });
+
+  const saved = results.reduce((sum, result) => sum + result.saved, 0);
+  logger(`K 线聚合完成: 保存 ${saved} 根 K 线`);
+
+  return { success: true, tokenAddress, saved, results };
+}
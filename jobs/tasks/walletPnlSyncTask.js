@@ -0,0 +1,28 @@
+import { syncWalletPnl } from '../../services/walletPnlService.js';
+
+/**
+ * 钱包盈亏增量同步任务
+ * 逐个钱包同步，单个钱包失败不影响其他钱包
+ * @param {object} job - BullMQ 任务
+ * @returns {Promise<object>} 同步结果
+ */
+export async function syncWalletPnlJob(job) {
+  const { walletAddresses = [], source = 'helius', costBasisMethod = 'fifo', forceRebuild = false } = job.data;
+  const logger = (message) => console.log(`[任务 ${job.id}] ${message}`);
+
+  logger(`开始同步 ${walletAddresses.length} 个钱包的盈亏（${source}，${costBasisMethod}${forceRebuild ? '，全量重建' : ''}）...`);
+  const results = [];
+  for (const walletAddress of walletAddresses) {
+    try {
+      results.push(await syncWalletPnl(walletAddress, { source, costBasisMethod, forceRebuild }));
+    } catch (error) {
+      logger(`钱包 ${walletAddress} 同步失败: ${error.message}`);
+      results.push({ walletAddress, status: 'failed', error: error.message });
+    }
+  }
+
+  const failed = results.filter(result => result.status === 'failed').length;
+  logger(`钱包盈亏同步完成: ${results.length - failed} 成功, ${failed} 失败`);
+
+  return { success: failed === 0, total: results.length, failed, results };
+}
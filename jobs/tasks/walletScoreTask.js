@@ -0,0 +1,21 @@
+import { rescoreWallets } from '../../services/walletScoreService.js';
+
+/**
+ * 钱包重新评分任务
+ * 规则集新增版本后用已保存的买卖记录批量重新评分
+ * @param {object} job - BullMQ 任务
+ * @returns {Promise<object>} 评分结果
+ */
+export async function rescoreWalletsJob(job) {
+  const { walletAddresses = [], ruleSet = 'default', ruleVersion = null, costBasisMethod = 'fifo' } = job.data;
+  const logger = (message) => console.log(`[任务 ${job.id}] ${message}`);
+
+  logger(`开始按规则集 ${ruleSet}${ruleVersion ? ` v${ruleVersion}` : ''} 重新评分 ${walletAddresses.length} 个钱包...`);
+  const results = await rescoreWallets(walletAddresses, { ruleSet, ruleVersion, costBasisMethod });
+
+  const failed = results.filter(result => result.error).length;
+  const passed = results.filter(result => result.passed).length;
+  logger(`钱包重新评分完成: ${passed} 通过, ${results.length - passed - failed} 未通过, ${failed} 失败`);
+
+  return { success: failed === 0, total: results.length, passed, failed, results };
+}
@@ -6,8 +6,15 @@ import {
   getTokenHoldersHandler,
   getTokenHoldersV2Handler,
   getTokenHoldersSummaryHandler,
+  getTokenCandlesHandler,
+  getTokenTradersHandler,
+  getTokenLaunchAnalysisHandler,
+  getTokenBundlesHandler,
+  getTokenDeployerHandler,
+  getDeployerTokensHandler,
   getAddressTransactionHistoryHandler,
   parseTransactionBuySellInfoHandler,
+  parseRawTransactionHandler,
   getWalletPnlDetailsHandler,
   getTransactionsForAddressHandler,
   syncTradesToDatabaseHandler,
@@ -16,6 +23,9 @@ import {
 
 
 import {
+  getWalletPnlHandler,
+  syncWalletPnlHandler,
+  getWalletTimelineHandler,
   getWalletPnlDetailsByHeliusHandler,
   getWalletPnlDetailsByHeliusTypeHandler,
   syncAnalyzeHolderPnlByHeliusSwapTypeHandler,
@@ -46,6 +56,9 @@ router.get('/address/:address', getAddressTransactionsHandler);
  * 获取代币持有人列表
  * 支持分页查询: ?offset=0&limit=100
  * 支持地址聚类: ?enableClustering=true (较慢，但能识别关联地址)
+ * 支持标记捆绑组: ?includeBundles=true&bundleSource=trades|stream&launchWindow=300（每个持有人附带 bundleId，返回 bundles、
+ *   bundledSupplyPercent 和 bundlesTruncated；同一秒买入的弱证据分组不标记）
+ * 支持附带 dev 指标: ?includeDev=true（返回 dev.soldPercent 等，部署者持有人标记 isDeployer；部署者活动超过 10 分钟未同步时先增量同步）
  * 使用 Helius API 获取持有人数据（需要配置 HELIUS_API_KEY）
  */
 router.get('/token/:tokenAddress/holders', getTokenHoldersHandler);
@@ -53,6 +66,8 @@ router.get('/token/:tokenAddress/holders', getTokenHoldersHandler);
 /**
  * 获取代币持有人列表（使用 Helius getProgramAccountsV2，支持分页获取所有账户）
  * 支持过滤和聚类: ?filterPools=true&checkOnChain=true&enableClustering=true
+ * 支持标记捆绑组: ?includeBundles=true&bundleSource=trades|stream
+ * 支持附带 dev 指标: ?includeDev=true
  * 使用 Helius getProgramAccountsV2 方法，支持分页获取最多 10,000 个账户
  * 文档: https://www.helius.dev/docs/rpc/guides/getprogramaccounts
  */
@@ -64,6 +79,56 @@ router.get('/token/:tokenAddress/holders/v2', getTokenHoldersV2Handler);
  */
 router.get('/token/:tokenAddress/holders/summary', getTokenHoldersSummaryHandler);
 
+/**
+ * 获取代币 K 线（OHLCV，由同步交易时记录的全部 SOL 买卖（tbl_token_trade）增量聚合，价格以 SOL 计价）
+ * 每根 K 线包含买入 / 卖出成交额和成交笔数，可以加 includeHolders=true 同时返回持仓占比汇总，与价格对照
+ * 查询参数: ?interval=1s|1m|5m|1h&from=&to=&limit=500&refresh=true&rebuild=false&includeHolders=false
+ * 示例: GET /api/token/:tokenAddress/candles?interval=5m
+ */
+router.get('/token/:tokenAddress/candles', getTokenCandlesHandler);
+
+/**
+ * 同一代币的交易者对比
+ * 汇总 tbl_sol_trade_info 中每个钱包的建仓时间和顺序、建仓市值、买入规模、卖出和已实现倍数，
+ * 附带 tbl_sol_addr_pnl_info 中保存的盈亏和钱包评分（tbl_wallet_score），以及已保存的 dev 指标（部署者标记 isDeployer）
+ * 查询参数: ?sortBy=timing|roi|size&page=1&pageSize=50&ruleSet=default
+ * 示例: GET /api/token/:tokenAddress/traders?sortBy=timing&pageSize=20（前 20 个买入者）
+ */
+router.get('/token/:tokenAddress/traders', getTokenTradersHandler);
+
+/**
+ * 代币发射分析（早期买家和狙击检测）
+ * 按 slot 升序拉取代币地址的交易，找出创建 slot 和开盘后最早的买家（slot 偏移、SOL 金额），
+ * 标记 sniper（开盘后 sniperSlots 内买入）、bundle（同 slot 多个钱包买入）、deployerFunded（部署者直接转入过 SOL）、insider
+ * 查询参数: ?firstBuyers=50&sniperSlots=2&minBundleSize=2&maxPages=5&checkFunding=true
+ * 示例: GET /api/token/:tokenAddress/launch-analysis?firstBuyers=20
+ */
+router.get('/token/:tokenAddress/launch-analysis', getTokenLaunchAnalysisHandler);
+
+/**
+ * 代币的疑似捆绑买入
+ * 同一交易 / 同一 slot 内多个钱包买入，或相邻买入给同一个 Jito 小费账户付小费的归为一组，返回每组的钱包和买入占总供应量的比例
+ * source=trades 使用 tbl_sol_trade_info 中第一笔成交之后 launchWindow 秒内的买入（没有 slot，只按同一交易分组，
+ * 同一秒买入作为弱证据 weakGroups 输出，不计入捆绑占比），source=stream 按 slot 拉取代币交易（需要 HELIUS_API_KEY）
+ * 查询参数: ?source=trades|stream&minWallets=2&maxPages=5&launchWindow=300
+ * 示例: GET /api/token/:tokenAddress/bundles?source=stream
+ */
+router.get('/token/:tokenAddress/bundles', getTokenBundlesHandler);
+
+/**
+ * 代币部署者（dev）追踪
+ * 部署者为创建交易的手续费支付者，返回创建交易、更新权限和 mint / freeze 权限是否已放弃，
+ * 增量同步部署者之后的交易，汇总 dev 的买入、卖出（dev.soldPercent 即 dev 卖出的比例）和转出，并列出部署者创建的其他代币
+ * 查询参数: ?refresh=false&sync=true&maxPages=5
+ */
+router.get('/token/:tokenAddress/deployer', getTokenDeployerHandler);
+
+/**
+ * 部署者创建的代币列表（discover=true 时先扫描部署者最近的交易）
+ * 查询参数: ?discover=false&maxPages=2
+ */
+router.get('/deployer/:deployerAddress/tokens', getDeployerTokensHandler);
+
 /**
  * 获取地址的详细交易历史（使用 Helius RPC）
  * 支持查询钱包、程序ID、代币铸币地址等的交易历史
@@ -101,10 +166,54 @@ router.get('/address/:address/transactions', getTransactionsForAddressHandler);
  * 2. Raydium 交易解析
  * 3. 余额变化分析（兜底方案）
  * 入参：交易签名
+ * 返回的 tradeInfo 包含下单平台 tradingPlatform（Photon、BullX、GMGN 等）、聚合器路由 router 和命中的特征 platformSignals
+ * buySellInfo 中的 priceQuote / priceSol / priceUsd 按成交时（blockTime）的 SOL/USD 历史价格换算
  * 示例: GET /api/transaction/:signature/buy-sell-info
  */
 router.get('/transaction/:signature/buy-sell-info', parseTransactionBuySellInfoHandler);
 
+/**
+ * 解析原始交易的买入/卖出信息（不需要交易已上链）
+ * 请求体（二选一）：
+ *   - { "transaction": "<序列化交易>", "encoding": "base64" | "base58", "offline": false }
+ *     序列化交易通过 RPC simulateTransaction 模拟执行得到余额变化，encoding 不传时自动识别
+ *   - getTransaction 返回的交易对象或完整 JSON-RPC 响应（与 交易详情json/ 中的文件相同，需包含 meta）
+ *     可以加 ?offline=true 完全离线解析（不读取 Raydium 费率、DLMM bin 步长等链上数据）
+ * 返回结构与 buy-sell-info 的 tradeInfo 相同，simulated 表示结果是否来自模拟执行
+ * 示例: POST /api/transaction/parse-raw
+ */
+router.post('/transaction/parse-raw', parseRawTransactionHandler);
+
+/**
+ * 获取钱包代币盈亏（统一的盈亏结构，可选数据源）
+ * source: helius（Helius 增强交易，默认）/ rpc（原始 RPC 交易 + 本地解析器）/ birdeye（Birdeye 计算的盈亏）
+ * 查询参数: ?source=helius&costBasis=fifo|lifo|average&cursor=（上一页的 pagination.nextToken）&save=true（保存到 tbl_sol_addr_pnl_info）
+ * 示例: GET /api/wallet/:walletAddress/pnl?source=rpc&costBasis=average
+ */
+router.get('/wallet/:walletAddress/pnl', getWalletPnlHandler);
+
+/**
+ * 增量同步钱包盈亏到 tbl_sol_addr_pnl_info
+ * 按 tbl_wallet_pnl_sync 中记录的最新签名只拉取新交易，更新有新交易的代币的批次和盈亏
+ * 查询参数: ?source=helius|rpc|birdeye&costBasis=fifo|lifo|average&forceRebuild=true（删除已有记录全量重建）
+ * 返回本次同步结果和同步状态（最新签名 / slot、最近运行时间、状态）
+ * 示例: GET /api/wallet/:walletAddress/pnl/sync
+ */
+router.get('/wallet/:walletAddress/pnl/sync', syncWalletPnlHandler);
+
+/**
+ * 钱包买卖时间线（画加减仓图）
+ * 按时间升序返回每笔买卖，以及该笔之后该代币的持仓数量（positionQuantity）、持仓成本（positionCost）
+ * 和累计已实现盈亏（realizedPnl），tokens 为每个代币在时间范围结束时的汇总
+ * 查询参数:
+ *   - mint: 代币地址，多个用逗号分隔
+ *   - from / to: 时间范围（Unix 秒）；持仓按全部历史买卖计算，范围只过滤输出
+ *   - costBasis: fifo|lifo|average（默认 fifo）
+ *   - source: stored（已同步的买卖记录，默认）/ helius / rpc（实时拉取，最多 maxPages 页，默认 20）
+ * 示例: GET /api/wallet/:walletAddress/timeline?mint=xxx&from=1700000000
+ */
+router.get('/wallet/:walletAddress/timeline', getWalletTimelineHandler);
+
 /**
  * 获取钱包代币盈亏详情（使用 Birdeye API）
  * 文档: https://public-api.birdeye.so/wallet/v2/pnl/details
@@ -116,8 +225,8 @@ router.get('/wallet/:walletAddress/pnl/details', getWalletPnlDetailsHandler);
 /**
  * 获取钱包代币盈亏详情（使用 helius API）
  * 文档: https://www.helius.dev/docs/api-reference/enhanced-transactions/gettransactionsbyaddress
- *
- *
+ * 按持仓成本计算已实现 / 未实现盈亏、剩余数量、平均建仓价和每笔买入批次的持有时间
+ * 查询参数: ?costBasis=fifo|lifo|average（默认 fifo）&paginationToken=
  */
 router.get('/wallet/:walletAddress/pnl/byHelius/details', getWalletPnlDetailsByHeliusHandler);
 
@@ -141,6 +250,13 @@ router.get('/sync-analyze-holder-pnl', syncAnalyzeHolderPnlHandler);
 /**
  * 同步分析持有者盈亏
  * 功能同上，只是这里用了helius的swap过滤接口查询地址交易详情
+ * 两个分析接口都支持 ?costBasis=fifo|lifo|average 选择持仓成本计算方法（默认 fifo）
+ * 已经同步过的地址只拉取新交易增量更新，?forceRebuild=true 时删除已有记录全量重建
+ * 过滤条件使用钱包评分规则集：?ruleSet=legacy&ruleVersion=（默认 legacy 最新版本），
+ * 第一页评分不通过时停止同步并保存未通过的评分，同步完成后用全部买卖记录重新评分并保存；
+ * 在所选规则集版本和阈值下评分未通过的地址不再同步（换规则集、版本或 minPnlUsd 后重新评分）
+ * minPnlUsd 覆盖所选规则集 highRoiPnl 条件的下限（legacy 默认 5000，盈利合计需大于该值）；
+ * 规则集没有 highRoiPnl 条件时忽略，并在返回的 warning 中说明
  */
 router.get('/byHeliusSwapType/sync-analyze-holder-pnl', syncAnalyzeHolderPnlByHeliusSwapTypeHandler);
 
@@ -154,6 +270,7 @@ router.get('/byHeliusSwapType/sync-analyze-holder-pnl', syncAnalyzeHolderPnlByHe
  *   - skipTimezoneConversion: 如果传入的已经是 UTC 时间戳，设置为 true 或 1 跳过时区转换（默认会自动转换）
  *   - maxPages: 最大页数限制（默认 300）
  *   - maxDuration: 最大持续时间（毫秒，默认 900000，即 15 分钟）
+ *   - platforms: 只同步指定平台下单的交易（逗号分隔：photon、bullx、gmgn、axiom、trojan、maestro、jupiter 等，可选）
  * 安全机制:
  *   - 自动检测客户端断开连接并停止
  *   - 达到最大页数或最大持续时间时自动停止
@@ -161,6 +278,7 @@ router.get('/byHeliusSwapType/sync-analyze-holder-pnl', syncAnalyzeHolderPnlByHe
  * 示例: 
  *   GET /api/address/:address/sync-trades?blockTimeGte=1641038400&blockTimeLt=1641038460
  *   GET /api/address/:address/sync-trades?blockTimeGte=1641038400&blockTimeLt=1641038460&skipTimezoneConversion=true
+ *   GET /api/address/:address/sync-trades?blockTimeGte=1641038400&blockTimeLt=1641038460&platforms=photon,bullx
  */
 router.get('/address/:address/sync-trades', syncTradesToDatabaseHandler);
 
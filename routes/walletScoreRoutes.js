@@ -0,0 +1,52 @@
+import express from 'express';
+import {
+  getRuleSetsHandler,
+  getRuleSetHandler,
+  createRuleSetHandler,
+  scoreWalletHandler,
+  getWalletScoresHandler,
+  rescoreWalletsHandler
+} from '../controllers/walletScoreController.js';
+
+const router = express.Router();
+
+/**
+ * 获取全部评分规则集（内置 + 接口提交）和可用的评分因子
+ * GET /api/wallet-score/rule-sets
+ */
+router.get('/wallet-score/rule-sets', getRuleSetsHandler);
+
+/**
+ * 获取评分规则集，?version= 指定版本，默认最新版本
+ * GET /api/wallet-score/rule-sets/:name
+ */
+router.get('/wallet-score/rule-sets/:name', getRuleSetHandler);
+
+/**
+ * 新增评分规则集版本（请求体为规则集 JSON，格式见 config/walletScoreRuleSets.js）
+ * 已存在的名称 + 版本不能覆盖，返回 409
+ * POST /api/wallet-score/rule-sets
+ */
+router.post('/wallet-score/rule-sets', createRuleSetHandler);
+
+/**
+ * 批量重新评分（使用已保存的买卖记录，不重新拉取交易）
+ * 请求体: { "walletAddresses": [], "ruleSet": "default", "version": 2, "costBasisMethod": "fifo" }
+ * POST /api/wallet-score/rescore
+ */
+router.post('/wallet-score/rescore', rescoreWalletsHandler);
+
+/**
+ * 计算钱包评分，返回总分和逐项明细并保存
+ * 查询参数: ?ruleSet=default&version=&costBasis=fifo|lifo|average&save=false（只计算不保存）
+ * GET /api/wallet-score/:walletAddress
+ */
+router.get('/wallet-score/:walletAddress', scoreWalletHandler);
+
+/**
+ * 查询钱包已保存的评分（?ruleSet=&version= 过滤）
+ * GET /api/wallet-score/:walletAddress/history
+ */
+router.get('/wallet-score/:walletAddress/history', getWalletScoresHandler);
+
+export default router;
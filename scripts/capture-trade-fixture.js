@@ -0,0 +1,117 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Connection } from '@solana/web3.js';
+import { config } from '../config/index.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+
+/**
+ * 抓取交易并保存为解析回归测试用例
+ * 用法: node scripts/capture-trade-fixture.js <signature> [name] [--force]
+ *   - 原始交易（encoding=json，与 交易详情json/ 中已有文件格式一致）保存到 交易详情json/<name>.json
+ *   - 当前解析结果作为期望值写入 交易详情json/expected.json，请人工核对并修正为正确结果
+ *   - 同名用例已存在时需要 --force 才会覆盖
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '..', '交易详情json');
+const EXPECTED_FILE = path.join(FIXTURE_DIR, 'expected.json');
+
+/**
+ * 通过 RPC 获取原始交易（json 编码，指令保留 programIdIndex 和 base58 data）
+ */
+async function fetchRawTransaction(signature) {
+  const response = await fetch(config.solana.rpcEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'getTransaction',
+      params: [signature, {
+        encoding: 'json',
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      }]
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`RPC 请求失败: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(`RPC 错误: ${data.error.message || JSON.stringify(data.error)}`);
+  }
+  if (!data.result) {
+    throw new Error('交易不存在或无法获取');
+  }
+  return data.result;
+}
+
+/**
+ * 只保留回归测试需要比对的字段
+ */
+function pickTradeFields(tradeInfo) {
+  if (!tradeInfo) return null;
+  return {
+    type: tradeInfo.type,
+    holderAddress: tradeInfo.holderAddress || null,
+    soldToken: { mint: tradeInfo.soldToken?.mint, amount: tradeInfo.soldToken?.amount },
+    boughtToken: { mint: tradeInfo.boughtToken?.mint, amount: tradeInfo.boughtToken?.amount }
+  };
+}
+
+async function captureTradeFixture() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const [signature, name] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!signature) {
+    console.error('用法: node scripts/capture-trade-fixture.js <signature> [name] [--force]');
+    process.exit(1);
+  }
+
+  const fileName = `${name || signature.slice(0, 16)}.json`;
+  const fixturePath = path.join(FIXTURE_DIR, fileName);
+  const expectedCases = fs.existsSync(EXPECTED_FILE)
+    ? JSON.parse(fs.readFileSync(EXPECTED_FILE, 'utf8'))
+    : {};
+
+  if (!force && (fs.existsSync(fixturePath) || expectedCases[fileName])) {
+    console.error(`❌ 用例 ${fileName} 已存在，使用 --force 覆盖`);
+    process.exit(1);
+  }
+
+  try {
+    console.log(`正在获取交易 ${signature}...`);
+    const transaction = await fetchRawTransaction(signature);
+    fs.writeFileSync(fixturePath, JSON.stringify(transaction, null, 2) + '\n');
+    console.log(`✅ 原始交易已保存: ${fixturePath}`);
+
+    // 用当前解析器生成初始期望值
+    const parser = new SolanaDexTradeParser(new Connection(config.solana.rpcEndpoint));
+    const dexType = parser.identifyDEX(transaction);
+    const trade = pickTradeFields(parser.parseByDex(transaction, dexType));
+
+    expectedCases[fileName] = {
+      description: '',
+      dex: dexType,
+      trade,
+      parsers: {
+        parseGenericTransaction: pickTradeFields(parser.parseGenericTransaction(transaction))
+      }
+    };
+    fs.writeFileSync(EXPECTED_FILE, JSON.stringify(expectedCases, null, 2) + '\n');
+
+    console.log(`✅ 期望结果已写入 ${EXPECTED_FILE}（当前解析结果，请人工核对后修正）:`);
+    console.log(JSON.stringify(expectedCases[fileName], null, 2));
+  } catch (error) {
+    console.error('❌ 抓取交易失败:', error.message);
+    process.exit(1);
+  }
+}
+
+captureTradeFixture();
@@ -0,0 +1,41 @@
+import 'dotenv/config';
+import fs from 'fs';
+import { importPriceCandlesCsv } from '../services/priceHistoryService.js';
+
+/**
+ * 从 CSV 导入历史价格 K 线到 tbl_price_candle（无网络环境下回补 SOL/USD 等历史价格）
+ * 用法: node scripts/import-price-csv.js <file.csv> [--mint=<address>] [--interval=1m|1H] [--source=csv]
+ *   CSV 表头: time,open,high,low,close[,volume][,mint][,interval]，或 time,price
+ *   time 可以是 Unix 秒、Unix 毫秒或 UTC 日期（2024-01-01 00:00:00）；缺少 mint 列时默认 SOL
+ */
+
+function parseOptions(args) {
+  const options = {};
+  args.filter(arg => arg.startsWith('--')).forEach(arg => {
+    const [key, value] = arg.slice(2).split('=');
+    if (value) options[key] = value;
+  });
+  return options;
+}
+
+async function importPriceCsv() {
+  const args = process.argv.slice(2);
+  const [file] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!file) {
+    console.error('用法: node scripts/import-price-csv.js <file.csv> [--mint=<address>] [--interval=1m|1H] [--source=csv]');
+    process.exit(1);
+  }
+
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    const { imported, skipped } = await importPriceCandlesCsv(text, parseOptions(args));
+    console.log(`✅ 已导入 ${imported} 根 K 线${skipped > 0 ? `，跳过 ${skipped} 行无效数据` : ''}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ 导入价格失败:', error.message);
+    process.exit(1);
+  }
+}
+
+importPriceCsv();
@@ -0,0 +1,30 @@
+import 'dotenv/config';
+import { checkTradeLegIndex, migrateTradeLegIndex } from '../db/solTradeInfoMapper.js';
+
+/**
+ * 把 tbl_sol_trade_info 的唯一索引从 signature 迁移到 uk_trade_leg (signature, addr, spl_addr, type)
+ * 同一笔交易的多条交易腿（捆绑交易中多个钱包买入、同一钱包买入多个代币）才能分别保存
+ * 用法: node scripts/migrate-trade-leg-index.js [--dry-run]
+ *   --dry-run 只打印需要执行的 SQL
+ */
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const plan = dryRun ? await checkTradeLegIndex() : await migrateTradeLegIndex();
+    if (!plan.statement) {
+      console.log('✅ tbl_sol_trade_info 已经按交易腿去重，不需要迁移');
+    } else if (dryRun) {
+      console.log(`需要执行: ${plan.statement};`);
+    } else {
+      console.log(`✅ 已执行: ${plan.statement};`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ 迁移交易腿唯一索引失败:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -6,18 +6,21 @@ import cors from 'cors';
 import tokenRoutes from './routes/tokenRoutes.js';
 import jobRoutes from './routes/jobRoutes.js';
 import addressMonitorRoutes from './routes/addressMonitorRoutes.js';
+import walletScoreRoutes from './routes/walletScoreRoutes.js';
 import { config } from './config/index.js';
 import { initWorkers, closeWorkers } from './jobs/workers.js';
 import { initQueueEvents, closeQueues, initQueues } from './jobs/queue.js';
 import { initScheduler, stopAllScheduledJobs } from './jobs/scheduler.js';
 import { initBullBoard } from './jobs/bullBoard.js';
 import { addressMonitorService } from './services/addressMonitorService.js';
+import { checkTradeLegIndex } from './db/solTradeInfoMapper.js';
 
 const app = express();
 
 // 中间件配置
 app.use(cors());
-app.use(express.json());
+// 粘贴的原始交易（含日志和内部指令）可能超过默认的 100kb
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static('public'));
 
 // 路由配置
@@ -26,6 +29,7 @@ app.use(express.static('public'));
 app.use('/api', addressMonitorRoutes);
 app.use('/api', tokenRoutes);
 app.use('/api', jobRoutes);
+app.use('/api', walletScoreRoutes);
 
 // 任务管理页面
 app.get('/jobs', (req, res) => {
@@ -73,6 +77,19 @@ async function initJobSystem() {
   }
 }
 
+// 检查交易记录的唯一索引：仍然只有 signature 唯一时，同一交易的其他交易腿会被 INSERT IGNORE 静默丢弃
+async function checkTradeInfoSchema() {
+  try {
+    const plan = await checkTradeLegIndex();
+    if (!plan.ok) {
+      console.error('❌❌❌ tbl_sol_trade_info 唯一索引未迁移，捆绑交易等同一 signature 的多条交易腿会被丢弃');
+      console.error(`   请执行: npm run db:migrate-trade-leg（${plan.statement}）`);
+    }
+  } catch (error) {
+    console.error('⚠️  检查 tbl_sol_trade_info 唯一索引失败:', error.message);
+  }
+}
+
 // 优雅关闭
 async function gracefulShutdown() {
   console.log('正在关闭任务调度系统...');
@@ -98,6 +115,8 @@ app.listen(PORT, async () => {
   console.log(`服务器运行在 http://localhost:${PORT}`);
   console.log(`访问 http://localhost:${PORT} 查看前端界面`);
   
+  await checkTradeInfoSchema();
+
   // 初始化任务调度系统
   await initJobSystem();
 });
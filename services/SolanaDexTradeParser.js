@@ -1,4 +1,18 @@
 import { Connection, PublicKey, clusterApiUrl } from '@solana/web3.js';
+import { createDefaultDexRegistry } from './dexProtocols/index.js';
+import { decodePumpFunActivity } from './dexProtocols/pumpFunDecoder.js';
+import { decodeRaydiumSwaps, decodeRaydiumAmmConfig, toFeeTierBps } from './dexProtocols/raydiumDecoder.js';
+import { decodeMeteoraSwaps, decodeMeteoraLbPair, getDlmmBinPrice } from './dexProtocols/meteoraDecoder.js';
+import { TOKEN_2022_PROGRAM_ID, decodeTokenTransfer } from './dexProtocols/splToken.js';
+import { analyzeTradeFees } from './tradeFees.js';
+import { classifyTradingPlatform } from './tradingPlatformClassifier.js';
+import { resolveAccountAddresses, resolveAccountKeys, resolveProgramId } from './accountKeys.js';
+
+// 交易解析策略（见 parseTrade）
+export const RESOLUTION_STRATEGIES = ['local_only', 'local_then_api', 'api_then_local'];
+
+// 交叉校验时金额允许的相对误差
+const AMOUNT_AGREEMENT_TOLERANCE = 0.01;
 
 /**
  * 简单的内存缓存
@@ -43,85 +57,110 @@ class SimpleCache {
 
 /**
  * 完整的 Solana DEX 交易解析器
- * 支持: Jupiter, Raydium, Orca, Pump.fun AMM
+ * 支持的协议由 DexProtocolRegistry 管理（见 services/dexProtocols），
+ * 内置: Pump.fun（联合曲线 + PumpSwap AMM）, Raydium, Orca, Lifinity, Phoenix, Jupiter, Meteora（DLMM / DAMM / DBC）, DFlow
  */
 class SolanaDexTradeParser {
-    constructor(connection = null) {
+    constructor(connection = null, registry = null, options = {}) {
         this.connection = connection || new Connection(clusterApiUrl('mainnet-beta'));
         // 添加缓存
         this.cache = new SimpleCache(500, 3600000); // 缓存 500 个交易，1 小时过期
 
-        // 定义所有 DEX 的程序 ID
-        this.DEX_PROGRAMS = {
-            JUPITER: [
-                'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', // V3
-                'JUP2jxvXaqu7NQY1GmNF4m1vodw12LVXYxbFL2uJvfo', // V4
-                'JUP3c2Uh3WA4Ng34tw6kPd2G4C5BB21Xo36Je1s32Ph', // V5
-                'JUP6i4ozu5ydDCnLiMogSckDPpbtr7BJ4FtzYWkb5Rk',  // V6
-                'JUP4Fb2cqiRUcaTd8t5VhYu6oV5E2hbN8FdY3YbwPEsu', // V4 (alternative)
-                'JUP3c2Uh3WA4Ng34tw6kPd2G4C5BB21Xo36Je1s32Ph'  // V5 (duplicate check)
-            ],
-            RAYDIUM: [
-                '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // V4
-                '27haf8L6oxUeXrHrgEgsexjSY5hbVUWEmvv9Nyxg8vQv', // V3
-                'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK'  // AMM V4 / CLMM
-            ],
-            ORCA: [
-                '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP', // 主程序
-                'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  // Whirlpools
-                'DjVE6JNiYqPL2QXyCUUh8rNjHrbz9hXHNYt99MQ59qw1'  // Swap V1
-            ],
-            PUMP_FUN: ['pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'], // Pump.fun AMM
-            METEORA: [
-                'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', // Meteora DLMM
-                'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UWAi', // Meteora DLMM (alternative)
-                '24Uqj9JQxErmqU6wvJzKqJqJqJqJqJqJqJqJqJqJqJqJq'  // Placeholder - will be updated with actual IDs
-            ],
-            DFLOW: [
-                // DFlow Aggregator v4 program IDs (will be identified via log messages)
-            ]
-        };
+        // DEX 协议注册表（程序 ID、识别规则、解析函数、优先级）
+        this.registry = registry || createDefaultDexRegistry();
+
+        // 默认解析策略（local_only / local_then_api / api_then_local），见 parseTrade
+        this.resolutionStrategy = options.resolutionStrategy || 'local_then_api';
+        if (!RESOLUTION_STRATEGIES.includes(this.resolutionStrategy)) {
+            throw new Error(`Unsupported resolution strategy: ${this.resolutionStrategy}`);
+        }
 
         // SOL 代币地址
         this.SOL_MINT = 'So11111111111111111111111111111111111111112';
     }
 
+    /**
+     * 所有 DEX 的程序 ID（由注册表生成，保持旧的 { KEY: [programIds] } 结构）
+     */
+    get DEX_PROGRAMS() {
+        return this.registry.toProgramMap();
+    }
+
+    /**
+     * 运行时注册新的 DEX 协议
+     * @param {object} protocol - 协议定义，见 DexProtocolRegistry
+     * @returns {SolanaDexTradeParser} 解析器本身
+     */
+    registerProtocol(protocol) {
+        this.registry.register(protocol);
+        return this;
+    }
+
+    /**
+     * 按 DEX 类型分派到对应协议的解析函数，未注册的类型使用通用解析器，并识别真实持有人
+     * @param {object} transaction - 交易数据
+     * @param {string} dexType - identifyDEX 返回的 DEX 类型
+     * @returns {object|null} 交易信息
+     */
+    parseByDex(transaction, dexType) {
+        const protocol = this.registry.get(dexType);
+        // 对于 unknown 类型，也尝试使用通用解析器
+        // 通用解析器会分析代币和 SOL 余额变化，应该能处理大部分情况
+        const tradeInfo = protocol
+            ? protocol.parse(this, transaction)
+            : this.parseGenericTransaction(transaction, 'unknown');
+
+        // 统一按净代币变化识别持有人，避免把中继/路由/手续费支付者当作交易者
+        this.applyHolderAttribution(tradeInfo, transaction);
+        this.applyToken2022Amounts(tradeInfo, transaction);
+        this.applyFeeBreakdown(tradeInfo, transaction);
+        this.applyTradingPlatform(tradeInfo, transaction);
+        return this.applyTradeLegs(tradeInfo, transaction);
+    }
+
     /**
      * 主解析函数 - 解析交易签名并返回买卖信息
+     *
+     * 解析策略（options.strategy）：
+     * - local_only：只使用链上交易数据本地解析，不调用任何外部 API
+     * - local_then_api：优先本地解析，本地解析失败时回退到 Jupiter API（默认）
+     * - api_then_local：优先使用 Jupiter API，同时本地解析用于补充持有人地址和交叉校验
+     *
+     * 返回结果的 source 为最终采用的解析器，resolution 记录尝试过的全部解析器及其结果是否一致；
+     * 两个解析器在方向或金额上不一致时 flagged = true，由调用方决定是否信任该结果
      * @param {string} signature - 交易签名
      * @param {object} options - 选项
+     * @param {string} [options.strategy] - 解析策略，未指定时 useJupiterAPI = false 等同于 local_only
+     * @param {boolean} [options.crossCheck=false] - local_then_api 下本地解析成功后是否仍调用 API 交叉校验
      * @returns {Promise<object|null>} 交易信息或null
      */
     async parseTrade(signature, options = {}) {
         const {
             commitment = 'confirmed',
             maxSupportedTransactionVersion = 0,
-            useJupiterAPI = true,
-            useCache = true
+            useCache = true,
+            crossCheck = false
         } = options;
+        const strategy = this.getResolutionStrategy(options);
+        // 交叉校验的结果包含 API 解析记录，与不校验的结果分开缓存
+        const cacheKey = `${strategy}:${crossCheck ? 'crossCheck' : 'single'}:${signature}`;
 
         // 检查缓存
         if (useCache) {
-            const cached = this.cache.get(signature);
+            const cached = this.cache.get(cacheKey);
             if (cached) {
                 return cached;
             }
         }
 
         try {
-            // 1. 并行尝试 Jupiter API 和获取交易数据（如果启用 Jupiter API）
-            let jupiterTrade = null;
-            let transaction = null;
+            const attempts = [];
+            let apiTrade = null;
+            let localTrade = null;
 
-            const promises = [];
-            
-            if (useJupiterAPI) {
-                promises.push(
-                    this.parseJupiterViaAPI(signature).catch(() => null)
-                );
-            }
-            
-            promises.push(
+            // 1. 获取交易数据（api_then_local 时并行调用 Jupiter API）
+            const [apiResult, transaction] = await Promise.all([
+                strategy === 'api_then_local' ? this.parseJupiterViaAPI(signature).catch(() => null) : null,
                 this.connection.getParsedTransaction(signature, {
                     commitment,
                     maxSupportedTransactionVersion
@@ -129,102 +168,70 @@ class SolanaDexTradeParser {
                     console.error(`Error fetching transaction ${signature}:`, err.message);
                     return null;
                 })
-            );
+            ]);
 
-            const results = await Promise.all(promises);
-            
-            if (useJupiterAPI) {
-                jupiterTrade = results[0];
-                transaction = results[1];
+            if (strategy === 'api_then_local') {
+                apiTrade = apiResult;
+                attempts.push(this.describeParseAttempt('api', 'jupiter_api', apiTrade));
+            }
+
+            // 2. 本地解析（识别 DEX 类型并解析）
+            if (transaction) {
+                const { dexType, tradeInfo: parsed } = await this.parseLocalTransaction(transaction);
+                localTrade = parsed;
+                attempts.push(this.describeParseAttempt('local', localTrade?.source || `${dexType}_parser`, localTrade));
             } else {
-                transaction = results[0];
+                attempts.push({ parser: 'local', source: 'rpc_transaction', status: 'unavailable' });
             }
 
-            // 如果 Jupiter API 返回了结果，先检查是否是 Pump.fun 交易
-            // 如果是 Pump.fun 交易，优先使用 Pump.fun 解析器（更准确）
-            if (jupiterTrade && transaction) {
-                const dexType = this.identifyDEX(transaction);
-                
-                // 如果是 Pump.fun 交易，使用 Pump.fun 解析器覆盖 Jupiter API 的结果
-                if (dexType === 'pump_fun') {
-                    const pumpFunTrade = this.parsePumpFunTransaction(transaction);
-                    if (pumpFunTrade) {
-                        // Pump.fun 解析器返回的结果更准确，使用它
-                        if (useCache) {
-                            this.cache.set(signature, pumpFunTrade);
-                        }
-                        return pumpFunTrade;
-                    }
-                }
-                
-                // 对于其他交易，使用 Jupiter API 的结果，但需要补充持有人地址
-                if (!jupiterTrade.holderAddress) {
-                    // 优先从 accountKeys 中获取第一个签名者
-                    const accountKeys = transaction.transaction?.message?.accountKeys || [];
-                    const signerAccount = accountKeys.find(acc => {
-                        if (typeof acc === 'object' && acc.signer) {
-                            return true;
-                        }
-                        return false;
-                    });
-                    
-                    if (signerAccount) {
-                        jupiterTrade.holderAddress = typeof signerAccount === 'string' 
-                            ? signerAccount 
-                            : (signerAccount.pubkey?.toString() || signerAccount.toString?.() || String(signerAccount));
-                    } else {
-                        // 如果没有找到签名者，从 SOL 余额变化中找签名者
-                        const solChanges = this.parseSOLBalanceChanges(transaction);
-                        const signerChange = solChanges.find(change => change.isSigner);
-                        if (signerChange) {
-                            jupiterTrade.holderAddress = signerChange.account;
-                        } else if (solChanges.length > 0) {
-                            jupiterTrade.holderAddress = solChanges[0].account;
-                        }
-                    }
-                }
-                if (useCache) {
-                    this.cache.set(signature, jupiterTrade);
-                }
-                return jupiterTrade;
+            // 3. local_then_api：本地解析失败（或要求交叉校验）时调用 Jupiter API
+            if (strategy === 'local_then_api' && (!localTrade || crossCheck)) {
+                apiTrade = await this.parseJupiterViaAPI(signature).catch(() => null);
+                attempts.push(this.describeParseAttempt('api', 'jupiter_api', apiTrade));
             }
 
-            if (!transaction) {
+            if (!transaction && !apiTrade) {
                 throw new Error('Transaction not found on chain');
             }
 
-            // 2. 识别 DEX 类型并解析
-            const dexType = this.identifyDEX(transaction);
-
-            let tradeInfo;
-            switch (dexType) {
-                case 'jupiter':
-                    tradeInfo = this.parseJupiterTransaction(transaction);
-                    break;
-                case 'raydium':
-                    tradeInfo = this.parseRaydiumTransaction(transaction);
-                    break;
-                case 'orca':
-                    tradeInfo = this.parseOrcaTransaction(transaction);
-                    break;
-                case 'pump_fun':
-                    tradeInfo = this.parsePumpFunTransaction(transaction);
-                    break;
-                default:
-                    // 对于 unknown 类型，也尝试使用通用解析器
-                    // 通用解析器会分析代币和 SOL 余额变化，应该能处理大部分情况
-                    tradeInfo = this.parseGenericTransaction(transaction, 'unknown');
+            const tradeInfo = strategy === 'api_then_local'
+                ? (apiTrade || localTrade)
+                : (localTrade || apiTrade);
+
+            if (!tradeInfo) {
+                return null;
             }
 
-            if (tradeInfo) {
+            // Jupiter API 不提供持有人地址，从交易数据中补充
+            if (tradeInfo === apiTrade && transaction) {
+                this.applyHolderAttribution(apiTrade, transaction);
+                this.applyFeeBreakdown(apiTrade, transaction);
+                this.applyTradingPlatform(apiTrade, transaction);
+                this.applyTradeLegs(apiTrade, transaction);
+            }
+
+            const disagreements = localTrade && apiTrade ? this.compareTradeResults(localTrade, apiTrade) : [];
+            tradeInfo.resolution = {
+                strategy,
+                parsers: attempts,
+                // 只有一个解析器给出结果时无法判断是否一致
+                agreed: localTrade && apiTrade ? disagreements.length === 0 : null,
+                disagreements
+            };
+            tradeInfo.flagged = disagreements.length > 0;
+            if (tradeInfo.flagged) {
+                console.warn(`[解析校验] 交易 ${signature} 的解析结果不一致: ${disagreements.map(d => d.field).join(', ')}`);
+            }
+
+            if (transaction) {
                 tradeInfo.signature = signature;
                 tradeInfo.timestamp = transaction.blockTime ? new Date(transaction.blockTime * 1000) : null;
                 tradeInfo.slot = transaction.slot;
             }
 
             // 缓存结果
-            if (useCache && tradeInfo) {
-                this.cache.set(signature, tradeInfo);
+            if (useCache) {
+                this.cache.set(cacheKey, tradeInfo);
             }
 
             return tradeInfo;
@@ -236,40 +243,107 @@ class SolanaDexTradeParser {
     }
 
     /**
-     * 识别交易来自哪个 DEX
-     * @param {object} transaction - 解析后的交易数据
-     * @returns {string} DEX 类型
+     * 本地解析已获取的交易数据（RPC 交易、粘贴的 JSON-RPC 交易或模拟结果均可）
+     * @param {object} transaction - 交易数据 { transaction, meta }
+     * @param {object} options - 选项
+     * @param {boolean} [options.resolveOnChain=true] - 是否读取链上账户补全 Raydium 费率和 DLMM bin 价格
+     * @returns {Promise<{dexType: string, tradeInfo: object|null}>}
      */
-    identifyDEX(transaction) {
-        // 辅助函数：从指令中获取 programId
-        const getProgramId = (ix, accountKeys) => {
-            // 处理 parsed 和 unparsed 指令
-            if (ix.programId) {
-                return typeof ix.programId === 'string' ? ix.programId : ix.programId.toString();
+    async parseLocalTransaction(transaction, { resolveOnChain = true } = {}) {
+        const dexType = this.identifyDEX(transaction);
+        const tradeInfo = this.parseByDex(transaction, dexType);
+
+        if (resolveOnChain) {
+            if (tradeInfo?.raydium) {
+                await this.resolveRaydiumFeeTiers(tradeInfo);
             }
-            // 如果是 unparsed 指令，从 accountKeys 中获取
-            if (typeof ix.programIdIndex === 'number' && accountKeys) {
-                const account = accountKeys[ix.programIdIndex];
-                if (account) {
-                    // 安全地获取 account 地址
-                    if (typeof account === 'string') {
-                        return account;
-                    }
-                    // 如果是对象，尝试获取 pubkey
-                    if (account && typeof account === 'object') {
-                        return account.pubkey?.toString() || account.toString?.() || String(account);
-                    }
-                    return String(account);
-                }
+            if (tradeInfo?.meteora) {
+                await this.resolveMeteoraBinPrices(tradeInfo);
             }
-            return null;
+        }
+        return { dexType, tradeInfo };
+    }
+
+    /**
+     * 确定解析策略：显式指定的 strategy > useJupiterAPI = false（local_only）> 实例默认策略
+     * @param {object} options - parseTrade 的选项
+     * @returns {string} 解析策略
+     */
+    getResolutionStrategy(options = {}) {
+        if (options.strategy) {
+            if (!RESOLUTION_STRATEGIES.includes(options.strategy)) {
+                throw new Error(`Unsupported resolution strategy: ${options.strategy}`);
+            }
+            return options.strategy;
+        }
+        if (options.useJupiterAPI === false) {
+            return 'local_only';
+        }
+        return this.resolutionStrategy;
+    }
+
+    /**
+     * 记录一次解析尝试（用于 resolution.parsers）
+     * @param {string} parser - 'local' 或 'api'
+     * @param {string} source - 解析器来源标识
+     * @param {object|null} tradeInfo - 解析结果
+     * @returns {object} 解析尝试摘要
+     */
+    describeParseAttempt(parser, source, tradeInfo) {
+        if (!tradeInfo) {
+            return { parser, source, status: 'empty' };
+        }
+        return {
+            parser,
+            source: tradeInfo.source || source,
+            status: 'parsed',
+            type: tradeInfo.type,
+            soldToken: { mint: tradeInfo.soldToken?.mint, amount: tradeInfo.soldToken?.amount },
+            boughtToken: { mint: tradeInfo.boughtToken?.mint, amount: tradeInfo.boughtToken?.amount }
         };
+    }
 
-        const accountKeys = transaction.transaction.message.accountKeys;
+    /**
+     * 比较本地解析和 API 解析的结果（方向、代币和金额）
+     * @param {object} localTrade - 本地解析结果
+     * @param {object} apiTrade - API 解析结果
+     * @returns {Array<{field: string, local: any, api: any}>} 不一致的字段
+     */
+    compareTradeResults(localTrade, apiTrade) {
+        const disagreements = [];
+        const addIfDifferent = (field, local, api, isEqual = (a, b) => a === b) => {
+            if (!isEqual(local, api)) {
+                disagreements.push({ field, local, api });
+            }
+        };
+        // 金额允许 1% 的相对误差（不同解析器对手续费的归属略有差异）
+        const amountsMatch = (a, b) => {
+            if (typeof a !== 'number' || typeof b !== 'number') return a === b;
+            const scale = Math.max(Math.abs(a), Math.abs(b));
+            return scale === 0 || Math.abs(a - b) / scale <= AMOUNT_AGREEMENT_TOLERANCE;
+        };
+
+        addIfDifferent('type', localTrade.type, apiTrade.type);
+        for (const side of ['soldToken', 'boughtToken']) {
+            addIfDifferent(`${side}.mint`, localTrade[side]?.mint, apiTrade[side]?.mint);
+            addIfDifferent(`${side}.amount`, localTrade[side]?.amount, apiTrade[side]?.amount, amountsMatch);
+        }
+        return disagreements;
+    }
+
+    /**
+     * 识别交易来自哪个 DEX
+     * @param {object} transaction - 解析后的交易数据
+     * @returns {string} DEX 类型
+     */
+    identifyDEX(transaction) {
+        // 完整账户列表（包含地址查找表加载的账户，v0 交易的程序 ID 可能来自查找表）
+        const accountKeys = this.getTransactionAccountKeys(transaction);
+        const getProgramId = (ix) => resolveProgramId(ix, accountKeys);
         
         // 收集主指令的 programIds
         const mainProgramIds = transaction.transaction.message.instructions
-            .map(ix => getProgramId(ix, accountKeys))
+            .map(getProgramId)
             .filter(id => id !== null);
         
         // 收集 innerInstructions 的 programIds
@@ -278,7 +352,7 @@ class SolanaDexTradeParser {
         innerInstructions.forEach(inner => {
             if (Array.isArray(inner.instructions)) {
                 inner.instructions.forEach(ix => {
-                    const programId = getProgramId(ix, accountKeys);
+                    const programId = getProgramId(ix);
                     if (programId) {
                         innerProgramIds.push(programId);
                     }
@@ -289,49 +363,21 @@ class SolanaDexTradeParser {
         // 合并所有 programIds（优先使用 innerInstructions，因为它们代表实际执行的 DEX）
         const programIds = [...innerProgramIds, ...mainProgramIds];
 
-        // 检查所有已知的 DEX 程序 ID
-        // 优先检查 Pump.fun（即使通过 Jupiter 路由，实际执行交易的 DEX 更重要）
-        const priorityDEXs = ['PUMP_FUN', 'RAYDIUM', 'ORCA', 'JUPITER', 'METEORA', 'DFLOW'];
-        for (const dex of priorityDEXs) {
-            const programs = this.DEX_PROGRAMS[dex];
-            if (programs && programs.some(program => programIds.includes(program))) {
-                return dex.toLowerCase();
-            }
-        }
-        
-        // 如果优先级列表中没有匹配，检查其他 DEX
-        for (const [dex, programs] of Object.entries(this.DEX_PROGRAMS)) {
-            if (!priorityDEXs.includes(dex) && programs.some(program => programIds.includes(program))) {
-                return dex.toLowerCase();
-            }
-        }
-
-        // 通过日志消息识别 DEX（用于识别 Meteora DLMM、DFlow 和 Pump.fun 等）
+        // 通过注册表识别：先按优先级匹配程序 ID，再通过日志等特征识别（用于识别 Meteora DLMM、DFlow 和 Pump.fun 等）
+        // 优先级上 Pump.fun 等实际执行交易的 DEX 高于聚合器（即使通过 Jupiter 路由，实际执行交易的 DEX 更重要）
         const logMessages = transaction.meta?.logMessages || [];
         const logText = logMessages.join(' ').toLowerCase();
-        
-        // 识别 Pump.fun（通过日志中的程序 ID 或指令类型）
-        const PUMP_FUN_PROGRAM_ID = this.DEX_PROGRAMS.PUMP_FUN[0];
-        if (logText.includes(PUMP_FUN_PROGRAM_ID.toLowerCase()) || 
-            (logText.includes('instruction: sell') && logText.includes('pamm'))) {
-            return 'pump_fun';
-        }
-        
-        // 识别 Meteora DLMM
-        if (logText.includes('meteora') || logText.includes('dlmm')) {
-            return 'meteora';
-        }
-        
-        // 识别 DFlow Aggregator
-        if (logText.includes('dflow') || logText.includes('aggregator')) {
-            return 'dflow';
+
+        const protocol = this.registry.identify({ transaction, programIds, logText });
+        if (protocol) {
+            return protocol.name;
         }
 
         // 如果没有找到已知的 DEX，尝试通过其他特征识别
         // 检查是否可能是 Jupiter 交易（通过账户数量、指令复杂度等特征）
         // Jupiter 交易通常涉及多个账户和复杂的路由
         const instructionCount = transaction.transaction.message.instructions.length;
-        const accountCount = transaction.transaction.message.accountKeys.length;
+        const accountCount = accountKeys.length;
         
         // Jupiter 交易通常有多个指令和账户
         if (instructionCount > 3 && accountCount > 10) {
@@ -469,20 +515,27 @@ class SolanaDexTradeParser {
     }
 
     /**
-     * 解析 Raydium 交易
+     * 解析 Raydium 交易（AMM v4 / CPMM / CLMM / LaunchLab）
      * @param {object} transaction - 交易数据
      * @returns {object|null} 交易信息
      */
     parseRaydiumTransaction(transaction) {
-        const { meta, transaction: txData } = transaction;
+        const { meta } = transaction;
 
-        // 查找 Raydium swap 指令
-        const swapInstruction = txData.message.instructions.find(ix =>
-            ix.programId?.toString() === this.DEX_PROGRAMS.RAYDIUM[0] &&
-            ix.parsed?.type === 'swap'
+        // 优先解码 AMM v4 / CPMM / CLMM / LaunchLab swap 指令
+        const swaps = decodeRaydiumSwaps(
+            this.collectInstructions(transaction),
+            meta?.logMessages || [],
+            this.getTokenAccountInfo(transaction)
         );
+        if (swaps.length > 0) {
+            const tradeInfo = this.buildRaydiumTrade(transaction, swaps);
+            if (tradeInfo) {
+                return tradeInfo;
+            }
+        }
 
-        // 分析代币余额变化
+        // 解码失败时回退到余额变化分析
         const tradeInfo = this.analyzeSOLTokenTrade(
             this.parseTokenBalanceChanges(meta),
             this.parseSOLBalanceChanges(transaction)
@@ -493,13 +546,251 @@ class SolanaDexTradeParser {
                 ...tradeInfo,
                 dex: 'raydium',
                 source: 'raydium_parser',
-                hasSwapInstruction: !!swapInstruction
+                hasSwapInstruction: false
             };
         }
 
         return null;
     }
 
+    /**
+     * 代币账户地址 -> { mint, owner, decimals, programId }（来自 pre/postTokenBalances）
+     * @param {object} transaction - 交易数据
+     * @returns {Map<string, object>}
+     */
+    getTokenAccountInfo(transaction) {
+        const accountKeys = this.getTransactionAccountKeys(transaction);
+        const result = new Map();
+        const meta = transaction.meta || {};
+        [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])].forEach(balance => {
+            const address = accountKeys[balance.accountIndex];
+            if (!address || result.has(address)) return;
+            result.set(address, {
+                mint: balance.mint,
+                owner: balance.owner || null,
+                decimals: balance.uiTokenAmount?.decimals,
+                programId: balance.programId || null
+            });
+        });
+        return result;
+    }
+
+    /**
+     * 根据解码出的 swap（Raydium / Meteora 等）确定用户的卖出和买入代币
+     * 多跳路由（同一用户连续经过多个池子）时，第一跳的输入为卖出代币，最后一跳的输出为买入代币
+     * @param {object} transaction - 交易数据
+     * @param {array} swaps - 解码出的 swap 列表（包含 user、inputMint、outputMint、inputAmount、outputAmount）
+     * @returns {object|null} { type, soldToken, boughtToken, price, holderAddress, routed, userSwaps }
+     */
+    buildSwapLegs(transaction, swaps) {
+        const signers = this.getSignerAddresses(transaction);
+        const signerSwaps = swaps.filter(swap => signers.includes(swap.user));
+        const userSwaps = (signerSwaps.length > 0 ? signerSwaps : swaps)
+            .filter(swap => swap.inputMint && swap.outputMint);
+        if (userSwaps.length === 0) {
+            return null;
+        }
+
+        const first = userSwaps[0];
+        const last = userSwaps[userSwaps.length - 1];
+        const toLeg = (mint, rawAmount) => {
+            const decimals = this.getMintDecimals(transaction.meta, mint, 6);
+            return {
+                mint,
+                symbol: mint === this.SOL_MINT ? 'SOL' : 'Token',
+                amount: rawAmount / Math.pow(10, decimals),
+                decimals
+            };
+        };
+        const soldToken = toLeg(first.inputMint, first.inputAmount);
+        const boughtToken = toLeg(last.outputMint, last.outputAmount);
+        const type = this.inferTradeType(soldToken.mint, boughtToken.mint);
+
+        return {
+            type,
+            soldToken,
+            boughtToken,
+            price: this.calculateTradePrice(type, soldToken, boughtToken),
+            holderAddress: first.user,
+            routed: userSwaps.some(swap => swap.routed),
+            userSwaps
+        };
+    }
+
+    /**
+     * 根据解码出的 Raydium swap 构建交易信息
+     * @param {object} transaction - 交易数据
+     * @param {array} swaps - decodeRaydiumSwaps 的结果
+     * @returns {object|null} 交易信息
+     */
+    buildRaydiumTrade(transaction, swaps) {
+        const legs = this.buildSwapLegs(transaction, swaps);
+        if (!legs) {
+            return null;
+        }
+
+        const { userSwaps, ...tradeInfo } = legs;
+        const first = userSwaps[0];
+        const last = userSwaps[userSwaps.length - 1];
+
+        return {
+            ...tradeInfo,
+            dex: 'raydium',
+            source: 'raydium_decoder',
+            hasSwapInstruction: true,
+            raydium: {
+                program: first.program,
+                instruction: first.instruction,
+                poolId: first.poolId,
+                ammConfig: first.ammConfig,
+                feeRate: first.feeRate,
+                feeTierBps: first.feeTierBps,
+                // 以下数量均为链上原始单位
+                inputAmount: first.inputAmount,
+                outputAmount: last.outputAmount,
+                clmm: last.clmm,
+                launchLab: last.launchLab,
+                swaps: userSwaps
+            },
+            pools: userSwaps.map(swap => ({
+                address: swap.poolId,
+                dex: `raydium_${swap.program}`,
+                mints: [swap.inputMint, swap.outputMint],
+                vaultOwners: swap.vaultOwners
+            }))
+        };
+    }
+
+    /**
+     * 补全 CPMM / CLMM 交易的手续费率（费率保存在 AmmConfig 账户中，需要额外读取链上数据）
+     * @param {object} tradeInfo - parseRaydiumTransaction 的结果
+     * @returns {Promise<object>} 补全后的交易信息
+     */
+    async resolveRaydiumFeeTiers(tradeInfo) {
+        const swaps = tradeInfo?.raydium?.swaps || [];
+        const pending = swaps.filter(swap => swap.feeRate === null && swap.ammConfig &&
+            (swap.program === 'cpmm' || swap.program === 'clmm'));
+        if (pending.length === 0) {
+            return tradeInfo;
+        }
+
+        if (!this.ammConfigCache) {
+            this.ammConfigCache = new Map();
+        }
+
+        for (const swap of pending) {
+            try {
+                if (!this.ammConfigCache.has(swap.ammConfig)) {
+                    const accountInfo = await this.connection.getAccountInfo(new PublicKey(swap.ammConfig));
+                    this.ammConfigCache.set(
+                        swap.ammConfig,
+                        accountInfo ? decodeRaydiumAmmConfig(swap.program, accountInfo.data) : null
+                    );
+                }
+                const config = this.ammConfigCache.get(swap.ammConfig);
+                if (config) {
+                    swap.feeRate = config.feeRate;
+                    swap.feeTierBps = toFeeTierBps(config.feeRate);
+                    if (swap.clmm && config.tickSpacing !== null) {
+                        swap.clmm.tickSpacing = config.tickSpacing;
+                    }
+                }
+            } catch (error) {
+                console.warn(`获取 Raydium AmmConfig ${swap.ammConfig} 失败:`, error.message);
+            }
+        }
+
+        const first = swaps[0];
+        tradeInfo.raydium.feeRate = first.feeRate;
+        tradeInfo.raydium.feeTierBps = first.feeTierBps;
+        return tradeInfo;
+    }
+
+    /**
+     * 解析 Meteora 交易（DLMM / Dynamic AMM v1、v2 / DBC）
+     * @param {object} transaction - 交易数据
+     * @returns {object|null} 交易信息
+     */
+    parseMeteoraTransaction(transaction) {
+        const swaps = decodeMeteoraSwaps(
+            this.collectInstructions(transaction),
+            transaction.meta?.logMessages || [],
+            this.getTokenAccountInfo(transaction)
+        );
+        const legs = swaps.length > 0 ? this.buildSwapLegs(transaction, swaps) : null;
+
+        // 解码失败时回退到余额变化分析
+        if (!legs) {
+            return this.parseGenericTransaction(transaction, 'meteora');
+        }
+
+        const { userSwaps, ...tradeInfo } = legs;
+        const first = userSwaps[0];
+        const last = userSwaps[userSwaps.length - 1];
+
+        return {
+            ...tradeInfo,
+            dex: 'meteora',
+            source: 'meteora_decoder',
+            meteora: {
+                program: first.program,
+                instruction: first.instruction,
+                poolId: first.poolId,
+                feeRate: first.feeRate,
+                fees: first.fees,
+                // 以下数量均为链上原始单位
+                inputAmount: first.inputAmount,
+                outputAmount: last.outputAmount,
+                dlmm: last.dlmm,
+                nextSqrtPrice: last.nextSqrtPrice,
+                swaps: userSwaps
+            },
+            pools: userSwaps.map(swap => ({
+                address: swap.poolId,
+                dex: `meteora_${swap.program}`,
+                mints: [swap.inputMint, swap.outputMint],
+                vaultOwners: swap.vaultOwners
+            }))
+        };
+    }
+
+    /**
+     * 补全 DLMM 交易的 bin 价格（bin step 保存在 LbPair 账户中，需要额外读取链上数据）
+     * @param {object} tradeInfo - parseMeteoraTransaction 的结果
+     * @returns {Promise<object>} 补全后的交易信息
+     */
+    async resolveMeteoraBinPrices(tradeInfo) {
+        const swaps = (tradeInfo?.meteora?.swaps || [])
+            .filter(swap => swap.dlmm && swap.dlmm.startBinId !== null && swap.dlmm.binStep === null);
+        if (swaps.length === 0) {
+            return tradeInfo;
+        }
+
+        if (!this.lbPairCache) {
+            this.lbPairCache = new Map();
+        }
+
+        for (const swap of swaps) {
+            try {
+                if (!this.lbPairCache.has(swap.poolId)) {
+                    const accountInfo = await this.connection.getAccountInfo(new PublicKey(swap.poolId));
+                    this.lbPairCache.set(swap.poolId, accountInfo ? decodeMeteoraLbPair(accountInfo.data) : null);
+                }
+                const lbPair = this.lbPairCache.get(swap.poolId);
+                const { dlmm } = swap;
+                if (lbPair && dlmm.tokenXDecimals !== null && dlmm.tokenYDecimals !== null) {
+                    dlmm.binStep = lbPair.binStep;
+                    dlmm.startPrice = getDlmmBinPrice(dlmm.startBinId, lbPair.binStep, dlmm.tokenXDecimals, dlmm.tokenYDecimals);
+                    dlmm.endPrice = getDlmmBinPrice(dlmm.endBinId, lbPair.binStep, dlmm.tokenXDecimals, dlmm.tokenYDecimals);
+                }
+            } catch (error) {
+                console.warn(`获取 Meteora LbPair ${swap.poolId} 失败:`, error.message);
+            }
+        }
+
+        return tradeInfo;
+    }
+
     /**
      * 解析 Orca 交易
      * @param {object} transaction - 交易数据
@@ -510,7 +801,7 @@ class SolanaDexTradeParser {
 
         // 查找 Orca 相关指令
         const orcaInstructions = txData.message.instructions.filter(ix =>
-            this.DEX_PROGRAMS.ORCA.includes(ix.programId?.toString())
+            this.registry.get('orca').programIds.includes(ix.programId?.toString())
         );
 
         // 分析代币余额变化
@@ -532,42 +823,33 @@ class SolanaDexTradeParser {
     }
 
     /**
-     * 解析 Pump.fun AMM 交易
+     * 解析 Pump.fun 联合曲线 / PumpSwap AMM 交易
      * @param {object} transaction - 交易数据
      * @returns {object|null} 交易信息
      */
     parsePumpFunTransaction(transaction) {
         const { meta, transaction: txData } = transaction;
-        const PUMP_FUN_PROGRAM_ID = this.DEX_PROGRAMS.PUMP_FUN[0];
 
-        // 辅助函数：从指令中获取 programId
-        const getProgramId = (ix, accountKeys) => {
-            // 如果是 parsed 格式，直接使用 programId
-            if (ix.programId) {
-                return typeof ix.programId === 'string' ? ix.programId : ix.programId.toString();
-            }
-            // 如果是 unparsed 格式，从 accountKeys 中获取
-            if (typeof ix.programIdIndex === 'number' && accountKeys) {
-                const account = accountKeys[ix.programIdIndex];
-                if (account) {
-                    if (typeof account === 'string') {
-                        return account;
-                    }
-                    if (account && typeof account === 'object') {
-                        return account.pubkey?.toString() || account.toString?.() || String(account);
-                    }
-                    return String(account);
-                }
-            }
+        // 优先解码 Anchor 指令和事件，得到准确的成交数量、手续费和储备
+        const activity = this.decodePumpFun(transaction);
+        if (activity.trades.length > 0) {
+            return this.buildPumpFunTrade(transaction, activity);
+        }
+        // 只有创建代币 / 迁移等非买卖指令
+        if (activity.instructions.length > 0) {
             return null;
-        };
+        }
 
-        const accountKeys = txData.message.accountKeys;
+        // 解码失败时回退到余额变化分析
+        const pumpProgramIds = this.registry.get('pump_fun').programIds;
+
+        const accountKeys = this.getTransactionAccountKeys(transaction);
+        const getProgramId = (ix) => resolveProgramId(ix, accountKeys);
         
         // 查找主指令中的 Pump.fun 相关指令
         const mainPumpFunInstructions = txData.message.instructions.filter(ix => {
-            const programId = getProgramId(ix, accountKeys);
-            return programId === PUMP_FUN_PROGRAM_ID;
+            const programId = getProgramId(ix);
+            return pumpProgramIds.includes(programId);
         });
         
         // 查找 innerInstructions 中的 Pump.fun 相关指令（重要：通过路由器调用的 Pump.fun 交易）
@@ -576,8 +858,8 @@ class SolanaDexTradeParser {
         innerInstructions.forEach(inner => {
             if (Array.isArray(inner.instructions)) {
                 inner.instructions.forEach(ix => {
-                    const programId = getProgramId(ix, accountKeys);
-                    if (programId === PUMP_FUN_PROGRAM_ID) {
+                    const programId = getProgramId(ix);
+                    if (pumpProgramIds.includes(programId)) {
                         innerPumpFunInstructions.push(ix);
                     }
                 });
@@ -590,8 +872,7 @@ class SolanaDexTradeParser {
         
         // 如果主指令和 innerInstructions 中都没有 Pump.fun 指令，但日志中包含 Pump.fun 程序 ID，仍然继续解析
         // 这是因为某些交易可能通过路由器调用，程序 ID 不在 accountKeys 中
-        const PUMP_FUN_PROGRAM_ID_LOWER = PUMP_FUN_PROGRAM_ID.toLowerCase();
-        const hasPumpFunInLogs = logText.includes(PUMP_FUN_PROGRAM_ID_LOWER);
+        const hasPumpFunInLogs = pumpProgramIds.some(id => logText.includes(id.toLowerCase()));
         
         if (mainPumpFunInstructions.length === 0 && innerPumpFunInstructions.length === 0 && !hasPumpFunInLogs) {
             return null;
@@ -637,6 +918,205 @@ class SolanaDexTradeParser {
         return null;
     }
 
+    /**
+     * 获取交易的完整账户列表（静态 accountKeys + 地址查找表加载的 writable / readonly 地址）
+     * @param {object} transaction - 交易数据
+     * @returns {array} 地址字符串列表（下标与指令中的账户索引一致）
+     */
+    getTransactionAccountKeys(transaction) {
+        return resolveAccountAddresses(transaction);
+    }
+
+    /**
+     * 按执行顺序展开所有指令（主指令后紧跟其内部指令），并解析程序 ID 和账户地址
+     * @param {object} transaction - 交易数据
+     * @returns {array} [{ programId, accounts, data, parsed, isInner, outerIndex }]
+     */
+    collectInstructions(transaction) {
+        const accountKeys = this.getTransactionAccountKeys(transaction);
+        const resolve = (key) => {
+            if (typeof key === 'number') return accountKeys[key] || null;
+            return key ? key.toString() : null;
+        };
+        const normalize = (ix, outerIndex, isInner) => ({
+            programId: ix.programId ? ix.programId.toString() : resolve(ix.programIdIndex),
+            accounts: (ix.accounts || []).map(resolve),
+            data: ix.data || null,
+            parsed: ix.parsed || null,
+            isInner,
+            outerIndex
+        });
+
+        const innerByIndex = new Map();
+        (transaction.meta?.innerInstructions || []).forEach(inner => {
+            innerByIndex.set(inner.index, inner.instructions || []);
+        });
+
+        const result = [];
+        (transaction.transaction?.message?.instructions || []).forEach((ix, index) => {
+            result.push(normalize(ix, index, false));
+            (innerByIndex.get(index) || []).forEach(innerIx => result.push(normalize(innerIx, index, true)));
+        });
+        return result;
+    }
+
+    /**
+     * 解码交易中的 Pump.fun 联合曲线 / PumpSwap AMM 指令和事件
+     * @param {object} transaction - 交易数据
+     * @returns {object} { instructions, events, trades }，见 decodePumpFunActivity
+     */
+    decodePumpFun(transaction) {
+        return decodePumpFunActivity(this.collectInstructions(transaction), transaction.meta?.logMessages || []);
+    }
+
+    /**
+     * 从代币余额中查找 mint 的精度
+     * @param {object} meta - 交易 meta
+     * @param {string} mint - 代币地址
+     * @param {number} defaultDecimals - 找不到时使用的默认精度
+     * @returns {number}
+     */
+    getMintDecimals(meta, mint, defaultDecimals) {
+        if (!mint || mint === this.SOL_MINT) return 9;
+        const balance = [...(meta?.postTokenBalances || []), ...(meta?.preTokenBalances || [])]
+            .find(item => item.mint === mint && item.uiTokenAmount?.decimals !== undefined);
+        return balance ? balance.uiTokenAmount.decimals : defaultDecimals;
+    }
+
+    /**
+     * 根据解码出的 Pump.fun 成交构建交易信息
+     * 单笔买入/卖出直接使用事件金额（买入金额包含 LP / 协议 / 创作者手续费，卖出金额为扣除手续费后的净收入）；
+     * 同一用户卖出 A 再买入 B 合并为 A → B 的兑换；
+     * 通过路由器用其他代币（如 USDC）买入时，以用户的净余额变化修正实际支付/收到的代币
+     * @param {object} transaction - 交易数据
+     * @param {object} activity - decodePumpFun 的结果
+     * @returns {object|null} 交易信息
+     */
+    buildPumpFunTrade(transaction, activity) {
+        const meta = transaction.meta || {};
+        const signers = this.getSignerAddresses(transaction);
+        const signerTrades = activity.trades.filter(trade => signers.includes(trade.user));
+        const trades = signerTrades.length > 0 ? signerTrades : activity.trades;
+        const holderAddress = trades[0].user;
+
+        const ownerDeltas = this.computeOwnerNetDeltas(transaction).get(holderAddress) || new Map();
+        // 代币腿优先使用用户的净余额变化（路由器/平台可能在进入 Pump 之前先扣除一部分代币作为手续费）；
+        // SOL 腿使用事件金额，避免把交易手续费、小费等计入成交金额
+        const toLeg = (mint, rawAmount, defaultDecimals, direction) => {
+            const tokenMint = mint || this.SOL_MINT;
+            const decimals = this.getMintDecimals(meta, tokenMint, defaultDecimals);
+            const delta = ownerDeltas.get(tokenMint);
+            const useDelta = tokenMint !== this.SOL_MINT && delta !== undefined && Math.sign(delta) === direction;
+            return {
+                mint: tokenMint,
+                symbol: tokenMint === this.SOL_MINT ? 'SOL' : 'Token',
+                amount: useDelta ? Math.abs(delta) : rawAmount / Math.pow(10, decimals),
+                decimals
+            };
+        };
+        const sumTrades = (side, mint, field) => trades
+            .filter(trade => trade.side === side && trade.mint === mint)
+            .reduce((sum, trade) => sum + trade[field], 0);
+
+        const main = trades[trades.length - 1];
+        const firstSell = trades.find(trade => trade.side === 'sell');
+        const lastBuy = [...trades].reverse().find(trade => trade.side === 'buy');
+
+        let type;
+        let soldToken;
+        let boughtToken;
+        if (firstSell && lastBuy && firstSell.mint !== lastBuy.mint) {
+            type = 'swap';
+            soldToken = toLeg(firstSell.mint, sumTrades('sell', firstSell.mint, 'tokenAmount'), 6, -1);
+            boughtToken = toLeg(lastBuy.mint, sumTrades('buy', lastBuy.mint, 'tokenAmount'), 6, 1);
+        } else {
+            const tokenAmount = sumTrades(main.side, main.mint, 'tokenAmount');
+            const quoteAmount = sumTrades(main.side, main.mint, 'userQuoteAmount');
+            type = main.side;
+            if (main.side === 'buy') {
+                soldToken = toLeg(main.quoteMint, quoteAmount, 9, -1);
+                boughtToken = toLeg(main.mint, tokenAmount, 6, 1);
+            } else {
+                soldToken = toLeg(main.mint, tokenAmount, 6, -1);
+                boughtToken = toLeg(main.quoteMint, quoteAmount, 9, 1);
+            }
+
+            // 路由场景：用户并没有直接支付/收到 SOL（净变化远小于成交金额），而是通过路由器把其他代币兑换成 SOL
+            const quoteMint = main.quoteMint || this.SOL_MINT;
+            const quoteLeg = main.side === 'buy' ? soldToken : boughtToken;
+            if (Math.abs(ownerDeltas.get(quoteMint) || 0) < quoteLeg.amount * 0.01) {
+                const direction = main.side === 'buy' ? -1 : 1;
+                let counterMint = null;
+                ownerDeltas.forEach((delta, mint) => {
+                    if (mint === main.mint || mint === quoteMint || Math.sign(delta) !== direction) return;
+                    if (!counterMint || Math.abs(delta) > Math.abs(ownerDeltas.get(counterMint))) {
+                        counterMint = mint;
+                    }
+                });
+                if (counterMint) {
+                    const counterLeg = toLeg(counterMint, 0, 6, direction);
+                    type = 'swap';
+                    if (main.side === 'buy') {
+                        soldToken = counterLeg;
+                    } else {
+                        boughtToken = counterLeg;
+                    }
+                }
+            }
+        }
+
+        const fees = trades.reduce((total, trade) => ({
+            lpFee: total.lpFee + trade.fees.lpFee,
+            protocolFee: total.protocolFee + trade.fees.protocolFee,
+            creatorFee: total.creatorFee + trade.fees.creatorFee
+        }), { lpFee: 0, protocolFee: 0, creatorFee: 0 });
+        const createEvent = activity.events.find(event => event.name === 'CreateEvent');
+        const migrated = activity.events.some(event =>
+            event.name === 'CompleteEvent' || event.name === 'CompletePumpAmmMigrationEvent'
+        );
+
+        return {
+            type,
+            soldToken,
+            boughtToken,
+            price: this.calculateTradePrice(type, soldToken, boughtToken),
+            holderAddress,
+            dex: main.program === 'amm' ? 'pump_fun_amm' : 'pump_fun',
+            source: 'pump_fun_decoder',
+            platform: 'pump.fun',
+            instructions: activity.instructions.length,
+            routed: trades.some(trade => trade.routed),
+            pumpFun: {
+                program: main.program,
+                instruction: main.instruction,
+                mint: main.mint,
+                creator: main.creator || createEvent?.creator || null,
+                pool: main.pool,
+                bondingCurve: main.bondingCurve,
+                // 以下数量均为链上原始单位（lamports / 代币最小单位）
+                solAmount: main.quoteAmount,
+                totalSolAmount: main.userQuoteAmount,
+                tokenAmount: main.tokenAmount,
+                fees: { ...fees, total: fees.lpFee + fees.protocolFee + fees.creatorFee },
+                reserves: main.reserves,
+                created: createEvent
+                    ? { name: createEvent.tokenName, symbol: createEvent.symbol, uri: createEvent.uri, creator: createEvent.creator }
+                    : null,
+                migrated,
+                trades
+            },
+            // PumpSwap 池子 / 联合曲线账户本身持有代币金库
+            pools: trades
+                .filter(trade => trade.pool || trade.bondingCurve)
+                .map(trade => ({
+                    address: trade.pool || trade.bondingCurve,
+                    dex: trade.program === 'amm' ? 'pump_fun_amm' : 'pump_fun',
+                    mints: [trade.mint, trade.quoteMint || this.SOL_MINT],
+                    vaultOwners: [trade.pool || trade.bondingCurve]
+                }))
+        };
+    }
+
     /**
      * 通用交易解析（后备方案）
      * @param {object} transaction - 交易数据
@@ -872,7 +1352,8 @@ class SolanaDexTradeParser {
                 price: this.calculatePrice(sold[0], bought[0]),
                 dex,
                 source: 'generic_parser',
-                holderAddress: holderAddress
+                holderAddress: holderAddress,
+                solFromBalanceDiff: sold[0].type === 'sol' || bought[0].type === 'sol'
             };
         }
 
@@ -912,7 +1393,8 @@ class SolanaDexTradeParser {
                     dex,
                     source: 'generic_parser',
                     note: '交易包含多个变化，已提取主要交易对',
-                    holderAddress: holderAddress
+                    holderAddress: holderAddress,
+                    solFromBalanceDiff: maxSold.type === 'sol' || maxBought.type === 'sol'
                 };
             }
         }
@@ -1098,7 +1580,9 @@ class SolanaDexTradeParser {
                     decimals: tokenBought.decimals
                 },
                 price: totalSolSpent / tokenBought.totalChange,
-                holderAddress: holderAddress
+                holderAddress: holderAddress,
+                // SOL 金额来自原生余额变化，包含手续费、小费和租金（见 applyFeeBreakdown）
+                solFromBalanceDiff: true
             };
         }
 
@@ -1182,13 +1666,427 @@ class SolanaDexTradeParser {
                     decimals: 9
                 },
                 price: totalSolReceived / Math.abs(tokenSold.totalChange),
-                holderAddress: holderAddress || null
+                holderAddress: holderAddress || null,
+                solFromBalanceDiff: true
             };
         }
 
         return null;
     }
 
+    /**
+     * 获取交易的签名者地址（按 accountKeys 顺序，第一个为手续费支付者）
+     * @param {object} transaction - 交易数据
+     * @returns {array} 签名者地址列表
+     */
+    getSignerAddresses(transaction) {
+        return resolveAccountKeys(transaction)
+            .filter(accountKey => accountKey.signer)
+            .map(accountKey => accountKey.pubkey);
+    }
+
+    /**
+     * 计算每个 owner 在每个 mint 上的净变化（同一 owner 的多个代币账户合并计算）
+     * 路由中转账户的转入转出在同一 owner 下相互抵消，只留下真实的净变化
+     * WSOL 与原生 SOL 合并为 SOL_MINT（手续费支付者的原生 SOL 变化会扣除交易手续费）
+     * @param {object} transaction - 交易数据
+     * @returns {Map<string, Map<string, number>>} owner -> (mint -> 净变化)
+     */
+    computeOwnerNetDeltas(transaction) {
+        const meta = transaction.meta || {};
+        const deltas = new Map();
+
+        const addDelta = (owner, mint, amount) => {
+            if (!owner || !mint || !amount) return;
+            if (!deltas.has(owner)) {
+                deltas.set(owner, new Map());
+            }
+            const ownerDeltas = deltas.get(owner);
+            ownerDeltas.set(mint, (ownerDeltas.get(mint) || 0) + amount);
+        };
+
+        (meta.preTokenBalances || []).forEach(pre => addDelta(pre.owner, pre.mint, -this.getBalanceAmount(pre)));
+        (meta.postTokenBalances || []).forEach(post => addDelta(post.owner, post.mint, this.getBalanceAmount(post)));
+
+        // 原生 SOL 变化（只计入已经出现在代币变化中的 owner，避免把手续费接收方等账户当作交易者）
+        const feePayer = this.getSignerAddresses(transaction)[0];
+        this.parseSOLBalanceChanges(transaction).forEach(change => {
+            if (!deltas.has(change.account)) return;
+            const fee = change.account === feePayer ? (meta.fee || 0) / 1e9 : 0;
+            addDelta(change.account, this.SOL_MINT, change.change + fee);
+        });
+
+        return deltas;
+    }
+
+    /**
+     * 判断地址是否可能是路由/池子等程序控制的账户（程序 ID、系统程序或 PDA）
+     * @param {string} address - 地址
+     * @returns {boolean}
+     */
+    isProgramControlledAddress(address) {
+        if (this.registry.findByProgramId(address)) {
+            return true;
+        }
+        try {
+            // PDA 不在 ed25519 曲线上，普通钱包地址在曲线上
+            return !PublicKey.isOnCurve(new PublicKey(address).toBytes());
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 识别交易的真实持有人
+     * 基于每个 owner 的净代币变化（中转账户已抵消），过滤掉 PDA/程序账户，
+     * 按以下启发式规则打分（置信度从高到低）：
+     *   - signer_net_delta: 签名者，且同时有转出和转入（完整的一笔交换）
+     *   - signer_token_delta: 签名者，只有单边代币变化
+     *   - owner_net_delta: 非签名者钱包（中继/代付手续费场景），同时有转出和转入
+     *   - owner_token_delta: 非签名者钱包，只有单边代币变化
+     *   - first_signer: 没有任何候选，回退到第一个签名者
+     * 如果传入 tradeInfo，与成交代币无关的候选置信度减半
+     * @param {object} transaction - 交易数据
+     * @param {object} tradeInfo - 已解析的交易信息（可选）
+     * @returns {object} { holderAddress, confidence, heuristic }
+     */
+    attributeHolder(transaction, tradeInfo = null) {
+        const DUST = 0.000001;
+        const signers = this.getSignerAddresses(transaction);
+        const tradeMints = new Set(
+            [tradeInfo?.soldToken?.mint, tradeInfo?.boughtToken?.mint]
+                .filter(mint => mint && mint !== this.SOL_MINT && mint !== 'SOL')
+        );
+
+        let best = null;
+        this.computeOwnerNetDeltas(transaction).forEach((ownerDeltas, owner) => {
+            if (this.isProgramControlledAddress(owner)) return;
+
+            const legs = Array.from(ownerDeltas.entries()).filter(([, delta]) => Math.abs(delta) > DUST);
+            const tokenLegs = legs.filter(([mint]) => mint !== this.SOL_MINT);
+            if (tokenLegs.length === 0) return;
+
+            const hasIn = legs.some(([, delta]) => delta > 0);
+            const hasOut = legs.some(([, delta]) => delta < 0);
+            const isSigner = signers.includes(owner);
+
+            let heuristic;
+            let confidence;
+            if (isSigner && hasIn && hasOut) {
+                heuristic = 'signer_net_delta';
+                confidence = 0.95;
+            } else if (isSigner) {
+                heuristic = 'signer_token_delta';
+                confidence = 0.85;
+            } else if (hasIn && hasOut) {
+                heuristic = 'owner_net_delta';
+                confidence = 0.75;
+            } else {
+                heuristic = 'owner_token_delta';
+                confidence = 0.55;
+            }
+
+            if (tradeMints.size > 0 && !tokenLegs.some(([mint]) => tradeMints.has(mint))) {
+                confidence /= 2;
+            }
+
+            // 置信度相同时，优先签名者顺序靠前的，其次是代币变化更大的
+            const signerRank = isSigner ? signers.indexOf(owner) : signers.length;
+            const tradeVolume = tokenLegs.reduce((sum, [, delta]) => sum + Math.abs(delta), 0);
+            const isBetter = !best ||
+                confidence > best.confidence ||
+                (confidence === best.confidence && signerRank < best.signerRank) ||
+                (confidence === best.confidence && signerRank === best.signerRank && tradeVolume > best.tradeVolume);
+
+            if (isBetter) {
+                best = { holderAddress: owner, confidence, heuristic, signerRank, tradeVolume };
+            }
+        });
+
+        if (best) {
+            return {
+                holderAddress: best.holderAddress,
+                confidence: best.confidence,
+                heuristic: best.heuristic
+            };
+        }
+
+        if (signers.length > 0) {
+            return { holderAddress: signers[0], confidence: 0.3, heuristic: 'first_signer' };
+        }
+
+        return { holderAddress: null, confidence: 0, heuristic: 'none' };
+    }
+
+    /**
+     * 用持有人识别结果补充交易信息（holderAddress、holderConfidence、holderHeuristic）
+     * 净变化规则没有找到候选时，保留解析器原有的持有人
+     * @param {object} tradeInfo - 交易信息
+     * @param {object} transaction - 交易数据
+     * @returns {object} 交易信息
+     */
+    applyHolderAttribution(tradeInfo, transaction) {
+        if (!tradeInfo || !transaction?.meta) {
+            return tradeInfo;
+        }
+
+        const attribution = this.attributeHolder(transaction, tradeInfo);
+        if (attribution.heuristic === 'first_signer' || attribution.heuristic === 'none') {
+            if (tradeInfo.holderAddress) {
+                tradeInfo.holderConfidence = 0.3;
+                tradeInfo.holderHeuristic = 'parser_fallback';
+                return tradeInfo;
+            }
+        }
+
+        tradeInfo.holderAddress = attribution.holderAddress;
+        tradeInfo.holderConfidence = attribution.confidence;
+        tradeInfo.holderHeuristic = attribution.heuristic;
+        return tradeInfo;
+    }
+
+    /**
+     * 每个代币账户的原始数量变化（post - pre）
+     * @param {object} transaction - 交易数据
+     * @returns {Map<string, number>} 代币账户地址 -> 原始数量变化
+     */
+    getTokenAccountRawDeltas(transaction) {
+        const accountKeys = this.getTransactionAccountKeys(transaction);
+        const meta = transaction.meta || {};
+        const deltas = new Map();
+        const add = (balance, sign) => {
+            const address = accountKeys[balance.accountIndex];
+            if (!address) return;
+            deltas.set(address, (deltas.get(address) || 0) + sign * Number(balance.uiTokenAmount?.amount || 0));
+        };
+        (meta.preTokenBalances || []).forEach(balance => add(balance, -1));
+        (meta.postTokenBalances || []).forEach(balance => add(balance, 1));
+        return deltas;
+    }
+
+    /**
+     * Token-2022 转账手续费：按持有人与其他账户之间的转账，给卖出/买入代币补充
+     * transferFee { grossAmount, withheldFee, netAmount }（转出总额、被扣留在接收账户中的手续费、实际到账数量）
+     * 手续费优先使用 TransferCheckedWithFee 声明的 fee，否则按接收账户的实际余额变化推算；
+     * 买入代币的 amount 修正为实际到账数量，卖出代币的 amount 为持有人转出的总额，并重新计算价格
+     * @param {object} tradeInfo - 交易信息（需要 holderAddress）
+     * @param {object} transaction - 交易数据
+     * @returns {object} 交易信息
+     */
+    applyToken2022Amounts(tradeInfo, transaction) {
+        if (!tradeInfo?.holderAddress || !transaction?.meta) {
+            return tradeInfo;
+        }
+
+        const tokenAccounts = this.getTokenAccountInfo(transaction);
+        const token2022Mints = new Set(
+            Array.from(tokenAccounts.values())
+                .filter(account => account.programId === TOKEN_2022_PROGRAM_ID)
+                .map(account => account.mint)
+        );
+        const transfers = this.collectInstructions(transaction)
+            .filter(ix => ix.programId === TOKEN_2022_PROGRAM_ID)
+            .map(ix => decodeTokenTransfer(ix))
+            .filter(Boolean);
+        // 旧版本 RPC 的余额中没有 programId，通过 Token-2022 程序执行的转账识别
+        transfers.forEach(transfer => {
+            const mint = transfer.mint || tokenAccounts.get(transfer.source)?.mint;
+            if (mint) token2022Mints.add(mint);
+        });
+        if (token2022Mints.size === 0) {
+            return tradeInfo;
+        }
+
+        const holder = tradeInfo.holderAddress;
+        const rawDeltas = this.getTokenAccountRawDeltas(transaction);
+        let adjusted = false;
+
+        for (const [side, direction] of [['soldToken', 'out'], ['boughtToken', 'in']]) {
+            const token = tradeInfo[side];
+            if (!token?.mint || !token2022Mints.has(token.mint)) continue;
+
+            const holderTransfers = transfers.filter(transfer => {
+                const source = tokenAccounts.get(transfer.source);
+                const destination = tokenAccounts.get(transfer.destination);
+                const mint = transfer.mint || source?.mint || destination?.mint;
+                if (mint !== token.mint) return false;
+                const fromHolder = source?.owner === holder;
+                const toHolder = destination?.owner === holder;
+                return direction === 'out' ? fromHolder && !toHolder : toHolder && !fromHolder;
+            });
+            if (holderTransfers.length === 0) continue;
+
+            const decimals = token.decimals ?? this.getMintDecimals(transaction.meta, token.mint, 0);
+            const gross = holderTransfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+            let withheld;
+            if (holderTransfers.every(transfer => transfer.fee !== null)) {
+                withheld = holderTransfers.reduce((sum, transfer) => sum + transfer.fee, 0);
+            } else {
+                const destinations = new Set(holderTransfers.map(transfer => transfer.destination));
+                const received = Array.from(destinations).reduce((sum, address) => sum + (rawDeltas.get(address) || 0), 0);
+                withheld = received > 0 && received <= gross ? gross - received : 0;
+            }
+
+            const scale = Math.pow(10, decimals);
+            token.tokenProgram = 'token-2022';
+            token.transferFee = {
+                grossAmount: gross / scale,
+                withheldFee: withheld / scale,
+                netAmount: (gross - withheld) / scale
+            };
+            token.amount = direction === 'in' ? token.transferFee.netAmount : token.transferFee.grossAmount;
+            adjusted = true;
+        }
+
+        if (adjusted && tradeInfo.soldToken?.amount && tradeInfo.boughtToken?.amount) {
+            tradeInfo.price = this.calculateTradePrice(tradeInfo.type, tradeInfo.soldToken, tradeInfo.boughtToken);
+        }
+        return tradeInfo;
+    }
+
+    /**
+     * 构建交易的所有腿：每个钱包 owner 在每个代币上的净变化（池子/路由等程序控制的账户除外）
+     * 捆绑交易（同一笔交易买入 A 卖出 B、多个钱包同时买入）和套利循环的每一腿都会保留下来，
+     * soldToken / boughtToken 只是持有人主交易对的汇总
+     * @param {object} transaction - 交易数据
+     * @returns {Array<{owner: string, mint: string, direction: string, amount: number, decimals: number, isSigner: boolean}>}
+     */
+    buildTradeLegs(transaction) {
+        const DUST = 0.000001;
+        const signers = this.getSignerAddresses(transaction);
+        const legs = [];
+
+        this.computeOwnerNetDeltas(transaction).forEach((ownerDeltas, owner) => {
+            if (this.isProgramControlledAddress(owner)) return;
+
+            ownerDeltas.forEach((delta, mint) => {
+                if (Math.abs(delta) <= DUST) return;
+                const decimals = this.getMintDecimals(transaction.meta, mint, 0);
+                legs.push({
+                    owner,
+                    mint,
+                    direction: delta > 0 ? 'in' : 'out',
+                    // 多个余额相加有浮点误差，按代币精度取整
+                    amount: Number(Math.abs(delta).toFixed(decimals)),
+                    decimals,
+                    isSigner: signers.includes(owner)
+                });
+            });
+        });
+
+        return legs;
+    }
+
+    /**
+     * 为交易信息补充 legs（见 buildTradeLegs）
+     * @param {object} tradeInfo - 交易信息
+     * @param {object} transaction - 交易数据
+     * @returns {object} 交易信息
+     */
+    applyTradeLegs(tradeInfo, transaction) {
+        if (!tradeInfo || !transaction?.meta) {
+            return tradeInfo;
+        }
+        tradeInfo.legs = this.excludeTradeCosts(this.buildTradeLegs(transaction), tradeInfo);
+        return tradeInfo;
+    }
+
+    /**
+     * 拆分交易成本：补充 fee（交易手续费，SOL）和 feeBreakdown（持有人承担的各项成本，见 analyzeTradeFees）
+     * SOL 金额来自余额变化的解析结果（solFromBalanceDiff）会扣除这些成本，只保留成交金额：
+     * 买入花费的 SOL 减去成本，卖出收到的 SOL 加回成本，并重新计算价格
+     * @param {object} tradeInfo - 交易信息
+     * @param {object} transaction - 交易数据
+     * @returns {object} 交易信息
+     */
+    applyFeeBreakdown(tradeInfo, transaction) {
+        if (!tradeInfo || !transaction?.meta) {
+            return tradeInfo;
+        }
+
+        const { meta } = transaction;
+        const message = transaction.transaction?.message;
+        const breakdown = analyzeTradeFees({
+            instructions: this.collectInstructions(transaction),
+            meta,
+            holderAddress: tradeInfo.holderAddress,
+            feePayer: this.getSignerAddresses(transaction)[0],
+            signatureCount: transaction.transaction?.signatures?.length || message?.header?.numRequiredSignatures || 1,
+            SOL_MINT: this.SOL_MINT
+        });
+        breakdown.notionalAdjusted = false;
+
+        if (tradeInfo.solFromBalanceDiff && breakdown.total !== 0) {
+            const solToken = tradeInfo.type === 'buy' ? tradeInfo.soldToken : tradeInfo.type === 'sell' ? tradeInfo.boughtToken : null;
+            if (solToken?.mint === this.SOL_MINT) {
+                const notional = Number((tradeInfo.type === 'buy'
+                    ? solToken.amount - breakdown.total
+                    : solToken.amount + breakdown.total).toFixed(9));
+                if (notional > 0) {
+                    solToken.amount = notional;
+                    tradeInfo.price = this.calculateTradePrice(tradeInfo.type, tradeInfo.soldToken, tradeInfo.boughtToken);
+                    breakdown.notionalAdjusted = true;
+                }
+            }
+        }
+        delete tradeInfo.solFromBalanceDiff;
+
+        tradeInfo.fee = typeof meta.fee === 'number' ? meta.fee / 1e9 : (tradeInfo.fee ?? null);
+        tradeInfo.feeBreakdown = breakdown;
+        return tradeInfo;
+    }
+
+    /**
+     * 识别交易平台：补充 tradingPlatform（Photon、BullX、GMGN 等交易机器人/终端，或直接在聚合器下单时的聚合器名称）、
+     * router（经过的聚合器）和 platformSignals（命中的特征），见 classifyTradingPlatform
+     * @param {object} tradeInfo - 交易信息
+     * @param {object} transaction - 交易数据
+     * @returns {object} 交易信息
+     */
+    applyTradingPlatform(tradeInfo, transaction) {
+        if (!tradeInfo || !transaction?.meta) {
+            return tradeInfo;
+        }
+
+        const { tradingPlatform, router, signals } = classifyTradingPlatform({
+            instructions: this.collectInstructions(transaction),
+            accountKeys: this.getTransactionAccountKeys(transaction),
+            meta: transaction.meta,
+            routerPrograms: this.registry.getAggregatorPrograms()
+        });
+        tradeInfo.tradingPlatform = tradingPlatform;
+        tradeInfo.router = router;
+        tradeInfo.platformSignals = signals;
+        return tradeInfo;
+    }
+
+    /**
+     * 从持有人的 SOL 腿中扣除小费、平台费和租金
+     * （computeOwnerNetDeltas 已经扣除了交易手续费，这里只处理其余成本）
+     * @param {Array<object>} legs - 交易腿
+     * @param {object} tradeInfo - 交易信息（需要 holderAddress 和 feeBreakdown）
+     * @returns {Array<object>} 交易腿
+     */
+    excludeTradeCosts(legs, tradeInfo) {
+        const breakdown = tradeInfo.feeBreakdown;
+        if (!breakdown) {
+            return legs;
+        }
+        const costs = breakdown.jitoTip + breakdown.botFee + breakdown.rentPaid - breakdown.rentRefunded;
+        const solLeg = legs.find(leg => leg.owner === tradeInfo.holderAddress && leg.mint === this.SOL_MINT);
+        if (!solLeg || costs === 0) {
+            return legs;
+        }
+
+        const delta = (solLeg.direction === 'in' ? solLeg.amount : -solLeg.amount) + costs;
+        if (Math.abs(delta) <= 0.000001) {
+            return legs.filter(leg => leg !== solLeg);
+        }
+        solLeg.direction = delta > 0 ? 'in' : 'out';
+        solLeg.amount = Number(Math.abs(delta).toFixed(solLeg.decimals));
+        return legs;
+    }
+
     /**
      * 推断交易类型
      * @param {string} inputMint - 输入代币
@@ -1201,6 +2099,19 @@ class SolanaDexTradeParser {
         return 'swap';
     }
 
+    /**
+     * 计算成交价格：与余额分析保持一致，买卖以每个代币的 SOL 价格表示，兑换为买入数量 / 卖出数量
+     * @param {string} type - 交易类型
+     * @param {object} soldToken - 卖出代币
+     * @param {object} boughtToken - 买入代币
+     * @returns {number} 价格
+     */
+    calculateTradePrice(type, soldToken, boughtToken) {
+        if (type === 'buy') return soldToken.amount / boughtToken.amount;
+        if (type === 'sell') return boughtToken.amount / soldToken.amount;
+        return this.calculatePrice(soldToken, boughtToken);
+    }
+
     /**
      * 计算价格
      * @param {object} sold - 卖出代币
@@ -1216,6 +2127,20 @@ class SolanaDexTradeParser {
         return boughtAmount / soldAmount;
     }
 
+    /**
+     * 代币余额的实际数量（原始数量 / 10^decimals）
+     * 不使用 uiAmount：Token-2022 的计息（interest-bearing）等扩展会按利率缩放 uiAmount，与实际转账数量不一致
+     * @param {object} balance - pre/postTokenBalances 中的一项
+     * @returns {number} 数量
+     */
+    getBalanceAmount(balance) {
+        const tokenAmount = balance?.uiTokenAmount || {};
+        if (tokenAmount.amount !== undefined && tokenAmount.decimals !== undefined) {
+            return Number(tokenAmount.amount) / Math.pow(10, tokenAmount.decimals);
+        }
+        return tokenAmount.uiAmount || 0;
+    }
+
     /**
      * 解析代币余额变化
      * @param {object} meta - 交易元数据
@@ -1257,8 +2182,8 @@ class SolanaDexTradeParser {
             const key = `${post.owner}-${post.mint}`;
             const pre = preMap.get(key);
             
-            const postAmount = post.uiTokenAmount?.uiAmount || 0;
-            const preAmount = pre?.uiTokenAmount?.uiAmount || 0;
+            const postAmount = this.getBalanceAmount(post);
+            const preAmount = (pre ? this.getBalanceAmount(pre) : 0);
             
             // 如果余额有变化，记录变化
             if (Math.abs(postAmount - preAmount) > 0.000001) {
@@ -1280,8 +2205,8 @@ class SolanaDexTradeParser {
             const key = `${pre.owner}-${pre.mint}`;
             const post = postMap.get(key);
             
-            const preAmount = pre.uiTokenAmount?.uiAmount || 0;
-            const postAmount = post?.uiTokenAmount?.uiAmount || 0;
+            const preAmount = this.getBalanceAmount(pre);
+            const postAmount = (post ? this.getBalanceAmount(post) : 0);
             
             // 如果 pre 有余额但 post 没有（账户消失），记录为负变化（卖出）
             if (preAmount > 0.000001 && (!post || postAmount < 0.000001)) {
@@ -1307,8 +2232,8 @@ class SolanaDexTradeParser {
             const key = `${post.owner}-${post.mint}`;
             const pre = preMap.get(key);
             
-            const postAmount = post.uiTokenAmount?.uiAmount || 0;
-            const preAmount = pre?.uiTokenAmount?.uiAmount || 0;
+            const postAmount = this.getBalanceAmount(post);
+            const preAmount = (pre ? this.getBalanceAmount(pre) : 0);
             
             // 如果 post 有余额但 pre 不存在（新账户），记录为正变化（买入）
             // 注意：第一个循环可能已经处理了这种情况（preAmount=0），但为了确保，这里也检查
@@ -1339,74 +2264,27 @@ class SolanaDexTradeParser {
      * @returns {array} SOL 变化列表
      */
     parseSOLBalanceChanges(transaction) {
-        const { meta, transaction: { message } } = transaction;
+        const { meta } = transaction;
         const changes = [];
 
         if (!meta?.postBalances) return changes;
 
-        // 获取签名者数量（根据 Solana 规范，前 numRequiredSignatures 个账户是签名者）
-        const numRequiredSignatures = message.header?.numRequiredSignatures || 0;
-        const numReadonlySignedAccounts = message.header?.numReadonlySignedAccounts || 0;
-        // 签名者账户索引范围：0 到 (numRequiredSignatures - 1)
-        const signerEndIndex = numRequiredSignatures;
-
-        // 构建完整的账户地址列表（包括 loadedAddresses）
-        const allAccountKeys = [...(message.accountKeys || [])];
-        const loadedAddresses = meta.loadedAddresses || {};
-        const writableLoaded = loadedAddresses.writable || [];
-        const readonlyLoaded = loadedAddresses.readonly || [];
-        const allLoadedAddresses = [...writableLoaded, ...readonlyLoaded];
-        
-        // 将 loadedAddresses 添加到账户列表
-        allLoadedAddresses.forEach(addr => {
-            allAccountKeys.push(addr);
-        });
+        // 余额按完整账户列表编号（静态账户 + 地址查找表加载的 writable / readonly 账户）
+        const accountKeys = resolveAccountKeys(transaction);
 
         meta.postBalances.forEach((postBalance, index) => {
             const preBalance = meta.preBalances[index];
 
             if (preBalance !== postBalance) {
-                const accountKey = allAccountKeys[index];
-                
-                // 安全地获取账户地址（处理不同的数据格式）
-                let accountAddress = null;
-                let isSigner = false;
-                let isWritable = false;
-                
-                if (accountKey) {
-                    if (typeof accountKey === 'string') {
-                        accountAddress = accountKey;
-                        // 如果是字符串格式，根据索引判断是否是签名者
-                        isSigner = index < signerEndIndex;
-                    } else if (accountKey && typeof accountKey === 'object') {
-                        accountAddress = accountKey.pubkey?.toString() || accountKey.toString?.() || String(accountKey);
-                        // 优先使用对象中的 signer 属性，如果没有则根据索引判断
-                        isSigner = accountKey.signer !== undefined ? accountKey.signer : (index < signerEndIndex);
-                        isWritable = accountKey.writable || false;
-                    } else {
-                        accountAddress = String(accountKey);
-                        isSigner = index < signerEndIndex;
-                    }
-                } else {
-                    // 如果 accountKey 不存在，尝试从 loadedAddresses 获取
-                    const loadedIndex = index - (message.accountKeys?.length || 0);
-                    if (loadedIndex >= 0 && loadedIndex < allLoadedAddresses.length) {
-                        accountAddress = allLoadedAddresses[loadedIndex];
-                        isSigner = false; // loadedAddresses 中的账户不是签名者
-                    } else {
-                        // 如果还是找不到，使用索引作为占位符（但这种情况应该很少）
-                        accountAddress = `account_${index}`;
-                        isSigner = index < signerEndIndex;
-                    }
-                }
-                
+                const accountKey = accountKeys[index];
                 changes.push({
-                    account: accountAddress,
+                    // 账户列表与余额长度不一致时使用索引作为占位符（这种情况应该很少）
+                    account: accountKey?.pubkey || `account_${index}`,
                     preBalance: preBalance / 1e9,
                     postBalance: postBalance / 1e9,
                     change: (postBalance - preBalance) / 1e9,
-                    isSigner: isSigner,
-                    isWritable: isWritable
+                    isSigner: accountKey?.signer || false,
+                    isWritable: accountKey?.writable || false
                 });
             }
         });
@@ -1450,7 +2328,7 @@ class SolanaDexTradeParser {
      * @returns {number} 订阅ID
      */
     monitorDexTrades(dex, callback) {
-        const programIds = this.DEX_PROGRAMS[dex.toUpperCase()];
+        const programIds = this.registry.get(dex)?.programIds;
 
         if (!programIds || programIds.length === 0) {
             throw new Error(`Unsupported DEX: ${dex}`);
@@ -0,0 +1,89 @@
+/**
+ * 交易账户列表解析
+ * v0 交易的账户由两部分组成：消息中的静态 accountKeys + 地址查找表（ALT）加载的账户，
+ * 指令中的账户索引、meta.preBalances / postBalances 都按「静态账户 → ALT writable → ALT readonly」的顺序编号。
+ * - json / base64 编码（getTransaction）：ALT 账户只出现在 meta.loadedAddresses 中，需要追加到静态账户之后
+ * - jsonParsed 编码（getParsedTransaction）：accountKeys 已包含 ALT 账户（source = 'lookupTable'），不能重复追加
+ */
+
+function toAddress(accountKey) {
+    if (!accountKey) return null;
+    if (typeof accountKey === 'string') return accountKey;
+    if (accountKey.pubkey) return accountKey.pubkey.toString();
+    return accountKey.toString();
+}
+
+/**
+ * 解析交易的完整账户列表
+ * @param {object} transaction - 交易数据 { transaction: { message }, meta }
+ * @returns {Array<{pubkey: string, signer: boolean, writable: boolean, source: string}>}
+ *          source 为 'transaction'（静态账户）或 'lookupTable'（ALT 加载的账户）
+ */
+export function resolveAccountKeys(transaction) {
+    const message = transaction?.transaction?.message;
+    if (!message) return [];
+
+    // VersionedMessage 对象使用 staticAccountKeys
+    const staticKeys = message.accountKeys || message.staticAccountKeys || [];
+    const header = message.header || {};
+    const numRequiredSignatures = header.numRequiredSignatures || 0;
+    const numReadonlySigned = header.numReadonlySignedAccounts || 0;
+    const numReadonlyUnsigned = header.numReadonlyUnsignedAccounts || 0;
+
+    const accountKeys = staticKeys.map((accountKey, index) => {
+        // jsonParsed 格式自带 signer / writable / source
+        if (accountKey && typeof accountKey === 'object' && accountKey.pubkey) {
+            return {
+                pubkey: toAddress(accountKey),
+                signer: accountKey.signer !== undefined ? accountKey.signer : index < numRequiredSignatures,
+                writable: accountKey.writable || false,
+                source: accountKey.source || 'transaction'
+            };
+        }
+        // 按消息头推断：签名账户在前（其中最后 numReadonlySigned 个只读），非签名账户中最后 numReadonlyUnsigned 个只读
+        const signer = index < numRequiredSignatures;
+        const writable = signer
+            ? index < numRequiredSignatures - numReadonlySigned
+            : index < staticKeys.length - numReadonlyUnsigned;
+        return { pubkey: toAddress(accountKey), signer, writable, source: 'transaction' };
+    });
+
+    const hasLookupSource = accountKeys.some(accountKey => accountKey.source === 'lookupTable');
+    const loadedAddresses = transaction.meta?.loadedAddresses;
+    if (hasLookupSource || !loadedAddresses) {
+        return accountKeys;
+    }
+
+    (loadedAddresses.writable || []).forEach(address => {
+        accountKeys.push({ pubkey: toAddress(address), signer: false, writable: true, source: 'lookupTable' });
+    });
+    (loadedAddresses.readonly || []).forEach(address => {
+        accountKeys.push({ pubkey: toAddress(address), signer: false, writable: false, source: 'lookupTable' });
+    });
+    return accountKeys;
+}
+
+/**
+ * 解析交易的完整账户地址列表（下标即账户索引）
+ * @param {object} transaction - 交易数据
+ * @returns {Array<string>}
+ */
+export function resolveAccountAddresses(transaction) {
+    return resolveAccountKeys(transaction).map(accountKey => accountKey.pubkey);
+}
+
+/**
+ * 获取指令的程序 ID（jsonParsed 格式直接带 programId，json 格式通过 programIdIndex 查账户列表）
+ * @param {object} ix - 指令
+ * @param {Array<string>} accountAddresses - resolveAccountAddresses 返回的地址列表
+ * @returns {string|null}
+ */
+export function resolveProgramId(ix, accountAddresses) {
+    if (ix?.programId) {
+        return ix.programId.toString();
+    }
+    if (typeof ix?.programIdIndex === 'number') {
+        return accountAddresses[ix.programIdIndex] || null;
+    }
+    return null;
+}
@@ -1,5 +1,6 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { config } from '../config/index.js';
+import { resolveAccountAddresses } from './accountKeys.js';
 
 /**
  * 地址聚类服务
@@ -156,10 +157,9 @@ function extractRelatedAddresses(transaction, targetAddress) {
     return [];
   }
 
+  // transaction.transaction 为 getParsedTransaction 的结果 { transaction: { message }, meta }
   const tx = transaction.transaction;
-  const message = tx.message;
-
-  if (!message || !message.accountKeys) {
+  if (!tx.transaction?.message) {
     return [];
   }
 
@@ -171,10 +171,8 @@ function extractRelatedAddresses(transaction, targetAddress) {
     // 但仍然提取地址，因为可能有关联
   }
 
-  // 提取交易中的所有地址
-  const accountKeys = message.accountKeys.map(key => 
-    typeof key === 'string' ? key : key.pubkey?.toString()
-  ).filter(Boolean);
+  // 提取交易中的所有地址（包含地址查找表加载的账户，下标与 preBalances / postBalances 对齐）
+  const accountKeys = resolveAccountAddresses(tx);
 
   // 从代币余额变化中提取地址（最相关，因为涉及实际的代币转移）
   if (tx.meta && tx.meta.preTokenBalances && tx.meta.postTokenBalances) {
@@ -214,7 +212,7 @@ function extractRelatedAddresses(transaction, targetAddress) {
   if (relatedAddresses.size === 0) {
     // 添加其他账户地址（但权重较低）
     accountKeys.forEach(addr => {
-      if (addr !== targetAddress) {
+      if (addr && addr !== targetAddress) {
         relatedAddresses.add(addr);
       }
     });
@@ -0,0 +1,218 @@
+import { resolveAccountKeys } from './accountKeys.js';
+import { feeAccountsConfig } from '../config/feeAccountsConfig.js';
+
+/**
+ * 捆绑买入检测（不依赖网络和数据库）
+ * 把同一代币的买入分组为疑似捆绑（bundle），以下情况的买入归为同一组（可传递合并）：
+ *   - same-transaction：同一笔交易内多个钱包买入
+ *   - same-slot：同一个 slot 内多个钱包买入
+ *   - shared-tip：相邻的买入交易给同一个 Jito 小费账户付小费（slot 相差不超过 tipSlotGap）
+ * 钱包数不少于 minWallets 的组才输出
+ * 没有 slot 的买入（tbl_sol_trade_info）只能按同一秒分组，活跃代币上同一秒买入的普通钱包很多，
+ * 这类分组由 detectSameSecondGroups 单独输出为弱证据，不并入捆绑组
+ */
+
+const JITO_TIP_ACCOUNTS = new Set(feeAccountsConfig.jitoTipAccounts);
+
+export const DEFAULT_BUNDLE_OPTIONS = {
+    minWallets: 2,
+    tipSlotGap: 1
+};
+
+/**
+ * 交易中收到小费的 Jito 小费账户（余额增加的小费账户）
+ * @param {object} tx - 交易（full）
+ * @returns {string|null}
+ */
+export function findTipAccount(tx) {
+    const meta = tx?.meta;
+    if (!meta?.preBalances || !meta?.postBalances) {
+        return null;
+    }
+    const tipAccount = resolveAccountKeys(tx).find((key, i) =>
+        JITO_TIP_ACCOUNTS.has(key.pubkey) && meta.postBalances[i] > meta.preBalances[i]);
+    return tipAccount ? tipAccount.pubkey : null;
+}
+
+function createUnionFind(size) {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const find = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    return {
+        find,
+        union: (a, b) => {
+            parent[find(a)] = find(b);
+        }
+    };
+}
+
+/**
+ * 把买入分组为疑似捆绑
+ * @param {Array<object>} buys - [{ walletAddress, signature, slot, time, tokenAmount, solAmount, tipAccount }]，按成交顺序排列；
+ *                               slot 为空的买入只按同一交易分组
+ * @param {object} [options]
+ * @param {number|null} [options.supply] - 代币总供应量（UI 数量），为空时不计算占比
+ * @param {number} [options.minWallets=2] - 至少多少个钱包才算捆绑
+ * @param {number} [options.tipSlotGap=1] - 相邻买入给同一小费账户付小费时允许的 slot 差
+ * @returns {Array<object>} [{ id, reasons, firstSlot, lastSlot, time, walletCount, wallets, signatures, tipAccounts,
+ *                            tokenAmount, solAmount, supplyPercent }]，按时间排序
+ */
+export function detectBundles(buys, { supply = null, minWallets = DEFAULT_BUNDLE_OPTIONS.minWallets, tipSlotGap = DEFAULT_BUNDLE_OPTIONS.tipSlotGap } = {}) {
+    const list = (buys || []).filter(buy => buy && buy.walletAddress);
+    const { find, union } = createUnionFind(list.length);
+    const reasons = list.map(() => new Set());
+    const link = (a, b, reason) => {
+        union(a, b);
+        reasons[a].add(reason);
+        reasons[b].add(reason);
+    };
+
+    // 同一交易 / 同一 slot
+    const groupBy = (keyOf, reason) => {
+        const firstIndex = new Map();
+        list.forEach((buy, index) => {
+            const key = keyOf(buy);
+            if (key === null || key === undefined) return;
+            if (!firstIndex.has(key)) {
+                firstIndex.set(key, index);
+                return;
+            }
+            const first = firstIndex.get(key);
+            if (list[first].walletAddress !== buy.walletAddress) {
+                link(first, index, reason);
+            } else {
+                union(first, index);
+            }
+        });
+    };
+    groupBy(buy => buy.signature, 'same-transaction');
+    groupBy(buy => (Number.isFinite(buy.slot) ? buy.slot : null), 'same-slot');
+
+    // 相邻的买入交易给同一个小费账户付小费
+    for (let i = 1; i < list.length; i++) {
+        const previous = list[i - 1];
+        const current = list[i];
+        if (current.tipAccount && current.tipAccount === previous.tipAccount &&
+            current.signature !== previous.signature &&
+            current.walletAddress !== previous.walletAddress &&
+            Number.isFinite(current.slot) && Number.isFinite(previous.slot) &&
+            Math.abs(current.slot - previous.slot) <= tipSlotGap) {
+            link(i - 1, i, 'shared-tip');
+        }
+    }
+
+    const groups = new Map();
+    list.forEach((buy, index) => {
+        const root = find(index);
+        if (!groups.has(root)) {
+            groups.set(root, { buys: [], reasons: new Set() });
+        }
+        groups.get(root).buys.push(buy);
+        reasons[index].forEach(reason => groups.get(root).reasons.add(reason));
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            const wallets = [...new Set(group.buys.map(buy => buy.walletAddress))];
+            const slots = group.buys.map(buy => buy.slot).filter(Number.isFinite);
+            const tokenAmount = group.buys.reduce((sum, buy) => sum + (Number(buy.tokenAmount) || 0), 0);
+            return {
+                reasons: [...group.reasons],
+                firstSlot: slots.length > 0 ? Math.min(...slots) : null,
+                lastSlot: slots.length > 0 ? Math.max(...slots) : null,
+                time: group.buys[0].time ?? null,
+                walletCount: wallets.length,
+                wallets,
+                signatures: [...new Set(group.buys.map(buy => buy.signature).filter(Boolean))],
+                tipAccounts: [...new Set(group.buys.map(buy => buy.tipAccount).filter(Boolean))],
+                tokenAmount,
+                solAmount: group.buys.reduce((sum, buy) => sum + (Number(buy.solAmount) || 0), 0),
+                supplyPercent: supply ? (tokenAmount / supply) * 100 : null
+            };
+        })
+        .filter(bundle => bundle.walletCount >= minWallets)
+        .sort((a, b) => (a.firstSlot ?? a.time ?? 0) - (b.firstSlot ?? b.time ?? 0))
+        .map((bundle, index) => ({ id: index + 1, ...bundle }));
+}
+
+/**
+ * 同一秒内多个钱包买入的分组（没有 slot 时使用，只是弱证据，不计入捆绑占比）
+ * @param {Array<object>} buys - 同 detectBundles
+ * @param {object} [options]
+ * @param {number|null} [options.supply] - 代币总供应量（UI 数量），为空时不计算占比
+ * @param {number} [options.minWallets=2] - 至少多少个钱包才输出
+ * @returns {Array<object>} [{ time, evidence: 'weak', walletCount, wallets, signatures, tokenAmount, solAmount, supplyPercent }]，按时间排序
+ */
+export function detectSameSecondGroups(buys, { supply = null, minWallets = DEFAULT_BUNDLE_OPTIONS.minWallets } = {}) {
+    const byTime = new Map();
+    (buys || []).forEach(buy => {
+        if (!buy || !buy.walletAddress || Number.isFinite(buy.slot) || !Number.isFinite(buy.time)) return;
+        if (!byTime.has(buy.time)) {
+            byTime.set(buy.time, []);
+        }
+        byTime.get(buy.time).push(buy);
+    });
+
+    return [...byTime.entries()]
+        .map(([time, group]) => {
+            const wallets = [...new Set(group.map(buy => buy.walletAddress))];
+            const tokenAmount = group.reduce((sum, buy) => sum + (Number(buy.tokenAmount) || 0), 0);
+            return {
+                time,
+                evidence: 'weak',
+                walletCount: wallets.length,
+                wallets,
+                signatures: [...new Set(group.map(buy => buy.signature).filter(Boolean))],
+                tokenAmount,
+                solAmount: group.reduce((sum, buy) => sum + (Number(buy.solAmount) || 0), 0),
+                supplyPercent: supply ? (tokenAmount / supply) * 100 : null
+            };
+        })
+        .filter(group => group.walletCount >= minWallets)
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 在持有人列表上标记所属的捆绑组，并统计每组当前的持仓占比
+ * 聚类合并后的持有人（relatedAddresses）只要有一个地址在组内就标记
+ * @param {Array<object>} holders - 持有人（address、uiAmount、relatedAddresses）
+ * @param {Array<object>} bundles - detectBundles 的结果
+ * @param {number|null} totalSupply - 代币总供应量（UI 数量）
+ * @returns {{holders: Array<object>, bundles: Array<object>, bundledSupplyPercent: number|null}}
+ */
+export function annotateHoldersWithBundles(holders, bundles, totalSupply) {
+    const bundleByWallet = new Map();
+    bundles.forEach(bundle => bundle.wallets.forEach(wallet => {
+        if (!bundleByWallet.has(wallet)) {
+            bundleByWallet.set(wallet, bundle.id);
+        }
+    }));
+
+    const heldByBundle = new Map();
+    const annotated = holders.map(holder => {
+        const addresses = [holder.address, ...(holder.relatedAddresses || [])];
+        const bundleId = addresses.map(address => bundleByWallet.get(address)).find(id => id !== undefined) ?? null;
+        if (bundleId !== null) {
+            heldByBundle.set(bundleId, (heldByBundle.get(bundleId) || 0) + (Number(holder.uiAmount) || 0));
+        }
+        return { ...holder, bundleId };
+    });
+
+    const toPercent = amount => (totalSupply > 0 ? (amount / totalSupply) * 100 : null);
+    const annotatedBundles = bundles.map(bundle => {
+        const heldAmount = heldByBundle.get(bundle.id) || 0;
+        return { ...bundle, heldAmount, heldPercent: toPercent(heldAmount) };
+    });
+    const totalHeld = annotatedBundles.reduce((sum, bundle) => sum + bundle.heldAmount, 0);
+
+    return {
+        holders: annotated,
+        bundles: annotatedBundles,
+        bundledSupplyPercent: toPercent(totalHeld)
+    };
+}
@@ -0,0 +1,128 @@
+import { annotateHoldersWithBundles, detectBundles, detectSameSecondGroups, findTipAccount } from './bundleDetection.js';
+import { extractLaunchBuys } from './launchAnalysis.js';
+import { fetchTokenTransactionStream } from './launchAnalysisService.js';
+import { getTokenUiSupply } from './tokenTradersService.js';
+import { getTokenTradesSince } from '../db/solTradeInfoMapper.js';
+
+/**
+ * 捆绑买入检测服务
+ * source 为 trades 时使用 tbl_sol_trade_info 中已解析的买入，只取第一笔成交之后 launchWindow 秒内的开盘买入；
+ * 没有 slot 和小费信息，只有同一交易内多个钱包买入算捆绑，同一秒买入作为弱证据（weakGroups）单独输出，不计入捆绑占比。
+ * stream 时按 slot 升序拉取代币地址的交易（Helius getTransactionsForAddress），可以按 slot 和 Jito 小费账户分组
+ */
+
+export const BUNDLE_SOURCES = ['trades', 'stream'];
+
+// tbl_sol_trade_info.type 买入
+const TRADE_TYPE_BUY = 1;
+const TRADE_PAGE_SIZE = 5000;
+// 开盘窗口内最多读取的成交数，超出时 truncated 为 true
+const MAX_LAUNCH_TRADE_ROWS = 20000;
+export const DEFAULT_LAUNCH_WINDOW_SECONDS = 300;
+
+async function loadBuysFromTrades(tokenAddress, launchWindow) {
+    const rows = [];
+    let after = null;
+    let windowEnd = null;
+    let truncated = false;
+    while (true) {
+        const pageRows = await getTokenTradesSince(tokenAddress, 0, TRADE_PAGE_SIZE, after);
+        if (pageRows.length === 0) break;
+        windowEnd = windowEnd ?? Number(pageRows[0].tradeTime) + launchWindow;
+        const inWindow = pageRows.filter(row => Number(row.tradeTime) <= windowEnd);
+        rows.push(...inWindow);
+        if (rows.length > MAX_LAUNCH_TRADE_ROWS) {
+            rows.length = MAX_LAUNCH_TRADE_ROWS;
+            truncated = true;
+            break;
+        }
+        if (inWindow.length < pageRows.length || pageRows.length < TRADE_PAGE_SIZE) break;
+        after = pageRows[pageRows.length - 1];
+    }
+
+    const buys = rows
+        .filter(row => Number(row.type) === TRADE_TYPE_BUY)
+        .map(row => ({
+            walletAddress: row.addr,
+            signature: row.signature || null,
+            slot: null,
+            time: row.tradeTime === null || row.tradeTime === undefined ? null : Number(row.tradeTime),
+            tokenAmount: Number(row.splAmount),
+            solAmount: Number(row.solAmount),
+            tipAccount: null
+        }));
+    return { buys, truncated, window: windowEnd === null ? null : { from: windowEnd - launchWindow, to: windowEnd } };
+}
+
+async function loadBuysFromStream(tokenAddress, maxPages) {
+    const { transactions, tradeInfoMap, truncated } = await fetchTokenTransactionStream(tokenAddress, { maxPages });
+    const tipAccounts = new Map(transactions.map(tx => [tx.signature || tx.transaction?.signatures?.[0], findTipAccount(tx)]));
+    const buys = extractLaunchBuys(transactions, tradeInfoMap, tokenAddress).map(buy => ({
+        walletAddress: buy.buyer,
+        signature: buy.signature,
+        slot: buy.slot,
+        time: buy.blockTime,
+        tokenAmount: buy.tokenAmount,
+        solAmount: buy.solAmount,
+        tipAccount: tipAccounts.get(buy.signature) || null
+    }));
+    return { buys, truncated };
+}
+
+/**
+ * 检测代币的疑似捆绑买入
+ * @param {string} tokenAddress - 代币地址
+ * @param {object} [options]
+ * @param {string} [options.source='trades'] - trades / stream
+ * @param {number} [options.minWallets=2] - 至少多少个钱包才算捆绑
+ * @param {number} [options.tipSlotGap=1] - 相邻买入给同一小费账户付小费时允许的 slot 差
+ * @param {number} [options.maxPages=5] - stream 时最多拉取的页数
+ * @param {number} [options.launchWindow=300] - trades 时只使用第一笔成交之后多少秒内的买入
+ * @returns {Promise<object>} { tokenAddress, source, supply, truncated, window, buyCount, bundles, bundledBuyPercent, weakGroups }，
+ *          window 和 weakGroups 只有 trades 时有值
+ */
+export async function getTokenBundles(tokenAddress, { source = 'trades', minWallets, tipSlotGap, maxPages = 5, launchWindow = DEFAULT_LAUNCH_WINDOW_SECONDS } = {}) {
+    if (!tokenAddress) {
+        throw new Error('代币地址不能为空');
+    }
+    if (!BUNDLE_SOURCES.includes(source)) {
+        const error = new Error(`不支持的捆绑检测数据源: ${source}，可选: ${BUNDLE_SOURCES.join(' / ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const { buys, truncated, window = null } = source === 'stream'
+        ? await loadBuysFromStream(tokenAddress, maxPages)
+        : await loadBuysFromTrades(tokenAddress, launchWindow);
+    const supply = await getTokenUiSupply(tokenAddress);
+    const bundles = detectBundles(buys, { supply, minWallets, tipSlotGap });
+
+    return {
+        tokenAddress,
+        source,
+        supply,
+        truncated,
+        window,
+        buyCount: buys.length,
+        bundles,
+        // 捆绑组买入数量合计占总供应量的比例（%）
+        bundledBuyPercent: supply ? bundles.reduce((sum, bundle) => sum + bundle.supplyPercent, 0) : null,
+        weakGroups: source === 'trades' ? detectSameSecondGroups(buys, { supply, minWallets }) : []
+    };
+}
+
+/**
+ * 给持有人列表标记捆绑组（持有人接口 includeBundles=true 时使用）
+ * @param {string} tokenAddress - 代币地址
+ * @param {Array<object>} holders - 持有人
+ * @param {object} [options] - 同 getTokenBundles，另有 totalSupply（为空时使用检测结果中的总供应量）
+ * @returns {Promise<object>} { holders, bundles, bundledSupplyPercent, source, truncated }，弱证据分组不标记
+ */
+export async function attachBundlesToHolders(tokenAddress, holders, { totalSupply = null, ...options } = {}) {
+    const result = await getTokenBundles(tokenAddress, options);
+    return {
+        source: result.source,
+        truncated: result.truncated,
+        ...annotateHoldersWithBundles(holders, result.bundles, totalSupply || result.supply)
+    };
+}
@@ -1,5 +1,7 @@
 import Redis from 'ioredis';
 import {config} from '../config/index.js';
+import {TOKEN_2022_PROGRAM_ID, normalizeMintExtensions} from './dexProtocols/splToken.js';
+import {normalizeAssetAuthorities} from './tokenDeployer.js';
 
 // ============================
 // 模块级变量（仅在此处声明）
@@ -321,12 +323,21 @@ function getTokenMetadataCacheKey(tokenAddress) {
   return `token:metadata:${tokenAddress}`;
 }
 
+/**
+ * 删除代币元数据缓存（权限可能已变化，或缓存中没有 authorities 字段时重新获取）
+ * @param {string} tokenAddress - 代币地址
+ */
+export async function invalidateTokenMetadataCache(tokenAddress) {
+  await CacheService.delete(getTokenMetadataCacheKey(tokenAddress));
+}
+
 /**
  * 使用 Helius DAS API getAsset 获取单个代币元数据（带缓存）
  * @param {string} apiKey - Helius API Key
  * @param {string} tokenAddress - 代币地址
  * @param {number} cacheTtl - 缓存过期时间（秒），默认 259200（3天）
- * @returns {Promise<{address: string, symbol: string, supply: string, decimals: number} | null>} 代币元数据
+ * @returns {Promise<{address: string, symbol: string, supply: string, decimals: number, authorities: object} | null>} 代币元数据，
+ *   authorities 见 normalizeAssetAuthorities
  */
 export async function getTokenMetadataViaHelius(apiKey, tokenAddress, cacheTtl = 259200) {
   const cacheKey = getTokenMetadataCacheKey(tokenAddress);
@@ -382,11 +393,18 @@ export async function getTokenMetadataViaHelius(apiKey, tokenAddress, cacheTtl =
     const supply = tokenInfo.supply || '0';
     const decimals = tokenInfo.decimals || 9;
 
+    // Token-2022 代币：所属程序和 mint 扩展（转账手续费、计息等）
+    const isToken2022 = tokenInfo.token_program === TOKEN_2022_PROGRAM_ID;
+
     const result = {
       address: tokenAddress,
       symbol: symbol,
       supply: supply.toString(),
-      decimals: decimals
+      decimals: decimals,
+      tokenProgram: isToken2022 ? 'token-2022' : 'spl-token',
+      extensions: isToken2022 ? normalizeMintExtensions(asset.mint_extensions) : null,
+      // 更新权限、mint / freeze 权限是否已放弃
+      authorities: normalizeAssetAuthorities(asset)
     };
 
     // 保存到缓存
@@ -645,6 +663,68 @@ export async function getSolUsdPrice() {
 }
 
 
+/**
+ * 批量获取代币当前的 USD 价格（Birdeye multi_price，带缓存）
+ * 用于计算剩余持仓的未实现盈亏，获取失败的代币不返回
+ * @param {string[]} tokenAddresses - 代币地址数组
+ * @param {number} cacheTtl - 缓存过期时间（秒），默认 300（5分钟）
+ * @returns {Promise<Map<string, number>>} 代币地址 -> USD 价格
+ */
+export async function getTokenUsdPricesWithCache(tokenAddresses, cacheTtl = 300) {
+  const prices = new Map();
+  if (!tokenAddresses || tokenAddresses.length === 0) {
+    return prices;
+  }
+
+  const uncachedAddresses = [];
+  for (const address of tokenAddresses) {
+    const cached = await CacheService.get(`token:usd:price:${address}`);
+    const price = cached === null || cached === undefined ? NaN : parseFloat(cached);
+    if (price > 0) {
+      prices.set(address, price);
+    } else {
+      uncachedAddresses.push(address);
+    }
+  }
+
+  if (uncachedAddresses.length === 0 || !config.birdeye?.apiKey) {
+    return prices;
+  }
+
+  // multi_price 每次最多 100 个地址
+  const batchSize = 100;
+  for (let i = 0; i < uncachedAddresses.length; i += batchSize) {
+    const batch = uncachedAddresses.slice(i, i + batchSize);
+    try {
+      const response = await fetch(`https://public-api.birdeye.so/defi/multi_price?list_address=${batch.join(',')}`, {
+        method: 'GET',
+        headers: {
+          'X-API-KEY': config.birdeye.apiKey,
+          'x-chain': 'solana',
+          'accept': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        console.warn(`Birdeye multi_price 请求失败: ${response.status} ${response.statusText}`);
+        continue;
+      }
+
+      const data = await response.json();
+      for (const address of batch) {
+        const price = data?.data?.[address]?.value;
+        if (price > 0) {
+          prices.set(address, price);
+          await CacheService.set(`token:usd:price:${address}`, price, cacheTtl);
+        }
+      }
+    } catch (error) {
+      console.warn('批量获取代币价格失败:', error.message);
+    }
+  }
+
+  return prices;
+}
+
 export default CacheService;
 
 
@@ -0,0 +1,190 @@
+/**
+ * 持仓成本计算（不依赖网络和数据库）
+ * 按时间顺序回放买卖记录，支持 FIFO（先进先出）、LIFO（后进先出）和加权平均成本三种方法，
+ * 计算已实现盈亏、剩余持仓的未实现盈亏、平均建仓价和每个批次（每笔买入）的持有时间
+ *
+ * 卖出数量超过已知持仓的部分（转入的代币、买入发生在查询范围之前等）没有成本，
+ * 不计入已实现盈亏，单独记录在 unmatchedSellQuantity / unmatchedSellAmount
+ */
+
+export const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+// 小于该数量的剩余持仓视为已清仓（避免精度误差留下的零头）
+const DUST_QUANTITY = 1e-9;
+
+function isDust(quantity, reference) {
+    return quantity <= Math.max(DUST_QUANTITY, Math.abs(reference) * DUST_QUANTITY);
+}
+
+/**
+ * 按买卖记录计算持仓成本和盈亏
+ * @param {Array<object>} trades - [{ type: 'buy' | 'sell', timestamp, quantity, amount, signature }]，amount 为 USD 金额
+ * @param {object} [options]
+ * @param {string} [options.method='fifo'] - 成本方法：fifo / lifo / average
+ * @param {number|null} [options.currentPrice] - 当前价格（USD），为空时不计算未实现盈亏
+ * @param {number} [options.now] - 当前时间（Unix 秒），用于计算未平仓批次的持有时间
+ * @param {boolean} [options.timeline=false] - 是否返回每笔买卖之后的持仓数量、持仓成本和累计已实现盈亏（result.timeline）
+ * @returns {object} 盈亏结果
+ */
+export function calculateCostBasis(trades, { method = 'fifo', currentPrice = null, now = Math.floor(Date.now() / 1000), timeline = false } = {}) {
+    if (!COST_BASIS_METHODS.includes(method)) {
+        throw new Error(`不支持的成本计算方法: ${method}`);
+    }
+
+    // 同一时间先处理买入，避免同一秒内的买卖被当成无成本卖出
+    const ordered = [...trades]
+        .filter(trade => trade && trade.quantity > 0)
+        .sort((a, b) => (a.timestamp - b.timestamp) || ((a.type === 'buy' ? 0 : 1) - (b.type === 'buy' ? 0 : 1)));
+
+    const lots = [];
+    let totalBuyQuantity = 0;
+    let totalBuyAmount = 0;
+    let totalSellQuantity = 0;
+    let totalSellAmount = 0;
+    let realizedPnl = 0;
+    let realizedCost = 0;
+    let unmatchedSellQuantity = 0;
+    let unmatchedSellAmount = 0;
+    // 加权平均法：剩余持仓的总数量和总成本
+    let averageQuantity = 0;
+    let averageCost = 0;
+    // 按卖出数量加权的持有时间
+    let matchedHoldingWeight = 0;
+    let matchedQuantity = 0;
+    const snapshots = [];
+
+    const recordSnapshot = (trade, tradeRealizedPnl) => {
+        if (!timeline) {
+            return;
+        }
+        const openLots = lots.filter(lot => lot.remainingQuantity > 0);
+        const positionQuantity = openLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+        const positionCost = method === 'average'
+            ? averageCost
+            : openLots.reduce((sum, lot) => sum + lot.remainingQuantity * lot.price, 0);
+        snapshots.push({
+            signature: trade.signature || null,
+            type: trade.type,
+            timestamp: trade.timestamp,
+            quantity: trade.quantity,
+            amount: trade.amount || 0,
+            price: (trade.amount || 0) / trade.quantity,
+            positionQuantity,
+            positionCost,
+            averageEntryPrice: positionQuantity > 0 ? positionCost / positionQuantity : null,
+            tradeRealizedPnl,
+            realizedPnl
+        });
+    };
+
+    for (const trade of ordered) {
+        const amount = trade.amount || 0;
+
+        if (trade.type === 'buy') {
+            totalBuyQuantity += trade.quantity;
+            totalBuyAmount += amount;
+            averageQuantity += trade.quantity;
+            averageCost += amount;
+            lots.push({
+                signature: trade.signature || null,
+                openedAt: trade.timestamp,
+                closedAt: null,
+                quantity: trade.quantity,
+                remainingQuantity: trade.quantity,
+                price: amount / trade.quantity,
+                cost: amount,
+                realizedPnl: 0
+            });
+            recordSnapshot(trade, 0);
+            continue;
+        }
+
+        totalSellQuantity += trade.quantity;
+        totalSellAmount += amount;
+        const sellPrice = amount / trade.quantity;
+        const averagePrice = averageQuantity > 0 ? averageCost / averageQuantity : 0;
+
+        const realizedBefore = realizedPnl;
+
+        // 按 FIFO / LIFO 顺序扣减批次（加权平均法也按 FIFO 扣减批次，只用于统计持有时间）
+        let remaining = trade.quantity;
+        const openLots = lots.filter(lot => lot.remainingQuantity > 0);
+        if (method === 'lifo') {
+            openLots.reverse();
+        }
+        for (const lot of openLots) {
+            if (remaining <= 0) break;
+
+            const used = Math.min(lot.remainingQuantity, remaining);
+            const costPrice = method === 'average' ? averagePrice : lot.price;
+            const pnl = used * (sellPrice - costPrice);
+
+            lot.remainingQuantity -= used;
+            lot.realizedPnl += pnl;
+            if (isDust(lot.remainingQuantity, lot.quantity)) {
+                lot.remainingQuantity = 0;
+                lot.closedAt = trade.timestamp;
+            }
+            realizedPnl += pnl;
+            realizedCost += used * costPrice;
+            matchedHoldingWeight += used * (trade.timestamp - lot.openedAt);
+            matchedQuantity += used;
+            remaining -= used;
+        }
+
+        const matched = trade.quantity - remaining;
+        if (method === 'average' && matched > 0) {
+            averageCost -= matched * averagePrice;
+            averageQuantity -= matched;
+            if (isDust(averageQuantity, trade.quantity)) {
+                averageQuantity = 0;
+                averageCost = 0;
+            }
+        }
+        if (!isDust(remaining, trade.quantity)) {
+            unmatchedSellQuantity += remaining;
+            unmatchedSellAmount += remaining * sellPrice;
+        }
+        recordSnapshot(trade, realizedPnl - realizedBefore);
+    }
+
+    const openLots = lots.filter(lot => lot.remainingQuantity > 0);
+    const remainingQuantity = openLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+    const remainingCost = method === 'average'
+        ? averageCost
+        : openLots.reduce((sum, lot) => sum + lot.remainingQuantity * lot.price, 0);
+    const averageEntryPrice = remainingQuantity > 0 ? remainingCost / remainingQuantity : null;
+
+    const hasPrice = Number.isFinite(currentPrice) && currentPrice > 0;
+    const currentValue = hasPrice ? remainingQuantity * currentPrice : null;
+    const unrealizedPnl = hasPrice ? currentValue - remainingCost : (remainingQuantity > 0 ? null : 0);
+    const totalPnl = unrealizedPnl === null ? null : realizedPnl + unrealizedPnl;
+
+    return {
+        method,
+        totalBuyQuantity,
+        totalBuyAmount,
+        totalSellQuantity,
+        totalSellAmount,
+        realizedPnl,
+        realizedCost,
+        // 已实现收益率（%）：已实现盈亏 / 卖出部分的成本
+        realizedPnlRatio: realizedCost > 0 ? (realizedPnl / realizedCost) * 100 : null,
+        unrealizedPnl,
+        totalPnl,
+        remainingQuantity,
+        remainingCost,
+        averageEntryPrice,
+        currentPrice: hasPrice ? currentPrice : null,
+        currentValue,
+        unmatchedSellQuantity,
+        unmatchedSellAmount,
+        // 已卖出部分的平均持有时间（秒，按卖出数量加权）
+        avgHoldingSeconds: matchedQuantity > 0 ? matchedHoldingWeight / matchedQuantity : null,
+        lots: lots.map(lot => ({
+            ...lot,
+            holdingSeconds: (lot.closedAt ?? now) - lot.openedAt
+        })),
+        ...(timeline ? { timeline: snapshots } : {})
+    };
+}
@@ -0,0 +1,141 @@
+/**
+ * DEX 协议注册表
+ * 每个协议是一个独立模块，描述：
+ *   - name: 协议名称（identifyDEX 的返回值，如 'pump_fun'）
+ *   - label: 展示名称
+ *   - programIds: 程序 ID 列表（用于识别和监听）
+ *   - poolAuthorities: 可选，协议共用的池子 authority 地址（持有金库代币，用于过滤持有人）
+ *   - priority: 优先级，数值越大越先匹配（实际执行交易的 DEX 应高于聚合器）
+ *   - aggregator: 可选，是否为聚合器路由（用于识别交易经过的路由，见 tradingPlatformClassifier）
+ *   - detect(context): 可选，程序 ID 未命中时的识别函数（如通过日志识别）
+ *   - parse(parser, transaction): 指令/余额解析函数，返回交易信息或 null
+ */
+class DexProtocolRegistry {
+    constructor(protocols = []) {
+        this.protocols = new Map();
+        protocols.forEach(protocol => this.register(protocol));
+    }
+
+    /**
+     * 注册协议（同名协议会被覆盖）
+     * @param {object} protocol - 协议定义
+     * @returns {DexProtocolRegistry} 注册表本身，便于链式调用
+     */
+    register(protocol) {
+        if (!protocol || typeof protocol.name !== 'string' || !protocol.name) {
+            throw new Error('DEX protocol must have a name');
+        }
+        if (typeof protocol.parse !== 'function') {
+            throw new Error(`DEX protocol ${protocol.name} must provide a parse function`);
+        }
+
+        const name = protocol.name.toLowerCase();
+        this.protocols.set(name, {
+            ...protocol,
+            name,
+            label: protocol.label || protocol.name,
+            programIds: [...new Set(protocol.programIds || [])],
+            poolAuthorities: [...new Set(protocol.poolAuthorities || [])],
+            aggregator: protocol.aggregator === true,
+            priority: Number.isFinite(protocol.priority) ? protocol.priority : 0
+        });
+        return this;
+    }
+
+    /**
+     * 移除协议
+     * @param {string} name - 协议名称
+     * @returns {boolean} 是否移除成功
+     */
+    unregister(name) {
+        return this.protocols.delete(String(name).toLowerCase());
+    }
+
+    /**
+     * 获取协议（名称不区分大小写，兼容 'PUMP_FUN' 这类旧键名）
+     * @param {string} name - 协议名称
+     * @returns {object|null} 协议定义
+     */
+    get(name) {
+        if (!name) return null;
+        return this.protocols.get(String(name).toLowerCase()) || null;
+    }
+
+    /**
+     * 按优先级从高到低列出所有协议
+     * @returns {array} 协议列表
+     */
+    list() {
+        return Array.from(this.protocols.values()).sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * 所有协议的池子 authority 地址
+     * @returns {array} 地址列表
+     */
+    listPoolAuthorities() {
+        return [...new Set(this.list().flatMap(protocol => protocol.poolAuthorities))];
+    }
+
+    /**
+     * 聚合器程序 ID -> 协议名称
+     * @returns {Map<string, string>}
+     */
+    getAggregatorPrograms() {
+        const programs = new Map();
+        this.list()
+            .filter(protocol => protocol.aggregator)
+            .forEach(protocol => protocol.programIds.forEach(programId => programs.set(programId, protocol.name)));
+        return programs;
+    }
+
+    /**
+     * 根据程序 ID 查找协议
+     * @param {string} programId - 程序 ID
+     * @returns {object|null} 协议定义
+     */
+    findByProgramId(programId) {
+        return this.list().find(protocol => protocol.programIds.includes(programId)) || null;
+    }
+
+    /**
+     * 识别交易所属协议
+     * 先按优先级匹配程序 ID，未命中时再按优先级调用各协议的 detect 函数
+     * @param {object} context - { transaction, programIds, logText }
+     * @returns {object|null} 命中的协议定义
+     */
+    identify(context) {
+        const programIds = new Set(context.programIds || []);
+        const protocols = this.list();
+
+        const byProgramId = protocols.find(protocol =>
+            protocol.programIds.some(programId => programIds.has(programId))
+        );
+        if (byProgramId) {
+            return byProgramId;
+        }
+
+        return protocols.find(protocol => {
+            if (typeof protocol.detect !== 'function') return false;
+            try {
+                return protocol.detect(context) === true;
+            } catch (error) {
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * 生成 { KEY: [programIds] } 形式的映射（兼容旧的 DEX_PROGRAMS 结构）
+     * @returns {object} 程序 ID 映射
+     */
+    toProgramMap() {
+        const programMap = {};
+        this.list().forEach(protocol => {
+            programMap[protocol.name.toUpperCase()] = [...protocol.programIds];
+        });
+        return programMap;
+    }
+}
+
+export default DexProtocolRegistry;
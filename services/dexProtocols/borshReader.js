@@ -0,0 +1,168 @@
+import bs58 from 'bs58';
+
+/**
+ * Anchor 指令/事件常用的 discriminator 前缀
+ * 事件通过 self-CPI 发出时，指令数据以 sha256("anchor:event")[0..8] 开头（小端存储为 e445a52e51cb9a1d）
+ */
+export const ANCHOR_EVENT_CPI_TAG = 'e445a52e51cb9a1d';
+
+/**
+ * 简单的 Borsh 顺序读取器（用于解码 Anchor 指令参数和事件）
+ * 读取越界时抛出错误，调用方需要自行捕获
+ */
+export class BorshReader {
+    constructor(buffer, offset = 0) {
+        this.buffer = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+        this.offset = offset;
+    }
+
+    /**
+     * 剩余未读取的字节数
+     */
+    remaining() {
+        return this.buffer.length - this.offset;
+    }
+
+    ensure(size) {
+        if (this.offset + size > this.buffer.length) {
+            throw new Error(`Borsh read out of range: need ${size} bytes at offset ${this.offset}, length ${this.buffer.length}`);
+        }
+    }
+
+    u8() {
+        this.ensure(1);
+        const value = this.buffer.readUInt8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    bool() {
+        return this.u8() !== 0;
+    }
+
+    u16() {
+        this.ensure(2);
+        const value = this.buffer.readUInt16LE(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    u32() {
+        this.ensure(4);
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    /**
+     * 读取 u64（返回 Number，链上数量在 2^53 以内精度无损）
+     */
+    u64() {
+        this.ensure(8);
+        const value = this.buffer.readBigUInt64LE(this.offset);
+        this.offset += 8;
+        return Number(value);
+    }
+
+    i64() {
+        this.ensure(8);
+        const value = this.buffer.readBigInt64LE(this.offset);
+        this.offset += 8;
+        return Number(value);
+    }
+
+    /**
+     * 读取 u128（返回 BigInt，用于 sqrt price 等超出 Number 精度的字段）
+     */
+    u128() {
+        this.ensure(16);
+        const low = this.buffer.readBigUInt64LE(this.offset);
+        const high = this.buffer.readBigUInt64LE(this.offset + 8);
+        this.offset += 16;
+        return (high << 64n) + low;
+    }
+
+    i32() {
+        this.ensure(4);
+        const value = this.buffer.readInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    pubkey() {
+        this.ensure(32);
+        const value = bs58.encode(this.buffer.subarray(this.offset, this.offset + 32));
+        this.offset += 32;
+        return value;
+    }
+
+    string() {
+        const length = this.u32();
+        this.ensure(length);
+        const value = this.buffer.subarray(this.offset, this.offset + length).toString('utf8');
+        this.offset += length;
+        return value;
+    }
+
+    skip(size) {
+        this.ensure(size);
+        this.offset += size;
+    }
+}
+
+/**
+ * 将指令数据（base58 字符串 / base64 / Buffer）转换为 Buffer
+ * @param {string|Buffer|Uint8Array} data - 指令数据
+ * @param {string} encoding - 字符串编码，默认 base58
+ * @returns {Buffer|null}
+ */
+export function toInstructionBuffer(data, encoding = 'base58') {
+    if (!data) return null;
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof Uint8Array) return Buffer.from(data);
+    try {
+        return encoding === 'base64' ? Buffer.from(data, 'base64') : Buffer.from(bs58.decode(data));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 读取前 8 字节 discriminator（十六进制）
+ * @param {Buffer} buffer - 数据
+ * @returns {string|null}
+ */
+export function readDiscriminator(buffer) {
+    if (!buffer || buffer.length < 8) return null;
+    return buffer.subarray(0, 8).toString('hex');
+}
+
+/**
+ * 从交易日志中提取 Anchor emit! 写入的事件数据，并按调用栈归属到发出事件的程序
+ * @param {array} logMessages - 交易日志
+ * @returns {array} [{ programId, data }]，data 为 Buffer
+ */
+export function extractProgramDataLogs(logMessages = []) {
+    const stack = [];
+    const result = [];
+
+    (logMessages || []).forEach(log => {
+        const invoke = log.match(/^Program (\S+) invoke \[\d+\]$/);
+        if (invoke) {
+            stack.push(invoke[1]);
+            return;
+        }
+        if (/^Program \S+ (success|failed)/.test(log)) {
+            stack.pop();
+            return;
+        }
+        if (log.startsWith('Program data: ')) {
+            const data = toInstructionBuffer(log.slice('Program data: '.length).trim(), 'base64');
+            if (data) {
+                result.push({ programId: stack[stack.length - 1] || null, data });
+            }
+        }
+    });
+
+    return result;
+}
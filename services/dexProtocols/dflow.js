@@ -0,0 +1,16 @@
+/**
+ * DFlow Aggregator
+ */
+export default {
+    name: 'dflow',
+    label: 'DFlow Aggregator',
+    programIds: ['DF1ow4tspfHX9JwWJsAb9epbkA8hmpSEAtxXy1V27QBH'], // DFlow Aggregator v4
+    priority: 50,
+    aggregator: true,
+    detect({ logText }) {
+        return logText.includes('dflow') || logText.includes('aggregator');
+    },
+    parse(parser, transaction) {
+        return parser.parseGenericTransaction(transaction, 'DFlow Aggregator');
+    }
+};
@@ -0,0 +1,33 @@
+import DexProtocolRegistry from './DexProtocolRegistry.js';
+import pumpFun from './pumpFun.js';
+import raydium from './raydium.js';
+import orca from './orca.js';
+import lifinity from './lifinity.js';
+import phoenix from './phoenix.js';
+import jupiter from './jupiter.js';
+import meteora from './meteora.js';
+import dflow from './dflow.js';
+
+/**
+ * 内置协议列表（新增协议时在此处添加模块，或运行时调用 registry.register）
+ */
+export const builtinProtocols = [
+    pumpFun,
+    raydium,
+    orca,
+    lifinity,
+    phoenix,
+    jupiter,
+    meteora,
+    dflow
+];
+
+/**
+ * 创建包含所有内置协议的注册表
+ * @returns {DexProtocolRegistry} 注册表实例
+ */
+export function createDefaultDexRegistry() {
+    return new DexProtocolRegistry(builtinProtocols);
+}
+
+export { DexProtocolRegistry };
@@ -0,0 +1,19 @@
+/**
+ * Jupiter 聚合器
+ */
+export default {
+    name: 'jupiter',
+    label: 'Jupiter',
+    programIds: [
+        'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', // V3
+        'JUP2jxvXaqu7NQY1GmNF4m1vodw12LVXYxbFL2uJvfo', // V4
+        'JUP3c2Uh3WA4Ng34tw6kPd2G4C5BB21Xo36Je1s32Ph', // V5
+        'JUP6i4ozu5ydDCnLiMogSckDPpbtr7BJ4FtzYWkb5Rk',  // V6
+        'JUP4Fb2cqiRUcaTd8t5VhYu6oV5E2hbN8FdY3YbwPEsu'  // V4 (alternative)
+    ],
+    priority: 70,
+    aggregator: true,
+    parse(parser, transaction) {
+        return parser.parseJupiterTransaction(transaction);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Lifinity（主动做市 AMM）
+ */
+export default {
+    name: 'lifinity',
+    label: 'Lifinity',
+    programIds: [
+        'EewxydAPCCVuNEyrVN68PuSYdQ7wKn27V9Gjeoi8dy3S', // V1
+        '2wT8Yq49kHgDzXuPxZSaeLaH1qbmGXtEyPy64bL7aD3c'  // V2
+    ],
+    priority: 75,
+    parse(parser, transaction) {
+        return parser.parseGenericTransaction(transaction, 'lifinity');
+    }
+};
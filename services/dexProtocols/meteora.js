@@ -0,0 +1,34 @@
+import {
+    METEORA_DLMM_PROGRAM_ID,
+    METEORA_DAMM_V1_PROGRAM_ID,
+    METEORA_DAMM_V2_PROGRAM_ID,
+    METEORA_DBC_PROGRAM_ID,
+    METEORA_DAMM_V2_POOL_AUTHORITY,
+    METEORA_DBC_POOL_AUTHORITY
+} from './meteoraDecoder.js';
+
+/**
+ * Meteora（DLMM / Dynamic AMM v1、v2 / DBC）
+ */
+export default {
+    name: 'meteora',
+    label: 'Meteora',
+    programIds: [
+        METEORA_DLMM_PROGRAM_ID,
+        METEORA_DAMM_V1_PROGRAM_ID,
+        METEORA_DAMM_V2_PROGRAM_ID,
+        METEORA_DBC_PROGRAM_ID
+    ],
+    // 共用的池子 authority（持有金库代币，addressFilterConfig 中据此过滤流动性池地址）
+    poolAuthorities: [
+        METEORA_DAMM_V2_POOL_AUTHORITY,
+        METEORA_DBC_POOL_AUTHORITY
+    ],
+    priority: 60,
+    detect({ logText }) {
+        return logText.includes('meteora') || logText.includes('dlmm');
+    },
+    parse(parser, transaction) {
+        return parser.parseMeteoraTransaction(transaction);
+    }
+};
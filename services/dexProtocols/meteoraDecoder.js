@@ -0,0 +1,398 @@
+import {
+    BorshReader,
+    ANCHOR_EVENT_CPI_TAG,
+    toInstructionBuffer,
+    readDiscriminator,
+    extractProgramDataLogs
+} from './borshReader.js';
+import { decodeTokenTransfer, applySwapTransfer } from './splToken.js';
+
+/**
+ * Meteora DLMM / Dynamic AMM（v1、v2）/ DBC（Dynamic Bonding Curve）swap 指令与事件解码
+ * 与 Raydium 一样，成交数量以 swap 指令内部的代币转账为准，事件用于补充 bin、价格和手续费信息
+ */
+
+export const METEORA_DLMM_PROGRAM_ID = 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo';
+export const METEORA_DAMM_V1_PROGRAM_ID = 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UWAi';
+export const METEORA_DAMM_V2_PROGRAM_ID = 'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG';
+export const METEORA_DBC_PROGRAM_ID = 'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN';
+
+// DAMM v2 / DBC 所有池子共用的 authority（持有人列表中出现的是这个地址）
+export const METEORA_DAMM_V2_POOL_AUTHORITY = 'HLnpSz9h2S4hiLQ43rnSD9XkcUThA7B8hQMKmDaiTLcC';
+export const METEORA_DBC_POOL_AUTHORITY = 'FhVo3mqL8PW5pH5U2CN4XE33DokiyZnUwuGpH2hmHLuM';
+
+const PROGRAM_KINDS = {
+    [METEORA_DLMM_PROGRAM_ID]: 'dlmm',
+    [METEORA_DAMM_V1_PROGRAM_ID]: 'damm_v1',
+    [METEORA_DAMM_V2_PROGRAM_ID]: 'damm_v2',
+    [METEORA_DBC_PROGRAM_ID]: 'dbc'
+};
+
+const INSTRUCTIONS = {
+    dlmm: {
+        'f8c69e91e17587c8': 'swap',
+        '414b3f4ceb5b5b88': 'swap2',
+        'fa49652126cf4bb8': 'swap_exact_out',
+        '2bd7f784893cf351': 'swap_exact_out2',
+        '38ade6d0ade49ccd': 'swap_with_price_impact',
+        '4a62c0d6b1334b33': 'swap_with_price_impact2'
+    },
+    damm_v1: { 'f8c69e91e17587c8': 'swap' },
+    damm_v2: { 'f8c69e91e17587c8': 'swap' },
+    dbc: { 'f8c69e91e17587c8': 'swap' }
+};
+
+// DLMM 与 DAMM v1 的事件都叫 Swap，按程序区分布局
+const SWAP_EVENT = '516ce3becdd00ac4';
+const EVT_SWAP_EVENT = '1b3c15d58aaabb93';
+const LB_PAIR_DISCRIMINATOR = '210b3162b565b10d';
+
+// DLMM bin 价格的基点分母
+const BASIS_POINT_MAX = 10000;
+
+/**
+ * 获取 Meteora 程序类型
+ * @param {string} programId - 程序 ID
+ * @returns {string|null} 'dlmm' | 'damm_v1' | 'damm_v2' | 'dbc'
+ */
+export function getMeteoraProgramKind(programId) {
+    return PROGRAM_KINDS[programId] || null;
+}
+
+/**
+ * 指令参数
+ */
+function decodeSwapArgs(kind, name, reader) {
+    if (kind === 'dlmm' && name.startsWith('swap_exact_out')) {
+        return { maxInAmount: reader.u64(), outAmount: reader.u64() };
+    }
+    if (kind === 'dlmm' && name.startsWith('swap_with_price_impact')) {
+        const amountIn = reader.u64();
+        const activeId = reader.bool() ? reader.i32() : null;
+        return { amountIn, activeId, maxPriceImpactBps: reader.u16() };
+    }
+    return { amountIn: reader.u64(), minimumAmountOut: reader.u64() };
+}
+
+/**
+ * 指令账户：池子、用户账户、金库和 mint（mints 与 vaults 顺序对应）
+ */
+function decodeSwapAccounts(kind, name, accounts) {
+    switch (kind) {
+        case 'dlmm':
+            return {
+                poolId: accounts[0],
+                user: accounts[10],
+                userAccounts: [accounts[4], accounts[5]],
+                vaults: [accounts[2], accounts[3]],
+                mints: [accounts[6], accounts[7]],
+                feeAccounts: []
+            };
+        case 'damm_v1':
+            return {
+                poolId: accounts[0],
+                user: accounts[12],
+                userAccounts: [accounts[1], accounts[2]],
+                // 代币实际存放在 Meteora vault 的 token vault 中
+                vaults: [accounts[5], accounts[6]],
+                mints: [],
+                // 协议手续费直接从用户账户转到协议手续费账户，也属于用户的输入
+                feeAccounts: [accounts[11]]
+            };
+        case 'damm_v2':
+            return {
+                poolId: accounts[1],
+                user: accounts[8],
+                userAccounts: [accounts[2], accounts[3]],
+                vaults: [accounts[4], accounts[5]],
+                mints: [accounts[6], accounts[7]],
+                feeAccounts: []
+            };
+        case 'dbc':
+            return {
+                poolId: accounts[2],
+                user: accounts[9],
+                userAccounts: [accounts[3], accounts[4]],
+                vaults: [accounts[5], accounts[6]],
+                mints: [accounts[7], accounts[8]],
+                feeAccounts: [],
+                config: accounts[1]
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * 解码 Meteora swap 指令
+ * @param {string} programId - 程序 ID
+ * @param {array} accounts - 指令账户地址列表
+ * @param {Buffer} data - 指令数据
+ * @returns {object|null} { program, name, args, poolId, user, userAccounts, vaults, mints, feeAccounts }
+ */
+export function decodeMeteoraInstruction(programId, accounts, data) {
+    const kind = getMeteoraProgramKind(programId);
+    const name = kind ? INSTRUCTIONS[kind][readDiscriminator(data)] : null;
+    if (!name) return null;
+
+    try {
+        const decodedAccounts = decodeSwapAccounts(kind, name, accounts || []);
+        return {
+            program: kind,
+            name,
+            args: decodeSwapArgs(kind, name, new BorshReader(data, 8)),
+            ...decodedAccounts
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 解码 Meteora swap 事件
+ * @param {string} kind - 程序类型
+ * @param {Buffer} data - 以事件 discriminator 开头的事件数据
+ * @returns {object|null}
+ */
+export function decodeMeteoraEvent(kind, data) {
+    const discriminator = readDiscriminator(data);
+    const reader = new BorshReader(data, 8);
+
+    try {
+        if (kind === 'dlmm' && discriminator === SWAP_EVENT) {
+            return {
+                name: 'Swap',
+                poolId: reader.pubkey(),
+                from: reader.pubkey(),
+                startBinId: reader.i32(),
+                endBinId: reader.i32(),
+                amountIn: reader.u64(),
+                amountOut: reader.u64(),
+                swapForY: reader.bool(),
+                fee: reader.u64(),
+                protocolFee: reader.u64(),
+                feeBps: reader.u128().toString(),
+                hostFee: reader.u64()
+            };
+        }
+
+        // DAMM v1 的事件不包含池子地址，按顺序归属到 swap
+        if (kind === 'damm_v1' && discriminator === SWAP_EVENT) {
+            return {
+                name: 'Swap',
+                poolId: null,
+                inAmount: reader.u64(),
+                outAmount: reader.u64(),
+                tradeFee: reader.u64(),
+                protocolFee: reader.u64(),
+                hostFee: reader.u64()
+            };
+        }
+
+        if (kind === 'damm_v2' && discriminator === EVT_SWAP_EVENT) {
+            return {
+                name: 'EvtSwap',
+                poolId: reader.pubkey(),
+                tradeDirection: reader.u8(),
+                hasReferral: reader.bool(),
+                amountIn: reader.u64(),
+                minimumAmountOut: reader.u64(),
+                outputAmount: reader.u64(),
+                nextSqrtPrice: reader.u128().toString(),
+                lpFee: reader.u64(),
+                protocolFee: reader.u64(),
+                partnerFee: reader.u64(),
+                referralFee: reader.u64()
+            };
+        }
+
+        if (kind === 'dbc' && discriminator === EVT_SWAP_EVENT) {
+            return {
+                name: 'EvtSwap',
+                poolId: reader.pubkey(),
+                config: reader.pubkey(),
+                tradeDirection: reader.u8(),
+                hasReferral: reader.bool(),
+                amountIn: reader.u64(),
+                minimumAmountOut: reader.u64(),
+                actualInputAmount: reader.u64(),
+                outputAmount: reader.u64(),
+                nextSqrtPrice: reader.u128().toString(),
+                tradingFee: reader.u64(),
+                protocolFee: reader.u64(),
+                referralFee: reader.u64()
+            };
+        }
+    } catch (error) {
+        return null;
+    }
+
+    return null;
+}
+
+/**
+ * 解码 DLMM LbPair 账户中的 bin step 和当前 active bin
+ * @param {Buffer} data - 账户数据
+ * @returns {object|null} { activeId, binStep }
+ */
+export function decodeMeteoraLbPair(data) {
+    if (readDiscriminator(data) !== LB_PAIR_DISCRIMINATOR) return null;
+    try {
+        // discriminator(8) + StaticParameters(32) + VariableParameters(32) + bump_seed(1) + bin_step_seed(2) + pair_type(1)
+        const reader = new BorshReader(data, 76);
+        return { activeId: reader.i32(), binStep: reader.u16() };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * DLMM bin 价格：(1 + binStep / 10000) ^ binId，按精度换算为每个 X 代币对应的 Y 代币数量
+ * @param {number} binId - bin ID
+ * @param {number} binStep - bin step（基点）
+ * @param {number} decimalsX - X 代币精度
+ * @param {number} decimalsY - Y 代币精度
+ * @returns {number}
+ */
+export function getDlmmBinPrice(binId, binStep, decimalsX, decimalsY) {
+    return Math.pow(1 + binStep / BASIS_POINT_MAX, binId) * Math.pow(10, decimalsX - decimalsY);
+}
+
+/**
+ * 解码交易中所有 Meteora swap
+ * @param {array} instructions - 按执行顺序排列的指令 [{ programId, accounts, data, parsed, isInner }]
+ * @param {array} logMessages - 交易日志
+ * @param {Map} tokenAccounts - 代币账户地址 -> { mint, owner, decimals }
+ * @returns {array} swap 列表，金额均为链上原始数量
+ */
+export function decodeMeteoraSwaps(instructions = [], logMessages = [], tokenAccounts = new Map()) {
+    const swaps = [];
+    let current = null;
+
+    const attachEvent = (kind, event) => {
+        if (!event) return;
+        const swap = swaps.find(item => item.program === kind && !item.event &&
+            (event.poolId === null || item.poolId === event.poolId));
+        if (swap) swap.event = event;
+    };
+
+    instructions.forEach(ix => {
+        const kind = getMeteoraProgramKind(ix.programId);
+        if (kind) {
+            const data = toInstructionBuffer(ix.data);
+            if (!data) return;
+
+            // DLMM / DAMM v2 / DBC 通过 self-CPI 发出事件
+            if (readDiscriminator(data) === ANCHOR_EVENT_CPI_TAG) {
+                attachEvent(kind, decodeMeteoraEvent(kind, data.subarray(8)));
+                return;
+            }
+
+            const decoded = decodeMeteoraInstruction(ix.programId, ix.accounts, data);
+            if (!decoded) return;
+
+            current = {
+                ...decoded,
+                isInner: !!ix.isInner,
+                inputAccount: null,
+                outputAccount: null,
+                inputVault: null,
+                outputVault: null,
+                inputAmount: 0,
+                outputAmount: 0,
+                event: null
+            };
+            swaps.push(current);
+            return;
+        }
+
+        if (current) {
+            applySwapTransfer(current, decodeTokenTransfer(ix));
+        }
+    });
+
+    // DAMM v1 使用 emit! 把事件写入日志
+    extractProgramDataLogs(logMessages).forEach(({ programId, data }) => {
+        const kind = getMeteoraProgramKind(programId);
+        if (kind) attachEvent(kind, decodeMeteoraEvent(kind, data));
+    });
+
+    return swaps
+        .filter(swap => swap.inputAmount > 0 || swap.outputAmount > 0)
+        .map(swap => toMeteoraSwap(swap, tokenAccounts));
+}
+
+/**
+ * 整理单个 swap 的结果
+ */
+function toMeteoraSwap(swap, tokenAccounts) {
+    const mintOf = (account) => tokenAccounts.get(account)?.mint || null;
+    const inputIndex = swap.vaults.indexOf(swap.inputVault);
+    const outputIndex = swap.vaults.indexOf(swap.outputVault);
+    const inputMint = mintOf(swap.inputVault) || mintOf(swap.inputAccount) || swap.mints[inputIndex] || null;
+    const outputMint = mintOf(swap.outputVault) || mintOf(swap.outputAccount) || swap.mints[outputIndex] || null;
+    const event = swap.event;
+
+    let fees = null;
+    let dlmm = null;
+    let nextSqrtPrice = null;
+
+    if (swap.program === 'dlmm') {
+        const tokenX = swap.mints[0];
+        const tokenY = swap.mints[1];
+        dlmm = {
+            tokenXMint: tokenX,
+            tokenYMint: tokenY,
+            tokenXDecimals: tokenAccounts.get(swap.vaults[0])?.decimals ?? null,
+            tokenYDecimals: tokenAccounts.get(swap.vaults[1])?.decimals ?? null,
+            swapForY: event ? event.swapForY : inputMint === tokenX,
+            startBinId: event?.startBinId ?? null,
+            endBinId: event?.endBinId ?? null,
+            // bin step 保存在 LbPair 账户中，需要额外读取（见 SolanaDexTradeParser.resolveMeteoraBinPrices）
+            binStep: null,
+            startPrice: null,
+            endPrice: null
+        };
+        if (event) {
+            fees = { fee: event.fee, protocolFee: event.protocolFee, hostFee: event.hostFee };
+        }
+    } else if (swap.program === 'damm_v1' && event) {
+        fees = { tradeFee: event.tradeFee, protocolFee: event.protocolFee, hostFee: event.hostFee };
+    } else if (swap.program === 'damm_v2' && event) {
+        fees = { lpFee: event.lpFee, protocolFee: event.protocolFee, partnerFee: event.partnerFee, referralFee: event.referralFee };
+        nextSqrtPrice = event.nextSqrtPrice;
+    } else if (swap.program === 'dbc' && event) {
+        fees = { tradingFee: event.tradingFee, protocolFee: event.protocolFee, referralFee: event.referralFee };
+        nextSqrtPrice = event.nextSqrtPrice;
+    }
+
+    // 实际手续费率 = 全部手续费 / 输入数量（DLMM 为动态费率，只能按成交计算；DLMM 的 fee 已包含协议和 host 手续费）
+    let totalFee = null;
+    if (fees) {
+        totalFee = swap.program === 'dlmm'
+            ? fees.fee
+            : Object.values(fees).reduce((sum, value) => sum + (value || 0), 0);
+    }
+    const feeRate = totalFee !== null && swap.inputAmount > 0 ? totalFee / swap.inputAmount : null;
+
+    return {
+        program: swap.program,
+        instruction: swap.name,
+        poolId: swap.poolId,
+        config: swap.config || null,
+        user: swap.user,
+        args: swap.args,
+        inputMint,
+        outputMint,
+        inputAmount: swap.inputAmount,
+        outputAmount: swap.outputAmount,
+        inputVault: swap.inputVault,
+        outputVault: swap.outputVault,
+        vaultOwners: [...new Set(swap.vaults.map(vault => tokenAccounts.get(vault)?.owner).filter(Boolean))],
+        feeRate,
+        fees,
+        dlmm,
+        nextSqrtPrice,
+        routed: swap.isInner
+    };
+}
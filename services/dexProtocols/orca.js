@@ -0,0 +1,16 @@
+/**
+ * Orca
+ */
+export default {
+    name: 'orca',
+    label: 'Orca',
+    programIds: [
+        '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP', // 主程序
+        'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',  // Whirlpools
+        'DjVE6JNiYqPL2QXyCUUh8rNjHrbz9hXHNYt99MQ59qw1'  // Swap V1
+    ],
+    priority: 80,
+    parse(parser, transaction) {
+        return parser.parseOrcaTransaction(transaction);
+    }
+};
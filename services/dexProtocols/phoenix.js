@@ -0,0 +1,12 @@
+/**
+ * Phoenix（链上订单簿）
+ */
+export default {
+    name: 'phoenix',
+    label: 'Phoenix',
+    programIds: ['PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY'],
+    priority: 74,
+    parse(parser, transaction) {
+        return parser.parseGenericTransaction(transaction, 'phoenix');
+    }
+};
@@ -0,0 +1,21 @@
+import { PUMP_FUN_PROGRAM_ID, PUMP_AMM_PROGRAM_ID } from './pumpFunDecoder.js';
+
+/**
+ * Pump.fun 联合曲线 + PumpSwap AMM
+ */
+export default {
+    name: 'pump_fun',
+    label: 'Pump.fun',
+    programIds: [PUMP_AMM_PROGRAM_ID, PUMP_FUN_PROGRAM_ID],
+    // 即使通过聚合器路由，实际执行交易的 Pump.fun 更重要
+    priority: 100,
+    // 通过日志中的程序 ID 或指令类型识别（某些路由交易的程序 ID 不在 accountKeys 中）
+    detect({ logText }) {
+        return logText.includes(PUMP_AMM_PROGRAM_ID.toLowerCase()) ||
+            logText.includes(PUMP_FUN_PROGRAM_ID.toLowerCase()) ||
+            (logText.includes('instruction: sell') && logText.includes('pamm'));
+    },
+    parse(parser, transaction) {
+        return parser.parsePumpFunTransaction(transaction);
+    }
+};
@@ -0,0 +1,429 @@
+import { BorshReader, ANCHOR_EVENT_CPI_TAG, toInstructionBuffer, readDiscriminator, extractProgramDataLogs } from './borshReader.js';
+
+/**
+ * Pump.fun 联合曲线（bonding curve）与 PumpSwap AMM 的 Anchor 指令/事件解码
+ * discriminator = sha256("global:<指令名>")[0..8] / sha256("event:<事件名>")[0..8]
+ */
+
+export const PUMP_FUN_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+export const PUMP_AMM_PROGRAM_ID = 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA';
+
+const BONDING_CURVE_INSTRUCTIONS = {
+    '181ec828051c0777': 'create',
+    'd6904cec5f8b31b4': 'create_v2',
+    '66063d1201daebea': 'buy',
+    '38fc74089edfcd5f': 'buy_exact_sol_in',
+    '33e685a4017f83ad': 'sell',
+    '9beae792ec9ea21e': 'migrate'
+};
+
+const AMM_INSTRUCTIONS = {
+    '66063d1201daebea': 'buy',
+    'c62e1552b4d9e870': 'buy_exact_quote_in',
+    '33e685a4017f83ad': 'sell',
+    'e992d18ecf6840bc': 'create_pool'
+};
+
+const EVENTS = {
+    'bddb7fd34ee661ee': 'TradeEvent',
+    '1b72a94ddeeb6376': 'CreateEvent',
+    '5f72619cd42e9808': 'CompleteEvent',
+    'bde95db95c94ea94': 'CompletePumpAmmMigrationEvent',
+    '67f4521f2cf57777': 'BuyEvent',
+    '3e2f370aa503dc2a': 'SellEvent',
+    'b1310cd2a076a774': 'CreatePoolEvent'
+};
+
+/**
+ * 解码指令参数
+ */
+function decodeInstructionArgs(program, name, reader) {
+    if (program === 'bonding_curve') {
+        switch (name) {
+            case 'buy':
+                return { amount: reader.u64(), maxSolCost: reader.u64() };
+            case 'buy_exact_sol_in':
+                return { spendableSolIn: reader.u64(), minTokensOut: reader.u64() };
+            case 'sell':
+                return { amount: reader.u64(), minSolOutput: reader.u64() };
+            case 'create':
+            case 'create_v2': {
+                const args = { name: reader.string(), symbol: reader.string(), uri: reader.string() };
+                if (reader.remaining() >= 32) {
+                    args.creator = reader.pubkey();
+                }
+                return args;
+            }
+            default:
+                return {};
+        }
+    }
+
+    switch (name) {
+        case 'buy':
+            return { baseAmountOut: reader.u64(), maxQuoteAmountIn: reader.u64() };
+        case 'buy_exact_quote_in':
+            return { spendableQuoteIn: reader.u64(), minBaseAmountOut: reader.u64() };
+        case 'sell':
+            return { baseAmountIn: reader.u64(), minQuoteAmountOut: reader.u64() };
+        default:
+            return {};
+    }
+}
+
+/**
+ * 按指令类型给账户命名（只保留解析需要的账户）
+ */
+function nameInstructionAccounts(program, name, accounts) {
+    const pick = (mapping) => {
+        const named = {};
+        Object.entries(mapping).forEach(([key, index]) => {
+            if (accounts[index]) named[key] = accounts[index];
+        });
+        return named;
+    };
+
+    if (program === 'bonding_curve') {
+        switch (name) {
+            case 'buy':
+            case 'buy_exact_sol_in':
+            case 'sell':
+                return pick({ feeRecipient: 1, mint: 2, bondingCurve: 3, associatedBondingCurve: 4, userTokenAccount: 5, user: 6 });
+            case 'create':
+                return pick({ mint: 0, bondingCurve: 2, associatedBondingCurve: 3, user: 7 });
+            case 'create_v2':
+                return pick({ mint: 0, bondingCurve: 2, associatedBondingCurve: 3, user: 5 });
+            case 'migrate':
+                return pick({ mint: 2, bondingCurve: 3, user: 5 });
+            default:
+                return {};
+        }
+    }
+
+    switch (name) {
+        case 'buy':
+        case 'buy_exact_quote_in':
+        case 'sell':
+            return pick({
+                pool: 0,
+                user: 1,
+                baseMint: 3,
+                quoteMint: 4,
+                userBaseTokenAccount: 5,
+                userQuoteTokenAccount: 6,
+                poolBaseTokenAccount: 7,
+                poolQuoteTokenAccount: 8,
+                protocolFeeRecipient: 9
+            });
+        case 'create_pool':
+            return pick({ pool: 0, creator: 2, baseMint: 3, quoteMint: 4 });
+        default:
+            return {};
+    }
+}
+
+/**
+ * 解码 Pump.fun / PumpSwap 指令
+ * @param {string} programId - 程序 ID
+ * @param {array} accounts - 指令账户地址列表
+ * @param {Buffer} data - 指令数据
+ * @returns {object|null} { program, name, args, accounts }
+ */
+export function decodePumpInstruction(programId, accounts, data) {
+    const program = programId === PUMP_FUN_PROGRAM_ID
+        ? 'bonding_curve'
+        : programId === PUMP_AMM_PROGRAM_ID ? 'amm' : null;
+    const discriminator = readDiscriminator(data);
+    if (!program || !discriminator) return null;
+
+    const name = (program === 'bonding_curve' ? BONDING_CURVE_INSTRUCTIONS : AMM_INSTRUCTIONS)[discriminator];
+    if (!name) return null;
+
+    let args = {};
+    try {
+        args = decodeInstructionArgs(program, name, new BorshReader(data, 8));
+    } catch (error) {
+        // 参数布局可能随程序升级变化，参数解码失败不影响指令识别
+    }
+
+    return {
+        program,
+        name,
+        args,
+        accounts: nameInstructionAccounts(program, name, accounts || [])
+    };
+}
+
+/**
+ * 解码事件数据（不含 self-CPI 前缀，以事件 discriminator 开头）
+ * @param {Buffer} data - 事件数据
+ * @returns {object|null} { name, ...字段 }
+ */
+export function decodePumpEvent(data) {
+    const name = EVENTS[readDiscriminator(data)];
+    if (!name) return null;
+
+    const reader = new BorshReader(data, 8);
+    // 新版本事件在末尾追加了字段，读取可选字段前检查剩余长度
+    const optional = (size, read) => (reader.remaining() >= size ? read() : null);
+
+    try {
+        switch (name) {
+            case 'TradeEvent': {
+                const event = {
+                    name,
+                    mint: reader.pubkey(),
+                    solAmount: reader.u64(),
+                    tokenAmount: reader.u64(),
+                    isBuy: reader.bool(),
+                    user: reader.pubkey(),
+                    timestamp: reader.i64(),
+                    virtualSolReserves: reader.u64(),
+                    virtualTokenReserves: reader.u64(),
+                    realSolReserves: reader.u64(),
+                    realTokenReserves: reader.u64()
+                };
+                event.feeRecipient = optional(32, () => reader.pubkey());
+                event.feeBasisPoints = optional(8, () => reader.u64());
+                event.fee = optional(8, () => reader.u64()) || 0;
+                event.creator = optional(32, () => reader.pubkey());
+                event.creatorFeeBasisPoints = optional(8, () => reader.u64());
+                event.creatorFee = optional(8, () => reader.u64()) || 0;
+                return event;
+            }
+            case 'CreateEvent': {
+                const event = {
+                    name,
+                    tokenName: reader.string(),
+                    symbol: reader.string(),
+                    uri: reader.string(),
+                    mint: reader.pubkey(),
+                    bondingCurve: reader.pubkey(),
+                    user: reader.pubkey()
+                };
+                // 旧版本没有 creator 字段（剩余 40 字节），新版本为 72 字节以上
+                event.creator = reader.remaining() >= 72 ? reader.pubkey() : event.user;
+                event.timestamp = reader.i64();
+                event.virtualTokenReserves = reader.u64();
+                event.virtualSolReserves = reader.u64();
+                event.realTokenReserves = reader.u64();
+                event.tokenTotalSupply = reader.u64();
+                return event;
+            }
+            case 'CompleteEvent':
+                return {
+                    name,
+                    user: reader.pubkey(),
+                    mint: reader.pubkey(),
+                    bondingCurve: reader.pubkey(),
+                    timestamp: reader.i64()
+                };
+            case 'CompletePumpAmmMigrationEvent':
+                return {
+                    name,
+                    user: reader.pubkey(),
+                    mint: reader.pubkey(),
+                    mintAmount: reader.u64(),
+                    solAmount: reader.u64(),
+                    poolMigrationFee: reader.u64(),
+                    bondingCurve: reader.pubkey(),
+                    timestamp: reader.i64(),
+                    pool: reader.pubkey()
+                };
+            case 'BuyEvent': {
+                const event = {
+                    name,
+                    timestamp: reader.i64(),
+                    baseAmountOut: reader.u64(),
+                    maxQuoteAmountIn: reader.u64(),
+                    userBaseTokenReserves: reader.u64(),
+                    userQuoteTokenReserves: reader.u64(),
+                    poolBaseTokenReserves: reader.u64(),
+                    poolQuoteTokenReserves: reader.u64(),
+                    quoteAmountIn: reader.u64(),
+                    lpFeeBasisPoints: reader.u64(),
+                    lpFee: reader.u64(),
+                    protocolFeeBasisPoints: reader.u64(),
+                    protocolFee: reader.u64(),
+                    quoteAmountInWithLpFee: reader.u64(),
+                    userQuoteAmountIn: reader.u64(),
+                    pool: reader.pubkey(),
+                    user: reader.pubkey(),
+                    userBaseTokenAccount: reader.pubkey(),
+                    userQuoteTokenAccount: reader.pubkey(),
+                    protocolFeeRecipient: reader.pubkey(),
+                    protocolFeeRecipientTokenAccount: reader.pubkey()
+                };
+                event.coinCreator = optional(32, () => reader.pubkey());
+                event.coinCreatorFeeBasisPoints = optional(8, () => reader.u64());
+                event.coinCreatorFee = optional(8, () => reader.u64()) || 0;
+                return event;
+            }
+            case 'SellEvent': {
+                const event = {
+                    name,
+                    timestamp: reader.i64(),
+                    baseAmountIn: reader.u64(),
+                    minQuoteAmountOut: reader.u64(),
+                    userBaseTokenReserves: reader.u64(),
+                    userQuoteTokenReserves: reader.u64(),
+                    poolBaseTokenReserves: reader.u64(),
+                    poolQuoteTokenReserves: reader.u64(),
+                    quoteAmountOut: reader.u64(),
+                    lpFeeBasisPoints: reader.u64(),
+                    lpFee: reader.u64(),
+                    protocolFeeBasisPoints: reader.u64(),
+                    protocolFee: reader.u64(),
+                    quoteAmountOutWithoutLpFee: reader.u64(),
+                    userQuoteAmountOut: reader.u64(),
+                    pool: reader.pubkey(),
+                    user: reader.pubkey(),
+                    userBaseTokenAccount: reader.pubkey(),
+                    userQuoteTokenAccount: reader.pubkey(),
+                    protocolFeeRecipient: reader.pubkey(),
+                    protocolFeeRecipientTokenAccount: reader.pubkey()
+                };
+                event.coinCreator = optional(32, () => reader.pubkey());
+                event.coinCreatorFeeBasisPoints = optional(8, () => reader.u64());
+                event.coinCreatorFee = optional(8, () => reader.u64()) || 0;
+                return event;
+            }
+            case 'CreatePoolEvent':
+                return { name };
+            default:
+                return null;
+        }
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 把一条交易事件转换为统一的成交腿（金额均为链上原始数量）
+ * @param {object} event - TradeEvent / BuyEvent / SellEvent
+ * @param {object} instruction - 触发该事件的已解码指令（AMM 事件不含 mint，需要从指令账户获取）
+ * @returns {object|null}
+ */
+function toPumpTrade(event, instruction) {
+    if (event.name === 'TradeEvent') {
+        const fees = { lpFee: 0, protocolFee: event.fee, creatorFee: event.creatorFee };
+        const feeTotal = event.fee + event.creatorFee;
+        return {
+            program: 'bonding_curve',
+            instruction: instruction?.name || (event.isBuy ? 'buy' : 'sell'),
+            side: event.isBuy ? 'buy' : 'sell',
+            user: event.user,
+            mint: event.mint,
+            quoteMint: null, // 联合曲线始终以 SOL 计价
+            bondingCurve: instruction?.accounts?.bondingCurve || null,
+            pool: null,
+            creator: event.creator || null,
+            timestamp: event.timestamp,
+            tokenAmount: event.tokenAmount,
+            quoteAmount: event.solAmount,
+            // 买入：用户实际支付 = 成交金额 + 手续费；卖出：用户实际收到 = 成交金额 - 手续费
+            userQuoteAmount: event.isBuy ? event.solAmount + feeTotal : event.solAmount - feeTotal,
+            fees,
+            reserves: {
+                virtualSolReserves: event.virtualSolReserves,
+                virtualTokenReserves: event.virtualTokenReserves,
+                realSolReserves: event.realSolReserves,
+                realTokenReserves: event.realTokenReserves
+            },
+            routed: !!instruction?.isInner
+        };
+    }
+
+    const isBuy = event.name === 'BuyEvent';
+    const fees = { lpFee: event.lpFee, protocolFee: event.protocolFee, creatorFee: event.coinCreatorFee };
+    return {
+        program: 'amm',
+        instruction: instruction?.name || (isBuy ? 'buy' : 'sell'),
+        side: isBuy ? 'buy' : 'sell',
+        user: event.user,
+        mint: instruction?.accounts?.baseMint || null,
+        quoteMint: instruction?.accounts?.quoteMint || null,
+        bondingCurve: null,
+        pool: event.pool,
+        creator: event.coinCreator || null,
+        timestamp: event.timestamp,
+        tokenAmount: isBuy ? event.baseAmountOut : event.baseAmountIn,
+        // 买入：quoteAmountInWithLpFee 减去 LP 费用即为进入池子的成交金额（buy 与 buy_exact_quote_in 语义一致）
+        quoteAmount: isBuy ? event.quoteAmountInWithLpFee - event.lpFee : event.quoteAmountOut,
+        userQuoteAmount: isBuy
+            ? event.quoteAmountInWithLpFee + event.protocolFee + event.coinCreatorFee
+            : event.userQuoteAmountOut,
+        fees,
+        reserves: {
+            poolBaseTokenReserves: event.poolBaseTokenReserves,
+            poolQuoteTokenReserves: event.poolQuoteTokenReserves
+        },
+        routed: !!instruction?.isInner
+    };
+}
+
+/**
+ * 解码交易中所有 Pump.fun / PumpSwap 指令和事件
+ * 事件可能通过 self-CPI 内部指令发出，也可能在日志 "Program data:" 中
+ * @param {array} instructions - 按执行顺序排列的指令 [{ programId, accounts, data, isInner }]
+ * @param {array} logMessages - 交易日志
+ * @returns {object} { instructions, events, trades }
+ */
+export function decodePumpFunActivity(instructions = [], logMessages = []) {
+    const decodedInstructions = [];
+    const events = [];
+    const trades = [];
+    // 等待事件的交易指令（事件紧跟在对应指令之后发出）
+    const pendingTradeInstructions = [];
+
+    const handleEvent = (event) => {
+        events.push(event);
+        if (!['TradeEvent', 'BuyEvent', 'SellEvent'].includes(event.name)) return;
+
+        const side = event.name === 'TradeEvent'
+            ? (event.isBuy ? 'buy' : 'sell')
+            : (event.name === 'BuyEvent' ? 'buy' : 'sell');
+        const program = event.name === 'TradeEvent' ? 'bonding_curve' : 'amm';
+        const index = pendingTradeInstructions.findIndex(ix =>
+            ix.program === program && (ix.name === side || ix.name.startsWith(`${side}_`))
+        );
+        const instruction = index >= 0 ? pendingTradeInstructions.splice(index, 1)[0] : null;
+        const trade = toPumpTrade(event, instruction);
+        if (trade) trades.push(trade);
+    };
+
+    instructions.forEach(ix => {
+        if (ix.programId !== PUMP_FUN_PROGRAM_ID && ix.programId !== PUMP_AMM_PROGRAM_ID) return;
+
+        const data = toInstructionBuffer(ix.data);
+        if (!data) return;
+
+        // self-CPI 事件：e445a52e51cb9a1d + 事件 discriminator + 事件数据
+        if (readDiscriminator(data) === ANCHOR_EVENT_CPI_TAG) {
+            const event = decodePumpEvent(data.subarray(8));
+            if (event) handleEvent(event);
+            return;
+        }
+
+        const decoded = decodePumpInstruction(ix.programId, ix.accounts, data);
+        if (!decoded) return;
+
+        decoded.isInner = !!ix.isInner;
+        decodedInstructions.push(decoded);
+        if (['buy', 'buy_exact_sol_in', 'buy_exact_quote_in', 'sell'].includes(decoded.name)) {
+            pendingTradeInstructions.push(decoded);
+        }
+    });
+
+    // 旧版本通过 emit! 把事件写在日志中（新版本同时写日志和 self-CPI，已经从 CPI 解码时不再重复读取）
+    if (events.length > 0) {
+        return { instructions: decodedInstructions, events, trades };
+    }
+    extractProgramDataLogs(logMessages).forEach(({ programId, data }) => {
+        if (programId && programId !== PUMP_FUN_PROGRAM_ID && programId !== PUMP_AMM_PROGRAM_ID) return;
+        const event = decodePumpEvent(data);
+        if (event) handleEvent(event);
+    });
+
+    return { instructions: decodedInstructions, events, trades };
+}
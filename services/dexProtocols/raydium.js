@@ -0,0 +1,25 @@
+import {
+    RAYDIUM_AMM_V4_PROGRAM_ID,
+    RAYDIUM_CPMM_PROGRAM_ID,
+    RAYDIUM_CLMM_PROGRAM_ID,
+    RAYDIUM_LAUNCHLAB_PROGRAM_ID
+} from './raydiumDecoder.js';
+
+/**
+ * Raydium（AMM v4 / CPMM / CLMM / LaunchLab）
+ */
+export default {
+    name: 'raydium',
+    label: 'Raydium',
+    programIds: [
+        RAYDIUM_AMM_V4_PROGRAM_ID,
+        '27haf8L6oxUeXrHrgEgsexjSY5hbVUWEmvv9Nyxg8vQv', // V3
+        RAYDIUM_CLMM_PROGRAM_ID,
+        RAYDIUM_CPMM_PROGRAM_ID,
+        RAYDIUM_LAUNCHLAB_PROGRAM_ID // bonk.fun 等发射台
+    ],
+    priority: 90,
+    parse(parser, transaction) {
+        return parser.parseRaydiumTransaction(transaction);
+    }
+};
@@ -0,0 +1,436 @@
+import {
+    BorshReader,
+    ANCHOR_EVENT_CPI_TAG,
+    toInstructionBuffer,
+    readDiscriminator,
+    extractProgramDataLogs
+} from './borshReader.js';
+import { decodeTokenTransfer, applySwapTransfer } from './splToken.js';
+
+/**
+ * Raydium AMM v4 / CPMM / CLMM / LaunchLab（bonk.fun）swap 指令与事件解码
+ * 成交数量以 swap 指令内部的代币转账为准（用户账户 -> 池子金库为输入，金库 -> 用户账户为输出），
+ * 事件只用于补充手续费、CLMM 价格等信息
+ */
+
+export const RAYDIUM_AMM_V4_PROGRAM_ID = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+export const RAYDIUM_CPMM_PROGRAM_ID = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C';
+export const RAYDIUM_CLMM_PROGRAM_ID = 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK';
+export const RAYDIUM_LAUNCHLAB_PROGRAM_ID = 'LanMV9sAd7wArD4vJFi2qDdfnVhFxYSUg6eADduJ3uj';
+
+// AMM v4 固定交易手续费 0.25%
+export const RAYDIUM_AMM_V4_FEE_RATE = 0.0025;
+
+// CPMM / CLMM 的 AmmConfig 中费率的分母
+const FEE_RATE_DENOMINATOR = 1000000;
+
+const PROGRAM_KINDS = {
+    [RAYDIUM_AMM_V4_PROGRAM_ID]: 'amm_v4',
+    [RAYDIUM_CPMM_PROGRAM_ID]: 'cpmm',
+    [RAYDIUM_CLMM_PROGRAM_ID]: 'clmm',
+    [RAYDIUM_LAUNCHLAB_PROGRAM_ID]: 'launchlab'
+};
+
+// AMM v4 不是 Anchor 程序，使用单字节指令序号
+const AMM_V4_INSTRUCTIONS = {
+    9: 'swap_base_in',
+    11: 'swap_base_out',
+    16: 'swap_base_in_v2',
+    17: 'swap_base_out_v2'
+};
+
+const ANCHOR_INSTRUCTIONS = {
+    cpmm: {
+        '8fbe5adac41e33de': 'swap_base_input',
+        '37d96256a34ab4ad': 'swap_base_output'
+    },
+    clmm: {
+        'f8c69e91e17587c8': 'swap',
+        '2b04ed0b1ac91e62': 'swap_v2'
+    },
+    launchlab: {
+        'faea0d7bd59c13ec': 'buy_exact_in',
+        '18d3742869039938': 'buy_exact_out',
+        '9527de9bd37c981a': 'sell_exact_in',
+        '5fc8472208090ba6': 'sell_exact_out'
+    }
+};
+
+const SWAP_EVENT_DISCRIMINATOR = '40c6cde8260871e2';
+const TRADE_EVENT_DISCRIMINATOR = 'bddb7fd34ee661ee';
+const AMM_CONFIG_DISCRIMINATOR = 'daf42168cbcb2b6f';
+
+/**
+ * 获取 Raydium 程序类型
+ * @param {string} programId - 程序 ID
+ * @returns {string|null} 'amm_v4' | 'cpmm' | 'clmm' | 'launchlab'
+ */
+export function getRaydiumProgramKind(programId) {
+    return PROGRAM_KINDS[programId] || null;
+}
+
+/**
+ * AMM v4 swap 账户布局：
+ * 18 个账户（带 target orders）: coinVault=5, pcVault=6；17 个账户: coinVault=4, pcVault=5；
+ * v2 指令 8 个账户: coinVault=3, pcVault=4；用户源账户、目标账户、owner 始终是最后三个
+ */
+function decodeAmmV4Swap(name, accounts, reader) {
+    const isV2 = name.endsWith('_v2');
+    const vaultIndex = isV2 ? 3 : (accounts.length >= 18 ? 5 : 4);
+    const isBaseIn = name.startsWith('swap_base_in');
+    const first = reader.u64();
+    const second = reader.u64();
+
+    return {
+        args: isBaseIn
+            ? { amountIn: first, minimumAmountOut: second }
+            : { maxAmountIn: first, amountOut: second },
+        poolId: accounts[1],
+        user: accounts[accounts.length - 1],
+        userAccounts: [accounts[accounts.length - 3], accounts[accounts.length - 2]],
+        vaults: [accounts[vaultIndex], accounts[vaultIndex + 1]],
+        mints: [],
+        ammConfig: null
+    };
+}
+
+function decodeAnchorSwap(kind, name, accounts, reader) {
+    switch (kind) {
+        case 'cpmm': {
+            const isBaseInput = name === 'swap_base_input';
+            const first = reader.u64();
+            const second = reader.u64();
+            return {
+                args: isBaseInput
+                    ? { amountIn: first, minimumAmountOut: second }
+                    : { maxAmountIn: first, amountOut: second },
+                poolId: accounts[3],
+                user: accounts[0],
+                userAccounts: [accounts[4], accounts[5]],
+                vaults: [accounts[6], accounts[7]],
+                mints: [accounts[10], accounts[11]],
+                ammConfig: accounts[2]
+            };
+        }
+        case 'clmm':
+            return {
+                args: {
+                    amount: reader.u64(),
+                    otherAmountThreshold: reader.u64(),
+                    sqrtPriceLimitX64: reader.u128().toString(),
+                    isBaseInput: reader.bool()
+                },
+                poolId: accounts[2],
+                user: accounts[0],
+                userAccounts: [accounts[3], accounts[4]],
+                vaults: [accounts[5], accounts[6]],
+                mints: name === 'swap_v2' ? [accounts[11], accounts[12]] : [],
+                ammConfig: accounts[1]
+            };
+        case 'launchlab': {
+            const isExactIn = name.endsWith('_exact_in');
+            const first = reader.u64();
+            const second = reader.u64();
+            const args = isExactIn
+                ? { amountIn: first, minimumAmountOut: second }
+                : { amountOut: first, maximumAmountIn: second };
+            if (reader.remaining() >= 8) {
+                args.shareFeeRate = reader.u64();
+            }
+            return {
+                args,
+                poolId: accounts[4],
+                user: accounts[0],
+                userAccounts: [accounts[5], accounts[6]],
+                vaults: [accounts[7], accounts[8]],
+                // base 为发射的代币，quote 一般为 WSOL
+                mints: [accounts[9], accounts[10]],
+                ammConfig: accounts[2]
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * 解码 Raydium swap 指令
+ * @param {string} programId - 程序 ID
+ * @param {array} accounts - 指令账户地址列表
+ * @param {Buffer} data - 指令数据
+ * @returns {object|null} { program, name, args, poolId, user, userAccounts, vaults, mints, ammConfig }
+ */
+export function decodeRaydiumInstruction(programId, accounts, data) {
+    const kind = getRaydiumProgramKind(programId);
+    if (!kind || !data || data.length === 0) return null;
+
+    try {
+        if (kind === 'amm_v4') {
+            const name = AMM_V4_INSTRUCTIONS[data.readUInt8(0)];
+            if (!name) return null;
+            return { program: kind, name, ...decodeAmmV4Swap(name, accounts || [], new BorshReader(data, 1)) };
+        }
+
+        const name = ANCHOR_INSTRUCTIONS[kind][readDiscriminator(data)];
+        if (!name) return null;
+        const decoded = decodeAnchorSwap(kind, name, accounts || [], new BorshReader(data, 8));
+        return decoded ? { program: kind, name, ...decoded } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 解码 Raydium 事件（CPMM / CLMM 的 SwapEvent，LaunchLab 的 TradeEvent）
+ * @param {string} kind - 程序类型
+ * @param {Buffer} data - 以事件 discriminator 开头的事件数据
+ * @returns {object|null}
+ */
+export function decodeRaydiumEvent(kind, data) {
+    const discriminator = readDiscriminator(data);
+    const reader = new BorshReader(data, 8);
+
+    try {
+        if (discriminator === SWAP_EVENT_DISCRIMINATOR && kind === 'clmm') {
+            return {
+                name: 'SwapEvent',
+                poolId: reader.pubkey(),
+                sender: reader.pubkey(),
+                tokenAccount0: reader.pubkey(),
+                tokenAccount1: reader.pubkey(),
+                amount0: reader.u64(),
+                transferFee0: reader.u64(),
+                amount1: reader.u64(),
+                transferFee1: reader.u64(),
+                zeroForOne: reader.bool(),
+                sqrtPriceX64: reader.u128().toString(),
+                liquidity: reader.u128().toString(),
+                tick: reader.i32()
+            };
+        }
+
+        if (discriminator === SWAP_EVENT_DISCRIMINATOR && kind === 'cpmm') {
+            const event = {
+                name: 'SwapEvent',
+                poolId: reader.pubkey(),
+                inputVaultBefore: reader.u64(),
+                outputVaultBefore: reader.u64(),
+                inputAmount: reader.u64(),
+                outputAmount: reader.u64(),
+                inputTransferFee: reader.u64(),
+                outputTransferFee: reader.u64(),
+                baseInput: reader.bool(),
+                inputMint: null,
+                outputMint: null,
+                tradeFee: null,
+                creatorFee: null
+            };
+            // 新版本追加了 mint 和手续费字段
+            if (reader.remaining() >= 80) {
+                event.inputMint = reader.pubkey();
+                event.outputMint = reader.pubkey();
+                event.tradeFee = reader.u64();
+                event.creatorFee = reader.u64();
+            }
+            return event;
+        }
+
+        if (discriminator === TRADE_EVENT_DISCRIMINATOR && kind === 'launchlab') {
+            return {
+                name: 'TradeEvent',
+                poolId: reader.pubkey(),
+                totalBaseSell: reader.u64(),
+                virtualBase: reader.u64(),
+                virtualQuote: reader.u64(),
+                realBaseBefore: reader.u64(),
+                realQuoteBefore: reader.u64(),
+                realBaseAfter: reader.u64(),
+                realQuoteAfter: reader.u64(),
+                amountIn: reader.u64(),
+                amountOut: reader.u64(),
+                protocolFee: reader.u64(),
+                platformFee: reader.u64()
+            };
+        }
+    } catch (error) {
+        return null;
+    }
+
+    return null;
+}
+
+/**
+ * 解码 CPMM / CLMM 的 AmmConfig 账户，得到交易手续费率
+ * @param {string} kind - 'cpmm' | 'clmm'
+ * @param {Buffer} data - 账户数据
+ * @returns {object|null} { tradeFeeRate, protocolFeeRate, fundFeeRate, feeRate, tickSpacing }
+ */
+export function decodeRaydiumAmmConfig(kind, data) {
+    if (readDiscriminator(data) !== AMM_CONFIG_DISCRIMINATOR) return null;
+    const reader = new BorshReader(data, 8);
+
+    try {
+        if (kind === 'clmm') {
+            reader.u8(); // bump
+            reader.u16(); // index
+            reader.pubkey(); // owner
+            const protocolFeeRate = reader.u32();
+            const tradeFeeRate = reader.u32();
+            const tickSpacing = reader.u16();
+            const fundFeeRate = reader.u32();
+            return { tradeFeeRate, protocolFeeRate, fundFeeRate, tickSpacing, feeRate: tradeFeeRate / FEE_RATE_DENOMINATOR };
+        }
+        if (kind === 'cpmm') {
+            reader.u8(); // bump
+            reader.bool(); // disable_create_pool
+            reader.u16(); // index
+            const tradeFeeRate = reader.u64();
+            const protocolFeeRate = reader.u64();
+            const fundFeeRate = reader.u64();
+            return { tradeFeeRate, protocolFeeRate, fundFeeRate, tickSpacing: null, feeRate: tradeFeeRate / FEE_RATE_DENOMINATOR };
+        }
+    } catch (error) {
+        return null;
+    }
+    return null;
+}
+
+/**
+ * 手续费率（小数）转换为 bps，保留两位小数
+ */
+export function toFeeTierBps(feeRate) {
+    return feeRate === null || feeRate === undefined ? null : Math.round(feeRate * 1000000) / 100;
+}
+
+/**
+ * 解码交易中所有 Raydium swap
+ * @param {array} instructions - 按执行顺序排列的指令 [{ programId, accounts, data, parsed, isInner }]
+ * @param {array} logMessages - 交易日志
+ * @param {Map} tokenAccounts - 代币账户地址 -> { mint, owner, decimals }
+ * @returns {array} swap 列表，金额均为链上原始数量
+ */
+export function decodeRaydiumSwaps(instructions = [], logMessages = [], tokenAccounts = new Map()) {
+    const swaps = [];
+    let current = null;
+
+    const attachEvent = (event) => {
+        if (!event) return;
+        const swap = swaps.find(item => item.poolId === event.poolId && !item.event);
+        if (swap) swap.event = event;
+    };
+
+    instructions.forEach(ix => {
+        const kind = getRaydiumProgramKind(ix.programId);
+        if (kind) {
+            const data = toInstructionBuffer(ix.data);
+            if (!data) return;
+
+            // LaunchLab 通过 self-CPI 发出事件
+            if (readDiscriminator(data) === ANCHOR_EVENT_CPI_TAG) {
+                attachEvent(decodeRaydiumEvent(kind, data.subarray(8)));
+                return;
+            }
+
+            const decoded = decodeRaydiumInstruction(ix.programId, ix.accounts, data);
+            if (!decoded) return;
+
+            current = {
+                ...decoded,
+                isInner: !!ix.isInner,
+                inputAccount: null,
+                outputAccount: null,
+                inputVault: null,
+                outputVault: null,
+                inputAmount: 0,
+                outputAmount: 0,
+                event: null
+            };
+            swaps.push(current);
+            return;
+        }
+
+        // swap 之后的代币转账：用户账户 -> 金库为输入，金库 -> 用户账户为输出
+        if (current) {
+            applySwapTransfer(current, decodeTokenTransfer(ix));
+        }
+    });
+
+    // CPMM / CLMM 使用 emit! 把事件写入日志
+    extractProgramDataLogs(logMessages).forEach(({ programId, data }) => {
+        const kind = getRaydiumProgramKind(programId);
+        if (kind) attachEvent(decodeRaydiumEvent(kind, data));
+    });
+
+    return swaps
+        .filter(swap => swap.inputAmount > 0 || swap.outputAmount > 0)
+        .map(swap => toRaydiumSwap(swap, tokenAccounts));
+}
+
+/**
+ * 整理单个 swap 的结果
+ */
+function toRaydiumSwap(swap, tokenAccounts) {
+    const mintOf = (account) => tokenAccounts.get(account)?.mint || null;
+    let inputMint = mintOf(swap.inputVault) || mintOf(swap.inputAccount);
+    let outputMint = mintOf(swap.outputVault) || mintOf(swap.outputAccount);
+
+    // 指令账户中带 mint 时用于补全（按金库顺序对应）
+    if (swap.mints.length === 2) {
+        const inputIndex = swap.vaults.indexOf(swap.inputVault);
+        const outputIndex = swap.vaults.indexOf(swap.outputVault);
+        if (!inputMint && inputIndex >= 0) inputMint = swap.mints[inputIndex];
+        if (!outputMint && outputIndex >= 0) outputMint = swap.mints[outputIndex];
+    }
+
+    let feeRate = null;
+    let fees = null;
+    let clmm = null;
+    let launchLab = null;
+    const event = swap.event;
+
+    if (swap.program === 'amm_v4') {
+        feeRate = RAYDIUM_AMM_V4_FEE_RATE;
+    } else if (swap.program === 'cpmm' && event?.tradeFee !== null && event?.tradeFee !== undefined && event.inputAmount > 0) {
+        fees = { tradeFee: event.tradeFee, creatorFee: event.creatorFee };
+        feeRate = Math.round(event.tradeFee / event.inputAmount * FEE_RATE_DENOMINATOR) / FEE_RATE_DENOMINATOR;
+    } else if (swap.program === 'clmm' && event) {
+        clmm = {
+            tick: event.tick,
+            sqrtPriceX64: event.sqrtPriceX64,
+            liquidity: event.liquidity,
+            zeroForOne: event.zeroForOne
+        };
+    } else if (swap.program === 'launchlab' && event) {
+        fees = { protocolFee: event.protocolFee, platformFee: event.platformFee };
+        launchLab = {
+            virtualBase: event.virtualBase,
+            virtualQuote: event.virtualQuote,
+            realBaseAfter: event.realBaseAfter,
+            realQuoteAfter: event.realQuoteAfter,
+            totalBaseSell: event.totalBaseSell
+        };
+    }
+
+    return {
+        program: swap.program,
+        instruction: swap.name,
+        poolId: swap.poolId,
+        ammConfig: swap.ammConfig,
+        user: swap.user,
+        args: swap.args,
+        inputMint,
+        outputMint,
+        inputAmount: swap.inputAmount,
+        outputAmount: swap.outputAmount,
+        inputVault: swap.inputVault,
+        outputVault: swap.outputVault,
+        // 金库 owner（AMM v4 / CPMM 为程序 authority，CLMM 为池子本身），持有人列表中出现的是这个地址
+        vaultOwners: [...new Set(swap.vaults.map(vault => tokenAccounts.get(vault)?.owner).filter(Boolean))],
+        feeRate,
+        feeTierBps: toFeeTierBps(feeRate),
+        fees,
+        clmm,
+        launchLab,
+        routed: swap.isInner
+    };
+}
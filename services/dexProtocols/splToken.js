@@ -0,0 +1,179 @@
+import bs58 from 'bs58';
+import { toInstructionBuffer } from './borshReader.js';
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+const TOKEN_PROGRAM_IDS = new Set([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]);
+
+/**
+ * 解码 SPL Token / Token-2022 转账指令（Transfer / TransferChecked / TransferCheckedWithFee）
+ * 同时支持原始格式（data 为 base58）和 jsonParsed 格式（parsed.info）
+ * @param {object} ix - collectInstructions 返回的指令 { programId, accounts, data, parsed }
+ * @returns {object|null} { source, destination, authority, mint, amount, fee }，amount 为原始数量，
+ *   fee 为 TransferCheckedWithFee 声明的转账手续费（其他指令为 null）
+ */
+export function decodeTokenTransfer(ix) {
+    if (!ix || !TOKEN_PROGRAM_IDS.has(ix.programId)) return null;
+
+    if (ix.parsed) {
+        const { type, info } = ix.parsed;
+        if (!info || !['transfer', 'transferChecked', 'transferCheckedWithFee'].includes(type)) return null;
+        const amount = info.amount ?? info.tokenAmount?.amount;
+        if (amount === undefined) return null;
+        return {
+            source: info.source,
+            destination: info.destination,
+            authority: info.authority || info.multisigAuthority || null,
+            mint: info.mint || null,
+            amount: Number(amount),
+            fee: info.feeAmount?.amount !== undefined ? Number(info.feeAmount.amount) : null
+        };
+    }
+
+    const data = toInstructionBuffer(ix.data);
+    if (!data || data.length < 9) return null;
+    const accounts = ix.accounts || [];
+
+    switch (data.readUInt8(0)) {
+        case 3: // Transfer: source, destination, authority
+            return {
+                source: accounts[0],
+                destination: accounts[1],
+                authority: accounts[2] || null,
+                mint: null,
+                amount: Number(data.readBigUInt64LE(1)),
+                fee: null
+            };
+        case 12: // TransferChecked: source, mint, destination, authority
+            return {
+                source: accounts[0],
+                destination: accounts[2],
+                authority: accounts[3] || null,
+                mint: accounts[1] || null,
+                amount: Number(data.readBigUInt64LE(1)),
+                fee: null
+            };
+        case 26: // Token-2022 TransferFeeExtension: TransferCheckedWithFee（子指令 1）: amount u64, decimals u8, fee u64
+            if (data.readUInt8(1) !== 1 || data.length < 10) return null;
+            return {
+                source: accounts[0],
+                destination: accounts[2],
+                authority: accounts[3] || null,
+                mint: accounts[1] || null,
+                amount: Number(data.readBigUInt64LE(2)),
+                fee: data.length >= 19 ? Number(data.readBigUInt64LE(11)) : null
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * 解码 SPL Token / Token-2022 的 InitializeMint / InitializeMint2 指令（代币创建）
+ * @param {object} ix - collectInstructions 返回的指令 { programId, accounts, data, parsed }
+ * @returns {object|null} { mint, decimals, mintAuthority }
+ */
+export function decodeInitializeMint(ix) {
+    if (!ix || !TOKEN_PROGRAM_IDS.has(ix.programId)) return null;
+
+    if (ix.parsed) {
+        const { type, info } = ix.parsed;
+        if (!info || !['initializeMint', 'initializeMint2'].includes(type)) return null;
+        return { mint: info.mint, decimals: info.decimals ?? null, mintAuthority: info.mintAuthority || null };
+    }
+
+    const data = toInstructionBuffer(ix.data);
+    // InitializeMint(0) / InitializeMint2(20): decimals u8, mint_authority pubkey, freeze_authority COption<pubkey>
+    if (!data || data.length < 34 || ![0, 20].includes(data.readUInt8(0))) return null;
+    const mint = (ix.accounts || [])[0];
+    if (!mint) return null;
+    return { mint, decimals: data.readUInt8(1), mintAuthority: bs58.encode(data.subarray(2, 34)) };
+}
+
+/**
+ * 把 swap 指令之后的代币转账归属到该 swap：
+ * 用户账户 -> 池子金库（或手续费账户）为输入，金库 -> 用户账户为输出
+ * @param {object} swap - { userAccounts, vaults, feeAccounts?, inputAmount, outputAmount, ... }
+ * @param {object} transfer - decodeTokenTransfer 的结果
+ * @returns {boolean} 是否属于该 swap
+ */
+export function applySwapTransfer(swap, transfer) {
+    if (!swap || !transfer) return false;
+
+    const toVault = swap.vaults.includes(transfer.destination);
+    const toFeeAccount = (swap.feeAccounts || []).includes(transfer.destination);
+    if (swap.userAccounts.includes(transfer.source) && (toVault || toFeeAccount)) {
+        swap.inputAccount = transfer.source;
+        if (toVault) swap.inputVault = transfer.destination;
+        swap.inputAmount += transfer.amount;
+        return true;
+    }
+    if (swap.vaults.includes(transfer.source) && swap.userAccounts.includes(transfer.destination)) {
+        swap.outputAccount = transfer.destination;
+        swap.outputVault = transfer.source;
+        swap.outputAmount += transfer.amount;
+        return true;
+    }
+    return false;
+}
+
+/**
+ * 统一 Token-2022 mint 扩展的格式
+ * 支持 RPC jsonParsed（[{ extension: 'transferFeeConfig', state: {...} }]）
+ * 和 Helius DAS getAsset 的 mint_extensions（{ transfer_fee_config: {...} }）两种结构
+ * @param {Array|object|null} extensions - mint 扩展
+ * @returns {{ names: Array<string>, transferFeeConfig: object|null, interestBearingConfig: object|null }}
+ */
+export function normalizeMintExtensions(extensions) {
+    const toCamelCase = (name) => name.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    const entries = Array.isArray(extensions)
+        ? extensions.map(item => [item.extension, item.state || {}])
+        : Object.entries(extensions || {}).map(([name, state]) => [toCamelCase(name), state || {}]);
+
+    const pick = (state, camel, snake) => state[camel] ?? state[snake];
+    const toFee = (fee) => fee ? {
+        epoch: Number(fee.epoch || 0),
+        maximumFee: Number(pick(fee, 'maximumFee', 'maximum_fee') || 0),
+        transferFeeBasisPoints: Number(pick(fee, 'transferFeeBasisPoints', 'transfer_fee_basis_points') || 0)
+    } : null;
+
+    let transferFeeConfig = null;
+    let interestBearingConfig = null;
+    entries.forEach(([name, state]) => {
+        if (name === 'transferFeeConfig') {
+            transferFeeConfig = {
+                olderTransferFee: toFee(pick(state, 'olderTransferFee', 'older_transfer_fee')),
+                newerTransferFee: toFee(pick(state, 'newerTransferFee', 'newer_transfer_fee')),
+                withheldAmount: Number(pick(state, 'withheldAmount', 'withheld_amount') || 0)
+            };
+        } else if (name === 'interestBearingConfig') {
+            interestBearingConfig = {
+                currentRate: Number(pick(state, 'currentRate', 'current_rate') || 0),
+                preUpdateAverageRate: Number(pick(state, 'preUpdateAverageRate', 'pre_update_average_rate') || 0),
+                lastUpdateTimestamp: Number(pick(state, 'lastUpdateTimestamp', 'last_update_timestamp') || 0)
+            };
+        }
+    });
+
+    return {
+        names: entries.map(([name]) => name),
+        transferFeeConfig,
+        interestBearingConfig
+    };
+}
+
+/**
+ * 按 TransferFeeConfig 计算一笔转账被扣留的手续费（与链上一致：向上取整，不超过 maximumFee）
+ * @param {object|null} transferFeeConfig - normalizeMintExtensions 返回的 transferFeeConfig
+ * @param {number} amount - 转账原始数量
+ * @param {number} epoch - 转账所在 epoch（不传时使用较新的费率）
+ * @returns {number} 手续费原始数量
+ */
+export function calculateTransferFee(transferFeeConfig, amount, epoch = Infinity) {
+    if (!transferFeeConfig || !amount) return 0;
+    const { olderTransferFee, newerTransferFee } = transferFeeConfig;
+    const fee = newerTransferFee && epoch >= newerTransferFee.epoch ? newerTransferFee : (olderTransferFee || newerTransferFee);
+    if (!fee || fee.transferFeeBasisPoints === 0) return 0;
+    return Math.min(Math.ceil(amount * fee.transferFeeBasisPoints / 10000), fee.maximumFee);
+}
@@ -0,0 +1,214 @@
+import { resolveAccountKeys } from './accountKeys.js';
+import { expandTradeLegs } from './tradeLegs.js';
+
+/**
+ * 代币发射分析（不依赖网络和数据库）
+ * 从代币地址按 slot 升序的交易中找出创建交易和开盘后最早的买入，标记：
+ *   - sniper：开盘后 sniperSlots 个 slot 内买入
+ *   - bundle：同一个 slot 内有多个钱包买入（同一笔交易内多个钱包买入时 sameTransaction 为 true）
+ *   - deployerFunded：买入前收到过部署者直接转入的 SOL（只看直接转账，不追踪中转钱包）
+ *   - insider：部署者本人或由部署者出资的钱包
+ */
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const DEFAULT_LAUNCH_OPTIONS = {
+    firstBuyers: 50,
+    sniperSlots: 2,
+    minBundleSize: 2
+};
+
+const signatureOf = tx => tx.signature || tx.transaction?.signatures?.[0] || null;
+
+/**
+ * 代币的创建交易（按 slot 升序的第一笔），部署者为其手续费支付者
+ * @param {Array<object>} transactions - 代币地址的交易（full，按 slot 升序）
+ * @returns {{slot: number, blockTime: number|null, signature: string, deployer: string|null}|null}
+ */
+export function findCreationTransaction(transactions) {
+    const first = (transactions || []).find(tx => tx && Number.isFinite(tx.slot));
+    if (!first) {
+        return null;
+    }
+    return {
+        slot: first.slot,
+        blockTime: first.blockTime ?? null,
+        signature: signatureOf(first),
+        deployer: resolveAccountKeys(first)[0]?.pubkey || null
+    };
+}
+
+/**
+ * 提取用 SOL 买入该代币的记录（含同一交易中其他钱包的买入）
+ * @param {Array<object>} transactions - 代币地址的交易（full）
+ * @param {Map<string, object>} tradeInfoMap - 签名 -> 解析结果（parseMultipleTradeInfoFromTransactions）
+ * @param {string} tokenMint - 代币地址
+ * @returns {Array<object>} [{ signature, slot, blockTime, buyer, solAmount, tokenAmount, isSigner }]，按 slot 升序
+ */
+export function extractLaunchBuys(transactions, tradeInfoMap, tokenMint) {
+    const buys = [];
+    (transactions || []).forEach((tx, index) => {
+        const signature = signatureOf(tx);
+        const tradeInfo = signature ? tradeInfoMap.get(signature) : null;
+        if (!tradeInfo) {
+            return;
+        }
+        expandTradeLegs(tradeInfo, SOL_MINT)
+            .filter(trade => trade.type === 'buy' && trade.boughtToken?.mint === tokenMint && trade.soldToken?.mint === SOL_MINT)
+            .forEach(trade => buys.push({
+                signature,
+                slot: tx.slot,
+                blockTime: tx.blockTime ?? null,
+                // 同一 slot 内按交易返回顺序
+                order: index,
+                buyer: trade.holderAddress,
+                solAmount: trade.soldToken.amount,
+                tokenAmount: trade.boughtToken.amount,
+                isSigner: trade.isSigner ?? null
+            }));
+    });
+    return buys.sort((a, b) => (a.slot - b.slot) || (a.order - b.order)).map(({ order, ...buy }) => buy);
+}
+
+/**
+ * 统计某个地址直接转出 SOL 的接收方（按余额变化：该地址付手续费且余额减少时，余额增加的其他账户视为接收方）
+ * @param {Array<object>} transactions - 该地址的交易（full）
+ * @param {string} fromAddress - 转出地址
+ * @returns {Map<string, {lamports: number, firstSlot: number, signatures: Array<string>}>}
+ */
+export function extractSolRecipients(transactions, fromAddress) {
+    const recipients = new Map();
+    (transactions || []).forEach(tx => {
+        const meta = tx?.meta;
+        if (!meta || meta.err || !meta.preBalances || !meta.postBalances) {
+            return;
+        }
+        const accounts = resolveAccountKeys(tx).map(key => key.pubkey);
+        if (accounts[0] !== fromAddress || meta.postBalances[0] >= meta.preBalances[0]) {
+            return;
+        }
+        accounts.forEach((address, index) => {
+            const delta = (meta.postBalances[index] ?? 0) - (meta.preBalances[index] ?? 0);
+            if (index === 0 || delta <= 0 || !address) {
+                return;
+            }
+            if (!recipients.has(address)) {
+                recipients.set(address, { lamports: 0, firstSlot: tx.slot, signatures: [] });
+            }
+            const recipient = recipients.get(address);
+            recipient.lamports += delta;
+            recipient.firstSlot = Math.min(recipient.firstSlot, tx.slot);
+            recipient.signatures.push(signatureOf(tx));
+        });
+    });
+    return recipients;
+}
+
+/**
+ * 分析发射：最早买入的钱包、同 slot 捆绑买入和部署者出资的钱包
+ * slotOffset 相对开盘 slot（第一笔买入所在 slot，只能在池子创建后成交），creationSlotOffset 相对代币创建 slot
+ * @param {object} params
+ * @param {object} params.creation - findCreationTransaction 的结果
+ * @param {Array<object>} params.buys - extractLaunchBuys 的结果
+ * @param {Map<string, object>} [params.deployerRecipients] - extractSolRecipients(部署者交易, 部署者) 的结果
+ * @param {object} [params.options] - 见 DEFAULT_LAUNCH_OPTIONS
+ * @returns {object} { creation, launchSlot, buyers, bundles, summary }
+ */
+export function analyzeLaunch({ creation, buys, deployerRecipients = new Map(), options = {} }) {
+    const { firstBuyers, sniperSlots, minBundleSize } = { ...DEFAULT_LAUNCH_OPTIONS, ...options };
+    const launchSlot = buys.length > 0 ? buys[0].slot : null;
+    const deployer = creation?.deployer || null;
+
+    // 每个 slot 内的买入钱包
+    const buyersBySlot = new Map();
+    buys.forEach(buy => {
+        if (!buyersBySlot.has(buy.slot)) {
+            buyersBySlot.set(buy.slot, new Set());
+        }
+        buyersBySlot.get(buy.slot).add(buy.buyer);
+    });
+    const buyersBySignature = new Map();
+    buys.forEach(buy => {
+        if (!buyersBySignature.has(buy.signature)) {
+            buyersBySignature.set(buy.signature, new Set());
+        }
+        buyersBySignature.get(buy.signature).add(buy.buyer);
+    });
+
+    // 每个钱包的第一笔买入，取前 firstBuyers 个
+    const firstBuys = new Map();
+    buys.forEach(buy => {
+        if (!firstBuys.has(buy.buyer)) {
+            firstBuys.set(buy.buyer, { ...buy, buyCount: 0, totalSol: 0 });
+        }
+        const first = firstBuys.get(buy.buyer);
+        first.buyCount++;
+        first.totalSol += buy.solAmount || 0;
+    });
+
+    const buyers = [...firstBuys.values()].slice(0, firstBuyers).map((buy, index) => {
+        const slotOffset = buy.slot - launchSlot;
+        const funding = deployerRecipients.get(buy.buyer);
+        const deployerFunded = Boolean(funding && funding.firstSlot <= buy.slot);
+        const bundled = buyersBySlot.get(buy.slot).size >= minBundleSize;
+        const sameTransaction = buyersBySignature.get(buy.signature).size > 1;
+        const isDeployer = buy.buyer === deployer;
+
+        const flags = [];
+        if (isDeployer) flags.push('deployer');
+        if (slotOffset <= sniperSlots) flags.push('sniper');
+        if (bundled) flags.push('bundle');
+        if (deployerFunded) flags.push('deployerFunded');
+        if (isDeployer || deployerFunded) flags.push('insider');
+
+        return {
+            rank: index + 1,
+            walletAddress: buy.buyer,
+            signature: buy.signature,
+            slot: buy.slot,
+            slotOffset,
+            creationSlotOffset: creation ? buy.slot - creation.slot : null,
+            blockTime: buy.blockTime,
+            solAmount: buy.solAmount,
+            tokenAmount: buy.tokenAmount,
+            buyCount: buy.buyCount,
+            totalSol: buy.totalSol,
+            bundled,
+            sameTransaction,
+            deployerFunded,
+            deployerFundingSol: deployerFunded ? funding.lamports / 1e9 : null,
+            flags
+        };
+    });
+
+    // 同一 slot 内多个钱包买入
+    const bundles = [...buyersBySlot.entries()]
+        .filter(([, wallets]) => wallets.size >= minBundleSize)
+        .map(([slot, wallets]) => {
+            const slotBuys = buys.filter(buy => buy.slot === slot);
+            return {
+                slot,
+                slotOffset: slot - launchSlot,
+                walletCount: wallets.size,
+                wallets: [...wallets],
+                totalSol: slotBuys.reduce((sum, buy) => sum + (buy.solAmount || 0), 0),
+                signatures: [...new Set(slotBuys.map(buy => buy.signature))]
+            };
+        });
+
+    const countFlag = flag => buyers.filter(buyer => buyer.flags.includes(flag)).length;
+    return {
+        creation,
+        launchSlot,
+        buyers,
+        bundles,
+        summary: {
+            buyerCount: buyers.length,
+            sniperCount: countFlag('sniper'),
+            bundledCount: countFlag('bundle'),
+            deployerFundedCount: countFlag('deployerFunded'),
+            insiderCount: countFlag('insider'),
+            firstBuyersSol: buyers.reduce((sum, buyer) => sum + (buyer.totalSol || 0), 0)
+        }
+    };
+}
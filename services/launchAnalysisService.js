@@ -0,0 +1,150 @@
+import { getTransactionsForAddress } from './tokenService.js';
+import { parseMultipleTradeInfoFromTransactions } from './transactionParseService.js';
+import {
+    DEFAULT_LAUNCH_OPTIONS,
+    analyzeLaunch,
+    extractLaunchBuys,
+    extractSolRecipients,
+    findCreationTransaction
+} from './launchAnalysis.js';
+
+/**
+ * 代币发射分析服务
+ * 用 Helius getTransactionsForAddress 按 slot 升序拉取代币地址的交易，本地解析器解析买入，
+ * 再拉取部署者在这些买入之前的交易，判断哪些买家由部署者出资
+ */
+
+// full 模式每页最多 100 笔
+const PAGE_LIMIT = 100;
+
+// 第 n 个买家第一次买入所在的 slot，买家不足 n 个时返回 null
+function getNthBuyerSlot(buys, n) {
+    const buyers = new Set();
+    for (const buy of buys) {
+        buyers.add(buy.buyer);
+        if (buyers.size === n) {
+            return buy.slot;
+        }
+    }
+    return null;
+}
+
+/**
+ * 按 slot 升序拉取代币地址的交易并解析买卖
+ * 指定 firstBuyers 时凑够该数量的买家、且最后一个买家所在的 slot 已经完整（同 slot 捆绑需要完整的 slot）就停止，
+ * 否则拉取到没有更多交易或达到 maxPages
+ * @param {string} tokenAddress - 代币地址
+ * @param {object} [options]
+ * @param {number|null} [options.firstBuyers] - 需要的买家数量
+ * @param {number} [options.maxPages=5] - 最多拉取的页数（每页 100 笔）
+ * @returns {Promise<{transactions: Array<object>, tradeInfoMap: Map<string, object>, pages: number, truncated: boolean}>}
+ */
+export async function fetchTokenTransactionStream(tokenAddress, { firstBuyers = null, maxPages = 5 } = {}) {
+    const transactions = [];
+    const tradeInfoMap = new Map();
+    let paginationToken = null;
+    let pages = 0;
+    let truncated = false;
+
+    while (true) {
+        const result = await getTransactionsForAddress(tokenAddress, {
+            limit: PAGE_LIMIT,
+            transactionDetails: 'full',
+            sortOrder: 'asc',
+            filters: { status: 'succeeded' },
+            paginationToken,
+            skipSystemInstructionFilter: true
+        });
+        pages++;
+        const pageTransactions = result.data || [];
+        transactions.push(...pageTransactions);
+        (await parseMultipleTradeInfoFromTransactions(pageTransactions)).forEach((tradeInfo, signature) => {
+            tradeInfoMap.set(signature, tradeInfo);
+        });
+
+        paginationToken = result.paginationToken;
+        if (!paginationToken || pageTransactions.length === 0) break;
+
+        if (firstBuyers) {
+            const lastBuyerSlot = getNthBuyerSlot(extractLaunchBuys(transactions, tradeInfoMap, tokenAddress), firstBuyers);
+            if (lastBuyerSlot !== null && pageTransactions[pageTransactions.length - 1].slot > lastBuyerSlot) break;
+        }
+        if (pages >= maxPages) {
+            truncated = true;
+            break;
+        }
+    }
+
+    return { transactions, tradeInfoMap, pages, truncated };
+}
+
+/**
+ * 部署者在 beforeSlot 之前（按 slot 倒序）的交易中直接转出 SOL 的接收方
+ */
+async function fetchDeployerRecipients(deployer, beforeSlot, maxPages) {
+    const transactions = [];
+    let paginationToken = null;
+    for (let page = 0; page < maxPages; page++) {
+        const result = await getTransactionsForAddress(deployer, {
+            limit: PAGE_LIMIT,
+            transactionDetails: 'full',
+            sortOrder: 'desc',
+            filters: { status: 'succeeded', slot: { lt: beforeSlot } },
+            paginationToken,
+            skipSystemInstructionFilter: true
+        });
+        transactions.push(...(result.data || []));
+        paginationToken = result.paginationToken;
+        if (!paginationToken) break;
+    }
+    return extractSolRecipients(transactions, deployer);
+}
+
+/**
+ * 分析代币发射：创建 slot、最早的买家（slot 偏移和 SOL 金额）、同 slot 捆绑买入、部署者出资的买家
+ * @param {string} tokenAddress - 代币地址
+ * @param {object} [options]
+ * @param {number} [options.firstBuyers=50] - 分析前多少个买家
+ * @param {number} [options.sniperSlots=2] - 开盘后多少个 slot 内买入视为狙击
+ * @param {number} [options.minBundleSize=2] - 同一 slot 内至少多少个钱包买入视为捆绑
+ * @param {number} [options.maxPages=5] - 代币交易最多拉取的页数
+ * @param {number} [options.fundingPages=2] - 部署者交易最多拉取的页数，为 0 时不检查出资
+ * @returns {Promise<object>} analyzeLaunch 的结果，附带 tokenAddress、pages、truncated
+ */
+export async function analyzeTokenLaunch(tokenAddress, { firstBuyers, sniperSlots, minBundleSize, maxPages = 5, fundingPages = 2 } = {}) {
+    if (!tokenAddress) {
+        throw new Error('代币地址不能为空');
+    }
+    const options = {
+        firstBuyers: firstBuyers ?? DEFAULT_LAUNCH_OPTIONS.firstBuyers,
+        sniperSlots: sniperSlots ?? DEFAULT_LAUNCH_OPTIONS.sniperSlots,
+        minBundleSize: minBundleSize ?? DEFAULT_LAUNCH_OPTIONS.minBundleSize
+    };
+
+    const { transactions, tradeInfoMap, pages, truncated } = await fetchTokenTransactionStream(tokenAddress, { firstBuyers: options.firstBuyers, maxPages });
+    const creation = findCreationTransaction(transactions);
+    if (!creation) {
+        const error = new Error(`没有找到代币 ${tokenAddress} 的交易`);
+        error.status = 404;
+        throw error;
+    }
+
+    const buys = extractLaunchBuys(transactions, tradeInfoMap, tokenAddress);
+    let deployerRecipients = new Map();
+    if (creation.deployer && buys.length > 0 && fundingPages > 0) {
+        // 只需要最后一个被分析的买家之前的出资记录
+        const lastSlot = getNthBuyerSlot(buys, options.firstBuyers) ?? buys[buys.length - 1].slot;
+        deployerRecipients = await fetchDeployerRecipients(creation.deployer, lastSlot + 1, fundingPages).catch(error => {
+            console.warn(`获取部署者 ${creation.deployer} 的交易失败，不检查出资: ${error.message}`);
+            return new Map();
+        });
+    }
+
+    return {
+        tokenAddress,
+        pages,
+        truncated,
+        options,
+        ...analyzeLaunch({ creation, buys, deployerRecipients, options })
+    };
+}
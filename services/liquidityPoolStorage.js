@@ -1,4 +1,4 @@
-import { getTokenLiquidityPools, saveTokenLiquidityPools, hasTokenLiquidityPools } from '../db/liquidityPoolMapper.js';
+import { getTokenLiquidityPools, saveTokenLiquidityPools, hasTokenLiquidityPools, addTokenLiquidityPools } from '../db/liquidityPoolMapper.js';
 import Redis from 'ioredis';
 import { config } from '../config/index.js';
 
@@ -120,3 +120,76 @@ export async function hasLiquidityPools(tokenAddress) {
   return await hasTokenLiquidityPools(tokenAddress);
 }
 
+/**
+ * 追加代币的流动性池地址（与已保存的地址合并，数据库和 Redis 都写入）
+ * 已保存的地址先从 Redis 读取，Redis 没有时从数据库读取，避免 Redis 中只剩本次解析出的池子，
+ * 导致持有人同步加载不到之前从前 10 个持有人中识别出的流动性池
+ * @param {string} tokenAddress - 代币地址
+ * @param {Array<string>} poolAddresses - 流动性池地址列表
+ * @returns {Promise<number>} 新增的地址数量
+ */
+export async function addLiquidityPools(tokenAddress, poolAddresses) {
+  if (!poolAddresses || poolAddresses.length === 0) {
+    return 0;
+  }
+
+  const existing = await getLiquidityPools(tokenAddress);
+  const added = [...new Set(poolAddresses)].filter(address => !existing.includes(address));
+  if (added.length === 0) {
+    return 0;
+  }
+
+  // 数据库始终保存一份，Redis 过期或不可用时仍能读取完整列表
+  await addTokenLiquidityPools(tokenAddress, added);
+
+  try {
+    const client = initRedisClient();
+    if (client) {
+      const key = getRedisKey(tokenAddress);
+      await client.setex(key, 86400 * 30, JSON.stringify([...existing, ...added])); // 30天过期
+    }
+  } catch (error) {
+    console.warn('追加到 Redis 失败，已保存到数据库:', error.message);
+  }
+
+  return added.length;
+}
+
+/**
+ * 从解析出的交易中记录流动性池地址（池子地址和持有金库的 owner 地址都记录下来，
+ * 这样持有人同步时不需要再从前 10 个持有人中猜测流动性池）
+ * @param {Iterable<object>} tradeInfos - 交易解析结果（包含 pools 字段）
+ * @param {string} SOL_MINT - SOL 代币地址，SOL 侧不记录
+ * @returns {Promise<number>} 新增的地址数量
+ */
+export async function recordTradeLiquidityPools(tradeInfos, SOL_MINT = 'So11111111111111111111111111111111111111112') {
+  const poolsByToken = new Map();
+
+  for (const tradeInfo of tradeInfos) {
+    (tradeInfo?.pools || []).forEach(pool => {
+      const addresses = [pool.address, ...(pool.vaultOwners || [])].filter(Boolean);
+      (pool.mints || []).forEach(mint => {
+        if (!mint || mint === SOL_MINT) return;
+        if (!poolsByToken.has(mint)) {
+          poolsByToken.set(mint, new Set());
+        }
+        addresses.forEach(address => poolsByToken.get(mint).add(address));
+      });
+    });
+  }
+
+  let totalAdded = 0;
+  for (const [tokenAddress, addresses] of poolsByToken) {
+    try {
+      const added = await addLiquidityPools(tokenAddress, Array.from(addresses));
+      if (added > 0) {
+        console.log(`从交易中识别到 ${added} 个新的流动性池地址 (代币: ${tokenAddress})`);
+      }
+      totalAdded += added;
+    } catch (error) {
+      console.warn(`记录代币 ${tokenAddress} 的流动性池地址失败:`, error.message);
+    }
+  }
+
+  return totalAdded;
+}
@@ -0,0 +1,146 @@
+/**
+ * 价格 K 线工具（不依赖数据库和网络）：周期换算、按时间插值、CSV 解析
+ */
+
+export const INTERVAL_SECONDS = { '1m': 60, '1H': 3600 };
+
+/**
+ * 把一根 K 线展开为两个价格点：开盘时间的 open 和收盘时间的 close
+ * @param {object} candle - { openTime, interval, open, close }
+ * @returns {Array<{time: number, price: number}>}
+ */
+function toPricePoints(candle) {
+    const step = INTERVAL_SECONDS[candle.interval] || 0;
+    return [
+        { time: candle.openTime, price: candle.open },
+        { time: candle.openTime + step, price: candle.close }
+    ].filter(point => Number.isFinite(point.price) && point.price > 0);
+}
+
+/**
+ * 根据前后两根 K 线按时间线性插值
+ * 只有一侧有数据时使用最近的价格点
+ * @param {object|null} before - 开盘时间 <= timestamp 的 K 线
+ * @param {object|null} after - 开盘时间 > timestamp 的 K 线
+ * @param {number} timestamp - 时间（Unix 秒）
+ * @returns {number|null} 价格
+ */
+export function interpolateCandlePrice(before, after, timestamp) {
+    const points = [...(before ? toPricePoints(before) : []), ...(after ? toPricePoints(after) : [])]
+        .sort((a, b) => a.time - b.time);
+    if (points.length === 0) {
+        return null;
+    }
+
+    const left = points.filter(point => point.time <= timestamp).pop();
+    const right = points.find(point => point.time >= timestamp);
+    if (left && right) {
+        if (right.time === left.time) {
+            return left.price;
+        }
+        const ratio = (timestamp - left.time) / (right.time - left.time);
+        return left.price + (right.price - left.price) * ratio;
+    }
+    return (left || right).price;
+}
+
+/**
+ * 解析时间：Unix 秒、Unix 毫秒或日期字符串（不带时区的按 UTC 处理）
+ */
+function parseCsvTime(value) {
+    const text = String(value ?? '').trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const number = Number(text);
+        // 大于 1e12 视为毫秒
+        return Math.floor(number > 1e12 ? number / 1000 : number);
+    }
+    const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`;
+    const time = Date.parse(iso);
+    return Number.isFinite(time) ? Math.floor(time / 1000) : null;
+}
+
+/**
+ * 解析价格 K 线 CSV
+ * 表头（不区分大小写）：time | timestamp | open_time、open、high、low、close，可选 volume、mint、interval；
+ * 只有 price 列时作为 OHLC 相同的 K 线
+ * @param {string} text - CSV 内容
+ * @param {object} defaults - 缺少对应列时使用的值
+ * @param {string} [defaults.mint] - 代币地址
+ * @param {string} [defaults.interval='1m'] - K 线周期
+ * @param {string} [defaults.source='csv'] - 数据来源
+ * @returns {{candles: Array<object>, skipped: number}}
+ */
+export function parsePriceCandlesCsv(text, { mint = null, interval = '1m', source = 'csv' } = {}) {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        return { candles: [], skipped: 0 };
+    }
+
+    const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const columns = {
+        time: column('time', 'timestamp', 'open_time', 'unixtime', 'date'),
+        open: column('open'),
+        high: column('high'),
+        low: column('low'),
+        close: column('close'),
+        price: column('price', 'value'),
+        volume: column('volume'),
+        mint: column('mint', 'address'),
+        interval: column('interval', 'interval_type')
+    };
+    if (columns.time < 0 || (columns.close < 0 && columns.price < 0)) {
+        throw new Error('CSV 缺少时间列（time / timestamp）或价格列（close / price）');
+    }
+
+    const candles = [];
+    let skipped = 0;
+    for (const line of lines.slice(1)) {
+        const cells = line.split(',').map(cell => cell.trim());
+        const get = (index) => (index >= 0 ? cells[index] : undefined);
+        const number = (index) => (index >= 0 && cells[index] !== '' ? Number(cells[index]) : null);
+
+        const time = parseCsvTime(get(columns.time));
+        const close = number(columns.close) ?? number(columns.price);
+        const candleMint = get(columns.mint) || mint;
+        const candleInterval = get(columns.interval) || interval;
+        if (time === null || !(close > 0) || !candleMint || !INTERVAL_SECONDS[candleInterval]) {
+            skipped++;
+            continue;
+        }
+        // 对齐到周期起点，与 (mint, interval_type, open_time) 主键一致
+        const openTime = time - (time % INTERVAL_SECONDS[candleInterval]);
+
+        candles.push({
+            mint: candleMint,
+            interval: candleInterval,
+            openTime,
+            open: number(columns.open) ?? close,
+            high: number(columns.high) ?? close,
+            low: number(columns.low) ?? close,
+            close,
+            volume: number(columns.volume),
+            source
+        });
+    }
+    return { candles, skipped };
+}
+
+/**
+ * 找出一段时间内 K 线的缺口（相邻两根 K 线，以及范围两端到最近的 K 线，间隔超过 maxGap 的部分）
+ * @param {Array<number>} openTimes - 已有 K 线的开盘时间（升序）
+ * @param {number} from - 开始时间（Unix 秒）
+ * @param {number} to - 结束时间（Unix 秒）
+ * @param {number} maxGap - 允许的最大间隔（秒）
+ * @returns {Array<{from: number, to: number}>}
+ */
+export function findCandleGaps(openTimes, from, to, maxGap) {
+    const points = [from, ...openTimes.filter(time => time >= from && time <= to), to];
+    const gaps = [];
+    for (let i = 1; i < points.length; i++) {
+        if (points[i] - points[i - 1] > maxGap) {
+            gaps.push({ from: points[i - 1], to: points[i] });
+        }
+    }
+    return gaps;
+}
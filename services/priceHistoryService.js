@@ -0,0 +1,369 @@
+import { config } from '../config/index.js';
+import { getSolUsdPrice } from './cacheService.js';
+import { batchUpsertPriceCandles, getLatestPriceCandleTime, getPriceCandleTimes, getSurroundingPriceCandles } from '../db/priceCandleMapper.js';
+import { QUOTE_TOKENS, SOL_MINT, computeTradePrices, getTradeBaseAndQuote, getTradeBlockTime } from './tradePricing.js';
+import { INTERVAL_SECONDS, findCandleGaps, interpolateCandlePrice, parsePriceCandlesCsv } from './priceCandles.js';
+
+/**
+ * 历史价格服务
+ * 按交易时间查询 SOL / 稳定币的 USD 价格（本地 K 线表 tbl_price_candle，分钟线和小时线），
+ * 缺失时可从 Birdeye 回补，也可以通过 CSV 导入（无网络环境），
+ * 避免用当前 SOL 价格计算历史交易的 USD 价值
+ */
+
+const PRICE_INTERVAL = '1m';
+// 查询顺序：先分钟线，分钟线缺失时使用小时线（时间差超过 maxGap 的 K 线不使用）
+const LOOKUP_INTERVALS = [
+    { interval: '1m', maxGap: 30 * 60 },
+    { interval: '1H', maxGap: 3 * 3600 }
+];
+// 需要维护历史价格的代币：SOL 和主要报价稳定币
+export const PRICE_HISTORY_MINTS = [...new Set([SOL_MINT, ...Object.keys(QUOTE_TOKENS)])];
+// 首次同步时回补的时长
+const DEFAULT_SYNC_LOOKBACK_SECONDS = { '1m': 24 * 3600, '1H': 90 * 24 * 3600 };
+// 交易时间在该范围内时，本地没有历史价格可以使用实时价格
+const LIVE_PRICE_MAX_AGE_SECONDS = 5 * 60;
+// Birdeye history_price 单次最多返回的数据点
+const BIRDEYE_MAX_POINTS = 1000;
+const PRICE_CACHE_SIZE = 5000;
+// 没有查到的价格在该时间内不再查询（同步任务或回补之后会清空）
+const PRICE_MISS_TTL_MS = 10 * 60 * 1000;
+
+// `${mint}:${interval}:${bucket}` -> { price, source, time }
+const priceCache = new Map();
+// `${mint}:${interval}:${bucket}` -> { expiresAt, backfilled }，backfilled 表示已经尝试过回补
+const priceMissCache = new Map();
+// 正在查询的价格，同一时间桶的并发查询共用一个 Promise
+const pendingLookups = new Map();
+
+function cachePrice(key, value) {
+    if (priceCache.size >= PRICE_CACHE_SIZE) {
+        priceCache.delete(priceCache.keys().next().value);
+    }
+    priceCache.set(key, value);
+}
+
+function cachePriceMiss(key, backfilled) {
+    if (priceMissCache.size >= PRICE_CACHE_SIZE) {
+        priceMissCache.delete(priceMissCache.keys().next().value);
+    }
+    priceMissCache.set(key, { expiresAt: Date.now() + PRICE_MISS_TTL_MS, backfilled });
+}
+
+// 没有查到的价格是否仍在有效期内（需要回补时，只有回补过的记录才算）
+function isCachedMiss(key, autoBackfill) {
+    const miss = priceMissCache.get(key);
+    if (!miss) {
+        return false;
+    }
+    if (miss.expiresAt <= Date.now()) {
+        priceMissCache.delete(key);
+        return false;
+    }
+    return miss.backfilled || !autoBackfill;
+}
+
+function clearPriceCache() {
+    priceCache.clear();
+    priceMissCache.clear();
+}
+
+// 分钟线的时间桶，同一桶内的交易使用同一个价格
+const toPriceBucket = timestamp => Math.floor(timestamp / INTERVAL_SECONDS[PRICE_INTERVAL]);
+
+/**
+ * 从 Birdeye 获取历史价格（history_price）
+ * @param {string} mint - 代币地址
+ * @param {number} from - 开始时间（Unix 秒）
+ * @param {number} to - 结束时间（Unix 秒）
+ * @param {string} [interval='1m'] - 周期（1m / 1H）
+ * @returns {Promise<Array<{unixTime: number, value: number}>>}
+ */
+export async function fetchBirdeyePriceHistory(mint, from, to, interval = PRICE_INTERVAL) {
+    if (!config.birdeye.apiKey) {
+        throw new Error('未配置 BIRDEYE_API_KEY，无法回补历史价格');
+    }
+
+    const params = new URLSearchParams({
+        address: mint,
+        address_type: 'token',
+        type: interval,
+        time_from: String(Math.floor(from)),
+        time_to: String(Math.floor(to))
+    });
+    const response = await fetch(`https://public-api.birdeye.so/defi/history_price?${params}`, {
+        method: 'GET',
+        headers: {
+            'X-API-KEY': config.birdeye.apiKey,
+            'x-chain': 'solana',
+            'accept': 'application/json'
+        }
+    });
+    if (!response.ok) {
+        throw new Error(`Birdeye history_price 请求失败: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data?.data?.items || []).filter(item => Number.isFinite(item.unixTime) && item.value > 0);
+}
+
+/**
+ * 回补代币的历史价格到本地 K 线表
+ * @param {string} mint - 代币地址
+ * @param {object} options
+ * @param {number} options.from - 开始时间（Unix 秒）
+ * @param {number} [options.to] - 结束时间（Unix 秒），默认当前时间
+ * @param {string} [options.interval='1m'] - 周期（1m / 1H）
+ * @returns {Promise<number>} 保存的 K 线数量
+ */
+export async function backfillPriceHistory(mint, { from, to = Math.floor(Date.now() / 1000), interval = PRICE_INTERVAL } = {}) {
+    const step = INTERVAL_SECONDS[interval];
+    if (!step) {
+        throw new Error(`不支持的 K 线周期: ${interval}`);
+    }
+
+    let saved = 0;
+    for (let start = from; start < to; start += step * BIRDEYE_MAX_POINTS) {
+        const end = Math.min(start + step * BIRDEYE_MAX_POINTS, to);
+        const items = await fetchBirdeyePriceHistory(mint, start, end, interval);
+        // history_price 只有单个价格，作为 OHLC 相同的 K 线保存
+        saved += await batchUpsertPriceCandles(items.map(item => ({
+            mint,
+            interval,
+            openTime: item.unixTime,
+            open: item.value,
+            high: item.value,
+            low: item.value,
+            close: item.value,
+            volume: null,
+            source: 'birdeye'
+        })));
+    }
+    return saved;
+}
+
+/**
+ * 回补 SOL/USD 历史价格
+ * @param {object} options - 见 backfillPriceHistory
+ * @returns {Promise<number>} 保存的 K 线数量
+ */
+export async function backfillSolUsdPrices(options) {
+    return backfillPriceHistory(SOL_MINT, options);
+}
+
+/**
+ * 回补一段时间内本地分钟线的缺口（批量处理交易前调用一次，之后只从本地查询价格，避免逐笔回补）
+ * 相邻两根分钟线（以及范围两端）间隔超过插值允许的最大时间差时，回补这段缺口（findCandleGaps）
+ * @param {string} mint - 代币地址
+ * @param {number} from - 开始时间（Unix 秒）
+ * @param {number} to - 结束时间（Unix 秒）
+ * @returns {Promise<number>} 保存的 K 线数量，没有配置 Birdeye 时为 0
+ */
+export async function ensurePriceHistory(mint, from, to) {
+    if (!config.birdeye.apiKey || !Number.isFinite(from) || !Number.isFinite(to) || to < from) {
+        return 0;
+    }
+    const { maxGap } = LOOKUP_INTERVALS[0];
+    const start = Math.floor(from) - maxGap;
+    const end = Math.ceil(to) + maxGap;
+    const gaps = findCandleGaps(await getPriceCandleTimes(mint, PRICE_INTERVAL, start, end), start, end, maxGap);
+
+    let saved = 0;
+    for (const gap of gaps) {
+        saved += await backfillPriceHistory(mint, gap);
+    }
+    if (saved > 0) {
+        priceMissCache.clear();
+    }
+    return saved;
+}
+
+/**
+ * 从本地 K 线表查询指定时间的价格（前后两根 K 线按时间插值）
+ */
+async function getStoredPriceAt(mint, timestamp) {
+    for (const { interval, maxGap } of LOOKUP_INTERVALS) {
+        const { before, after } = await getSurroundingPriceCandles(mint, interval, timestamp, maxGap);
+        const price = interpolateCandlePrice(before, after, timestamp);
+        if (price !== null) {
+            return { price, source: (before || after).source || 'history', interval, time: timestamp };
+        }
+    }
+    return null;
+}
+
+/**
+ * 查询代币在指定时间的 USD 价格
+ * 顺序：本地 K 线（分钟线 → 小时线，插值）→ Birdeye 回补（autoBackfill）→ 实时价格（仅限最近的交易，SOL）→ 稳定币按 1 USD 锚定
+ * 按分钟缓存结果和未命中，同一分钟的并发查询只查询一次
+ * @param {string} mint - 代币地址（SOL 或稳定币）
+ * @param {number} timestamp - 时间（Unix 秒）
+ * @param {object} options
+ * @param {boolean} [options.autoBackfill=false] - 本地没有数据时是否从 Birdeye 回补
+ * @returns {Promise<{price: number, source: string, interval: string, time: number}|null>}
+ */
+export async function getUsdPriceAt(mint, timestamp, { autoBackfill = false } = {}) {
+    if (!Number.isFinite(timestamp)) {
+        return null;
+    }
+
+    const cacheKey = `${mint}:${PRICE_INTERVAL}:${toPriceBucket(timestamp)}`;
+    if (priceCache.has(cacheKey)) {
+        return priceCache.get(cacheKey);
+    }
+
+    const pendingKey = `${cacheKey}:${autoBackfill ? 'backfill' : 'stored'}`;
+    if (!pendingLookups.has(pendingKey)) {
+        pendingLookups.set(pendingKey, lookupUsdPriceAt(mint, timestamp, cacheKey, autoBackfill)
+            .finally(() => pendingLookups.delete(pendingKey)));
+    }
+    return pendingLookups.get(pendingKey);
+}
+
+// getUsdPriceAt 的实际查询（已经过缓存和并发合并）
+async function lookupUsdPriceAt(mint, timestamp, cacheKey, autoBackfill) {
+    let result = null;
+    let found = false;
+    try {
+        result = isCachedMiss(cacheKey, autoBackfill) ? null : await getStoredPriceAt(mint, timestamp);
+        found = Boolean(result);
+        if (!result && autoBackfill && config.birdeye.apiKey && !isCachedMiss(cacheKey, true)) {
+            const saved = await backfillPriceHistory(mint, {
+                from: timestamp - LOOKUP_INTERVALS[0].maxGap,
+                to: timestamp + LOOKUP_INTERVALS[0].maxGap
+            });
+            // 回补的 K 线可能覆盖附近其他时间桶的未命中记录
+            if (saved > 0) {
+                priceMissCache.clear();
+            }
+            result = await getStoredPriceAt(mint, timestamp);
+            found = Boolean(result);
+        }
+        if (!found && !isCachedMiss(cacheKey, autoBackfill)) {
+            cachePriceMiss(cacheKey, autoBackfill && Boolean(config.birdeye.apiKey));
+        }
+    } catch (error) {
+        console.warn(`查询 ${mint} 在 ${timestamp} 的历史价格失败:`, error.message);
+    }
+
+    if (!result && mint === SOL_MINT && Date.now() / 1000 - timestamp <= LIVE_PRICE_MAX_AGE_SECONDS) {
+        const livePrice = await getSolUsdPrice().catch(() => null);
+        result = livePrice ? { price: livePrice, source: 'live', time: Math.floor(Date.now() / 1000) } : null;
+    }
+    if (!result && QUOTE_TOKENS[mint]?.stable) {
+        result = { price: 1, source: 'peg', time: timestamp };
+    }
+
+    // 实时价格只在当前时间附近有效，不缓存；没有查到的历史价格只在短时间内不再查询（见 priceMissCache）
+    if (result && result.source !== 'live') {
+        cachePrice(cacheKey, result);
+    }
+    return result;
+}
+
+/**
+ * 查询指定时间的 SOL/USD 价格
+ * @param {number} timestamp - 时间（Unix 秒）
+ * @param {object} [options] - 见 getUsdPriceAt
+ * @returns {Promise<number|null>} SOL 的 USD 价格
+ */
+export async function getSolUsdPriceAt(timestamp, options) {
+    const result = await getUsdPriceAt(SOL_MINT, timestamp, options);
+    return result ? result.price : null;
+}
+
+/**
+ * 为交易补充成交时的价格：priceQuote、priceSol、priceUsd（直接修改传入的交易对象）
+ * 同一代币、同一分钟的交易只查询一次价格
+ * @param {Array<object>} trades - 交易信息（需要 blockTime 或 timestamp）
+ * @param {object} [options] - 见 getUsdPriceAt
+ * @returns {Promise<Array<object>>} 传入的交易
+ */
+export async function applyTradePricing(trades, options = {}) {
+    const lookups = new Map();
+    const priceAt = async (mint, timestamp) => {
+        if (!Number.isFinite(timestamp)) {
+            return null;
+        }
+        const key = `${mint}:${toPriceBucket(timestamp)}`;
+        if (!lookups.has(key)) {
+            lookups.set(key, await getUsdPriceAt(mint, timestamp, options));
+        }
+        return lookups.get(key);
+    };
+
+    for (const trade of trades) {
+        if (!trade) continue;
+
+        const blockTime = getTradeBlockTime(trade);
+        const pair = getTradeBaseAndQuote(trade);
+        const quoteInfo = pair?.quoteInfo;
+
+        // 只有以 SOL 或稳定币报价时才需要查询 USD 价格
+        const solPrice = quoteInfo ? await priceAt(SOL_MINT, blockTime) : null;
+        const quotePrice = quoteInfo?.stable ? await priceAt(pair.quote.mint, blockTime) : null;
+
+        Object.assign(trade, computeTradePrices(trade, {
+            solUsd: solPrice?.price ?? null,
+            quoteUsd: quotePrice?.price ?? null
+        }), {
+            solUsdPrice: solPrice?.price ?? null, // 成交时的 SOL/USD 价格
+            priceSource: (quoteInfo?.stable ? quotePrice?.source : solPrice?.source) || null // history / birdeye / csv / live / peg
+        });
+    }
+    return trades;
+}
+
+/**
+ * 增量同步历史价格：从已保存的最新 K 线开始回补到当前时间（没有数据时回补 lookback 时长）
+ * @param {object} options
+ * @param {Array<string>} [options.mints] - 代币地址，默认 SOL 和主要稳定币
+ * @param {Array<string>} [options.intervals] - K 线周期，默认 1m 和 1H
+ * @param {number} [options.lookbackSeconds] - 首次同步回补的时长（秒），默认分钟线 1 天、小时线 90 天
+ * @param {Function} [options.logger] - 日志函数
+ * @returns {Promise<Array<{mint: string, interval: string, from: number, to: number, saved: number, error?: string}>>}
+ */
+export async function syncPriceHistory({ mints = PRICE_HISTORY_MINTS, intervals = ['1m', '1H'], lookbackSeconds, logger = console.log } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const results = [];
+
+    for (const mint of mints) {
+        for (const interval of intervals) {
+            const latest = await getLatestPriceCandleTime(mint, interval);
+            const from = latest !== null
+                ? latest + INTERVAL_SECONDS[interval]
+                : now - (lookbackSeconds || DEFAULT_SYNC_LOOKBACK_SECONDS[interval]);
+            if (from >= now) {
+                results.push({ mint, interval, from, to: now, saved: 0 });
+                continue;
+            }
+
+            try {
+                const saved = await backfillPriceHistory(mint, { from, to: now, interval });
+                if (saved > 0) {
+                    clearPriceCache();
+                }
+                logger(`同步 ${QUOTE_TOKENS[mint]?.symbol || mint} ${interval} 价格: ${saved} 根 K 线`);
+                results.push({ mint, interval, from, to: now, saved });
+            } catch (error) {
+                logger(`同步 ${QUOTE_TOKENS[mint]?.symbol || mint} ${interval} 价格失败: ${error.message}`);
+                results.push({ mint, interval, from, to: now, saved: 0, error: error.message });
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * 从 CSV 导入价格 K 线（格式见 parsePriceCandlesCsv）
+ * @param {string} text - CSV 内容
+ * @param {object} [defaults] - 缺少 mint / interval 列时使用的值，mint 默认 SOL
+ * @returns {Promise<{imported: number, skipped: number}>}
+ */
+export async function importPriceCandlesCsv(text, defaults = {}) {
+    const { candles, skipped } = parsePriceCandlesCsv(text, { mint: SOL_MINT, ...defaults });
+    const imported = await batchUpsertPriceCandles(candles);
+    // 导入的数据可能覆盖已缓存的查询结果
+    clearPriceCache();
+    return { imported, skipped };
+}
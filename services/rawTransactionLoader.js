@@ -0,0 +1,285 @@
+import bs58 from 'bs58';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from './dexProtocols/splToken.js';
+
+/**
+ * 原始交易加载
+ * 把序列化交易（base64 / base58）或粘贴的 JSON-RPC 交易对象（getTransaction 的返回值，
+ * 与 交易详情json/ 中的文件格式一致）转换为解析器使用的交易数据 { slot, blockTime, transaction, meta }
+ */
+
+const TOKEN_PROGRAM_IDS = new Set([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]);
+const BASE58_PATTERN = /^[1-9A-HJ-NP-Za-km-z]+$/;
+// getMultipleAccountsInfo 单次最多查询的账户数
+const ACCOUNTS_PER_REQUEST = 100;
+// SPL Token 账户长度；Token-2022 带扩展的账户在该偏移处记录账户类型（2 = 代币账户）
+const TOKEN_ACCOUNT_LENGTH = 165;
+const TOKEN_2022_ACCOUNT_TYPE = 2;
+
+/**
+ * 原始交易格式错误（调用方返回 400）
+ */
+export class RawTransactionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RawTransactionError';
+    }
+}
+
+/**
+ * 解码序列化交易
+ * @param {string} data - base64 或 base58 编码的交易
+ * @param {string} [encoding] - 'base64' | 'base58'，不指定时自动识别（优先按 base58 解码）
+ * @returns {{ transaction: VersionedTransaction, encoding: string }}
+ */
+export function decodeSerializedTransaction(data, encoding) {
+    const text = String(data || '').trim();
+    if (!text) {
+        throw new RawTransactionError('交易数据为空');
+    }
+
+    const candidates = encoding ? [encoding] : (BASE58_PATTERN.test(text) ? ['base58', 'base64'] : ['base64']);
+    for (const candidate of candidates) {
+        if (candidate !== 'base58' && candidate !== 'base64') {
+            throw new RawTransactionError(`不支持的编码: ${candidate}`);
+        }
+        try {
+            const bytes = candidate === 'base58' ? bs58.decode(text) : Buffer.from(text, 'base64');
+            return { transaction: VersionedTransaction.deserialize(bytes), encoding: candidate };
+        } catch (error) {
+            // 继续尝试下一种编码
+        }
+    }
+    throw new RawTransactionError('无法反序列化交易，请确认是完整的 base64 或 base58 编码交易');
+}
+
+/**
+ * 交易签名（未签名交易的签名为全 0，返回 null）
+ * @param {VersionedTransaction} transaction - 交易
+ * @returns {string|null}
+ */
+function getTransactionSignature(transaction) {
+    const signature = transaction.signatures?.[0];
+    if (!signature || signature.every(byte => byte === 0)) {
+        return null;
+    }
+    return bs58.encode(signature);
+}
+
+/**
+ * 把 VersionedTransaction 转换为 getTransaction（encoding = json）返回的 transaction 结构
+ * @param {VersionedTransaction} transaction - 交易
+ * @returns {object} { signatures, message: { header, accountKeys, recentBlockhash, instructions, addressTableLookups } }
+ */
+export function toJsonTransaction(transaction) {
+    const { message } = transaction;
+    return {
+        signatures: transaction.signatures.map(signature => bs58.encode(signature)),
+        message: {
+            header: message.header,
+            accountKeys: message.staticAccountKeys.map(key => key.toBase58()),
+            recentBlockhash: message.recentBlockhash,
+            instructions: message.compiledInstructions.map(ix => ({
+                programIdIndex: ix.programIdIndex,
+                accounts: [...ix.accountKeyIndexes],
+                data: bs58.encode(ix.data)
+            })),
+            addressTableLookups: (message.addressTableLookups || []).map(lookup => ({
+                accountKey: lookup.accountKey.toBase58(),
+                writableIndexes: [...lookup.writableIndexes],
+                readonlyIndexes: [...lookup.readonlyIndexes]
+            }))
+        }
+    };
+}
+
+/**
+ * 规范化粘贴的 JSON-RPC 交易对象
+ * 支持完整的 JSON-RPC 响应（{ jsonrpc, result }）、getTransaction 的 result，
+ * 以及 encoding = base64 / base58 时 transaction 为 [data, encoding] 的形式
+ * @param {object} input - 交易对象
+ * @returns {object} { slot, blockTime, transaction, meta }
+ */
+export function normalizeRpcTransaction(input) {
+    const rpcTransaction = input?.result !== undefined && input?.jsonrpc ? input.result : input;
+    if (!rpcTransaction || typeof rpcTransaction !== 'object') {
+        throw new RawTransactionError('JSON-RPC 响应中没有交易数据（result 为空，交易可能不存在）');
+    }
+    if (!rpcTransaction.transaction) {
+        // Helius 增强交易等格式只有汇总后的转账，没有原始指令和余额
+        throw new RawTransactionError('缺少 transaction 字段，请粘贴 getTransaction 返回的交易对象');
+    }
+    if (!rpcTransaction.meta) {
+        throw new RawTransactionError('缺少 meta 字段（余额变化、内部指令），无法解析买卖信息');
+    }
+
+    let transaction = rpcTransaction.transaction;
+    if (Array.isArray(transaction)) {
+        const [data, encoding] = transaction;
+        transaction = toJsonTransaction(decodeSerializedTransaction(data, encoding).transaction);
+    }
+    if (!transaction.message) {
+        throw new RawTransactionError('transaction 中缺少 message 字段');
+    }
+
+    return {
+        slot: rpcTransaction.slot ?? null,
+        blockTime: rpcTransaction.blockTime ?? null,
+        version: rpcTransaction.version,
+        transaction,
+        meta: rpcTransaction.meta
+    };
+}
+
+/**
+ * 通过地址查找表解析 v0 交易加载的账户（先 writable 后 readonly，与账户索引顺序一致）
+ * @param {Connection} connection - RPC 连接
+ * @param {Array<object>} addressTableLookups - toJsonTransaction 返回的 addressTableLookups
+ * @returns {Promise<{ writable: string[], readonly: string[] }>}
+ */
+export async function resolveLoadedAddresses(connection, addressTableLookups = []) {
+    const writable = [];
+    const readonly = [];
+    for (const lookup of addressTableLookups) {
+        const { value: table } = await connection.getAddressLookupTable(new PublicKey(lookup.accountKey));
+        if (!table) {
+            throw new RawTransactionError(`地址查找表不存在: ${lookup.accountKey}`);
+        }
+        const addresses = table.state.addresses.map(address => address.toBase58());
+        lookup.writableIndexes.forEach(index => writable.push(addresses[index]));
+        lookup.readonlyIndexes.forEach(index => readonly.push(addresses[index]));
+    }
+    return { writable, readonly };
+}
+
+async function getAccountsInfo(connection, addresses) {
+    const results = [];
+    for (let i = 0; i < addresses.length; i += ACCOUNTS_PER_REQUEST) {
+        const chunk = addresses.slice(i, i + ACCOUNTS_PER_REQUEST).map(address => new PublicKey(address));
+        results.push(...await connection.getMultipleAccountsInfo(chunk));
+    }
+    return results;
+}
+
+/**
+ * 解码代币账户的 mint / owner / 原始数量（不是代币账户时返回 null）
+ */
+function decodeTokenAccount(owner, data) {
+    if (!owner || !TOKEN_PROGRAM_IDS.has(owner) || !data || data.length < TOKEN_ACCOUNT_LENGTH) {
+        return null;
+    }
+    if (data.length > TOKEN_ACCOUNT_LENGTH && data[TOKEN_ACCOUNT_LENGTH] !== TOKEN_2022_ACCOUNT_TYPE) {
+        return null;
+    }
+    return {
+        mint: new PublicKey(data.subarray(0, 32)).toBase58(),
+        owner: new PublicKey(data.subarray(32, 64)).toBase58(),
+        amount: data.readBigUInt64LE(64).toString(),
+        programId: owner
+    };
+}
+
+function toTokenBalances(tokenAccounts, decimalsByMint) {
+    return tokenAccounts
+        .map((account, accountIndex) => account && {
+            accountIndex,
+            mint: account.mint,
+            owner: account.owner,
+            programId: account.programId,
+            uiTokenAmount: {
+                amount: account.amount,
+                decimals: decimalsByMint.get(account.mint) ?? 0,
+                uiAmount: Number(account.amount) / Math.pow(10, decimalsByMint.get(account.mint) ?? 0)
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 模拟执行序列化交易，重建 getTransaction 格式的交易数据（用于未上链 / 模拟中的交易）
+ * 执行前余额来自 getMultipleAccountsInfo，执行后余额来自 simulateTransaction 返回的账户状态，
+ * 代币余额通过解码代币账户数据得到，内部指令和日志来自模拟结果
+ * @param {Connection} connection - RPC 连接
+ * @param {VersionedTransaction} versionedTransaction - 交易
+ * @returns {Promise<object>} { slot, blockTime, transaction, meta, simulated: true }
+ */
+export async function simulateSerializedTransaction(connection, versionedTransaction) {
+    const transaction = toJsonTransaction(versionedTransaction);
+    const loadedAddresses = await resolveLoadedAddresses(connection, transaction.message.addressTableLookups);
+    const accountKeys = [...transaction.message.accountKeys, ...loadedAddresses.writable, ...loadedAddresses.readonly];
+
+    const preAccounts = await getAccountsInfo(connection, accountKeys);
+    const { context, value: simulation } = await connection.simulateTransaction(versionedTransaction, {
+        sigVerify: false,
+        replaceRecentBlockhash: true,
+        innerInstructions: true,
+        accounts: { encoding: 'base64', addresses: accountKeys }
+    });
+
+    const preTokenAccounts = preAccounts.map(account => account && decodeTokenAccount(account.owner.toBase58(), account.data));
+    const postTokenAccounts = (simulation.accounts || []).map(account => account &&
+        decodeTokenAccount(account.owner, Buffer.from(account.data[0], 'base64')));
+
+    const mints = [...new Set([...preTokenAccounts, ...postTokenAccounts].filter(Boolean).map(account => account.mint))];
+    const mintAccounts = await getAccountsInfo(connection, mints);
+    // Mint 账户：decimals 位于偏移 44
+    const decimalsByMint = new Map(mints.map((mint, index) => [mint, mintAccounts[index]?.data?.[44] ?? 0]));
+
+    const { value: fee } = await connection.getFeeForMessage(versionedTransaction.message).catch(() => ({ value: null }));
+
+    return {
+        slot: context?.slot ?? null,
+        blockTime: null,
+        transaction,
+        simulated: true,
+        meta: {
+            err: simulation.err,
+            fee: fee ?? null,
+            preBalances: preAccounts.map(account => account?.lamports || 0),
+            postBalances: accountKeys.map((key, index) => simulation.accounts?.[index]?.lamports || 0),
+            preTokenBalances: toTokenBalances(preTokenAccounts, decimalsByMint),
+            postTokenBalances: toTokenBalances(postTokenAccounts, decimalsByMint),
+            innerInstructions: simulation.innerInstructions || [],
+            logMessages: simulation.logs || [],
+            loadedAddresses,
+            computeUnitsConsumed: simulation.unitsConsumed ?? null
+        }
+    };
+}
+
+/**
+ * 加载原始交易
+ * - 对象：粘贴的 JSON-RPC 交易（已包含 meta，完全离线）
+ * - 字符串：序列化交易，需要通过 RPC 模拟执行得到余额变化（offline 时报错）
+ * @param {string|object} input - 原始交易
+ * @param {object} options
+ * @param {Connection} [options.connection] - RPC 连接（序列化交易必需）
+ * @param {string} [options.encoding] - 序列化交易的编码
+ * @param {boolean} [options.offline=false] - 是否禁止任何 RPC 调用
+ * @returns {Promise<object>} { signature, transaction: 解析器使用的交易数据, simulated }
+ */
+export async function loadRawTransaction(input, { connection = null, encoding, offline = false } = {}) {
+    if (input && typeof input === 'object') {
+        const transaction = normalizeRpcTransaction(input);
+        return { signature: transaction.transaction.signatures?.[0] || null, transaction, simulated: false };
+    }
+
+    const trimmed = String(input || '').trim();
+    // 粘贴的 JSON 文本
+    if (trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            throw new RawTransactionError(`JSON 格式错误: ${error.message}`);
+        }
+        return loadRawTransaction(parsed, { connection, encoding, offline });
+    }
+
+    const { transaction: versionedTransaction } = decodeSerializedTransaction(trimmed, encoding);
+    if (offline || !connection) {
+        throw new RawTransactionError('序列化交易不包含执行结果，需要通过 RPC 模拟执行；离线解析请粘贴包含 meta 的 JSON-RPC 交易对象');
+    }
+    const transaction = await simulateSerializedTransaction(connection, versionedTransaction);
+    return { signature: getTransactionSignature(versionedTransaction), transaction, simulated: true };
+}
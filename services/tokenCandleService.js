@@ -0,0 +1,82 @@
+import { getTokenTradesPage } from '../db/tokenTradeMapper.js';
+import { batchUpsertTokenCandles, deleteTokenCandles, getLatestTokenCandleTime, getTokenCandles } from '../db/tokenCandleMapper.js';
+import { CANDLE_INTERVALS, addTradeToCandles, toTradePoint } from './tokenCandles.js';
+
+/**
+ * 代币 K 线服务
+ * 从 tbl_token_trade（同步代币交易时记录的全部 SOL 买卖）增量聚合 OHLCV 到 tbl_token_candle：
+ * 每个周期从已保存的最新一根 K 线的开盘时间开始重新聚合（最后一根可能还没收盘），之前的 K 线不再变动；
+ * 补录了更早的历史交易时需要 rebuild
+ */
+
+const TRADE_PAGE_SIZE = 5000;
+
+/**
+ * 增量聚合代币 K 线
+ * @param {string} mint - 代币地址
+ * @param {object} [options]
+ * @param {Array<string>} [options.intervals] - K 线周期，默认全部（1s / 1m / 5m / 1h）
+ * @param {boolean} [options.rebuild=false] - 删除已有 K 线并从第一笔交易重新聚合
+ * @returns {Promise<Array<{interval: string, from: number, saved: number}>>}
+ */
+export async function syncTokenCandles(mint, { intervals = Object.keys(CANDLE_INTERVALS), rebuild = false } = {}) {
+    const invalid = intervals.filter(interval => !CANDLE_INTERVALS[interval]);
+    if (invalid.length > 0) {
+        throw new Error(`不支持的 K 线周期: ${invalid.join(', ')}`);
+    }
+
+    // 每个周期的起始时间：最新一根 K 线的开盘时间
+    const cursors = new Map();
+    for (const interval of intervals) {
+        if (rebuild) {
+            await deleteTokenCandles(mint, interval);
+        }
+        const latest = rebuild ? null : await getLatestTokenCandleTime(mint, interval);
+        cursors.set(interval, latest ?? 0);
+    }
+
+    const since = Math.min(...cursors.values());
+    const candleMaps = new Map(intervals.map(interval => [interval, new Map()]));
+
+    for (let after = null; ;) {
+        const rows = await getTokenTradesPage(mint, since, TRADE_PAGE_SIZE, after);
+        for (const row of rows) {
+            const point = toTradePoint(row);
+            if (!point) continue;
+            for (const interval of intervals) {
+                if (point.time >= cursors.get(interval)) {
+                    addTradeToCandles(candleMaps.get(interval), point, interval, mint);
+                }
+            }
+        }
+        if (rows.length < TRADE_PAGE_SIZE) break;
+        after = rows[rows.length - 1];
+    }
+
+    const results = [];
+    for (const interval of intervals) {
+        const candles = Array.from(candleMaps.get(interval).values());
+        const saved = await batchUpsertTokenCandles(candles);
+        results.push({ interval, from: cursors.get(interval), saved });
+    }
+    return results;
+}
+
+/**
+ * 查询代币 K 线（默认先增量聚合一次，保证包含最新入库的交易）
+ * @param {string} mint - 代币地址
+ * @param {string} interval - K 线周期
+ * @param {object} [options]
+ * @param {number} [options.from] - 开始时间（Unix 秒）
+ * @param {number} [options.to] - 结束时间（Unix 秒）
+ * @param {number} [options.limit] - 最大数量
+ * @param {boolean} [options.refresh=true] - 查询前是否增量聚合
+ * @param {boolean} [options.rebuild=false] - 查询前是否重建该周期的 K 线
+ * @returns {Promise<Array<object>>}
+ */
+export async function getTokenCandlesWithSync(mint, interval, { from, to, limit, refresh = true, rebuild = false } = {}) {
+    if (refresh || rebuild) {
+        await syncTokenCandles(mint, { intervals: [interval], rebuild });
+    }
+    return getTokenCandles(mint, interval, { from, to, limit });
+}
@@ -0,0 +1,152 @@
+import { expandTradeLegs } from './tradeLegs.js';
+
+/**
+ * 代币 K 线聚合（不依赖数据库）：把同步时记录的代币成交（tbl_token_trade）按周期聚合为 OHLCV
+ * 价格以 SOL 计价（sol_amount / token_amount），只有和 SOL 成交的买卖才有价格
+ */
+
+export const CANDLE_INTERVALS = { '1s': 1, '1m': 60, '5m': 300, '1h': 3600 };
+
+// tbl_token_trade.type
+const TRADE_TYPE_BUY = 1;
+const TRADE_TYPE_SELL = 2;
+
+/**
+ * 提取交易中该代币和 SOL 成交的全部买卖腿（K 线输入，不做金额阈值、机器人和下单平台过滤）
+ * @param {object} tx - 交易（full）
+ * @param {object|null} tradeInfo - 解析结果
+ * @param {string} mint - 代币地址
+ * @param {string} SOL_MINT - SOL 代币地址
+ * @returns {Array<object>} [{ mint, signature, addr, type, solAmount, tokenAmount, usdAmount, tradeTime, slot }]
+ */
+export function extractCandleTrades(tx, tradeInfo, mint, SOL_MINT) {
+    const signature = tx?.signature || tx?.transaction?.signatures?.[0];
+    if (!signature || !tradeInfo || !Number.isFinite(tx.blockTime) || tx.meta?.err) {
+        return [];
+    }
+
+    return expandTradeLegs(tradeInfo, SOL_MINT)
+        .map(trade => {
+            const isBuy = trade.type === 'buy' && trade.boughtToken?.mint === mint && trade.soldToken?.mint === SOL_MINT;
+            const isSell = trade.type === 'sell' && trade.soldToken?.mint === mint && trade.boughtToken?.mint === SOL_MINT;
+            if (!isBuy && !isSell) return null;
+            const solAmount = Number((isBuy ? trade.soldToken : trade.boughtToken).amount);
+            const tokenAmount = Number((isBuy ? trade.boughtToken : trade.soldToken).amount);
+            // 多个代币共用一条 SOL 腿时金额无法拆分（amount 为 null），没有价格
+            if (!(solAmount > 0) || !(tokenAmount > 0) || !trade.holderAddress) return null;
+            return {
+                mint,
+                signature,
+                addr: trade.holderAddress,
+                type: isBuy ? TRADE_TYPE_BUY : TRADE_TYPE_SELL,
+                solAmount,
+                tokenAmount,
+                usdAmount: tradeInfo.solUsdPrice > 0 ? parseFloat((solAmount * tradeInfo.solUsdPrice).toFixed(2)) : null,
+                tradeTime: tx.blockTime,
+                slot: tx.slot ?? null
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 把一条交易记录转换为价格点
+ * @param {object} row - { tradeTime, type, solAmount, tokenAmount, usdAmount }，tradeTime 为 Unix 秒
+ *   （tbl_sol_trade_info 的记录用 splAmount 表示代币数量，同样支持）
+ * @returns {object|null} { time, price, side, solAmount, tokenAmount, usdAmount }，无法定价时返回 null
+ */
+export function toTradePoint(row) {
+    const time = row.tradeTime === null || row.tradeTime === undefined ? NaN : Number(row.tradeTime);
+    const solAmount = Number(row.solAmount);
+    const tokenAmount = Number(row.tokenAmount ?? row.splAmount);
+    const type = Number(row.type);
+    if (!Number.isFinite(time) || !(solAmount > 0) || !(tokenAmount > 0)) {
+        return null;
+    }
+    if (type !== TRADE_TYPE_BUY && type !== TRADE_TYPE_SELL) {
+        return null;
+    }
+
+    const usdAmount = row.usdAmount === null || row.usdAmount === undefined ? null : Number(row.usdAmount);
+    return {
+        time,
+        price: solAmount / tokenAmount,
+        side: type === TRADE_TYPE_BUY ? 'buy' : 'sell',
+        solAmount,
+        tokenAmount,
+        usdAmount: Number.isFinite(usdAmount) ? usdAmount : null
+    };
+}
+
+/**
+ * 把价格点累加到对应周期的 K 线（按时间顺序调用，open 取第一笔，close 取最后一笔）
+ * @param {Map<number, object>} candles - openTime -> K 线
+ * @param {object} point - toTradePoint 的结果
+ * @param {string} interval - K 线周期
+ * @param {string} mint - 代币地址
+ */
+export function addTradeToCandles(candles, point, interval, mint) {
+    const step = CANDLE_INTERVALS[interval];
+    const openTime = point.time - (point.time % step);
+
+    let candle = candles.get(openTime);
+    if (!candle) {
+        candle = {
+            mint,
+            interval,
+            openTime,
+            open: point.price,
+            high: point.price,
+            low: point.price,
+            close: point.price,
+            volumeToken: 0,
+            volumeSol: 0,
+            volumeUsd: null,
+            buyVolumeSol: 0,
+            sellVolumeSol: 0,
+            buyCount: 0,
+            sellCount: 0,
+            tradeCount: 0
+        };
+        candles.set(openTime, candle);
+    }
+
+    candle.high = Math.max(candle.high, point.price);
+    candle.low = Math.min(candle.low, point.price);
+    candle.close = point.price;
+    candle.volumeToken += point.tokenAmount;
+    candle.volumeSol += point.solAmount;
+    if (point.usdAmount !== null) {
+        candle.volumeUsd = (candle.volumeUsd || 0) + point.usdAmount;
+    }
+    if (point.side === 'buy') {
+        candle.buyVolumeSol += point.solAmount;
+        candle.buyCount++;
+    } else {
+        candle.sellVolumeSol += point.solAmount;
+        candle.sellCount++;
+    }
+    candle.tradeCount++;
+}
+
+/**
+ * 把交易记录聚合为 K 线
+ * @param {Array<object>} rows - 交易记录（按时间升序）
+ * @param {string} interval - K 线周期（1s / 1m / 5m / 1h）
+ * @param {string} mint - 代币地址
+ * @returns {Array<object>} 按开盘时间升序的 K 线
+ */
+export function aggregateTradeCandles(rows, interval, mint) {
+    if (!CANDLE_INTERVALS[interval]) {
+        throw new Error(`不支持的 K 线周期: ${interval}`);
+    }
+
+    const candles = new Map();
+    for (const row of rows) {
+        const point = toTradePoint(row);
+        if (point) {
+            addTradeToCandles(candles, point, interval, mint);
+        }
+    }
+    return Array.from(candles.values()).sort((a, b) => a.openTime - b.openTime);
+}
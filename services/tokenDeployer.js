@@ -0,0 +1,236 @@
+import { resolveAccountKeys } from './accountKeys.js';
+import { expandTradeLegs } from './tradeLegs.js';
+import { decodeInitializeMint } from './dexProtocols/splToken.js';
+
+/**
+ * 代币部署者（dev）追踪（不依赖网络和数据库）
+ * 部署者为代币创建交易的手续费支付者，从部署者自己的交易中提取：
+ *   - 部署者创建的其他代币（InitializeMint / InitializeMint2 指令，含 CPI 内部指令）
+ *   - 部署者在被追踪代币上的活动：buy / sell（解析器配对出的买卖），
+ *     transfer_out / transfer_in（没有配对成买卖的余额变化，对手方为余额反向变化最大的钱包），mint（没有对手方的转入）
+ */
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const DEPLOYER_ACTIVITY_TYPES = ['buy', 'sell', 'transfer_in', 'transfer_out', 'mint'];
+
+// 小于该数量的余额变化视为精度误差
+const AMOUNT_EPSILON = 1e-9;
+
+const signatureOf = tx => tx.signature || tx.transaction?.signatures?.[0] || null;
+
+/**
+ * 整理 Helius getAsset 返回的权限信息
+ * @param {object} asset - getAsset 的 result
+ * @returns {{updateAuthority: string|null, mintAuthority: string|null, freezeAuthority: string|null,
+ *            mintAuthorityRevoked: boolean, freezeAuthorityRevoked: boolean, mutable: boolean|null}}
+ */
+export function normalizeAssetAuthorities(asset) {
+    const tokenInfo = asset?.token_info || {};
+    const authorities = asset?.authorities || [];
+    // 元数据更新权限：scope 为 full 或 metadata 的权限地址
+    const update = authorities.find(item => (item.scopes || []).some(scope => scope === 'full' || scope === 'metadata'));
+    const mintAuthority = tokenInfo.mint_authority || null;
+    const freezeAuthority = tokenInfo.freeze_authority || null;
+    return {
+        updateAuthority: update?.address || null,
+        mintAuthority,
+        freezeAuthority,
+        mintAuthorityRevoked: !mintAuthority,
+        freezeAuthorityRevoked: !freezeAuthority,
+        mutable: typeof asset?.mutable === 'boolean' ? asset.mutable : null
+    };
+}
+
+// 交易的全部指令（含内部指令），账户索引解析为地址
+function collectInstructions(tx) {
+    const accountKeys = resolveAccountKeys(tx).map(key => key.pubkey);
+    const resolve = key => (typeof key === 'number' ? accountKeys[key] || null : key ? key.toString() : null);
+    const normalize = ix => ({
+        programId: ix.programId ? ix.programId.toString() : resolve(ix.programIdIndex),
+        accounts: (ix.accounts || []).map(resolve),
+        data: ix.data || null,
+        parsed: ix.parsed || null
+    });
+    const inner = (tx.meta?.innerInstructions || []).flatMap(item => item.instructions || []);
+    return [...(tx.transaction?.message?.instructions || []), ...inner].map(normalize);
+}
+
+/**
+ * 交易中创建的代币（InitializeMint / InitializeMint2）
+ * @param {object} tx - 交易（full）
+ * @returns {Array<{mint: string, decimals: number|null, mintAuthority: string|null}>}
+ */
+export function findCreatedMints(tx) {
+    if (!tx || tx.meta?.err) {
+        return [];
+    }
+    const mints = new Map();
+    collectInstructions(tx).forEach(ix => {
+        const created = decodeInitializeMint(ix);
+        if (created && !mints.has(created.mint)) {
+            mints.set(created.mint, created);
+        }
+    });
+    return [...mints.values()];
+}
+
+/**
+ * 部署者创建的代币：部署者付手续费的交易中创建的 mint
+ * @param {Array<object>} transactions - 部署者的交易（full）
+ * @param {string} deployer - 部署者地址
+ * @returns {Array<{mint: string, decimals: number|null, slot: number, blockTime: number|null, signature: string}>}
+ */
+export function findDeployerCreatedMints(transactions, deployer) {
+    const created = new Map();
+    (transactions || []).forEach(tx => {
+        if (resolveAccountKeys(tx)[0]?.pubkey !== deployer) {
+            return;
+        }
+        findCreatedMints(tx).forEach(({ mint, decimals }) => {
+            if (!created.has(mint)) {
+                created.set(mint, { mint, decimals, slot: tx.slot, blockTime: tx.blockTime ?? null, signature: signatureOf(tx) });
+            }
+        });
+    });
+    return [...created.values()];
+}
+
+function balanceAmount(balance) {
+    const ui = balance?.uiTokenAmount;
+    if (!ui) return 0;
+    if (ui.uiAmountString !== undefined) return Number(ui.uiAmountString);
+    if (ui.uiAmount !== null && ui.uiAmount !== undefined) return Number(ui.uiAmount);
+    return Number(ui.amount || 0) / Math.pow(10, ui.decimals || 0);
+}
+
+// owner -> mint -> 余额变化（UI 数量）
+function ownerTokenDeltas(tx) {
+    const deltas = new Map();
+    const add = (balance, sign) => {
+        if (!balance?.owner || !balance.mint) return;
+        if (!deltas.has(balance.owner)) {
+            deltas.set(balance.owner, new Map());
+        }
+        const ownerDeltas = deltas.get(balance.owner);
+        ownerDeltas.set(balance.mint, (ownerDeltas.get(balance.mint) || 0) + sign * balanceAmount(balance));
+    };
+    (tx.meta?.preTokenBalances || []).forEach(balance => add(balance, -1));
+    (tx.meta?.postTokenBalances || []).forEach(balance => add(balance, 1));
+    return deltas;
+}
+
+/**
+ * 提取部署者在被追踪代币上的活动
+ * @param {Array<object>} transactions - 部署者的交易（full）
+ * @param {Map<string, object>} tradeInfoMap - 签名 -> 解析结果（parseMultipleTradeInfoFromTransactions）
+ * @param {string} deployer - 部署者地址
+ * @param {Iterable<string>} mints - 被追踪的代币
+ * @returns {Array<object>} [{ signature, slot, blockTime, mint, type, tokenAmount, solAmount, counterparty }]，按交易顺序
+ */
+export function extractDeployerActivity(transactions, tradeInfoMap, deployer, mints) {
+    const mintSet = new Set(mints);
+    const activity = [];
+    (transactions || []).forEach(tx => {
+        const signature = signatureOf(tx);
+        if (!signature || tx.meta?.err) {
+            return;
+        }
+        const base = { signature, slot: tx.slot ?? null, blockTime: tx.blockTime ?? null };
+        const tradeInfo = tradeInfoMap?.get(signature);
+        const trades = tradeInfo
+            ? expandTradeLegs(tradeInfo, SOL_MINT).filter(trade => trade.holderAddress === deployer)
+            : [];
+        const deltas = ownerTokenDeltas(tx);
+        const deployerDeltas = deltas.get(deployer) || new Map();
+
+        mintSet.forEach(mint => {
+            const traded = trades.filter(trade => trade.soldToken?.mint === mint || trade.boughtToken?.mint === mint);
+            if (traded.length > 0) {
+                traded.forEach(trade => {
+                    const isSell = trade.soldToken?.mint === mint;
+                    const counter = isSell ? trade.boughtToken : trade.soldToken;
+                    activity.push({
+                        ...base,
+                        mint,
+                        type: isSell ? 'sell' : 'buy',
+                        tokenAmount: Number((isSell ? trade.soldToken : trade.boughtToken).amount) || 0,
+                        solAmount: counter?.mint === SOL_MINT && counter.amount !== null ? Number(counter.amount) : null,
+                        counterparty: null
+                    });
+                });
+                return;
+            }
+
+            const delta = deployerDeltas.get(mint) || 0;
+            if (Math.abs(delta) < AMOUNT_EPSILON) {
+                return;
+            }
+            // 对手方：该代币余额反向变化最大的其他钱包
+            let counterparty = null;
+            let counterAmount = 0;
+            deltas.forEach((ownerDeltas, owner) => {
+                const ownerDelta = ownerDeltas.get(mint) || 0;
+                if (owner !== deployer && Math.sign(ownerDelta) === -Math.sign(delta) && Math.abs(ownerDelta) > counterAmount) {
+                    counterparty = owner;
+                    counterAmount = Math.abs(ownerDelta);
+                }
+            });
+            activity.push({
+                ...base,
+                mint,
+                type: delta < 0 ? 'transfer_out' : (counterparty ? 'transfer_in' : 'mint'),
+                tokenAmount: Math.abs(delta),
+                solAmount: null,
+                counterparty
+            });
+        });
+    });
+    return activity;
+}
+
+/**
+ * 汇总部署者在某个代币上的活动，soldPercent 即「dev 卖出了 X%」：卖出数量占部署者获得数量（买入 + 转入 + 铸造）的比例
+ * @param {Array<object>} activity - extractDeployerActivity 的结果（同一代币）
+ * @param {object} [options]
+ * @param {number|null} [options.supply] - 代币总供应量（UI 数量），为空时不计算占供应量的比例
+ * @returns {object} { acquired, bought, minted, transferredIn, sold, transferredOut, solSpent, solReceived, remaining,
+ *                     soldPercent, soldSupplyPercent, transferredOutPercent, sellCount, firstSellTime, lastSellTime,
+ *                     hasSold, transferRecipients }
+ */
+export function summarizeDeployerActivity(activity, { supply = null } = {}) {
+    const sum = (type, field = 'tokenAmount') => (activity || [])
+        .filter(item => item.type === type)
+        .reduce((total, item) => total + (Number(item[field]) || 0), 0);
+    const bought = sum('buy');
+    const minted = sum('mint');
+    const transferredIn = sum('transfer_in');
+    const sold = sum('sell');
+    const transferredOut = sum('transfer_out');
+    const acquired = bought + minted + transferredIn;
+    const sells = (activity || []).filter(item => item.type === 'sell');
+    const sellTimes = sells.map(item => item.blockTime).filter(Number.isFinite);
+    const percentOf = (amount, base) => (base > 0 ? (amount / base) * 100 : null);
+
+    return {
+        acquired,
+        bought,
+        minted,
+        transferredIn,
+        sold,
+        transferredOut,
+        solSpent: sum('buy', 'solAmount'),
+        solReceived: sum('sell', 'solAmount'),
+        remaining: Math.max(acquired - sold - transferredOut, 0),
+        soldPercent: percentOf(sold, acquired),
+        soldSupplyPercent: supply ? percentOf(sold, supply) : null,
+        transferredOutPercent: percentOf(transferredOut, acquired),
+        sellCount: sells.length,
+        firstSellTime: sellTimes.length > 0 ? Math.min(...sellTimes) : null,
+        lastSellTime: sellTimes.length > 0 ? Math.max(...sellTimes) : null,
+        hasSold: sold > 0,
+        transferRecipients: [...new Set((activity || [])
+            .filter(item => item.type === 'transfer_out' && item.counterparty)
+            .map(item => item.counterparty))]
+    };
+}
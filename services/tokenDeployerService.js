@@ -0,0 +1,293 @@
+import { config } from '../config/index.js';
+import { getTransactionsForAddress } from './tokenService.js';
+import { parseMultipleTradeInfoFromTransactions } from './transactionParseService.js';
+import { getTokenMetadataViaHelius, invalidateTokenMetadataCache } from './cacheService.js';
+import { getTokenUiSupply } from './tokenTradersService.js';
+import { findCreationTransaction } from './launchAnalysis.js';
+import { extractDeployerActivity, findDeployerCreatedMints, summarizeDeployerActivity } from './tokenDeployer.js';
+import {
+    getDeployerActivity,
+    getTokenDeployer,
+    getTokensByDeployer,
+    insertDeployerActivity,
+    updateDeployerActivityCursor,
+    updateTokenAuthorities,
+    upsertTokenDeployers
+} from '../db/tokenDeployerMapper.js';
+
+/**
+ * 代币部署者（dev）追踪服务
+ * 部署者和创建交易只解析一次并保存到 tbl_token_deployer；部署者之后的卖出和转账从部署者自己的交易中增量同步
+ * （游标为 tbl_token_deployer.activity_slot），同步时顺便记录部署者创建的其他代币
+ */
+
+const PAGE_LIMIT = 100;
+// dev 指标使用的部署者活动超过该时间未同步时先增量同步
+const DEV_ACTIVITY_TTL_MS = 10 * 60 * 1000;
+
+// 记录部署者在这些交易中创建的代币
+async function saveCreatedMints(deployer, transactions) {
+    const created = findDeployerCreatedMints(transactions, deployer);
+    await upsertTokenDeployers(created.map(item => ({
+        mint: item.mint,
+        deployer,
+        creationSlot: item.slot,
+        creationTime: item.blockTime,
+        creationSignature: item.signature
+    })));
+    return created;
+}
+
+/**
+ * 获取代币的部署者记录，没有保存时从代币地址按 slot 升序的第一笔交易解析
+ * @param {string} mint - 代币地址
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - 重新获取权限信息（忽略元数据缓存）
+ * @returns {Promise<object>} tbl_token_deployer 记录
+ */
+export async function resolveTokenDeployer(mint, { refresh = false } = {}) {
+    if (!mint) {
+        throw new Error('代币地址不能为空');
+    }
+
+    let token = await getTokenDeployer(mint);
+    if (!token) {
+        const result = await getTransactionsForAddress(mint, {
+            limit: 1,
+            transactionDetails: 'full',
+            sortOrder: 'asc',
+            filters: { status: 'succeeded' },
+            skipSystemInstructionFilter: true
+        });
+        const creation = findCreationTransaction(result.data || []);
+        if (!creation?.deployer) {
+            const error = new Error(`没有找到代币 ${mint} 的创建交易`);
+            error.status = 404;
+            throw error;
+        }
+        await upsertTokenDeployers([{
+            mint,
+            deployer: creation.deployer,
+            creationSlot: creation.slot,
+            creationTime: creation.blockTime,
+            creationSignature: creation.signature
+        }]);
+        token = await getTokenDeployer(mint);
+    }
+
+    if (refresh || !token.authorities) {
+        if (refresh) {
+            await invalidateTokenMetadataCache(mint);
+        }
+        let metadata = await getTokenMetadataViaHelius(config.helius.apiKey, mint);
+        // 旧的缓存中没有权限信息
+        if (metadata && !metadata.authorities) {
+            await invalidateTokenMetadataCache(mint);
+            metadata = await getTokenMetadataViaHelius(config.helius.apiKey, mint);
+        }
+        if (metadata?.authorities) {
+            await updateTokenAuthorities(mint, metadata.authorities);
+            token = await getTokenDeployer(mint);
+        }
+    }
+
+    return token;
+}
+
+/**
+ * 从游标开始按 slot 升序同步部署者的交易，保存部署者在该代币上的活动和新创建的代币
+ * 达到 maxPages 时游标停在最后一页所在 slot 之前（该 slot 可能没有拉取完整，下次重新拉取，重复记录会被忽略）
+ * @param {string} mint - 代币地址
+ * @param {object} [options]
+ * @param {number} [options.maxPages=5] - 最多拉取的页数（每页 100 笔）
+ * @returns {Promise<object>} { mint, deployer, pages, transactions, activityCount, createdMints, activitySlot, truncated }
+ */
+export async function syncDeployerActivity(mint, { maxPages = 5 } = {}) {
+    const token = await resolveTokenDeployer(mint);
+    const { deployer } = token;
+    const fromSlot = token.activitySlot !== null ? token.activitySlot + 1 : (token.creationSlot ?? 0);
+
+    let paginationToken = null;
+    let pages = 0;
+    let transactionCount = 0;
+    let activityCount = 0;
+    let lastSlot = null;
+    let truncated = false;
+    const createdMints = [];
+
+    while (pages < maxPages) {
+        const result = await getTransactionsForAddress(deployer, {
+            limit: PAGE_LIMIT,
+            transactionDetails: 'full',
+            sortOrder: 'asc',
+            filters: { status: 'succeeded', slot: { gte: fromSlot } },
+            paginationToken,
+            skipSystemInstructionFilter: true
+        });
+        pages++;
+        const transactions = result.data || [];
+        if (transactions.length === 0) break;
+        transactionCount += transactions.length;
+        lastSlot = transactions[transactions.length - 1].slot;
+
+        const tradeInfoMap = await parseMultipleTradeInfoFromTransactions(transactions);
+        activityCount += await insertDeployerActivity(deployer, extractDeployerActivity(transactions, tradeInfoMap, deployer, [mint]));
+
+        const created = await saveCreatedMints(deployer, transactions);
+        createdMints.push(...created.map(item => item.mint).filter(address => address !== mint));
+
+        paginationToken = result.paginationToken;
+        if (!paginationToken) break;
+        if (pages >= maxPages) {
+            truncated = true;
+        }
+    }
+
+    // 没有新交易时也更新同步时间，避免 dev 指标判断为过期后反复同步
+    let activitySlot = token.activitySlot;
+    if (lastSlot !== null) {
+        activitySlot = truncated ? lastSlot - 1 : lastSlot;
+    }
+    if (activitySlot !== null) {
+        await updateDeployerActivityCursor(mint, activitySlot);
+    }
+
+    return { mint, deployer, pages, transactions: transactionCount, activityCount, createdMints, activitySlot, truncated };
+}
+
+function isActivityStale(activitySyncedAt, activityTtl) {
+    const syncedAt = activitySyncedAt ? new Date(activitySyncedAt).getTime() : NaN;
+    return !Number.isFinite(syncedAt) || Date.now() - syncedAt > activityTtl;
+}
+
+/**
+ * 代币的 dev 指标（使用已保存的部署者活动）
+ * @param {string} mint - 代币地址
+ * @param {object} [options]
+ * @param {boolean} [options.resolve=false] - 没有部署者记录时解析；从未同步过活动时同步一次，
+ *                                          上次同步超过 activityTtl 时增量同步（失败只记录警告，使用已保存的活动）
+ * @param {number|null} [options.supply] - 代币总供应量（UI 数量），为空时从缓存获取
+ * @param {number} [options.maxPages=2] - 每次同步最多拉取的页数
+ * @param {number} [options.activityTtl=DEV_ACTIVITY_TTL_MS] - 部署者活动的有效期（毫秒）
+ * @returns {Promise<object|null>} { deployer, soldPercent, soldSupplyPercent, sold, acquired, remaining, transferredOutPercent,
+ *                                  hasSold, activitySyncedAt }，没有部署者记录时返回 null
+ */
+export async function getTokenDevMetric(mint, { resolve = false, supply = null, maxPages = 2, activityTtl = DEV_ACTIVITY_TTL_MS } = {}) {
+    let token = resolve ? await resolveTokenDeployer(mint) : await getTokenDeployer(mint);
+    if (!token) {
+        return null;
+    }
+    if (resolve && token.activitySlot === null) {
+        await syncDeployerActivity(mint, { maxPages });
+        token = await getTokenDeployer(mint);
+    } else if (resolve && isActivityStale(token.activitySyncedAt, activityTtl)) {
+        try {
+            await syncDeployerActivity(mint, { maxPages });
+            token = await getTokenDeployer(mint);
+        } catch (error) {
+            console.warn(`增量同步部署者活动失败，使用已保存的活动 (${mint}): ${error.message}`);
+        }
+    }
+
+    const summary = summarizeDeployerActivity(await getDeployerActivity(mint), {
+        supply: supply || await getTokenUiSupply(mint)
+    });
+    return {
+        deployer: token.deployer,
+        soldPercent: summary.soldPercent,
+        soldSupplyPercent: summary.soldSupplyPercent,
+        sold: summary.sold,
+        acquired: summary.acquired,
+        remaining: summary.remaining,
+        transferredOutPercent: summary.transferredOutPercent,
+        hasSold: summary.hasSold,
+        activitySyncedAt: token.activitySyncedAt
+    };
+}
+
+/**
+ * 代币的部署者报告：部署者、创建交易、权限、dev 卖出和转账汇总、活动明细、部署者创建的其他代币
+ * @param {string} mint - 代币地址
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] - 重新获取权限信息
+ * @param {boolean} [options.sync=true] - 先增量同步部署者活动
+ * @param {number} [options.maxPages=5] - 同步最多拉取的页数
+ * @returns {Promise<object>}
+ */
+export async function getTokenDeployerReport(mint, { refresh = false, sync = true, maxPages = 5 } = {}) {
+    await resolveTokenDeployer(mint, { refresh });
+
+    let syncResult = null;
+    if (sync) {
+        syncResult = await syncDeployerActivity(mint, { maxPages }).catch(error => {
+            console.warn(`同步代币 ${mint} 的部署者活动失败，使用已保存的数据: ${error.message}`);
+            return null;
+        });
+    }
+
+    const token = await getTokenDeployer(mint);
+    const activity = await getDeployerActivity(mint);
+    const supply = await getTokenUiSupply(mint);
+    const otherTokens = (await getTokensByDeployer(token.deployer)).filter(item => item.mint !== mint);
+
+    return {
+        mint,
+        deployer: token.deployer,
+        creation: {
+            slot: token.creationSlot,
+            time: token.creationTime,
+            signature: token.creationSignature
+        },
+        authorities: token.authorities,
+        supply,
+        dev: summarizeDeployerActivity(activity, { supply }),
+        activity,
+        activitySlot: token.activitySlot,
+        activitySyncedAt: token.activitySyncedAt,
+        sync: syncResult,
+        otherTokens: otherTokens.map(item => ({
+            mint: item.mint,
+            creationSlot: item.creationSlot,
+            creationTime: item.creationTime,
+            creationSignature: item.creationSignature
+        }))
+    };
+}
+
+/**
+ * 部署者创建的代币列表
+ * @param {string} deployer - 部署者地址
+ * @param {object} [options]
+ * @param {boolean} [options.discover=false] - 先按 slot 倒序扫描部署者最近的交易，记录其中创建的代币
+ * @param {number} [options.maxPages=2] - 扫描最多拉取的页数
+ * @returns {Promise<object>} { deployer, discovered, tokens }
+ */
+export async function getDeployerTokens(deployer, { discover = false, maxPages = 2 } = {}) {
+    if (!deployer) {
+        throw new Error('部署者地址不能为空');
+    }
+
+    let discovered = 0;
+    if (discover) {
+        let paginationToken = null;
+        for (let page = 0; page < maxPages; page++) {
+            const result = await getTransactionsForAddress(deployer, {
+                limit: PAGE_LIMIT,
+                transactionDetails: 'full',
+                sortOrder: 'desc',
+                filters: { status: 'succeeded' },
+                paginationToken,
+                skipSystemInstructionFilter: true
+            });
+            discovered += (await saveCreatedMints(deployer, result.data || [])).length;
+            paginationToken = result.paginationToken;
+            if (!paginationToken) break;
+        }
+    }
+
+    return {
+        deployer,
+        discovered,
+        tokens: await getTokensByDeployer(deployer)
+    };
+}
@@ -5,6 +5,8 @@ import {
   getTokenTransactionsViaSolscan 
 } from '../src/tokenTracker.js';
 import { config } from '../config/index.js';
+import { TOKEN_2022_PROGRAM_ID } from './dexProtocols/splToken.js';
+import { resolveAccountAddresses, resolveProgramId } from './accountKeys.js';
 
 /**
  * 获取代币交易记录
@@ -581,7 +583,7 @@ function parseRaydiumTrade(parsedTx) {
   }
   
   // 解析代币余额变化
-  const tokenChanges = parseTokenBalanceChanges(meta);
+  const tokenChanges = parseTokenBalanceChanges(meta, txData.message.accountKeys || []);
   
   // 查找卖出的代币（减少）和买入的代币（增加）
   const soldToken = tokenChanges.find(change => change.change < 0);
@@ -602,12 +604,28 @@ function parseRaydiumTrade(parsedTx) {
   };
 }
 
+/**
+ * 代币余额的实际数量（原始数量 / 10^decimals，不使用会被 Token-2022 计息扩展缩放的 uiAmount）
+ * @param {Object} balance - pre/postTokenBalances 中的一项
+ * @returns {number} 数量
+ */
+function getBalanceAmount(balance) {
+  const tokenAmount = balance.uiTokenAmount || {};
+  if (tokenAmount.amount !== undefined && tokenAmount.decimals !== undefined) {
+    return Number(tokenAmount.amount) / Math.pow(10, tokenAmount.decimals);
+  }
+  return parseFloat(tokenAmount.uiAmountString || '0');
+}
+
 /**
  * 解析代币余额变化
+ * Token-2022 代币账户额外给出 grossAmount（转入总额）、withheldFee（被扣留的转账手续费）和 netAmount（实际到账数量），
+ * 手续费来自内部指令中的 transferCheckedWithFee
  * @param {Object} meta - 交易元数据
+ * @param {Array} accountKeys - 交易的账户列表（用于把余额对应到代币账户地址，可选）
  * @returns {Array} 代币余额变化列表
  */
-function parseTokenBalanceChanges(meta) {
+function parseTokenBalanceChanges(meta, accountKeys = []) {
   const changes = [];
   const preBalances = meta.preTokenBalances || [];
   const postBalances = meta.postTokenBalances || [];
@@ -622,7 +640,9 @@ function parseTokenBalanceChanges(meta) {
       mint: preBalance.mint,
       owner: preBalance.owner,
       accountIndex: preBalance.accountIndex,
-      preAmount: parseFloat(preBalance.uiTokenAmount?.uiAmountString || '0'),
+      programId: preBalance.programId || null,
+      decimals: preBalance.uiTokenAmount?.decimals,
+      preAmount: getBalanceAmount(preBalance),
       postAmount: 0
     });
   });
@@ -632,27 +652,55 @@ function parseTokenBalanceChanges(meta) {
     const key = `${postBalance.accountIndex}-${postBalance.mint}`;
     const existing = balanceMap.get(key);
     if (existing) {
-      existing.postAmount = parseFloat(postBalance.uiTokenAmount?.uiAmountString || '0');
+      existing.postAmount = getBalanceAmount(postBalance);
     } else {
       // 新增的代币账户
       balanceMap.set(key, {
         mint: postBalance.mint,
         owner: postBalance.owner,
         accountIndex: postBalance.accountIndex,
+        programId: postBalance.programId || null,
+        decimals: postBalance.uiTokenAmount?.decimals,
         preAmount: 0,
-        postAmount: parseFloat(postBalance.uiTokenAmount?.uiAmountString || '0')
+        postAmount: getBalanceAmount(postBalance)
       });
     }
   });
+
+  // Token-2022 转账手续费：接收账户 -> 被扣留的手续费（原始数量）
+  const withheldByDestination = new Map();
+  (meta.innerInstructions || []).forEach(inner => {
+    (inner.instructions || []).forEach(ix => {
+      if (ix.parsed?.type !== 'transferCheckedWithFee') return;
+      const { destination, feeAmount } = ix.parsed.info || {};
+      if (!destination || feeAmount?.amount === undefined) return;
+      withheldByDestination.set(destination, (withheldByDestination.get(destination) || 0) + Number(feeAmount.amount));
+    });
+  });
   
   // 计算变化
   balanceMap.forEach((balance, key) => {
     const change = balance.postAmount - balance.preAmount;
     if (Math.abs(change) > 0.00000001) { // 忽略微小变化
-      changes.push({
+      const item = {
         ...balance,
         change: change
-      });
+      };
+
+      if (balance.programId === TOKEN_2022_PROGRAM_ID) {
+        const account = accountKeys[balance.accountIndex];
+        const address = typeof account === 'string' ? account : (account?.pubkey?.toString() || null);
+        const withheldRaw = (address && withheldByDestination.get(address)) || 0;
+        const withheldFee = withheldRaw / Math.pow(10, balance.decimals || 0);
+        item.tokenProgram = 'token-2022';
+        if (change > 0) {
+          item.netAmount = change;
+          item.withheldFee = withheldFee;
+          item.grossAmount = change + withheldFee;
+        }
+      }
+
+      changes.push(item);
     }
   });
   
@@ -1288,28 +1336,12 @@ function getAllInstructionsFromTransaction(tx) {
   const message = tx.transaction?.message;
   if (!message) return [];
   
-  const accountKeys = message.accountKeys || [];
-  const instructions = message.instructions || [];
+  // 完整账户列表（v0 交易需要合并地址查找表加载的账户，否则 programIdIndex 会越界或指向错误的账户）
+  const accountKeys = resolveAccountAddresses(tx);
+  const instructions = message.instructions || message.compiledInstructions || [];
   const innerInstructions = tx.meta?.innerInstructions || [];
   
-  // 辅助函数：从指令中获取 programId
-  const getProgramId = (ix) => {
-    // 如果是 parsed 格式，直接使用 programId
-    if (ix.programId) {
-      return typeof ix.programId === 'string' ? ix.programId : ix.programId.toString();
-    }
-    
-    // 如果是 unparsed 格式，从 accountKeys 中获取
-    if (typeof ix.programIdIndex === 'number') {
-      const account = accountKeys[ix.programIdIndex];
-      if (account) {
-        // account 可能是 PublicKey 对象或字符串
-        return typeof account === 'string' ? account : (account.pubkey?.toString() || account.toString());
-      }
-    }
-    
-    return null;
-  };
+  const getProgramId = (ix) => resolveProgramId(ix, accountKeys);
   
   // 处理主指令
   const allInstructions = instructions.map(ix => ({
@@ -1349,14 +1381,7 @@ function isSystemInstruction(ix, tx) {
   
   // 如果没有解析后的 programId，尝试从指令本身获取
   if (!programId) {
-    if (ix.programId) {
-      programId = typeof ix.programId === 'string' ? ix.programId : ix.programId.toString();
-    } else if (typeof ix.programIdIndex === 'number' && tx.transaction?.message?.accountKeys) {
-      const account = tx.transaction.message.accountKeys[ix.programIdIndex];
-      if (account) {
-        programId = typeof account === 'string' ? account : (account.pubkey?.toString() || account.toString());
-      }
-    }
+    programId = resolveProgramId(ix, resolveAccountAddresses(tx));
   }
   
   if (!programId) return false;
@@ -0,0 +1,200 @@
+/**
+ * 同一代币的交易者对比（不依赖网络和数据库）
+ * 把 tbl_sol_trade_info 中该代币的成交记录按钱包汇总（数据库中用 GROUP BY 汇总，见 buildTokenTraders）：
+ * 建仓时间和顺序、建仓价格和市值、买入规模、卖出和已实现倍数，
+ * 再合并 tbl_sol_addr_pnl_info 中保存的盈亏，按建仓顺序、收益率或规模排序分页
+ */
+
+// tbl_sol_trade_info.type
+const TRADE_TYPE_BUY = 1;
+const TRADE_TYPE_SELL = 2;
+
+export const TOKEN_TRADER_SORTS = ['timing', 'roi', 'size'];
+
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * 由按钱包汇总的买卖和首次买入生成交易者
+ * @param {Array<object>} summaries - getTokenTraderSummaries 的结果
+ * @param {Array<object>} firstBuys - getTokenFirstBuys 的结果（同一钱包有多笔时使用第一笔）
+ * @param {object} [options]
+ * @param {number|null} [options.supply] - 代币总供应量（UI 数量），为空时不计算市值
+ * @returns {Array<object>} 按首次买入时间排序的交易者，buyRank 为第几个买入（从 1 开始，没有买入的为 null）
+ */
+export function buildTokenTraders(summaries, firstBuys, { supply = null } = {}) {
+    const firstBuyByAddr = new Map();
+    for (const buy of firstBuys || []) {
+        if (!firstBuyByAddr.has(buy.addr)) {
+            firstBuyByAddr.set(buy.addr, buy);
+        }
+    }
+
+    const traders = (summaries || []).map(summary => {
+        const firstBuy = firstBuyByAddr.get(summary.addr) || null;
+        const firstTokenAmount = firstBuy ? Number(firstBuy.splAmount) : 0;
+        const firstSolAmount = firstBuy ? Number(firstBuy.solAmount) || 0 : 0;
+        const firstUsdAmount = firstBuy ? toNumber(firstBuy.usdAmount) : null;
+        const wallet = {
+            walletAddress: summary.addr,
+            firstBuyAt: toNumber(summary.firstBuyAt),
+            firstBuySignature: firstBuy?.signature || null,
+            entryPriceSol: firstSolAmount > 0 && firstTokenAmount > 0 ? firstSolAmount / firstTokenAmount : null,
+            entryPriceUsd: firstUsdAmount !== null && firstTokenAmount > 0 ? firstUsdAmount / firstTokenAmount : null,
+            buyCount: Number(summary.buyCount) || 0,
+            sellCount: Number(summary.sellCount) || 0,
+            boughtQuantity: Number(summary.boughtQuantity) || 0,
+            soldQuantity: Number(summary.soldQuantity) || 0,
+            buySol: Number(summary.buySol) || 0,
+            sellSol: Number(summary.sellSol) || 0,
+            buyUsd: Number(summary.buyUsd) || 0,
+            sellUsd: Number(summary.sellUsd) || 0,
+            // usd_amount 为空的记录（旧数据）不计入 USD 金额，标记为不完整
+            usdComplete: Boolean(Number(summary.usdComplete)),
+            firstSellAt: toNumber(summary.firstSellAt),
+            lastSellAt: toNumber(summary.lastSellAt)
+        };
+        const avgBuyPriceSol = wallet.boughtQuantity > 0 && wallet.buySol > 0 ? wallet.buySol / wallet.boughtQuantity : null;
+        const avgSellPriceSol = wallet.soldQuantity > 0 && wallet.sellSol > 0 ? wallet.sellSol / wallet.soldQuantity : null;
+        return {
+            ...wallet,
+            entryMarketCapSol: supply && wallet.entryPriceSol !== null ? wallet.entryPriceSol * supply : null,
+            entryMarketCapUsd: supply && wallet.entryPriceUsd !== null ? wallet.entryPriceUsd * supply : null,
+            avgBuyPriceSol,
+            avgSellPriceSol,
+            exitMarketCapSol: supply && avgSellPriceSol !== null ? avgSellPriceSol * supply : null,
+            remainingQuantity: Math.max(0, wallet.boughtQuantity - wallet.soldQuantity),
+            // 已实现倍数：平均卖出价 / 平均买入价（SOL 计价）
+            realizedMultiple: avgBuyPriceSol && avgSellPriceSol ? avgSellPriceSol / avgBuyPriceSol : null
+        };
+    });
+
+    traders.sort((a, b) => (a.firstBuyAt ?? Infinity) - (b.firstBuyAt ?? Infinity));
+    let rank = 0;
+    traders.forEach(trader => {
+        trader.buyRank = trader.firstBuyAt === null ? null : ++rank;
+    });
+    return traders;
+}
+
+/**
+ * 按钱包汇总代币的成交记录（与 getTokenTraderSummaries + getTokenFirstBuys 的 SQL 汇总相同）
+ * @param {Array<object>} rows - [{ addr, signature, tradeTime, type, solAmount, splAmount, usdAmount }]，按时间升序
+ * @param {object} [options]
+ * @param {number|null} [options.supply] - 代币总供应量（UI 数量），为空时不计算市值
+ * @returns {Array<object>} 同 buildTokenTraders
+ */
+export function aggregateTokenTraders(rows, { supply = null } = {}) {
+    const summaries = new Map();
+    const firstBuys = [];
+
+    for (const row of rows) {
+        const type = Number(row.type);
+        const tokenAmount = Number(row.splAmount) || 0;
+        const time = toNumber(row.tradeTime);
+        if (!row.addr || !(tokenAmount > 0) || (type !== TRADE_TYPE_BUY && type !== TRADE_TYPE_SELL)) {
+            continue;
+        }
+
+        if (!summaries.has(row.addr)) {
+            summaries.set(row.addr, {
+                addr: row.addr,
+                buyCount: 0,
+                sellCount: 0,
+                boughtQuantity: 0,
+                soldQuantity: 0,
+                buySol: 0,
+                sellSol: 0,
+                buyUsd: 0,
+                sellUsd: 0,
+                usdComplete: 1,
+                firstBuyAt: null,
+                firstSellAt: null,
+                lastSellAt: null
+            });
+        }
+        const summary = summaries.get(row.addr);
+        const usdAmount = toNumber(row.usdAmount);
+        if (usdAmount === null) {
+            summary.usdComplete = 0;
+        }
+
+        if (type === TRADE_TYPE_BUY) {
+            if (summary.firstBuyAt === null) {
+                summary.firstBuyAt = time;
+                firstBuys.push(row);
+            }
+            summary.buyCount++;
+            summary.boughtQuantity += tokenAmount;
+            summary.buySol += Number(row.solAmount) || 0;
+            summary.buyUsd += usdAmount || 0;
+        } else {
+            summary.firstSellAt = summary.firstSellAt ?? time;
+            summary.lastSellAt = time;
+            summary.sellCount++;
+            summary.soldQuantity += tokenAmount;
+            summary.sellSol += Number(row.solAmount) || 0;
+            summary.sellUsd += usdAmount || 0;
+        }
+    }
+
+    return buildTokenTraders([...summaries.values()], firstBuys, { supply });
+}
+
+/**
+ * 合并 tbl_sol_addr_pnl_info 中保存的盈亏（getPnlInfoByToken 的结果），
+ * roi 优先使用保存的收益率，没有时用已实现倍数换算
+ * @param {Array<object>} traders - aggregateTokenTraders 的结果
+ * @param {Array<object>} pnlRows - [{ addr, pnl, total_buy_amount, total_sell_amount, profile_ratio }]
+ * @returns {Array<object>}
+ */
+export function mergeTraderPnl(traders, pnlRows) {
+    const pnlByAddr = new Map((pnlRows || []).map(row => [row.addr, row]));
+    return traders.map(trader => {
+        const row = pnlByAddr.get(trader.walletAddress);
+        const pnl = row ? {
+            pnl: toNumber(row.pnl),
+            totalBuyAmount: toNumber(row.total_buy_amount),
+            totalSellAmount: toNumber(row.total_sell_amount),
+            profitRatio: toNumber(row.profile_ratio)
+        } : null;
+        const roi = pnl?.profitRatio ?? (trader.realizedMultiple !== null ? (trader.realizedMultiple - 1) * 100 : null);
+        return { ...trader, pnl, roi };
+    });
+}
+
+/**
+ * 排序并分页
+ * timing 按建仓顺序（先买入的在前），roi 按收益率、size 按买入金额（SOL）从高到低，没有数据的排在最后
+ * @param {Array<object>} traders - mergeTraderPnl 的结果
+ * @param {object} [options]
+ * @param {string} [options.sortBy='timing'] - timing / roi / size
+ * @param {number} [options.page=1] - 页码（从 1 开始）
+ * @param {number} [options.pageSize=50] - 每页数量
+ * @returns {{total: number, page: number, pageSize: number, traders: Array<object>}}
+ */
+export function rankTokenTraders(traders, { sortBy = 'timing', page = 1, pageSize = 50 } = {}) {
+    if (!TOKEN_TRADER_SORTS.includes(sortBy)) {
+        throw new Error(`不支持的排序方式: ${sortBy}`);
+    }
+    const keyOf = {
+        timing: trader => (trader.buyRank === null ? null : -trader.buyRank),
+        roi: trader => trader.roi,
+        size: trader => trader.buySol
+    }[sortBy];
+
+    const sorted = [...traders].sort((a, b) => {
+        const keyA = keyOf(a);
+        const keyB = keyOf(b);
+        if (keyA === null || keyB === null) {
+            return (keyA === null) - (keyB === null);
+        }
+        return keyB - keyA;
+    });
+    const start = (page - 1) * pageSize;
+    return {
+        total: sorted.length,
+        page,
+        pageSize,
+        traders: sorted.slice(start, start + pageSize)
+    };
+}
@@ -0,0 +1,72 @@
+import { config } from '../config/index.js';
+import { getTokenFirstBuys, getTokenTraderSummaries } from '../db/solTradeInfoMapper.js';
+import { getPnlInfoByToken } from '../db/solAddrPnlInfoMapper.js';
+import { getLatestWalletScores } from '../db/walletScoreMapper.js';
+import { getTokenTotalSupplyWithCache } from './cacheService.js';
+import { DEFAULT_WALLET_SCORE_RULE_SET } from '../config/walletScoreRuleSets.js';
+import { buildTokenTraders, mergeTraderPnl, rankTokenTraders } from './tokenTraders.js';
+
+/**
+ * 代币交易者对比服务
+ * 按钱包汇总 tbl_sol_trade_info 中该代币的全部成交（GROUP BY addr），合并 tbl_sol_addr_pnl_info 的盈亏和 tbl_wallet_score 的评分
+ */
+
+/**
+ * 代币总供应量（UI 数量，带缓存），获取失败时返回 null
+ * @param {string} tokenAddress - 代币地址
+ * @returns {Promise<number|null>}
+ */
+export async function getTokenUiSupply(tokenAddress) {
+    return await getTokenTotalSupplyWithCache(config.helius.apiKey || null, tokenAddress)
+        .then(info => info.uiSupply || null)
+        .catch(error => {
+            console.warn(`获取代币 ${tokenAddress} 总供应量失败: ${error.message}`);
+            return null;
+        });
+}
+
+/**
+ * 获取代币的交易者列表
+ * @param {string} tokenAddress - 代币地址
+ * @param {object} [options]
+ * @param {string} [options.sortBy='timing'] - timing（建仓顺序）/ roi / size
+ * @param {number} [options.page=1] - 页码
+ * @param {number} [options.pageSize=50] - 每页数量
+ * @param {string} [options.ruleSet] - 附带的钱包评分规则集（最新版本）
+ * @returns {Promise<object>} { tokenAddress, supply, sortBy, ruleSet, total, page, pageSize, traders }
+ */
+export async function getTokenTraders(tokenAddress, { sortBy = 'timing', page = 1, pageSize = 50, ruleSet = DEFAULT_WALLET_SCORE_RULE_SET } = {}) {
+    if (!tokenAddress) {
+        throw new Error('代币地址不能为空');
+    }
+
+    // 按钱包汇总在数据库中完成，不读取逐笔成交
+    const [summaries, firstBuys] = await Promise.all([getTokenTraderSummaries(tokenAddress), getTokenFirstBuys(tokenAddress)]);
+    // 获取不到总供应量时不计算市值
+    const supply = await getTokenUiSupply(tokenAddress);
+
+    const traders = mergeTraderPnl(buildTokenTraders(summaries, firstBuys, { supply }), await getPnlInfoByToken(tokenAddress));
+    const result = rankTokenTraders(traders, { sortBy, page, pageSize });
+
+    // 只查询当前页钱包的评分
+    const scores = await getLatestWalletScores(result.traders.map(trader => trader.walletAddress), ruleSet)
+        .catch(error => {
+            console.warn(`查询钱包评分失败: ${error.message}`);
+            return new Map();
+        });
+
+    return {
+        tokenAddress,
+        supply,
+        sortBy,
+        ruleSet,
+        ...result,
+        traders: result.traders.map(trader => {
+            const score = scores.get(trader.walletAddress);
+            return {
+                ...trader,
+                score: score ? { ruleVersion: score.ruleVersion, score: score.score, passed: score.passed, scoredAt: score.scoredAt } : null
+            };
+        })
+    };
+}
@@ -0,0 +1,197 @@
+import { toInstructionBuffer } from './dexProtocols/borshReader.js';
+import { feeAccountsConfig } from '../config/feeAccountsConfig.js';
+import { getPlatformFeeAccountMap } from '../config/tradingPlatformConfig.js';
+
+/**
+ * 交易成本拆分
+ * 基础手续费、优先费、Jito 小费、代币账户租金和交易机器人平台费都会计入钱包的 SOL 余额变化，
+ * 这里把它们单独拆出来，避免按余额变化计算的成交金额和盈亏被这些成本放大
+ */
+
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+export const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+export const LAMPORTS_PER_SIGNATURE = 5000;
+
+const LAMPORTS_PER_SOL = 1e9;
+const JITO_TIP_ACCOUNTS = new Set(feeAccountsConfig.jitoTipAccounts);
+
+const toSol = (lamports) => lamports / LAMPORTS_PER_SOL;
+
+/**
+ * 解码系统程序的 SOL 转账指令（原始格式和 jsonParsed 格式）
+ * @param {object} ix - collectInstructions 返回的指令 { programId, accounts, data, parsed }
+ * @returns {object|null} { source, destination, lamports }
+ */
+export function decodeSystemTransfer(ix) {
+    if (!ix || ix.programId !== SYSTEM_PROGRAM_ID) return null;
+
+    if (ix.parsed) {
+        const { type, info } = ix.parsed;
+        if (type !== 'transfer' || !info) return null;
+        return { source: info.source, destination: info.destination, lamports: Number(info.lamports) };
+    }
+
+    const data = toInstructionBuffer(ix.data);
+    // Transfer：u32 指令序号 2 + u64 lamports，账户为 from, to
+    if (!data || data.length < 12 || data.readUInt32LE(0) !== 2) return null;
+    return {
+        source: ix.accounts?.[0] || null,
+        destination: ix.accounts?.[1] || null,
+        lamports: Number(data.readBigUInt64LE(4))
+    };
+}
+
+/**
+ * 解码 Compute Budget 指令（jsonParsed 格式下该程序也不会被解析，只有原始数据）
+ * @param {object} ix - 指令
+ * @returns {object|null} { computeUnitLimit } 或 { computeUnitPrice }（微 lamports / CU）
+ */
+export function decodeComputeBudget(ix) {
+    if (!ix || ix.programId !== COMPUTE_BUDGET_PROGRAM_ID) return null;
+
+    const data = toInstructionBuffer(ix.data);
+    if (!data || data.length < 1) return null;
+
+    switch (data.readUInt8(0)) {
+        case 2: // SetComputeUnitLimit: u32
+            return data.length >= 5 ? { computeUnitLimit: data.readUInt32LE(1) } : null;
+        case 3: // SetComputeUnitPrice: u64
+            return data.length >= 9 ? { computeUnitPrice: Number(data.readBigUInt64LE(1)) } : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * 持有人名下代币账户的开户租金和关户退还的租金（lamports）
+ * WSOL 账户的 lamports 包含包装的 SOL，只计算超出代币余额的部分
+ */
+function calculateRentChanges(meta, holderAddress, SOL_MINT) {
+    const preBalances = new Map((meta.preTokenBalances || []).map(balance => [balance.accountIndex, balance]));
+    const postBalances = new Map((meta.postTokenBalances || []).map(balance => [balance.accountIndex, balance]));
+    const rawAmount = (balance) => balance.mint === SOL_MINT ? Number(balance.uiTokenAmount?.amount || 0) : 0;
+
+    let rentPaid = 0;
+    let rentRefunded = 0;
+
+    postBalances.forEach((post, accountIndex) => {
+        const preLamports = meta.preBalances?.[accountIndex] || 0;
+        const postLamports = meta.postBalances?.[accountIndex] || 0;
+        if (post.owner === holderAddress && !preBalances.has(accountIndex) && preLamports === 0 && postLamports > 0) {
+            rentPaid += Math.max(0, postLamports - rawAmount(post));
+        }
+    });
+    preBalances.forEach((pre, accountIndex) => {
+        const preLamports = meta.preBalances?.[accountIndex] || 0;
+        const postLamports = meta.postBalances?.[accountIndex] || 0;
+        if (pre.owner === holderAddress && !postBalances.has(accountIndex) && postLamports === 0 && preLamports > 0) {
+            rentRefunded += Math.max(0, preLamports - rawAmount(pre));
+        }
+    });
+
+    return { rentPaid, rentRefunded };
+}
+
+/**
+ * 拆分交易中由持有人承担、不属于成交金额的 SOL 成本
+ * 基础手续费和优先费只在持有人是手续费支付者时计入；小费和平台费只计入持有人转出的部分
+ * @param {object} params
+ * @param {Array<object>} params.instructions - collectInstructions 返回的全部指令（含内部指令）
+ * @param {object} params.meta - 交易 meta
+ * @param {string} params.holderAddress - 持有人地址
+ * @param {string} params.feePayer - 手续费支付者（第一个签名者）
+ * @param {number} params.signatureCount - 签名数量
+ * @param {string} params.SOL_MINT - SOL 代币地址
+ * @returns {object} 费用明细（单位 SOL；computeUnitPrice 为微 lamports / CU）：
+ *   { feePayer, baseFee, priorityFee, computeUnitLimit, computeUnitPrice, jitoTip, botFee, botPlatform,
+ *     rentPaid, rentRefunded, total }，total 为持有人承担的成本合计（退还的租金为负）
+ */
+export function analyzeTradeFees({ instructions = [], meta = {}, holderAddress, feePayer, signatureCount = 1, SOL_MINT }) {
+    let computeUnitLimit = null;
+    let computeUnitPrice = null;
+    let jitoTip = 0;
+    let botFee = 0;
+    let botPlatform = null;
+    const platformFeeAccounts = getPlatformFeeAccountMap();
+
+    instructions.forEach(ix => {
+        const budget = decodeComputeBudget(ix);
+        if (budget) {
+            computeUnitLimit = budget.computeUnitLimit ?? computeUnitLimit;
+            computeUnitPrice = budget.computeUnitPrice ?? computeUnitPrice;
+            return;
+        }
+
+        const transfer = decodeSystemTransfer(ix);
+        if (!transfer || transfer.source !== holderAddress) return;
+        if (JITO_TIP_ACCOUNTS.has(transfer.destination)) {
+            jitoTip += transfer.lamports;
+        } else if (platformFeeAccounts.has(transfer.destination)) {
+            botFee += transfer.lamports;
+            botPlatform = botPlatform || platformFeeAccounts.get(transfer.destination);
+        }
+    });
+
+    // 优先费 = 实际手续费 - 签名费；没有 meta.fee 时按 CU 单价 × CU 上限估算
+    let baseFee = LAMPORTS_PER_SIGNATURE * signatureCount;
+    let priorityFee;
+    if (typeof meta.fee === 'number') {
+        baseFee = Math.min(baseFee, meta.fee);
+        priorityFee = meta.fee - baseFee;
+    } else {
+        priorityFee = computeUnitPrice && computeUnitLimit ? Math.ceil(computeUnitPrice * computeUnitLimit / 1e6) : 0;
+    }
+    if (holderAddress !== feePayer) {
+        baseFee = 0;
+        priorityFee = 0;
+    }
+
+    const { rentPaid, rentRefunded } = calculateRentChanges(meta, holderAddress, SOL_MINT);
+
+    return {
+        feePayer: feePayer || null,
+        baseFee: toSol(baseFee),
+        priorityFee: toSol(priorityFee),
+        computeUnitLimit,
+        computeUnitPrice,
+        jitoTip: toSol(jitoTip),
+        botFee: toSol(botFee),
+        botPlatform,
+        rentPaid: toSol(rentPaid),
+        rentRefunded: toSol(rentRefunded),
+        total: toSol(baseFee + priorityFee + jitoTip + botFee + rentPaid - rentRefunded)
+    };
+}
+
+/**
+ * 从 Helius 增强交易中拆分钱包承担的交易成本
+ * Helius 不返回指令级的 Compute Budget 和代币账户余额明细，只拆分手续费、Jito 小费和平台费
+ * @param {object} transaction - Helius 增强交易
+ * @param {string} walletAddress - 钱包地址
+ * @returns {object} { fee, jitoTip, botFee, botPlatform, total }（单位 SOL）
+ */
+export function analyzeHeliusTradeFees(transaction, walletAddress) {
+    const platformFeeAccounts = getPlatformFeeAccountMap();
+    let jitoTip = 0;
+    let botFee = 0;
+    let botPlatform = null;
+
+    (transaction?.nativeTransfers || []).forEach(transfer => {
+        if (transfer.fromUserAccount !== walletAddress) return;
+        if (JITO_TIP_ACCOUNTS.has(transfer.toUserAccount)) {
+            jitoTip += transfer.amount || 0;
+        } else if (platformFeeAccounts.has(transfer.toUserAccount)) {
+            botFee += transfer.amount || 0;
+            botPlatform = botPlatform || platformFeeAccounts.get(transfer.toUserAccount);
+        }
+    });
+
+    const fee = transaction?.feePayer === walletAddress ? (transaction.fee || 0) : 0;
+    return {
+        fee: toSol(fee),
+        jitoTip: toSol(jitoTip),
+        botFee: toSol(botFee),
+        botPlatform,
+        total: toSol(fee + jitoTip + botFee)
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * 交易腿（leg）工具
+ * 解析器为每笔交易输出 legs：每个钱包 owner 在每个代币上的净变化
+ * （{ owner, mint, direction: 'in' | 'out', amount, decimals, isSigner }），
+ * 这里把同一 owner 的转入/转出配对成买入、卖出或兑换，供同步交易和盈亏计算逐腿记录
+ */
+
+const DEFAULT_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+function toToken(leg) {
+    return {
+        mint: leg.mint,
+        amount: leg.amount,
+        decimals: leg.decimals
+    };
+}
+
+function byAmountDesc(a, b) {
+    return b.amount - a.amount;
+}
+
+/**
+ * 将交易腿配对为买卖对
+ * 每个 owner 独立配对：
+ *   - 正好一个代币转出和一个代币转入：代币兑换（与 SOL 变化无关，SOL 变化视为手续费/租金）
+ *   - 否则每个转入代币与 SOL 转出配对为买入，每个转出代币与 SOL 转入配对为卖出；
+ *     没有 SOL 对手腿的转入代币与最大的转出代币配对为兑换
+ *   - 多个代币共用同一条 SOL 对手腿时无法拆分金额，对手腿 amount 为 null，并标记 counterShared
+ * 没有对手腿的单边变化（空投、手续费收入、普通转账）不输出
+ * @param {Array<object>} legs - 交易腿
+ * @param {string} SOL_MINT - SOL 代币地址
+ * @returns {Array<object>} [{ holderAddress, type, soldToken, boughtToken, isSigner, counterShared }]
+ */
+export function pairTradeLegs(legs, SOL_MINT = DEFAULT_SOL_MINT) {
+    const legsByOwner = new Map();
+    (legs || []).forEach(leg => {
+        if (!legsByOwner.has(leg.owner)) {
+            legsByOwner.set(leg.owner, []);
+        }
+        legsByOwner.get(leg.owner).push(leg);
+    });
+
+    const pairs = [];
+    legsByOwner.forEach((ownerLegs, owner) => {
+        const isSigner = ownerLegs.some(leg => leg.isSigner);
+        const tokenIns = ownerLegs.filter(leg => leg.mint !== SOL_MINT && leg.direction === 'in').sort(byAmountDesc);
+        const tokenOuts = ownerLegs.filter(leg => leg.mint !== SOL_MINT && leg.direction === 'out').sort(byAmountDesc);
+        const solIn = ownerLegs.find(leg => leg.mint === SOL_MINT && leg.direction === 'in');
+        const solOut = ownerLegs.find(leg => leg.mint === SOL_MINT && leg.direction === 'out');
+
+        const addPair = (type, sold, bought, counterShared = false) => {
+            pairs.push({ holderAddress: owner, type, soldToken: sold, boughtToken: bought, isSigner, counterShared });
+        };
+        // 共用对手腿时金额无法拆分
+        const counterToken = (leg, sharedBy) => sharedBy > 1 ? { ...toToken(leg), amount: null } : toToken(leg);
+
+        if (tokenIns.length === 1 && tokenOuts.length === 1) {
+            addPair('swap', toToken(tokenOuts[0]), toToken(tokenIns[0]));
+            return;
+        }
+
+        tokenIns.forEach(leg => {
+            if (solOut) {
+                addPair('buy', counterToken(solOut, tokenIns.length), toToken(leg), tokenIns.length > 1);
+            } else if (tokenOuts.length > 0) {
+                addPair('swap', counterToken(tokenOuts[0], tokenIns.length), toToken(leg), tokenIns.length > 1);
+            }
+        });
+
+        if (solIn) {
+            tokenOuts.forEach(leg => {
+                addPair('sell', toToken(leg), counterToken(solIn, tokenOuts.length), tokenOuts.length > 1);
+            });
+        }
+    });
+
+    return pairs;
+}
+
+/**
+ * 展开交易信息为逐腿的买卖对
+ * 持有人的主交易对使用解析器给出的汇总结果（soldToken / boughtToken，金额来自协议解码，更精确），
+ * 其他 owner 或持有人的其他代币由 legs 配对补充；没有 legs 时只返回汇总结果
+ * @param {object} tradeInfo - 交易解析结果
+ * @param {string} SOL_MINT - SOL 代币地址
+ * @returns {Array<object>} 买卖对列表（字段与 tradeInfo 的 type / soldToken / boughtToken / holder* 一致）
+ */
+export function expandTradeLegs(tradeInfo, SOL_MINT = DEFAULT_SOL_MINT) {
+    if (!tradeInfo) {
+        return [];
+    }
+
+    const summary = {
+        holderAddress: tradeInfo.holderAddress,
+        holderConfidence: tradeInfo.holderConfidence,
+        holderHeuristic: tradeInfo.holderHeuristic,
+        type: tradeInfo.type,
+        soldToken: tradeInfo.soldToken,
+        boughtToken: tradeInfo.boughtToken
+    };
+    if (!Array.isArray(tradeInfo.legs) || tradeInfo.legs.length === 0) {
+        return [summary];
+    }
+
+    const pairKey = (owner, sold, bought) => `${owner}:${sold?.mint}:${bought?.mint}`;
+    const summaryKey = pairKey(summary.holderAddress, summary.soldToken, summary.boughtToken);
+    const summaryMints = new Set([summary.soldToken?.mint, summary.boughtToken?.mint]);
+
+    const extraPairs = pairTradeLegs(tradeInfo.legs, SOL_MINT)
+        .filter(pair => {
+            if (pairKey(pair.holderAddress, pair.soldToken, pair.boughtToken) === summaryKey) {
+                return false;
+            }
+            // 持有人同一代币的腿已经包含在汇总结果中（如路由中转导致配对方式不同）
+            if (pair.holderAddress === summary.holderAddress) {
+                const pairTokenMint = pair.type === 'sell' ? pair.soldToken.mint : pair.boughtToken.mint;
+                return !summaryMints.has(pairTokenMint);
+            }
+            return true;
+        })
+        .map(pair => ({
+            ...pair,
+            // 与 attributeHolder 的净变化规则一致：签名者 0.95，非签名者 0.75
+            holderConfidence: pair.isSigner ? 0.95 : 0.75,
+            holderHeuristic: pair.isSigner ? 'signer_net_delta' : 'owner_net_delta'
+        }));
+
+    return [summary, ...extraPairs];
+}
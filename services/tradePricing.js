@@ -0,0 +1,92 @@
+/**
+ * 交易价格归一化
+ * 解析器的 price 是相对于对手方代币的比值（SOL、USDC 或其他代币），
+ * 这里统一换算为 priceQuote（每个基础代币的报价代币数量）、priceSol 和 priceUsd
+ */
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * 可作为报价的代币（priority 越大越优先作为报价方，SOL ↔ USDC 时以 USDC 报价）
+ */
+export const QUOTE_TOKENS = {
+    [SOL_MINT]: { symbol: 'SOL', stable: false, priority: 1 },
+    // USDC (Solana)
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': { symbol: 'USDC', stable: true, priority: 2 },
+    // USDC (Wormhole)
+    'FkimKUQhh72rJKxSD6awD7KUdf6yYwhz2weBrRgvSYbX': { symbol: 'USDC', stable: true, priority: 2 },
+    // USDT (Solana)
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': { symbol: 'USDT', stable: true, priority: 2 }
+};
+
+/**
+ * 确定交易的基础代币和报价代币
+ * 两边都不是报价代币（代币换代币）时，以卖出的代币作为报价方
+ * @param {object} trade - 交易信息（soldToken / boughtToken）
+ * @returns {{base: object, quote: object, quoteInfo: object|null}|null}
+ */
+export function getTradeBaseAndQuote(trade) {
+    const sold = trade?.soldToken;
+    const bought = trade?.boughtToken;
+    if (!sold?.mint || !bought?.mint) {
+        return null;
+    }
+
+    const soldPriority = QUOTE_TOKENS[sold.mint]?.priority || 0;
+    const boughtPriority = QUOTE_TOKENS[bought.mint]?.priority || 0;
+    const [base, quote] = boughtPriority > soldPriority ? [sold, bought] : [bought, sold];
+    return { base, quote, quoteInfo: QUOTE_TOKENS[quote.mint] || null };
+}
+
+/**
+ * 计算交易在成交时的报价、SOL 和 USD 价格
+ * @param {object} trade - 交易信息
+ * @param {object} prices - 成交时的价格
+ * @param {number|null} [prices.solUsd] - SOL/USD 价格
+ * @param {number|null} [prices.quoteUsd] - 稳定币报价代币的 USD 价格
+ * @returns {object} { baseMint, quoteMint, priceQuote, priceSol, priceUsd }
+ */
+export function computeTradePrices(trade, { solUsd = null, quoteUsd = null } = {}) {
+    const empty = { baseMint: null, quoteMint: null, priceQuote: null, priceSol: null, priceUsd: null };
+    const pair = getTradeBaseAndQuote(trade);
+    if (!pair) {
+        return empty;
+    }
+
+    const { base, quote, quoteInfo } = pair;
+    const baseAmount = Math.abs(Number(base.amount) || 0);
+    const quoteAmount = Math.abs(Number(quote.amount) || 0);
+    if (baseAmount === 0) {
+        return { ...empty, baseMint: base.mint, quoteMint: quote.mint };
+    }
+
+    const priceQuote = quoteAmount / baseAmount;
+    let priceSol = null;
+    let priceUsd = null;
+
+    if (quote.mint === SOL_MINT) {
+        priceSol = priceQuote;
+        priceUsd = solUsd ? priceQuote * solUsd : null;
+    } else if (quoteInfo?.stable) {
+        priceUsd = quoteUsd ? priceQuote * quoteUsd : null;
+        priceSol = priceUsd !== null && solUsd ? priceUsd / solUsd : null;
+    }
+
+    return { baseMint: base.mint, quoteMint: quote.mint, priceQuote, priceSol, priceUsd };
+}
+
+/**
+ * 交易的成交时间（Unix 秒）：优先 blockTime，其次 timestamp（Date / 毫秒 / ISO 字符串）
+ * @param {object} trade - 交易信息
+ * @returns {number|null}
+ */
+export function getTradeBlockTime(trade) {
+    if (Number.isFinite(trade?.blockTime)) {
+        return trade.blockTime;
+    }
+    if (trade?.timestamp) {
+        const time = new Date(trade.timestamp).getTime();
+        return Number.isFinite(time) ? Math.floor(time / 1000) : null;
+    }
+    return null;
+}
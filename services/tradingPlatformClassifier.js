@@ -0,0 +1,82 @@
+import { getPlatformAddressMap } from '../config/tradingPlatformConfig.js';
+import { decodeSystemTransfer } from './tradeFees.js';
+
+/**
+ * 交易平台识别
+ * 按特征表（config/tradingPlatformConfig.js）识别交易是通过哪个交易机器人 / 终端下单的，
+ * 并识别交易经过的聚合器路由（DEX 协议注册表中 aggregator 为 true 的协议）
+ */
+
+// 同一笔交易命中多个平台时按特征强度选择：平台路由程序 > 收费地址 > 推荐账户
+const SIGNAL_PRIORITY = ['program_id', 'fee_account', 'referral_account'];
+
+/**
+ * 收费地址在交易中收到的代币（平台费以 WSOL / USDC 等代币收取时）
+ */
+function findTokenFeeRecipients(meta, feeAccounts) {
+    const preAmounts = new Map((meta?.preTokenBalances || [])
+        .map(balance => [balance.accountIndex, Number(balance.uiTokenAmount?.amount || 0)]));
+
+    return (meta?.postTokenBalances || [])
+        .filter(balance => feeAccounts.has(balance.owner) &&
+            Number(balance.uiTokenAmount?.amount || 0) > (preAmounts.get(balance.accountIndex) || 0))
+        .map(balance => balance.owner);
+}
+
+/**
+ * 识别交易平台和聚合器路由
+ * @param {object} params
+ * @param {Array<object>} params.instructions - collectInstructions 返回的全部指令（含内部指令）
+ * @param {Array<string>} params.accountKeys - 交易的完整账户列表
+ * @param {object} params.meta - 交易 meta
+ * @param {Map<string, string>} params.routerPrograms - 聚合器程序 ID -> 聚合器名称
+ * @returns {object} { tradingPlatform, router, signals }
+ *   tradingPlatform 为命中的平台名称；没有命中平台但经过聚合器时为聚合器名称（如直接在 Jupiter 下单）；都没有时为 null
+ *   signals 为命中的全部特征 [{ platform, type: 'program_id' | 'fee_account' | 'referral_account', address }]
+ */
+export function classifyTradingPlatform({ instructions = [], accountKeys = [], meta = {}, routerPrograms = new Map() }) {
+    const programIds = getPlatformAddressMap('programIds');
+    const feeAccounts = getPlatformAddressMap('feeAccounts');
+    const referralAccounts = getPlatformAddressMap('referralAccounts');
+
+    const signals = [];
+    const addSignal = (platform, type, address) => {
+        if (!signals.some(signal => signal.type === type && signal.address === address)) {
+            signals.push({ platform, type, address });
+        }
+    };
+
+    let router = null;
+    instructions.forEach(ix => {
+        if (programIds.has(ix.programId)) {
+            addSignal(programIds.get(ix.programId), 'program_id', ix.programId);
+        }
+        // 优先使用主指令调用的聚合器（平台路由程序内部再调用聚合器时取内部指令）
+        if (routerPrograms.has(ix.programId) && (!router || (!ix.isInner && router.isInner))) {
+            router = { name: routerPrograms.get(ix.programId), isInner: ix.isInner };
+        }
+
+        const transfer = decodeSystemTransfer(ix);
+        if (transfer && feeAccounts.has(transfer.destination)) {
+            addSignal(feeAccounts.get(transfer.destination), 'fee_account', transfer.destination);
+        }
+    });
+    findTokenFeeRecipients(meta, feeAccounts).forEach(address => {
+        addSignal(feeAccounts.get(address), 'fee_account', address);
+    });
+    accountKeys.forEach(address => {
+        if (referralAccounts.has(address)) {
+            addSignal(referralAccounts.get(address), 'referral_account', address);
+        }
+    });
+
+    const strongest = SIGNAL_PRIORITY
+        .map(type => signals.find(signal => signal.type === type))
+        .find(Boolean);
+
+    return {
+        tradingPlatform: strongest?.platform || router?.name || null,
+        router: router?.name || null,
+        signals
+    };
+}
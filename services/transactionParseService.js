@@ -1,6 +1,9 @@
 import { Connection } from '@solana/web3.js';
 import { config } from '../config/index.js';
 import SolanaDexTradeParser from './SolanaDexTradeParser.js';
+import { listTradingPlatformNames } from '../config/tradingPlatformConfig.js';
+import { loadRawTransaction, RawTransactionError } from './rawTransactionLoader.js';
+import { applyTradePricing } from './priceHistoryService.js';
 
 // SOL 代币地址常量
 const SOL_MINT = 'So11111111111111111111111111111111111111112';
@@ -76,11 +79,22 @@ function getConnection() {
  */
 function getParser() {
   if (!cachedParser) {
-    cachedParser = new SolanaDexTradeParser(getConnection());
+    cachedParser = new SolanaDexTradeParser(getConnection(), null, {
+      resolutionStrategy: config.tradeParsing.strategy
+    });
   }
   return cachedParser;
 }
 
+/**
+ * 可识别的交易平台名称（特征表中的平台 + 直接下单时使用的聚合器名称）
+ * @returns {Array<string>}
+ */
+export function getSupportedTradingPlatforms() {
+  const aggregators = new Set(getParser().registry.getAggregatorPrograms().values());
+  return [...new Set([...listTradingPlatformNames(), ...aggregators])];
+}
+
 /**
  * 检查 RPC 配置是否可用
  */
@@ -245,12 +259,14 @@ function formatTradeResult(tradeInfo, signature) {
   return {
     signature: tradeInfo.signature || signature,
     transactionType: tradeInfo.type, // 'buy', 'sell', 'swap'
-    dex: tradeInfo.dex, // 'jupiter', 'raydium', 'orca', 'pump_fun_amm', 'unknown'
-    source: tradeInfo.source, // 数据来源
+    dex: tradeInfo.dex, // 'jupiter', 'raydium', 'orca', 'pump_fun', 'pump_fun_amm', 'unknown'
+    source: tradeInfo.source, // 数据来源（最终采用的解析器）
+    resolution: tradeInfo.resolution || null, // 解析策略、尝试过的解析器及结果是否一致
+    flagged: tradeInfo.flagged || false, // 解析器之间结果不一致（需要调用方决定是否信任）
     timestamp: tradeInfo.timestamp,
     slot: tradeInfo.slot,
     
-    // 买卖信息
+    // 买卖信息（持有人主交易对的汇总，完整信息见 legs）
     buySellInfo: {
       type: tradeInfo.type,
       source: tradeInfo.source,
@@ -258,22 +274,41 @@ function formatTradeResult(tradeInfo, signature) {
         mint: tradeInfo.soldToken?.mint,
         symbol: getTokenSymbol(tradeInfo.soldToken?.mint, tradeInfo.soldToken?.symbol),
         amount: tradeInfo.soldToken?.amount,
-        decimals: tradeInfo.soldToken?.decimals
+        decimals: tradeInfo.soldToken?.decimals,
+        transferFee: tradeInfo.soldToken?.transferFee || null // Token-2022 转账手续费（总额、扣留手续费、净额）
       },
       boughtToken: {
         mint: tradeInfo.boughtToken?.mint,
         symbol: getTokenSymbol(tradeInfo.boughtToken?.mint, tradeInfo.boughtToken?.symbol),
         amount: tradeInfo.boughtToken?.amount,
-        decimals: tradeInfo.boughtToken?.decimals
+        decimals: tradeInfo.boughtToken?.decimals,
+        transferFee: tradeInfo.boughtToken?.transferFee || null
       },
       price: tradeInfo.price,
-      fee: tradeInfo.fee || null,
-      holderAddress: tradeInfo.holderAddress || null
+      // 按成交时的价格归一化：每个基础代币的报价代币数量、SOL 价格、USD 价格
+      priceQuote: tradeInfo.priceQuote ?? null,
+      quoteMint: tradeInfo.quoteMint || null,
+      priceSol: tradeInfo.priceSol ?? null,
+      priceUsd: tradeInfo.priceUsd ?? null,
+      solUsdPrice: tradeInfo.solUsdPrice ?? null, // 成交时的 SOL/USD 价格
+      priceSource: tradeInfo.priceSource || null, // 历史价格来源（history / birdeye / live / peg 等）
+      fee: tradeInfo.fee ?? null, // 交易手续费（SOL）
+      // 持有人承担的成本明细：基础手续费、优先费、Jito 小费、平台费、开户/关户租金（不计入成交金额）
+      feeBreakdown: tradeInfo.feeBreakdown || null,
+      holderAddress: tradeInfo.holderAddress || null,
+      holderConfidence: tradeInfo.holderConfidence ?? null, // 持有人识别置信度（0-1）
+      holderHeuristic: tradeInfo.holderHeuristic || null // 持有人识别使用的规则
     },
     
     // 额外信息（如果有）
     route: tradeInfo.route || null,
-    platform: tradeInfo.platform || null,
+    platform: tradeInfo.platform || null, // 发射平台（如 pump.fun）
+    tradingPlatform: tradeInfo.tradingPlatform || null, // 下单的交易机器人/终端（photon、bullx、gmgn、axiom、trojan、maestro，或直接使用的聚合器如 jupiter）
+    router: tradeInfo.router || null, // 经过的聚合器路由
+    platformSignals: tradeInfo.platformSignals || [], // 识别平台命中的特征（程序 ID、收费地址、推荐账户）
+    pools: tradeInfo.pools || null,
+    // 交易的所有腿（每个钱包在每个代币上的净变化：owner、mint、direction、amount）
+    legs: tradeInfo.legs || [],
     
     // 调试信息（如果有）
     debug: tradeInfo._debug || null
@@ -293,13 +328,14 @@ async function parseTradeInfoInternal(signature) {
     const tradeInfo = await parser.parseTrade(signature, {
       commitment: 'confirmed',
       maxSupportedTransactionVersion: 0,
-      useJupiterAPI: false, // 批量处理时禁用 Jupiter API，避免超时
+      strategy: 'local_only', // 批量处理时不调用 Jupiter API，避免超时
       useCache: true
     });
 
     if (!tradeInfo) {
       return null;
     }
+    await applyTradePricing([tradeInfo]);
 
     // 返回简化的买卖信息
     return {
@@ -310,16 +346,33 @@ async function parseTradeInfoInternal(signature) {
         mint: tradeInfo.soldToken?.mint,
         symbol: getTokenSymbol(tradeInfo.soldToken?.mint, tradeInfo.soldToken?.symbol),
         amount: tradeInfo.soldToken?.amount,
-        decimals: tradeInfo.soldToken?.decimals
+        decimals: tradeInfo.soldToken?.decimals,
+        transferFee: tradeInfo.soldToken?.transferFee || null
       },
       boughtToken: {
         mint: tradeInfo.boughtToken?.mint,
         symbol: getTokenSymbol(tradeInfo.boughtToken?.mint, tradeInfo.boughtToken?.symbol),
         amount: tradeInfo.boughtToken?.amount,
-        decimals: tradeInfo.boughtToken?.decimals
+        decimals: tradeInfo.boughtToken?.decimals,
+        transferFee: tradeInfo.boughtToken?.transferFee || null
       },
       price: tradeInfo.price,
-      fee: tradeInfo.fee || null
+      priceQuote: tradeInfo.priceQuote ?? null,
+      quoteMint: tradeInfo.quoteMint || null,
+      priceSol: tradeInfo.priceSol ?? null,
+      priceUsd: tradeInfo.priceUsd ?? null,
+      solUsdPrice: tradeInfo.solUsdPrice ?? null,
+      priceSource: tradeInfo.priceSource || null,
+      fee: tradeInfo.fee ?? null,
+      feeBreakdown: tradeInfo.feeBreakdown || null,
+      holderAddress: tradeInfo.holderAddress || null,
+      holderConfidence: tradeInfo.holderConfidence ?? null,
+      holderHeuristic: tradeInfo.holderHeuristic || null,
+      pools: tradeInfo.pools || null,
+      tradingPlatform: tradeInfo.tradingPlatform || null,
+      router: tradeInfo.router || null,
+      legs: tradeInfo.legs || [],
+      resolution: tradeInfo.resolution || null
     };
   } catch (error) {
     // 批量处理时静默失败，不记录错误
@@ -393,6 +446,9 @@ export async function parseMultipleTradeInfo(signatures, concurrency = 50) {
       
       const parseTime = Date.now() - parseStartTime;
       
+      // 按成交时间补充 USD 价格
+      await applyTradePricing(batchResults.map(result => result.tradeInfo));
+
       // 处理结果
       let successCount = 0;
       batchResults.forEach((result) => {
@@ -457,29 +513,7 @@ function parseTradeFromTransactionSync(parser, signature, transaction) {
     // 识别 DEX 类型并解析（同步操作，很快）
     const dexType = parser.identifyDEX(transaction);
 
-    let tradeInfo;
-    switch (dexType) {
-      case 'jupiter':
-        tradeInfo = parser.parseJupiterTransaction(transaction);
-        break;
-      case 'raydium':
-        tradeInfo = parser.parseRaydiumTransaction(transaction);
-        break;
-      case 'orca':
-        tradeInfo = parser.parseOrcaTransaction(transaction);
-        break;
-      case 'pump_fun':
-        tradeInfo = parser.parsePumpFunTransaction(transaction);
-        break;
-      case 'meteora':
-      case 'dflow':
-        // Meteora DLMM 和 DFlow Aggregator 使用通用解析器
-        // 通用解析器会通过代币余额变化来解析交易
-        tradeInfo = parser.parseGenericTransaction(transaction, dexType === 'meteora' ? 'Meteora DLMM' : 'DFlow Aggregator');
-        break;
-      default:
-        tradeInfo = parser.parseGenericTransaction(transaction, 'unknown');
-    }
+    const tradeInfo = parser.parseByDex(transaction, dexType);
     
     if (tradeInfo) {
       tradeInfo.signature = signature;
@@ -495,17 +529,27 @@ function parseTradeFromTransactionSync(parser, signature, transaction) {
           mint: tradeInfo.soldToken?.mint,
           symbol: getTokenSymbol(tradeInfo.soldToken?.mint, tradeInfo.soldToken?.symbol),
           amount: tradeInfo.soldToken?.amount,
-          decimals: tradeInfo.soldToken?.decimals
+          decimals: tradeInfo.soldToken?.decimals,
+          transferFee: tradeInfo.soldToken?.transferFee || null
         },
         boughtToken: {
           mint: tradeInfo.boughtToken?.mint,
           symbol: getTokenSymbol(tradeInfo.boughtToken?.mint, tradeInfo.boughtToken?.symbol),
           amount: tradeInfo.boughtToken?.amount,
-          decimals: tradeInfo.boughtToken?.decimals
+          decimals: tradeInfo.boughtToken?.decimals,
+          transferFee: tradeInfo.boughtToken?.transferFee || null
         },
         price: tradeInfo.price,
-        fee: tradeInfo.fee || null,
-        holderAddress: tradeInfo.holderAddress || null
+        blockTime: transaction.blockTime ?? null, // 成交时间（用于按历史价格换算 USD）
+        fee: tradeInfo.fee ?? null,
+        feeBreakdown: tradeInfo.feeBreakdown || null,
+        holderAddress: tradeInfo.holderAddress || null,
+        holderConfidence: tradeInfo.holderConfidence ?? null,
+        holderHeuristic: tradeInfo.holderHeuristic || null,
+        pools: tradeInfo.pools || null, // 解码出的流动性池（用于自动记录代币的池子地址）
+        tradingPlatform: tradeInfo.tradingPlatform || null, // 下单平台（同步交易时可按平台过滤）
+        router: tradeInfo.router || null,
+        legs: tradeInfo.legs || [] // 交易的所有腿（捆绑交易逐腿记录）
       };
 
       return result;
@@ -584,6 +628,9 @@ export async function parseMultipleTradeInfoFromTransactions(transactions) {
     }
   });
   
+  // 按成交时间补充 USD 价格
+  await applyTradePricing([...results.values()]);
+
   const totalTime = Date.now() - startTime;
   console.log(`✓ 从已有数据解析完成: ${results.size}/${transactions.length} 个成功，总耗时 ${totalTime}ms (平均 ${(totalTime / transactions.length).toFixed(0)}ms/笔)`);
   
@@ -593,9 +640,12 @@ export async function parseMultipleTradeInfoFromTransactions(transactions) {
 /**
  * 解析交易的买入/卖出信息
  * @param {string} signature - 交易签名
+ * @param {object} options - 选项
+ * @param {string} [options.strategy] - 解析策略（local_only / local_then_api / api_then_local），默认使用配置
+ * @param {boolean} [options.crossCheck] - 本地解析成功后是否仍调用 API 交叉校验
  * @returns {Promise<object>} 解析结果
  */
-export async function parseTransactionBuySellInfo(signature) {
+export async function parseTransactionBuySellInfo(signature, options = {}) {
   const connection = getConnection();
   const parser = getParser();
 
@@ -604,7 +654,8 @@ export async function parseTransactionBuySellInfo(signature) {
     const tradeInfo = await parser.parseTrade(signature, {
       commitment: 'confirmed',
       maxSupportedTransactionVersion: 0,
-      useJupiterAPI: true,
+      strategy: options.strategy,
+      crossCheck: options.crossCheck || false,
       useCache: true
     });
 
@@ -625,6 +676,9 @@ export async function parseTransactionBuySellInfo(signature) {
       };
     }
 
+    // 按成交时间换算价格（历史 SOL/USD 价格缺失时从 Birdeye 回补）
+    await applyTradePricing([tradeInfo], { autoBackfill: true });
+
     // 格式化返回结果
     const result = formatTradeResult(tradeInfo, signature);
     return {
@@ -649,3 +703,82 @@ export async function parseTransactionBuySellInfo(signature) {
   }
 }
 
+/**
+ * 解析原始交易的买入/卖出信息（不按签名从链上获取）
+ * 支持粘贴的 JSON-RPC 交易对象（与 交易详情json/ 中的文件格式一致，含 meta，可完全离线解析）
+ * 以及 base64 / base58 编码的序列化交易（通过 RPC 模拟执行得到余额变化，可用于未上链的交易）
+ * @param {string|object} input - 原始交易
+ * @param {object} options - 选项
+ * @param {string} [options.encoding] - 序列化交易的编码（base64 / base58），默认自动识别
+ * @param {boolean} [options.offline=false] - 禁止任何 RPC 调用（只支持 JSON 交易，不补全 Raydium 费率等链上数据）
+ * @returns {Promise<object>} 解析结果
+ */
+export async function parseRawTransaction(input, options = {}) {
+  const { encoding, offline = false } = options;
+  const parser = getParser();
+
+  let loaded;
+  try {
+    loaded = await loadRawTransaction(input, {
+      connection: offline ? null : getConnection(),
+      encoding,
+      offline
+    });
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof RawTransactionError ? '无法读取原始交易' : '模拟执行交易失败',
+      message: error.message,
+      hint: '请提供 base64 / base58 编码的序列化交易，或 getTransaction 返回的 JSON 交易对象（需包含 meta）'
+    };
+  }
+
+  const { signature, transaction, simulated } = loaded;
+  try {
+    const { dexType, tradeInfo } = await parser.parseLocalTransaction(transaction, { resolveOnChain: !offline });
+    if (!tradeInfo) {
+      return {
+        success: false,
+        signature,
+        simulated,
+        error: '无法解析交易信息',
+        hint: '交易可能不是标准的 DEX 交易，或交易模式不符合解析器的预期',
+        debug: analyzeTransactionChanges(transaction, parser)
+      };
+    }
+
+    tradeInfo.resolution = {
+      strategy: 'local_only',
+      parsers: [parser.describeParseAttempt('local', tradeInfo.source || `${dexType}_parser`, tradeInfo)],
+      agreed: null,
+      disagreements: []
+    };
+    tradeInfo.flagged = false;
+    tradeInfo.signature = signature;
+    tradeInfo.timestamp = transaction.blockTime ? new Date(transaction.blockTime * 1000) : null;
+    tradeInfo.slot = transaction.slot;
+    // 模拟执行的交易没有区块时间，按当前时间换算价格
+    if (simulated) {
+      tradeInfo.blockTime = Math.floor(Date.now() / 1000);
+    }
+    // 离线解析时只使用本地已有的历史价格
+    await applyTradePricing([tradeInfo], { autoBackfill: !offline });
+
+    return {
+      success: true,
+      signature,
+      simulated, // 是否为模拟执行结果（序列化交易）
+      simulationError: simulated ? transaction.meta.err : null,
+      data: formatTradeResult(tradeInfo, signature)
+    };
+  } catch (parseError) {
+    console.error('解析原始交易时出错:', parseError);
+    return {
+      success: false,
+      signature,
+      simulated,
+      error: '解析交易时出错',
+      message: parseError.message
+    };
+  }
+}
@@ -0,0 +1,455 @@
+import { calculateCostBasis } from './costBasis.js';
+import { QUOTE_TOKENS, SOL_MINT } from './tradePricing.js';
+
+/**
+ * 钱包盈亏计算（不依赖网络和数据库）
+ * 所有数据源最终输出同一种代币盈亏结构（normalized token）：
+ *   { tokenMint, tokenSymbol, source, totalBuyAmount, totalSellAmount, totalBuyQuantity, totalSellQuantity,
+ *     profit, profitRatio, costBasisMethod, realizedPnl, unrealizedPnl, remainingQuantity, averageEntryPrice,
+ *     currentPrice, unmatchedSellQuantity, lots, buyCount, sellCount, holdingTime, latestTransactionTimestamp }
+ * 金额单位均为 USD；基于 swap 的数据源（Helius 增强交易、原始 RPC）由持仓成本法计算，Birdeye 直接映射其结果
+ */
+
+// 稳定币按 1:1 计价（QUOTE_TOKENS 中的稳定币 + 旧版 USDC）
+export const STABLE_COIN_MINTS = [
+    ...Object.entries(QUOTE_TOKENS).filter(([, info]) => info.stable).map(([mint]) => mint),
+    'A9mUU4qviSctJVPJdBJWkb28deg915LYJKrzQ19ji3FM'
+];
+// 金额低于该值（USD）的买卖不参与统计（粉尘、测试交易）
+export const MIN_SWAP_USD = 20;
+
+export function isCAMint(mint) {
+    return Boolean(mint) && mint !== SOL_MINT && !STABLE_COIN_MINTS.includes(mint);
+}
+
+/**
+ * 计算 swap 的 USD 金额和代币数量
+ * SOL 对手腿优先使用交易时的 SOL 价格（swap.solUsdPrice），没有时使用 fallbackSolPrice
+ * @param {object} swap - { fromToken, toToken, price, solUsdPrice }
+ * @param {string} type - buy / sell（以 CA 代币为准的方向）
+ * @param {number|null} fallbackSolPrice - 当前 SOL 价格
+ * @returns {{quantity: number, amountUsd: number}}
+ */
+export function getSwapUsdAmount(swap, type, fallbackSolPrice = null) {
+    const { fromToken, toToken, price } = swap;
+    const solPrice = swap.solUsdPrice || fallbackSolPrice;
+
+    // 卖出：CA 代币换成 SOL / 稳定币；买入：SOL / 稳定币换成 CA 代币
+    const [token, counter] = type === 'sell' ? [fromToken, toToken] : [toToken, fromToken];
+    const quantity = token?.amount || 0;
+    const counterAmount = counter?.amount || 0;
+
+    let amountUsd = 0;
+    if (counter?.mint === SOL_MINT && solPrice > 0) {
+        amountUsd = counterAmount * solPrice;
+    } else if (STABLE_COIN_MINTS.includes(counter?.mint)) {
+        amountUsd = counterAmount;
+    } else if (price > 0) {
+        amountUsd = quantity * price;
+    }
+    return { quantity, amountUsd };
+}
+
+/**
+ * 确定 swap 对应的 CA 代币和方向：CA 代币换成 SOL / 稳定币为卖出，反之为买入，代币换代币不统计
+ * @returns {{mint: string, type: string}|null}
+ */
+export function getSwapSide(swap) {
+    const { fromToken, toToken } = swap;
+    if (isCAMint(fromToken?.mint) && !isCAMint(toToken?.mint)) {
+        return { mint: fromToken.mint, type: 'sell' };
+    }
+    if (isCAMint(toToken?.mint) && !isCAMint(fromToken?.mint)) {
+        return { mint: toToken.mint, type: 'buy' };
+    }
+    return null;
+}
+
+/**
+ * 把 swap 按 CA 代币分组为持仓成本计算的买卖记录（金额不足 MIN_SWAP_USD 的跳过）
+ * @param {Array<object>} swaps - swap 列表
+ * @param {number|null} fallbackSolPrice - 当前 SOL 价格
+ * @returns {Map<string, {symbol: string, trades: Array<object>}>}
+ */
+export function groupSwapsByToken(swaps, fallbackSolPrice = null) {
+    const tokens = new Map();
+    for (const swap of swaps) {
+        const side = swap && getSwapSide(swap);
+        if (!side) continue;
+
+        const { quantity, amountUsd } = getSwapUsdAmount(swap, side.type, fallbackSolPrice);
+        if (!(amountUsd > MIN_SWAP_USD) || !(quantity > 0)) continue;
+
+        if (!tokens.has(side.mint)) {
+            tokens.set(side.mint, { symbol: 'Unknown', trades: [] });
+        }
+        const token = tokens.get(side.mint);
+        const symbol = side.type === 'sell' ? swap.fromToken.symbol : swap.toToken.symbol;
+        if (symbol && symbol !== 'Unknown') {
+            token.symbol = symbol;
+        }
+        token.trades.push({
+            type: side.type,
+            signature: swap.signature,
+            timestamp: swap.timestamp,
+            quantity,
+            price: amountUsd / quantity,
+            amount: amountUsd
+        });
+    }
+    return tokens;
+}
+
+/**
+ * 由买卖记录计算单个代币的盈亏（normalized token）
+ * profit 为已实现盈亏加上剩余持仓的未实现盈亏（没有当前价格时只有已实现盈亏），
+ * profitRatio 为 profit 相对已匹配买入成本的百分比；没有买入记录的卖出没有成本，不计入盈亏
+ * @param {string} tokenMint - 代币地址
+ * @param {string} tokenSymbol - 代币符号
+ * @param {Array<object>} trades - [{ type, signature, timestamp, quantity, price, amount }]
+ * @param {object} options
+ * @param {string} [options.method='fifo'] - 成本方法
+ * @param {number|null} [options.currentPrice] - 当前价格（USD）
+ * @param {number} [options.now] - 当前时间（Unix 秒）
+ * @param {string} [options.source] - 数据源
+ * @returns {object}
+ */
+export function buildTokenPnl(tokenMint, tokenSymbol, trades, { method = 'fifo', currentPrice = null, now = Math.floor(Date.now() / 1000), source = null } = {}) {
+    const costBasis = calculateCostBasis(trades, { method, currentPrice, now });
+    const buys = trades.filter(trade => trade.type === 'buy');
+    const sells = trades.filter(trade => trade.type === 'sell');
+
+    const profit = costBasis.totalPnl ?? costBasis.realizedPnl;
+    const costAmount = costBasis.realizedCost + costBasis.remainingCost;
+
+    // 持有时间：已卖出部分按数量加权的平均持有时间，还没有卖出时为首次买入至今
+    let holdingTime = costBasis.avgHoldingSeconds;
+    if (holdingTime === null && buys.length > 0) {
+        holdingTime = now - Math.min(...buys.map(trade => trade.timestamp));
+    }
+
+    return {
+        tokenMint,
+        tokenSymbol: tokenSymbol || 'Unknown',
+        source,
+        totalBuyAmount: costBasis.totalBuyAmount,
+        totalSellAmount: costBasis.totalSellAmount,
+        totalBuyQuantity: costBasis.totalBuyQuantity,
+        totalSellQuantity: costBasis.totalSellQuantity,
+        profit,
+        profitRatio: costAmount > 0 ? (profit / costAmount) * 100 : 0,
+        costBasisMethod: method,
+        realizedPnl: costBasis.realizedPnl,
+        unrealizedPnl: costBasis.unrealizedPnl,
+        remainingQuantity: costBasis.remainingQuantity,
+        averageEntryPrice: costBasis.averageEntryPrice,
+        currentPrice: costBasis.currentPrice,
+        unmatchedSellQuantity: costBasis.unmatchedSellQuantity,
+        lots: costBasis.lots.map(lot => ({
+            signature: lot.signature,
+            openedAt: lot.openedAt,
+            closedAt: lot.closedAt,
+            quantity: lot.quantity,
+            remainingQuantity: lot.remainingQuantity,
+            price: lot.price,
+            realizedPnl: lot.realizedPnl,
+            holdingSeconds: lot.holdingSeconds
+        })),
+        buyCount: buys.length,
+        sellCount: sells.length,
+        holdingTime,
+        latestTransactionTimestamp: trades.length > 0 ? Math.max(...trades.map(trade => trade.timestamp)) : null
+    };
+}
+
+/**
+ * 由 swap 列表计算钱包每个代币的盈亏，按最近交易时间倒序
+ * @param {Array<object>} swaps - swap 列表（fromToken / toToken / price / solUsdPrice / signature / timestamp）
+ * @param {object} [options]
+ * @param {string} [options.method='fifo'] - 成本方法
+ * @param {Map<string, number>} [options.currentPrices] - 代币当前价格（USD）
+ * @param {number|null} [options.solPrice] - 当前 SOL 价格（缺少交易时价格时使用）
+ * @param {number} [options.now] - 当前时间（Unix 秒）
+ * @param {string} [options.source] - 数据源
+ * @returns {Array<object>} normalized token 列表
+ */
+export function calculateWalletPnlFromSwaps(swaps, { method = 'fifo', currentPrices = new Map(), solPrice = null, now = Math.floor(Date.now() / 1000), source = null } = {}) {
+    const tokens = [];
+    groupSwapsByToken(swaps, solPrice).forEach(({ symbol, trades }, tokenMint) => {
+        tokens.push(buildTokenPnl(tokenMint, symbol, trades, {
+            method,
+            currentPrice: currentPrices.get(tokenMint) ?? null,
+            now,
+            source
+        }));
+    });
+    return tokens.sort((a, b) => (b.latestTransactionTimestamp || 0) - (a.latestTransactionTimestamp || 0));
+}
+
+/**
+ * 仍有持仓（需要当前价格计算未实现盈亏）的代币
+ * @param {Array<object>} swaps - swap 列表
+ * @param {object} [options]
+ * @param {string} [options.method='fifo'] - 成本方法
+ * @param {number|null} [options.solPrice] - 当前 SOL 价格
+ * @returns {Array<string>} 代币地址
+ */
+export function getOpenPositionMints(swaps, { method = 'fifo', solPrice = null } = {}) {
+    const mints = [];
+    groupSwapsByToken(swaps, solPrice).forEach(({ trades }, tokenMint) => {
+        if (calculateCostBasis(trades, { method }).remainingQuantity > 0) {
+            mints.push(tokenMint);
+        }
+    });
+    return mints;
+}
+
+/**
+ * 把 swap 转换为按代币展开的买卖记录（用于保存到 tbl_wallet_pnl_trade，增量同步时再按代币重新计算）
+ * @param {Array<object>} swaps - swap 列表
+ * @param {number|null} fallbackSolPrice - 当前 SOL 价格
+ * @returns {Array<object>} [{ tokenMint, tokenSymbol, type, signature, timestamp, quantity, price, amount }]
+ */
+export function flattenSwapTrades(swaps, fallbackSolPrice = null) {
+    const trades = [];
+    groupSwapsByToken(swaps, fallbackSolPrice).forEach(({ symbol, trades: tokenTrades }, tokenMint) => {
+        tokenTrades.forEach(trade => trades.push({ tokenMint, tokenSymbol: symbol, ...trade }));
+    });
+    return trades;
+}
+
+function groupTradesByToken(trades) {
+    const byToken = new Map();
+    for (const trade of trades) {
+        if (!byToken.has(trade.tokenMint)) {
+            byToken.set(trade.tokenMint, { symbol: 'Unknown', trades: [] });
+        }
+        const token = byToken.get(trade.tokenMint);
+        if (trade.tokenSymbol && trade.tokenSymbol !== 'Unknown') {
+            token.symbol = trade.tokenSymbol;
+        }
+        token.trades.push(trade);
+    }
+    return byToken;
+}
+
+/**
+ * 由已保存的买卖记录计算每个代币的盈亏
+ * @param {Array<object>} trades - flattenSwapTrades 的结果（可以包含多个代币）
+ * @param {object} [options] - 同 calculateWalletPnlFromSwaps（不需要 solPrice）
+ * @returns {Array<object>} normalized token 列表
+ */
+export function calculateWalletPnlFromTrades(trades, { method = 'fifo', currentPrices = new Map(), now = Math.floor(Date.now() / 1000), source = null } = {}) {
+    const tokens = [];
+    groupTradesByToken(trades).forEach(({ symbol, trades: tokenTrades }, tokenMint) => {
+        tokens.push(buildTokenPnl(tokenMint, symbol, tokenTrades, {
+            method,
+            currentPrice: currentPrices.get(tokenMint) ?? null,
+            now,
+            source
+        }));
+    });
+    return tokens.sort((a, b) => (b.latestTransactionTimestamp || 0) - (a.latestTransactionTimestamp || 0));
+}
+
+/**
+ * 钱包买卖时间线：按时间顺序列出每笔买卖，以及该笔之后该代币的持仓数量、持仓成本和累计已实现盈亏
+ * 持仓按代币的全部买卖记录回放，时间范围只过滤输出（范围之前的买卖仍计入持仓）
+ * @param {Array<object>} trades - flattenSwapTrades 的结果（可以包含多个代币）
+ * @param {object} [options]
+ * @param {string} [options.method='fifo'] - 成本方法
+ * @param {Array<string>} [options.mints] - 只返回这些代币，为空时返回全部
+ * @param {number|null} [options.from] - 开始时间（Unix 秒，包含）
+ * @param {number|null} [options.to] - 结束时间（Unix 秒，包含）
+ * @returns {{entries: Array<object>, tokens: Array<object>}} entries 按时间升序；tokens 为每个代币在结束时间的持仓汇总
+ */
+export function buildWalletTimeline(trades, { method = 'fifo', mints = null, from = null, to = null } = {}) {
+    const inRange = timestamp => (from === null || timestamp >= from) && (to === null || timestamp <= to);
+    const entries = [];
+    const tokens = [];
+
+    groupTradesByToken(trades).forEach(({ symbol, trades: tokenTrades }, tokenMint) => {
+        if (mints && mints.length > 0 && !mints.includes(tokenMint)) {
+            return;
+        }
+        const { timeline } = calculateCostBasis(tokenTrades, { method, timeline: true });
+        const visible = timeline.filter(entry => inRange(entry.timestamp));
+        if (visible.length === 0) {
+            return;
+        }
+
+        visible.forEach(entry => entries.push({ tokenMint, tokenSymbol: symbol, ...entry }));
+        const last = visible[visible.length - 1];
+        tokens.push({
+            tokenMint,
+            tokenSymbol: symbol,
+            tradeCount: visible.length,
+            firstTradeAt: visible[0].timestamp,
+            lastTradeAt: last.timestamp,
+            positionQuantity: last.positionQuantity,
+            positionCost: last.positionCost,
+            realizedPnl: last.realizedPnl
+        });
+    });
+
+    // 同一时间先买后卖，与持仓回放顺序一致
+    entries.sort((a, b) => (a.timestamp - b.timestamp) || ((a.type === 'buy' ? 0 : 1) - (b.type === 'buy' ? 0 : 1)));
+    tokens.sort((a, b) => b.lastTradeAt - a.lastTradeAt);
+    return { entries, tokens };
+}
+
+/**
+ * 判断本次同步是增量还是全量
+ * 没有同步记录、没有游标、要求重建、数据源或成本方法变化时全量重建；Birdeye 不支持增量，总是全量
+ * 上次增量同步达到最大页数时从保存的续传位置（resumeCursor）继续往前翻页，直到原游标
+ * @param {object|null} state - tbl_wallet_pnl_sync 中的同步状态
+ * @param {object} options
+ * @param {string} options.source - 数据源
+ * @param {string} options.kind - 数据源类型（swaps / tokens）
+ * @param {string} options.costBasisMethod - 成本方法
+ * @param {boolean} [options.forceRebuild=false] - 强制全量重建
+ * @returns {{mode: string, until: string|null, cursor: string|null, reason: string}}
+ */
+export function getWalletPnlSyncMode(state, { source, kind, costBasisMethod, forceRebuild = false }) {
+    const full = (reason) => ({ mode: 'full', until: null, cursor: null, reason });
+    if (forceRebuild) return full('force');
+    if (kind === 'tokens') return full('source-not-incremental');
+    if (!state) return full('first-sync');
+    if (state.source && state.source !== source) return full('source-changed');
+    if (!state.lastSignature) return full('no-cursor');
+    const cursor = state.resumeCursor || null;
+    if (state.costBasisMethod && state.costBasisMethod !== costBasisMethod) {
+        // 买卖记录已经保存，只需要增量拉取新交易后重新计算全部代币
+        return { mode: 'recalculate', until: state.lastSignature, cursor, reason: 'cost-basis-changed' };
+    }
+    return { mode: 'incremental', until: state.lastSignature, cursor, reason: cursor ? 'resume' : 'cursor' };
+}
+
+/**
+ * 计算同步结束后要保存的游标
+ * 全量同步从最新交易往前翻页，最新交易就是下次增量的起点（达到最大页数时更早的交易需要强制重建）；
+ * 增量同步达到最大页数时保持原游标，记录续传位置和已拉取到的最新交易（pendingLatest），
+ * 续传到原游标后才把 pendingLatest 作为新的游标
+ * @param {object|null} state - 本次同步开始时的同步状态
+ * @param {object} options
+ * @param {string} options.mode - getWalletPnlSyncMode 返回的 mode
+ * @param {object|null} options.latest - 本次拉取到的最新交易 { signature, slot, blockTime }
+ * @param {boolean} options.truncated - 是否达到最大页数
+ * @param {string|null} options.nextCursor - 达到最大页数时下一页的游标
+ * @returns {object} saveWalletPnlSyncState 的游标字段（没有返回的字段保持原值）
+ */
+export function getWalletPnlSyncCursor(state, { mode, latest, truncated, nextCursor }) {
+    const toCursor = (item) => ({
+        lastSignature: item?.signature ?? null,
+        lastSlot: item?.slot ?? null,
+        lastBlockTime: item?.blockTime ?? null
+    });
+    if (mode === 'full') {
+        return { ...toCursor(latest), resumeCursor: null, pendingLatest: null };
+    }
+    const pendingLatest = state?.pendingLatest || latest || null;
+    if (truncated) {
+        return { resumeCursor: nextCursor, pendingLatest };
+    }
+    // 没有新交易时保持原游标
+    return { ...(pendingLatest ? toCursor(pendingLatest) : {}), resumeCursor: null, pendingLatest: null };
+}
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * 把 Birdeye wallet/v2/pnl/details 返回的代币映射为 normalized token
+ * Birdeye 不返回逐笔买入批次，lots 为空、holdingTime 为 null
+ * @param {object} token - Birdeye 代币盈亏
+ * @returns {object}
+ */
+export function normalizeBirdeyeToken(token) {
+    const quantity = token.quantity || {};
+    const cashflow = token.cashflow_usd || {};
+    const pnl = token.pnl || {};
+    const pricing = token.pricing || {};
+    const counts = token.counts || {};
+
+    const totalBuyAmount = toNumber(cashflow.total_invested) ?? 0;
+    const realizedPnl = toNumber(pnl.realized_profit_usd);
+    const unrealizedPnl = toNumber(pnl.unrealized_usd);
+    const profit = toNumber(pnl.total_usd) ?? ((realizedPnl ?? 0) + (unrealizedPnl ?? 0));
+    const profitRatio = toNumber(pnl.total_percent) ?? (totalBuyAmount > 0 ? (profit / totalBuyAmount) * 100 : 0);
+    const lastTradeTime = toNumber(token.last_trade_unix_time ?? token.last_trade);
+
+    return {
+        tokenMint: token.address || token.mint || '',
+        tokenSymbol: token.symbol || 'Unknown',
+        source: 'birdeye',
+        totalBuyAmount,
+        totalSellAmount: toNumber(cashflow.total_sold) ?? 0,
+        totalBuyQuantity: toNumber(quantity.total_bought_amount) ?? 0,
+        totalSellQuantity: toNumber(quantity.total_sold_amount) ?? 0,
+        profit,
+        profitRatio,
+        costBasisMethod: 'average',
+        realizedPnl,
+        unrealizedPnl,
+        remainingQuantity: toNumber(quantity.holding),
+        averageEntryPrice: toNumber(pricing.avg_buy_cost),
+        currentPrice: toNumber(pricing.current_price),
+        unmatchedSellQuantity: null,
+        lots: [],
+        buyCount: toNumber(counts.total_buy) ?? 0,
+        sellCount: toNumber(counts.total_sell) ?? 0,
+        holdingTime: null,
+        latestTransactionTimestamp: Number.isFinite(lastTradeTime) ? lastTradeTime : null
+    };
+}
+
+/**
+ * 判断钱包是否值得继续分析（过滤纸手、短线机器人）
+ * 高收益代币（profitRatio 超过 minProfitRatio）的盈利合计需要超过 minPnlUsd；
+ * 持有不到 3 分钟的代币超过一半视为纸手；代币数超过 10 个时持有超过 12 小时的代币需要过半
+ * 没有持有时间的数据源（Birdeye）只按收益判断
+ * @param {Array<object>} tokens - normalized token 列表
+ * @param {object} [options]
+ * @param {number} [options.minPnlUsd=10000] - 最小盈利金额（USD）
+ * @param {number} [options.minProfitRatio=200] - 高收益代币的收益率阈值（%）
+ * @returns {boolean}
+ */
+export function checkWalletFilterCondition(tokens, { minPnlUsd = 10000, minProfitRatio = 200 } = {}) {
+    if (!tokens || tokens.length === 0) {
+        return false;
+    }
+
+    const tokenCount = tokens.length;
+    let sumPnlUsd = 0;
+    let unHoldingCount = 0;
+    let midHoldingCount = 0;
+    let meetsCondition = false;
+
+    for (const token of tokens) {
+        const holdingTime = token.holdingTime;
+
+        if (holdingTime !== null && holdingTime !== undefined && holdingTime < 3 * 60) {
+            unHoldingCount += 1;
+        }
+
+        if ((token.profitRatio || 0) > minProfitRatio) {
+            sumPnlUsd += token.profit;
+            meetsCondition = true;
+        }
+
+        if (tokenCount > 10 && holdingTime > 60 * 60 * 12) {
+            midHoldingCount += 1;
+            meetsCondition = true;
+        }
+    }
+
+    if (unHoldingCount / tokenCount > 0.5) {
+        return false;
+    }
+
+    const hasHoldingTime = tokens.some(token => token.holdingTime !== null && token.holdingTime !== undefined);
+    if (hasHoldingTime && tokenCount > 10 && midHoldingCount / tokenCount < 0.5) {
+        return false;
+    }
+
+    return meetsCondition && sumPnlUsd > minPnlUsd;
+}
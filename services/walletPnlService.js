@@ -0,0 +1,344 @@
+import { getSolUsdPrice, getTokenUsdPricesWithCache } from './cacheService.js';
+import { batchSavePnlInfo, deletePnlInfoByAddress } from '../db/solAddrPnlInfoMapper.js';
+import {
+    getWalletPnlSyncState,
+    saveWalletPnlSyncState,
+    batchUpsertWalletPnlTrades,
+    getWalletPnlTrades,
+    getWalletPnlTradeMints,
+    deleteWalletPnlTrades
+} from '../db/walletPnlSyncMapper.js';
+import { WALLET_PNL_SOURCES } from './walletPnlSources.js';
+import {
+    calculateWalletPnlFromSwaps,
+    calculateWalletPnlFromTrades,
+    flattenSwapTrades,
+    buildWalletTimeline,
+    getOpenPositionMints,
+    getWalletPnlSyncMode,
+    getWalletPnlSyncCursor,
+    normalizeBirdeyeToken,
+    checkWalletFilterCondition
+} from './walletPnl.js';
+
+export { WALLET_PNL_SOURCES, normalizeBirdeyeToken, checkWalletFilterCondition };
+
+/**
+ * 钱包盈亏服务
+ * 统一 Helius 增强交易、原始 RPC（本地解析器）和 Birdeye 三种数据源，输出同一种 normalized token 结构
+ * （字段说明见 walletPnl.js），并通过 saveWalletPnl 写入 tbl_sol_addr_pnl_info
+ * syncWalletPnl 按 tbl_wallet_pnl_sync 中的游标只拉取新交易，买卖记录保存在 tbl_wallet_pnl_trade，
+ * 只重新计算有新交易的代币
+ */
+
+// 同一钱包的同步在该时间内处于 running 状态时跳过（避免任务和接口重复执行）
+const SYNC_RUNNING_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * 计算 swap 列表的盈亏，剩余持仓的当前价格从缓存 / Birdeye 获取
+ */
+async function calculateSwapPnlWithPrices(swaps, { method, currentPrices = new Map(), source }) {
+    const solPrice = await getSolUsdPrice();
+    // 只有仍有持仓的代币需要当前价格
+    const openMints = getOpenPositionMints(swaps, { method, solPrice })
+        .filter(mint => !currentPrices.has(mint));
+    const fetchedPrices = await getTokenUsdPricesWithCache(openMints).catch(() => new Map());
+
+    return calculateWalletPnlFromSwaps(swaps, {
+        method,
+        currentPrices: new Map([...fetchedPrices, ...currentPrices]),
+        solPrice,
+        source
+    });
+}
+
+/**
+ * 获取一页钱包盈亏
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {string} [options.source='helius'] - 数据源：helius / rpc / birdeye
+ * @param {string|null} [options.cursor] - 分页游标（上一页返回的 pagination.nextToken）
+ * @param {boolean} [options.isFirstQuery=false] - 首次查询（Helius 只取少量交易，用于快速过滤纸手）
+ * @param {string} [options.costBasisMethod='fifo'] - 成本方法（Birdeye 自己计算盈亏，忽略该参数）
+ * @param {Map<string, number>} [options.currentPrices] - 指定的代币当前价格（USD），缺少的从缓存 / Birdeye 获取
+ * @returns {Promise<object>} { walletAddress, source, costBasisMethod, transactionCount, swapCount, tokens, pagination }
+ */
+export async function getWalletPnlPage(walletAddress, { source = 'helius', cursor = null, isFirstQuery = false, costBasisMethod = 'fifo', currentPrices = new Map() } = {}) {
+    if (!walletAddress) {
+        throw new Error('钱包地址不能为空');
+    }
+    const dataSource = WALLET_PNL_SOURCES[source];
+    if (!dataSource) {
+        throw new Error(`不支持的盈亏数据源: ${source}，可选: ${Object.keys(WALLET_PNL_SOURCES).join(' / ')}`);
+    }
+
+    const page = await dataSource.fetchPage(walletAddress, { cursor, isFirstQuery });
+
+    let tokens;
+    let swapCount = null;
+    if (dataSource.kind === 'tokens') {
+        tokens = page.tokens.map(normalizeBirdeyeToken);
+    } else {
+        swapCount = page.swaps.length;
+        tokens = await calculateSwapPnlWithPrices(page.swaps, { method: costBasisMethod, currentPrices, source });
+    }
+
+    return {
+        walletAddress,
+        source,
+        costBasisMethod: dataSource.kind === 'tokens' ? 'average' : costBasisMethod,
+        transactionCount: page.transactionCount,
+        swapCount,
+        tokens,
+        pagination: {
+            currentToken: cursor,
+            nextToken: page.nextCursor,
+            hasMore: page.nextCursor !== null
+        }
+    };
+}
+
+/**
+ * 保存钱包盈亏到 tbl_sol_addr_pnl_info（所有数据源共用的唯一写入路径）
+ * @param {string} walletAddress - 钱包地址
+ * @param {Array<object>} tokens - normalized token 列表
+ * @returns {Promise<{savedCount: number}>}
+ */
+export async function saveWalletPnl(walletAddress, tokens) {
+    if (!walletAddress) {
+        throw new Error('钱包地址不能为空');
+    }
+    const rows = (tokens || []).filter(token => token && token.tokenMint);
+    if (rows.length === 0) {
+        return { savedCount: 0 };
+    }
+
+    await batchSavePnlInfo(rows.map(token => ({
+        tokenMint: token.tokenMint,
+        tokenSymbol: token.tokenSymbol || '',
+        profit: token.profit ?? 0,
+        totalBuyAmount: token.totalBuyAmount ?? 0,
+        totalSellAmount: token.totalSellAmount ?? 0,
+        profitRatio: token.profitRatio ?? 0
+    })), walletAddress);
+    return { savedCount: rows.length };
+}
+
+/**
+ * 增量同步钱包盈亏
+ * 从上次处理的最新交易之后开始拉取（全量时从最新交易往前翻页），新的买卖记录保存到 tbl_wallet_pnl_trade，
+ * 再用这些代币的全部买卖记录重新计算批次和盈亏并写入 tbl_sol_addr_pnl_info
+ * 增量同步达到最大页数时保持原游标并保存续传位置，下次从续传位置继续（游标规则见 getWalletPnlSyncCursor）
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {string} [options.source='helius'] - 数据源：helius / rpc / birdeye（Birdeye 总是全量）
+ * @param {string} [options.costBasisMethod='fifo'] - 成本方法
+ * @param {boolean} [options.forceRebuild=false] - 删除已保存的买卖记录和盈亏，全量重建
+ * @param {number} [options.maxPages=50] - 最多翻页次数
+ * @param {Function} [options.filter] - 全量同步时用第一页的盈亏判断是否继续（可以是 async，返回 false 时停止，状态记为 filtered）
+ * @param {number} [options.minBuyAmountUsd=0] - 买入金额不超过该值的代币不写入 tbl_sol_addr_pnl_info
+ * @returns {Promise<object>} 同步结果
+ */
+export async function syncWalletPnl(walletAddress, { source = 'helius', costBasisMethod = 'fifo', forceRebuild = false, maxPages = 50, filter = null, minBuyAmountUsd = 0 } = {}) {
+    if (!walletAddress) {
+        throw new Error('钱包地址不能为空');
+    }
+    const dataSource = WALLET_PNL_SOURCES[source];
+    if (!dataSource) {
+        throw new Error(`不支持的盈亏数据源: ${source}，可选: ${Object.keys(WALLET_PNL_SOURCES).join(' / ')}`);
+    }
+
+    const state = await getWalletPnlSyncState(walletAddress);
+    const result = { walletAddress, source, costBasisMethod };
+    if (!forceRebuild && state?.status === 'running' && state.lastRunAt &&
+        Date.now() - new Date(state.lastRunAt).getTime() < SYNC_RUNNING_TIMEOUT_MS) {
+        return { ...result, status: 'skipped', message: '该钱包正在同步' };
+    }
+
+    const { mode, until, cursor: resumeCursor, reason } = getWalletPnlSyncMode(state, { source, kind: dataSource.kind, costBasisMethod, forceRebuild });
+    Object.assign(result, { mode, reason });
+    await saveWalletPnlSyncState({ walletAddress, status: 'running', source, costBasisMethod });
+
+    try {
+        // 拉取交易（全量时第一页先做过滤）
+        const swaps = [];
+        const birdeyeTokens = [];
+        let latest = null;
+        let cursor = resumeCursor;
+        let pages = 0;
+        let truncated = false;
+
+        while (true) {
+            const page = await dataSource.fetchPage(walletAddress, { cursor, until, isFirstQuery: mode === 'full' && pages === 0 });
+            pages++;
+            latest = latest || page.latest || null;
+            if (dataSource.kind === 'tokens') {
+                birdeyeTokens.push(...page.tokens.map(normalizeBirdeyeToken));
+            } else {
+                swaps.push(...page.swaps);
+            }
+
+            if (pages === 1 && mode === 'full' && !forceRebuild && filter) {
+                const preview = dataSource.kind === 'tokens'
+                    ? birdeyeTokens
+                    : await calculateSwapPnlWithPrices(swaps, { method: costBasisMethod, source });
+                if (!(await filter(preview))) {
+                    // 保存第一页的买卖记录，调整评分规则后可以直接重新评分
+                    if (dataSource.kind === 'swaps') {
+                        await deleteWalletPnlTrades(walletAddress);
+                        await batchUpsertWalletPnlTrades(walletAddress, flattenSwapTrades(swaps, await getSolUsdPrice()));
+                    }
+                    await saveWalletPnlSyncState({ walletAddress, status: 'filtered', lastSignature: null, resumeCursor: null, message: '第一页不满足过滤条件' });
+                    return { ...result, status: 'filtered', pages };
+                }
+            }
+
+            cursor = page.nextCursor;
+            if (!cursor) break;
+            if (pages >= maxPages) {
+                truncated = true;
+                break;
+            }
+        }
+        Object.assign(result, { pages, truncated });
+
+        if (mode === 'full') {
+            await deleteWalletPnlTrades(walletAddress);
+            await deletePnlInfoByAddress(walletAddress);
+        }
+
+        let tokens;
+        let newTradeCount = 0;
+        if (dataSource.kind === 'tokens') {
+            tokens = birdeyeTokens;
+        } else {
+            const newTrades = flattenSwapTrades(swaps, await getSolUsdPrice());
+            newTradeCount = await batchUpsertWalletPnlTrades(walletAddress, newTrades);
+
+            // 只重新计算有新交易的代币；成本方法变化时重新计算全部代币
+            const mints = mode === 'recalculate'
+                ? await getWalletPnlTradeMints(walletAddress)
+                : [...new Set(newTrades.map(trade => trade.tokenMint))];
+            const storedTrades = await getWalletPnlTrades(walletAddress, mints);
+            const openMints = calculateWalletPnlFromTrades(storedTrades, { method: costBasisMethod })
+                .filter(token => token.remainingQuantity > 0)
+                .map(token => token.tokenMint);
+            const currentPrices = await getTokenUsdPricesWithCache(openMints).catch(() => new Map());
+            tokens = calculateWalletPnlFromTrades(storedTrades, { method: costBasisMethod, currentPrices, source });
+        }
+
+        const { savedCount } = await saveWalletPnl(walletAddress, tokens.filter(token => token.totalBuyAmount > minBuyAmountUsd));
+        const status = truncated ? 'partial' : 'success';
+        const syncCursor = getWalletPnlSyncCursor(state, { mode, latest, truncated, nextCursor: cursor });
+        let message = null;
+        if (truncated) {
+            message = mode === 'full'
+                ? `达到最大页数 ${maxPages}，更早的交易未处理，可以强制全量重建`
+                : `达到最大页数 ${maxPages}，下次从续传位置继续拉取到上次的游标`;
+        }
+        await saveWalletPnlSyncState({
+            walletAddress,
+            status,
+            message,
+            tradeCount: mode === 'full' ? newTradeCount : (state?.tradeCount || 0) + newTradeCount,
+            ...syncCursor
+        });
+
+        return {
+            ...result,
+            status,
+            transactionCount: dataSource.kind === 'tokens' ? null : swaps.length,
+            newTradeCount,
+            updatedTokens: tokens.length,
+            savedCount,
+            lastSignature: syncCursor.lastSignature !== undefined ? syncCursor.lastSignature : state?.lastSignature ?? null,
+            resumeCursor: syncCursor.resumeCursor
+        };
+    } catch (error) {
+        await saveWalletPnlSyncState({ walletAddress, status: 'failed', message: error.message }).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * 由已保存的买卖记录（tbl_wallet_pnl_trade）计算钱包全部代币的盈亏，不重新拉取交易
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {string} [options.costBasisMethod='fifo'] - 成本方法
+ * @returns {Promise<Array<object>>} normalized token 列表
+ */
+export async function getStoredWalletPnl(walletAddress, { costBasisMethod = 'fifo' } = {}) {
+    const trades = await getWalletPnlTrades(walletAddress, await getWalletPnlTradeMints(walletAddress));
+    const openMints = calculateWalletPnlFromTrades(trades, { method: costBasisMethod })
+        .filter(token => token.remainingQuantity > 0)
+        .map(token => token.tokenMint);
+    const currentPrices = await getTokenUsdPricesWithCache(openMints).catch(() => new Map());
+    return calculateWalletPnlFromTrades(trades, { method: costBasisMethod, currentPrices, source: 'stored' });
+}
+
+/**
+ * 钱包买卖时间线（每笔买卖之后的持仓数量、持仓成本和累计已实现盈亏，用于画加减仓图）
+ * source 为 stored 时使用已同步的买卖记录；helius / rpc 时实时拉取交易（最多 maxPages 页，超出时 truncated 为 true，
+ * 最早的买入可能不在结果中，卖出会记为无成本卖出）。Birdeye 只有代币汇总，不支持
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {string} [options.source='stored'] - stored / helius / rpc
+ * @param {string} [options.costBasisMethod='fifo'] - 成本方法
+ * @param {Array<string>} [options.mints] - 只返回这些代币
+ * @param {number|null} [options.from] - 开始时间（Unix 秒）
+ * @param {number|null} [options.to] - 结束时间（Unix 秒）
+ * @param {number} [options.maxPages=20] - 实时拉取时的最大页数
+ * @returns {Promise<object>} { walletAddress, source, costBasisMethod, truncated, entries, tokens }
+ */
+export async function getWalletTimeline(walletAddress, { source = 'stored', costBasisMethod = 'fifo', mints = null, from = null, to = null, maxPages = 20 } = {}) {
+    if (!walletAddress) {
+        throw new Error('钱包地址不能为空');
+    }
+
+    let trades;
+    let truncated = false;
+    if (source === 'stored') {
+        trades = await getWalletPnlTrades(walletAddress, mints && mints.length > 0 ? mints : await getWalletPnlTradeMints(walletAddress));
+    } else {
+        const dataSource = WALLET_PNL_SOURCES[source];
+        if (!dataSource || dataSource.kind !== 'swaps') {
+            const swapSources = Object.keys(WALLET_PNL_SOURCES).filter(name => WALLET_PNL_SOURCES[name].kind === 'swaps');
+            const error = new Error(`时间线不支持数据源: ${source}，可选: stored / ${swapSources.join(' / ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        const swaps = [];
+        let cursor = null;
+        let pages = 0;
+        while (true) {
+            const page = await dataSource.fetchPage(walletAddress, { cursor });
+            pages++;
+            swaps.push(...page.swaps);
+            cursor = page.nextCursor;
+            if (!cursor) break;
+            if (pages >= maxPages) {
+                truncated = true;
+                break;
+            }
+        }
+        trades = flattenSwapTrades(swaps, await getSolUsdPrice());
+    }
+
+    return {
+        walletAddress,
+        source,
+        costBasisMethod,
+        truncated,
+        ...buildWalletTimeline(trades, { method: costBasisMethod, mints, from, to })
+    };
+}
+
+/**
+ * 获取钱包的同步状态
+ * @param {string} walletAddress - 钱包地址
+ * @returns {Promise<object|null>}
+ */
+export async function getWalletPnlSyncStatus(walletAddress) {
+    return await getWalletPnlSyncState(walletAddress);
+}
@@ -0,0 +1,505 @@
+import { Connection, PublicKey } from '@solana/web3.js';
+import { config } from '../config/index.js';
+import { getSolUsdPrice } from './cacheService.js';
+import { ensurePriceHistory, getSolUsdPriceAt } from './priceHistoryService.js';
+import { pairTradeLegs, expandTradeLegs } from './tradeLegs.js';
+import { analyzeHeliusTradeFees } from './tradeFees.js';
+import { parseMultipleTradeInfo } from './transactionParseService.js';
+import { SOL_MINT } from './tradePricing.js';
+import { STABLE_COIN_MINTS } from './walletPnl.js';
+
+/**
+ * 钱包盈亏数据源
+ * 每个数据源实现 fetchPage(walletAddress, { cursor, until, ... })：
+ *   - kind 为 'swaps' 的数据源返回 { swaps, transactionCount, nextCursor, latest }，由持仓成本法计算盈亏，
+ *     latest 为本页最新的一笔交易 { signature, slot, blockTime }，until 为已处理的签名时只返回该签名之后的交易（增量同步）
+ *   - kind 为 'tokens' 的数据源返回 { tokens, transactionCount, nextCursor }，tokens 为数据源自己的盈亏结果，不支持增量
+ * cursor 为 null 表示从最新的交易开始，nextCursor 为 null 表示没有更多数据
+ */
+
+// Helius 首次查询只取少量交易，先判断是否纸手，再决定是否继续
+const FIRST_PAGE_MAX_TRANSACTIONS = 200;
+// 每批最多统计的交易数，超过后分批返回
+const MAX_BATCH_COUNT = 2000;
+// 只统计最近 250 天的交易
+const MAX_HISTORY_SECONDS = 250 * 24 * 60 * 60;
+const BIRDEYE_PNL_URL = 'https://public-api.birdeye.so/wallet/v2/pnl/details';
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ===================== Helius 增强交易 =====================
+
+/**
+ * 计算 swap 中 CA 代币的 USD 单价
+ * @param {object} fromToken - 卖出的代币
+ * @param {object} toToken - 买入的代币
+ * @param {number|null} solUsdPrice - 交易发生时的 SOL/USD 价格，缺少时使用当前价格
+ * @returns {Promise<number|null>}
+ */
+async function calculateSwapUsdPrice(fromToken, toToken, solUsdPrice = null) {
+    if (!(fromToken.amount > 0)) {
+        return null;
+    }
+
+    if (toToken.mint === SOL_MINT) {
+        const solPrice = solUsdPrice || await getSolUsdPrice();
+        return solPrice > 0 ? (toToken.amount * solPrice) / fromToken.amount : null;
+    }
+    if (STABLE_COIN_MINTS.includes(toToken.mint)) {
+        return toToken.amount / fromToken.amount;
+    }
+    if (STABLE_COIN_MINTS.includes(fromToken.mint)) {
+        return fromToken.amount / toToken.amount;
+    }
+    if (fromToken.mint === SOL_MINT) {
+        const solPrice = solUsdPrice || await getSolUsdPrice();
+        return solPrice > 0 ? (fromToken.amount * solPrice) / toToken.amount : null;
+    }
+    // 代币换代币：需要两边代币的价格（暂未接入价格源）
+    return null;
+}
+
+/**
+ * 从 Helius 增强交易中解析钱包的所有买卖对
+ * 钱包在每个代币上的净变化作为一条腿，同一笔交易中的多个买入/卖出（捆绑交易）分别返回
+ * @param {object} transaction - Helius 增强交易
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {boolean} [options.autoBackfill=true] - 本地没有成交时的 SOL 价格时是否从 Birdeye 回补（批量解析前已回补时传 false）
+ * @returns {Promise<Array<object>>} swap 列表
+ */
+export async function parseSwapFromHeliusTransaction(transaction, walletAddress, { autoBackfill = true } = {}) {
+    try {
+        if (!transaction || transaction.type !== 'SWAP') {
+            return [];
+        }
+
+        const tokenTransfers = transaction.tokenTransfers || [];
+        const nativeTransfers = transaction.nativeTransfers || [];
+        const accountData = transaction.accountData || [];
+
+        const tokenBalanceChanges = [];
+        let userSolChange = 0;
+        // 手续费、Jito 小费和平台费不属于成交金额，从 SOL 变化中扣除
+        const costs = analyzeHeliusTradeFees(transaction, walletAddress);
+        let solCosts = 0;
+
+        for (const account of accountData) {
+            if (account.account === walletAddress && account.nativeBalanceChange !== undefined) {
+                userSolChange = account.nativeBalanceChange / 1e9;
+                solCosts = costs.total;
+            }
+
+            if (account.tokenBalanceChanges && account.tokenBalanceChanges.length > 0) {
+                for (const change of account.tokenBalanceChanges) {
+                    if (change.userAccount === walletAddress) {
+                        const rawAmount = BigInt(change.rawTokenAmount?.tokenAmount || '0');
+                        const decimals = change.rawTokenAmount?.decimals || 0;
+                        const amount = Number(rawAmount) / Math.pow(10, decimals);
+
+                        tokenBalanceChanges.push({
+                            mint: change.mint,
+                            userAccount: change.userAccount,
+                            amount: amount,
+                            rawAmount: rawAmount.toString(),
+                            decimals: decimals
+                        });
+                    }
+                }
+            }
+        }
+
+        if (tokenBalanceChanges.length === 0) {
+            const mintMap = new Map();
+            for (const transfer of tokenTransfers) {
+                const mint = transfer.mint;
+                if (!mintMap.has(mint)) {
+                    mintMap.set(mint, {
+                        mint: mint,
+                        amount: 0,
+                        decimals: 9
+                    });
+                }
+                const amount = parseFloat(transfer.tokenAmount) || 0;
+                if (transfer.fromUserAccount === walletAddress) {
+                    mintMap.get(mint).amount -= amount;
+                } else if (transfer.toUserAccount === walletAddress) {
+                    mintMap.get(mint).amount += amount;
+                }
+            }
+            mintMap.forEach((value) => {
+                if (Math.abs(value.amount) > 0.00000001) {
+                    tokenBalanceChanges.push(value);
+                }
+            });
+        }
+
+        if (Math.abs(userSolChange) < 0.0001) {
+            // nativeTransfers 不包含交易手续费，只需扣除小费和平台费
+            solCosts = costs.jitoTip + costs.botFee;
+            for (const transfer of nativeTransfers) {
+                const amount = transfer.amount / 1e9;
+                if (transfer.fromUserAccount === walletAddress) {
+                    userSolChange -= amount;
+                } else if (transfer.toUserAccount === walletAddress) {
+                    userSolChange += amount;
+                }
+            }
+        }
+
+        // 钱包在每个代币上的净变化作为一条腿（WSOL 变化优先，没有 WSOL 变化时使用原生 SOL 变化）
+        const legs = tokenBalanceChanges
+            .filter(change => change.amount !== 0)
+            .map(change => ({
+                owner: walletAddress,
+                mint: change.mint,
+                direction: change.amount > 0 ? 'in' : 'out',
+                amount: Math.abs(change.amount),
+                decimals: change.decimals || 9
+            }));
+        const solNotional = userSolChange + solCosts;
+        if (!legs.some(leg => leg.mint === SOL_MINT) && Math.abs(solNotional) > 0.0001) {
+            legs.push({
+                owner: walletAddress,
+                mint: SOL_MINT,
+                direction: solNotional > 0 ? 'in' : 'out',
+                amount: Number(Math.abs(solNotional).toFixed(9)),
+                decimals: 9
+            });
+        }
+
+        const pairs = pairTradeLegs(legs, SOL_MINT);
+        const involvesSol = pairs.some(pair => pair.soldToken.mint === SOL_MINT || pair.boughtToken.mint === SOL_MINT);
+        const solUsdPrice = involvesSol && transaction.timestamp
+            ? await getSolUsdPriceAt(transaction.timestamp, { autoBackfill }).catch(() => null)
+            : null;
+
+        const swaps = [];
+        for (const pair of pairs) {
+            const fromToken = {
+                ...pair.soldToken,
+                symbol: pair.soldToken.mint === SOL_MINT ? 'SOL' : 'Unknown'
+            };
+            const toToken = {
+                ...pair.boughtToken,
+                symbol: pair.boughtToken.mint === SOL_MINT ? 'SOL' : 'Unknown'
+            };
+
+            swaps.push({
+                type: pair.type,
+                dex: transaction.source || 'UNKNOWN',
+                fromToken: fromToken,
+                toToken: toToken,
+                // 多个代币共用同一笔 SOL 对手腿时金额无法拆分，价格为 null
+                price: await calculateSwapUsdPrice(fromToken, toToken, solUsdPrice),
+                solUsdPrice,
+                counterShared: pair.counterShared,
+                fee: transaction.fee ? transaction.fee / 1e9 : null,
+                feeBreakdown: costs,
+                signature: transaction.signature,
+                timestamp: transaction.timestamp,
+                slot: transaction.slot
+            });
+        }
+
+        return swaps;
+    } catch (error) {
+        console.error('解析 Helius swap 信息失败:', error);
+        return [];
+    }
+}
+
+/**
+ * 按 SWAP 类型分页查询钱包的 Helius 增强交易
+ * 某些地址的最新交易全是转账时 SWAP 查询会返回 404，此时改用 TRANSFER 查询翻过这些交易（最多两次）
+ * @param {string} walletAddress - 钱包地址
+ * @param {string} apiKey - Helius API Key
+ * @param {string|null} before - 从该签名之前开始查询
+ * @param {boolean} isFirstQuery - 首次查询只取 FIRST_PAGE_MAX_TRANSACTIONS 笔
+ * @param {string|null} until - 查询到该签名为止（不包含），用于增量同步
+ * @returns {Promise<{transactions: Array, nextPaginationToken: string|null}>}
+ */
+async function fetchSwapTransactionsByHeliusSwapType(walletAddress, apiKey, before = null, isFirstQuery = false, until = null) {
+    const allTransactions = [];
+    let transactionType = 'SWAP';
+    let transferCount = 0;
+    const limit = 100;
+
+    while (true) {
+        const urlParams = new URLSearchParams();
+        urlParams.append('type', transactionType);
+        urlParams.append('limit', limit.toString());
+        if (before != null) {
+            urlParams.append('before', before);
+        }
+        if (until != null) {
+            urlParams.append('until', until);
+        }
+
+        const apiUrl = `https://api.helius.xyz/v0/addresses/${walletAddress}/transactions?api-key=${apiKey}&${urlParams}`;
+        const response = await fetch(apiUrl, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`❌ Helius API 错误:`, { status: response.status, error: errorText });
+
+            if (response.status === 404 && transferCount < 2) {
+                transactionType = 'TRANSFER';
+                transferCount += 1;
+                console.log(`查询swap为空,第: ${transferCount} 次`);
+                continue;
+            }
+            if (response.status === 404) {
+                console.error(`地址: ${walletAddress} transfer信息过多，看看是否单独验证地址盈利详情`);
+            }
+            // 置为 null，避免调用方继续翻页
+            before = null;
+            break;
+        }
+
+        const transactions = await response.json();
+
+        if (transactions != null && transactions.length > 0) {
+            if (transactionType === 'SWAP') {
+                allTransactions.push(...transactions);
+            }
+
+            transactions.sort((a, b) => b.timestamp - a.timestamp);
+            before = transactions[transactions.length - 1].signature;
+            transactionType = 'SWAP';
+
+            // 超过统计时间范围的交易不再查询
+            const oldestBlockTime = transactions[transactions.length - 1].timestamp;
+            if (oldestBlockTime < Math.floor(Date.now() / 1000) - MAX_HISTORY_SECONDS) {
+                before = null;
+                break;
+            }
+        }
+
+        if (isFirstQuery && allTransactions.length >= FIRST_PAGE_MAX_TRANSACTIONS) {
+            console.log(`✅ 第一次查询，交易笔数已达到最大限制 ${FIRST_PAGE_MAX_TRANSACTIONS} 笔，停止查询`);
+            break;
+        }
+
+        // before 不置为 null，调用方继续翻页，分批统计
+        if (allTransactions.length >= MAX_BATCH_COUNT) {
+            console.log(`✅ 该批次交易笔数已达到最大限制 ${MAX_BATCH_COUNT} 笔`);
+            break;
+        }
+
+        if (!transactions || transactions.length === 0) {
+            before = null;
+            break;
+        }
+
+        await sleep(100);
+    }
+
+    return { transactions: allTransactions, nextPaginationToken: before };
+}
+
+export const heliusEnhancedSource = {
+    name: 'helius',
+    kind: 'swaps',
+    description: 'Helius 增强交易（type=SWAP）',
+    async fetchPage(walletAddress, { cursor = null, isFirstQuery = false, until = null } = {}) {
+        const apiKey = process.env.HELIUS_API_KEY || config?.helius?.apiKey;
+        if (!apiKey) {
+            throw new Error('Helius API密钥未配置');
+        }
+
+        const { transactions, nextPaginationToken } = await fetchSwapTransactionsByHeliusSwapType(walletAddress, apiKey, cursor, isFirstQuery, until);
+        // 先回补整页时间范围内缺失的 SOL 价格，解析时只从本地查询
+        const timestamps = transactions.map(tx => tx.timestamp).filter(Number.isFinite);
+        if (timestamps.length > 0) {
+            await ensurePriceHistory(SOL_MINT, Math.min(...timestamps), Math.max(...timestamps)).catch(error => {
+                console.warn(`回补 SOL 历史价格失败: ${error.message}`);
+            });
+        }
+        const swaps = (await Promise.all(transactions.map(tx => parseSwapFromHeliusTransaction(tx, walletAddress, { autoBackfill: false })))).flat();
+        const newest = transactions.reduce((latest, tx) => (!latest || tx.timestamp > latest.timestamp ? tx : latest), null);
+        return {
+            swaps,
+            transactionCount: transactions.length,
+            nextCursor: nextPaginationToken,
+            latest: newest ? { signature: newest.signature, slot: newest.slot ?? null, blockTime: newest.timestamp ?? null } : null
+        };
+    }
+};
+
+// ===================== 原始 RPC + 本地解析器 =====================
+
+let rpcConnection = null;
+
+function getRpcConnection() {
+    if (!rpcConnection) {
+        rpcConnection = new Connection(config.solana.rpcEndpoint, 'confirmed');
+    }
+    return rpcConnection;
+}
+
+/**
+ * 把本地解析器的结果转换为钱包的 swap 列表（只保留该钱包作为持有人的买卖对）
+ * @param {string} signature - 交易签名
+ * @param {object} tradeInfo - transactionParseService 的解析结果（已按成交时间补充 solUsdPrice）
+ * @param {string} walletAddress - 钱包地址
+ * @returns {Array<object>}
+ */
+export function tradeInfoToSwaps(signature, tradeInfo, walletAddress) {
+    if (!tradeInfo) {
+        return [];
+    }
+    return expandTradeLegs(tradeInfo, SOL_MINT)
+        .filter(pair => pair.holderAddress === walletAddress && pair.soldToken && pair.boughtToken)
+        .map(pair => ({
+            type: pair.type,
+            dex: tradeInfo.tradingPlatform || null,
+            fromToken: { ...pair.soldToken, symbol: pair.soldToken.mint === SOL_MINT ? 'SOL' : (pair.soldToken.symbol || 'Unknown') },
+            toToken: { ...pair.boughtToken, symbol: pair.boughtToken.mint === SOL_MINT ? 'SOL' : (pair.boughtToken.symbol || 'Unknown') },
+            price: null,
+            solUsdPrice: tradeInfo.solUsdPrice ?? null,
+            counterShared: pair.counterShared || false,
+            signature,
+            timestamp: tradeInfo.blockTime ?? null
+        }));
+}
+
+export const rawRpcSource = {
+    name: 'rpc',
+    kind: 'swaps',
+    description: '原始 RPC 交易 + 本地 DEX 解析器',
+    async fetchPage(walletAddress, { cursor = null, until = null, limit = 200 } = {}) {
+        const signatureInfos = await getRpcConnection().getSignaturesForAddress(new PublicKey(walletAddress), {
+            before: cursor || undefined,
+            until: until || undefined,
+            limit: Math.min(limit, 1000)
+        });
+        const signatures = signatureInfos.filter(info => !info.err).map(info => info.signature);
+        const tradeInfoMap = await parseMultipleTradeInfo(signatures);
+
+        const swaps = [];
+        tradeInfoMap.forEach((tradeInfo, signature) => swaps.push(...tradeInfoToSwaps(signature, tradeInfo, walletAddress)));
+
+        const oldest = signatureInfos[signatureInfos.length - 1];
+        const reachedEnd = signatureInfos.length < limit ||
+            (oldest?.blockTime && oldest.blockTime < Math.floor(Date.now() / 1000) - MAX_HISTORY_SECONDS);
+        const newest = signatureInfos[0];
+        return {
+            swaps,
+            transactionCount: signatureInfos.length,
+            nextCursor: reachedEnd ? null : oldest.signature,
+            latest: newest ? { signature: newest.signature, slot: newest.slot ?? null, blockTime: newest.blockTime ?? null } : null
+        };
+    }
+};
+
+// ===================== Birdeye =====================
+
+/**
+ * 获取一页 Birdeye 钱包盈亏详情（429 和网络异常时重试）
+ * 请求失败时抛出的错误带有 status（Birdeye 的 HTTP 状态码）和 details（响应内容）
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {number} [options.offset=0] - 偏移量
+ * @param {number} [options.limit=100] - 每页数量
+ * @param {string} [options.sortBy='last_trade'] - 排序字段
+ * @param {string} [options.sortType='desc'] - 排序方向
+ * @param {string} [options.token] - 只查询指定代币
+ * @param {number} [options.maxRetries=3] - 最大重试次数
+ * @returns {Promise<object>} Birdeye 响应（{ success, data: { tokens, ... } }）
+ */
+export async function fetchBirdeyePnlPage(walletAddress, { offset = 0, limit = 100, sortBy = 'last_trade', sortType = 'desc', token, maxRetries = 3 } = {}) {
+    if (!config.birdeye.apiKey) {
+        throw new Error('未配置 Birdeye API Key');
+    }
+
+    const requestBody = {
+        wallet: walletAddress,
+        sort_type: sortType,
+        sort_by: sortBy,
+        limit,
+        offset
+    };
+    if (token) {
+        requestBody.token = token;
+    }
+
+    const retryDelay = 2000;
+    for (let retryCount = 0; ; retryCount++) {
+        let response;
+        try {
+            response = await fetch(BIRDEYE_PNL_URL, {
+                method: 'POST',
+                headers: {
+                    'X-API-KEY': config.birdeye.apiKey,
+                    'accept': 'application/json',
+                    'x-chain': 'solana',
+                    'content-type': 'application/json'
+                },
+                body: JSON.stringify(requestBody)
+            });
+        } catch (fetchError) {
+            if (retryCount < maxRetries) {
+                console.warn(`⚠️  请求异常，等待 ${retryDelay}ms 后重试 (${retryCount + 1}/${maxRetries}):`, fetchError.message);
+                await sleep(retryDelay);
+                continue;
+            }
+            throw fetchError;
+        }
+
+        // 429 Too Many Requests，递增等待后重试
+        if (response.status === 429 && retryCount < maxRetries) {
+            const waitTime = retryDelay * (retryCount + 1);
+            console.warn(`⚠️  请求过于频繁 (429)，等待 ${waitTime}ms 后重试 (${retryCount + 1}/${maxRetries})...`);
+            await sleep(waitTime);
+            continue;
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            const error = new Error(`Birdeye API 返回错误: ${response.status}${response.status === 429 ? ' - Too many requests' : ''}`);
+            error.status = response.status;
+            error.details = errorText;
+            throw error;
+        }
+
+        const data = await response.json();
+        if (data.success === false) {
+            const error = new Error('Birdeye API 返回失败');
+            error.status = 400;
+            error.details = data;
+            throw error;
+        }
+        return data;
+    }
+}
+
+export const birdeyeSource = {
+    name: 'birdeye',
+    kind: 'tokens',
+    description: 'Birdeye wallet/v2/pnl/details（Birdeye 计算的盈亏）',
+    async fetchPage(walletAddress, { cursor = null, limit = 100 } = {}) {
+        const offset = cursor ? parseInt(cursor) : 0;
+        const data = await fetchBirdeyePnlPage(walletAddress, { offset, limit });
+        const tokens = data?.data?.tokens || [];
+        return {
+            tokens,
+            transactionCount: null,
+            nextCursor: tokens.length < limit ? null : String(offset + limit)
+        };
+    }
+};
+
+export const WALLET_PNL_SOURCES = {
+    [heliusEnhancedSource.name]: heliusEnhancedSource,
+    [rawRpcSource.name]: rawRpcSource,
+    [birdeyeSource.name]: birdeyeSource
+};
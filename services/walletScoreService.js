@@ -0,0 +1,130 @@
+import { walletScoreRuleSets, DEFAULT_WALLET_SCORE_RULE_SET } from '../config/walletScoreRuleSets.js';
+import { insertWalletScoreRuleSet, getWalletScoreRuleSets, upsertWalletScore, getWalletScores, getWalletScoresByRuleVersion } from '../db/walletScoreMapper.js';
+import { getStoredWalletPnl } from './walletPnlService.js';
+import { scoreWallet, validateRuleSet, withGateThresholds, hasSameGateThresholds } from './walletScoring.js';
+
+/**
+ * 钱包评分服务
+ * 规则集来自 config/walletScoreRuleSets.js（内置）和 tbl_wallet_score_rule_set（通过接口提交），
+ * 评分结果按钱包 + 规则集 + 版本保存在 tbl_wallet_score；重新评分使用已保存的买卖记录，不重新拉取交易
+ */
+
+function createError(message, status, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * 获取全部规则集（内置 + 数据库），按名称和版本排序
+ * @returns {Promise<Array<object>>}
+ */
+export async function listRuleSets() {
+    const stored = await getWalletScoreRuleSets().catch(error => {
+        console.warn('查询评分规则集失败，只使用内置规则集:', error.message);
+        return [];
+    });
+    return [
+        ...walletScoreRuleSets.map(ruleSet => ({ ...ruleSet, builtIn: true })),
+        ...stored.map(ruleSet => ({ ...ruleSet, builtIn: false }))
+    ].sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version);
+}
+
+/**
+ * 获取规则集
+ * @param {string} [name] - 规则集名称，默认 DEFAULT_WALLET_SCORE_RULE_SET
+ * @param {number} [version] - 版本，为空时使用最新版本
+ * @returns {Promise<object>} 规则集（不存在时抛出 status 为 404 的错误）
+ */
+export async function getRuleSet(name = DEFAULT_WALLET_SCORE_RULE_SET, version) {
+    const candidates = (await listRuleSets()).filter(ruleSet => ruleSet.name === name);
+    const ruleSet = version
+        ? candidates.find(candidate => candidate.version === Number(version))
+        : candidates[candidates.length - 1];
+    if (!ruleSet) {
+        throw createError(`评分规则集不存在: ${name}${version ? ` v${version}` : ''}`, 404);
+    }
+    return ruleSet;
+}
+
+/**
+ * 新增规则集版本（已存在的名称 + 版本不能覆盖）
+ * @param {object} definition - 规则集 JSON
+ * @returns {Promise<object>} 保存的规则集
+ */
+export async function createRuleSet(definition) {
+    const errors = validateRuleSet(definition);
+    if (errors.length > 0) {
+        throw createError('评分规则集格式错误', 400, errors);
+    }
+    const existing = (await listRuleSets()).find(ruleSet => ruleSet.name === definition.name && ruleSet.version === definition.version);
+    if (existing) {
+        throw createError(`评分规则集 ${definition.name} v${definition.version} 已存在，修改规则请使用新版本`, 409);
+    }
+
+    const { builtIn, ...ruleSet } = definition;
+    await insertWalletScoreRuleSet(ruleSet);
+    return ruleSet;
+}
+
+/**
+ * 计算并保存钱包评分
+ * @param {string} walletAddress - 钱包地址
+ * @param {object} [options]
+ * @param {string} [options.ruleSet] - 规则集名称
+ * @param {number} [options.ruleVersion] - 规则集版本，默认最新
+ * @param {object} [options.gateThresholds] - 覆盖硬性条件的下限（见 withGateThresholds），保存的评分记录实际使用的阈值
+ * @param {Array<object>} [options.tokens] - 代币盈亏（为空时使用已保存的买卖记录计算）
+ * @param {string} [options.costBasisMethod='fifo'] - 使用已保存的买卖记录时的成本方法
+ * @param {boolean} [options.save=true] - 是否保存评分
+ * @returns {Promise<object>} 评分结果
+ */
+export async function scoreWalletAddress(walletAddress, { ruleSet: ruleSetName, ruleVersion, gateThresholds, tokens, costBasisMethod = 'fifo', save = true } = {}) {
+    const ruleSet = withGateThresholds(await getRuleSet(ruleSetName, ruleVersion), gateThresholds);
+    const walletTokens = tokens || await getStoredWalletPnl(walletAddress, { costBasisMethod });
+    const result = { walletAddress, ...scoreWallet(walletTokens, ruleSet) };
+    if (save) {
+        await upsertWalletScore(walletAddress, result);
+    }
+    return result;
+}
+
+/**
+ * 用已保存的买卖记录重新评分（修改规则集版本后使用）
+ * @param {Array<string>} walletAddresses - 钱包地址
+ * @param {object} [options] - 同 scoreWalletAddress（不支持 tokens）
+ * @returns {Promise<Array<object>>} 每个钱包的评分结果（失败时包含 error）
+ */
+export async function rescoreWallets(walletAddresses, options = {}) {
+    const results = [];
+    for (const walletAddress of walletAddresses) {
+        try {
+            results.push(await scoreWalletAddress(walletAddress, { ...options, tokens: undefined }));
+        } catch (error) {
+            if (error.status === 404) {
+                throw error;
+            }
+            console.warn(`钱包 ${walletAddress} 重新评分失败: ${error.message}`);
+            results.push({ walletAddress, error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * 找出在指定规则集版本下已保存评分且未通过的钱包（换规则集、版本或硬性条件阈值后会重新评分）
+ * @param {Array<string>} walletAddresses - 钱包地址
+ * @param {object} ruleSet - 规则集（覆盖过阈值时传入覆盖后的规则集）
+ * @returns {Promise<Set<string>>}
+ */
+export async function getFailedWallets(walletAddresses, ruleSet) {
+    const scores = await getWalletScoresByRuleVersion(walletAddresses, ruleSet.name, ruleSet.version);
+    return new Set([...scores.values()]
+        .filter(score => !score.passed && hasSameGateThresholds(score.gates, ruleSet))
+        .map(score => score.walletAddress));
+}
+
+export { getWalletScores, DEFAULT_WALLET_SCORE_RULE_SET };
@@ -0,0 +1,255 @@
+/**
+ * 聪明钱钱包评分（不依赖网络和数据库）
+ * 由钱包的代币盈亏（normalized token，见 walletPnl.js）计算评分因子，再按规则集加权得到 0 ~ 100 的总分和逐项明细
+ * 规则集格式见 config/walletScoreRuleSets.js
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// 因子计算参数的默认值
+export const DEFAULT_SCORE_PARAMS = {
+    flipSeconds: 180,
+    longHoldSeconds: 12 * 60 * 60,
+    rugLossRatio: -90,
+    highRoiRatio: 100
+};
+
+// 可用的评分因子
+export const WALLET_SCORE_FACTORS = {
+    tokenCount: '代币数',
+    winRate: '胜率（有卖出的代币中已实现盈亏为正的比例）',
+    medianHoldSeconds: '持有时间中位数（秒）',
+    realizedPnl: '已实现盈亏合计（USD）',
+    totalPnl: '总盈亏合计（USD，含未实现）',
+    medianRoi: '收益率中位数（%）',
+    roiP25: '收益率 25 分位（%）',
+    roiP75: '收益率 75 分位（%）',
+    multiBaggerRate: '收益率达到 highRoiRatio 的代币比例',
+    highRoiPnl: '收益率超过 highRoiRatio 的代币盈利合计（USD）',
+    rugExposure: '亏损超过 rugLossRatio（踩雷）的代币比例',
+    flipRate: '持有不到 flipSeconds 的代币比例',
+    longHoldRate: '持有超过 longHoldSeconds 的代币比例',
+    tradesPerDay: '日均交易笔数'
+};
+
+function quantile(values, q) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const ratio = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * 计算钱包的评分因子
+ * 缺少数据的因子为 null（如 Birdeye 没有持有时间），评分时不计入
+ * @param {Array<object>} tokens - normalized token 列表
+ * @param {object} [params] - 因子计算参数（见 DEFAULT_SCORE_PARAMS）
+ * @returns {object} 因子值
+ */
+export function computeWalletFactors(tokens, params = {}) {
+    const { flipSeconds, longHoldSeconds, rugLossRatio, highRoiRatio } = { ...DEFAULT_SCORE_PARAMS, ...params };
+    const list = (tokens || []).filter(Boolean);
+    const tokenCount = list.length;
+
+    const closed = list.filter(token => token.sellCount > 0 && token.realizedPnl !== null && token.realizedPnl !== undefined);
+    const holdingTimes = list.map(token => token.holdingTime).filter(time => time !== null && time !== undefined);
+    const rois = list.map(token => token.profitRatio).filter(Number.isFinite);
+    const hasHoldingTime = holdingTimes.length > 0;
+
+    // 活跃天数：最早买入到最近交易（至少 1 天）
+    const openedAts = list.flatMap(token => (token.lots || []).map(lot => lot.openedAt)).filter(Number.isFinite);
+    const latestAts = list.map(token => token.latestTransactionTimestamp).filter(Number.isFinite);
+    const tradeCount = list.reduce((sum, token) => sum + (token.buyCount || 0) + (token.sellCount || 0), 0);
+    const activeDays = openedAts.length > 0 && latestAts.length > 0
+        ? Math.max(1, (Math.max(...latestAts) - Math.min(...openedAts)) / DAY_SECONDS)
+        : null;
+
+    return {
+        tokenCount,
+        winRate: ratio(closed.filter(token => token.realizedPnl > 0).length, closed.length),
+        medianHoldSeconds: quantile(holdingTimes, 0.5),
+        realizedPnl: list.reduce((sum, token) => sum + (token.realizedPnl || 0), 0),
+        totalPnl: list.reduce((sum, token) => sum + (token.profit || 0), 0),
+        medianRoi: quantile(rois, 0.5),
+        roiP25: quantile(rois, 0.25),
+        roiP75: quantile(rois, 0.75),
+        multiBaggerRate: ratio(rois.filter(roi => roi >= highRoiRatio).length, tokenCount),
+        highRoiPnl: list.filter(token => token.profitRatio > highRoiRatio).reduce((sum, token) => sum + (token.profit || 0), 0),
+        rugExposure: ratio(rois.filter(roi => roi <= rugLossRatio).length, tokenCount),
+        flipRate: hasHoldingTime ? ratio(holdingTimes.filter(time => time < flipSeconds).length, tokenCount) : null,
+        longHoldRate: hasHoldingTime ? ratio(holdingTimes.filter(time => time > longHoldSeconds).length, tokenCount) : null,
+        tradesPerDay: activeDays ? tradeCount / activeDays : null
+    };
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkBounds(value, { min, max, exclusive }) {
+    if (exclusive) {
+        return (min === undefined || value > min) && (max === undefined || value < max);
+    }
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+/**
+ * 校验规则集，返回错误列表（为空表示合法）
+ * @param {object} ruleSet - 规则集
+ * @returns {Array<string>}
+ */
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    if (!ruleSet || typeof ruleSet !== 'object') {
+        return ['规则集必须是对象'];
+    }
+    if (typeof ruleSet.name !== 'string' || !/^[\w-]{1,64}$/.test(ruleSet.name)) {
+        errors.push('name 只能包含字母、数字、下划线和短横线（最长 64）');
+    }
+    if (!Number.isInteger(ruleSet.version) || ruleSet.version < 1) {
+        errors.push('version 必须是正整数');
+    }
+    if (ruleSet.passScore !== undefined && !(isFiniteNumber(ruleSet.passScore) && ruleSet.passScore >= 0 && ruleSet.passScore <= 100)) {
+        errors.push('passScore 必须在 0 ~ 100 之间');
+    }
+    if (ruleSet.minTokens !== undefined && !(Number.isInteger(ruleSet.minTokens) && ruleSet.minTokens >= 0)) {
+        errors.push('minTokens 必须是非负整数');
+    }
+    Object.entries(ruleSet.params || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_SCORE_PARAMS)) {
+            errors.push(`未知的参数: ${key}`);
+        } else if (!isFiniteNumber(value)) {
+            errors.push(`参数 ${key} 必须是数字`);
+        }
+    });
+
+    const factors = ruleSet.factors || {};
+    if (typeof factors !== 'object' || Array.isArray(factors)) {
+        errors.push('factors 必须是对象');
+    } else {
+        Object.entries(factors).forEach(([factor, rule]) => {
+            if (!(factor in WALLET_SCORE_FACTORS)) {
+                errors.push(`未知的因子: ${factor}`);
+                return;
+            }
+            if (!isFiniteNumber(rule?.weight) || rule.weight < 0) {
+                errors.push(`因子 ${factor} 的 weight 必须是非负数`);
+            }
+            if (!isFiniteNumber(rule?.min) || !isFiniteNumber(rule?.max) || rule.max <= rule.min) {
+                errors.push(`因子 ${factor} 需要 min < max`);
+            }
+        });
+    }
+
+    const gates = ruleSet.gates || [];
+    if (!Array.isArray(gates)) {
+        errors.push('gates 必须是数组');
+    } else {
+        gates.forEach((gate, index) => {
+            [gate, gate?.when].filter(Boolean).forEach(condition => {
+                if (!(condition.factor in WALLET_SCORE_FACTORS)) {
+                    errors.push(`gates[${index}] 未知的因子: ${condition.factor}`);
+                }
+                if (!isFiniteNumber(condition.min) && !isFiniteNumber(condition.max)) {
+                    errors.push(`gates[${index}] 需要 min 或 max`);
+                }
+                if (condition.exclusive !== undefined && typeof condition.exclusive !== 'boolean') {
+                    errors.push(`gates[${index}] 的 exclusive 必须是布尔值`);
+                }
+            });
+        });
+    }
+    return errors;
+}
+
+/**
+ * 按规则集计算钱包评分
+ * 每个因子按 [min, max] 线性映射为 0 ~ 1（invert 时反转），乘以权重后合计，再换算为 0 ~ 100；
+ * 缺少数据的因子不计入权重。硬性条件缺少数据时跳过（passed 为 null）
+ * @param {Array<object>} tokens - normalized token 列表
+ * @param {object} ruleSet - 规则集
+ * @returns {object} { ruleSet, ruleVersion, score, passed, insufficientData, factors, breakdown, gates }
+ */
+export function scoreWallet(tokens, ruleSet) {
+    const factors = computeWalletFactors(tokens, ruleSet.params);
+
+    let weightSum = 0;
+    let points = 0;
+    const breakdown = Object.entries(ruleSet.factors || {}).map(([factor, rule]) => {
+        const value = factors[factor];
+        if (!isFiniteNumber(value)) {
+            return { factor, value: null, weight: rule.weight, normalized: null, points: 0 };
+        }
+        let normalized = Math.min(1, Math.max(0, (value - rule.min) / (rule.max - rule.min)));
+        if (rule.invert) {
+            normalized = 1 - normalized;
+        }
+        weightSum += rule.weight;
+        points += normalized * rule.weight;
+        return { factor, value, weight: rule.weight, normalized, points: normalized * rule.weight };
+    });
+
+    const gates = (ruleSet.gates || []).map(gate => {
+        const value = factors[gate.factor];
+        const applies = !gate.when || (isFiniteNumber(factors[gate.when.factor]) && checkBounds(factors[gate.when.factor], gate.when));
+        const passed = !applies || !isFiniteNumber(value) ? null : checkBounds(value, gate);
+        return { factor: gate.factor, value: isFiniteNumber(value) ? value : null, min: gate.min, max: gate.max, exclusive: gate.exclusive === true, applies, passed };
+    });
+
+    // 没有评分因子的规则集（只有硬性条件）通过时为满分
+    const score = Number((weightSum > 0 ? (points / weightSum) * 100 : 100).toFixed(2));
+    const insufficientData = factors.tokenCount < (ruleSet.minTokens ?? 1);
+    const passed = !insufficientData &&
+        gates.every(gate => gate.passed !== false) &&
+        score >= (ruleSet.passScore ?? 0);
+
+    return {
+        ruleSet: ruleSet.name,
+        ruleVersion: ruleSet.version,
+        score: passed || weightSum > 0 ? score : 0,
+        passed,
+        insufficientData,
+        factors,
+        breakdown,
+        gates
+    };
+}
+
+/**
+ * 按请求覆盖规则集中硬性条件的下限（只覆盖没有 when 的条件），不修改原规则集
+ * 如原 minPnlUsd 参数对应 legacy 规则集的 highRoiPnl 条件
+ * @param {object} ruleSet - 规则集
+ * @param {object} [thresholds] - 因子 -> 下限，如 { highRoiPnl: 8000 }
+ * @returns {object} 规则集
+ */
+export function withGateThresholds(ruleSet, thresholds = {}) {
+    if (!thresholds || Object.keys(thresholds).length === 0) {
+        return ruleSet;
+    }
+    return {
+        ...ruleSet,
+        gates: (ruleSet.gates || []).map(gate => (!gate.when && gate.factor in thresholds ? { ...gate, min: thresholds[gate.factor] } : gate))
+    };
+}
+
+/**
+ * 已保存评分的硬性条件是否与规则集的阈值一致（覆盖过阈值的评分不能代表规则集本身的结果）
+ * @param {Array<object>} gates - 已保存评分中的 gates
+ * @param {object} ruleSet - 规则集
+ * @returns {boolean}
+ */
+export function hasSameGateThresholds(gates, ruleSet) {
+    const expected = ruleSet.gates || [];
+    return gates.length === expected.length && expected.every((gate, index) =>
+        gates[index].factor === gate.factor &&
+        gates[index].min === gate.min &&
+        gates[index].max === gate.max &&
+        Boolean(gates[index].exclusive) === Boolean(gate.exclusive)
+    );
+}
@@ -1,5 +1,6 @@
 import { Connection, PublicKey } from '@solana/web3.js';
 import { config } from '../config/index.js';
+import { TOKEN_2022_PROGRAM_ID, normalizeMintExtensions } from '../services/dexProtocols/splToken.js';
 
 /**
  * 获取代币的所有交易记录
@@ -270,12 +271,12 @@ export async function getTokenTransactionsViaSolscan(tokenMintAddress, limit = 1
 
 
 /**
- * 获取代币小数位数（使用 Helius API）
+ * 获取代币 mint 信息（使用 Helius API）：小数位数、所属代币程序和 Token-2022 扩展
  * @param {string} apiKey - Helius API Key
  * @param {string} tokenMintAddress - 代币的 mint 地址
- * @returns {Promise<number>} 代币小数位数（默认 9）
+ * @returns {Promise<Object>} { decimals, tokenProgram: 'spl-token' | 'token-2022', extensions }
  */
-async function getTokenDecimals(apiKey, tokenMintAddress) {
+export async function getTokenMintInfo(apiKey, tokenMintAddress) {
   try {
     const heliusRpcUrl = `https://mainnet.helius-rpc.com/?api-key=${apiKey}`;
     
@@ -290,14 +291,41 @@ async function getTokenDecimals(apiKey, tokenMintAddress) {
       })
     }).then(r => r.json());
     
-    const decimals = mintInfo.result?.value?.data?.parsed?.info?.decimals || 9;
-    return decimals;
+    const value = mintInfo.result?.value;
+    const isToken2022 = value?.owner === TOKEN_2022_PROGRAM_ID || value?.data?.program === 'spl-token-2022';
+    return {
+      decimals: value?.data?.parsed?.info?.decimals || 9,
+      tokenProgram: isToken2022 ? 'token-2022' : 'spl-token',
+      extensions: isToken2022 ? normalizeMintExtensions(value.data.parsed?.info?.extensions) : null
+    };
   } catch (error) {
-    console.error(`获取代币 ${tokenMintAddress} 小数位数失败:`, error.message);
-    return 9; // 默认返回 9
+    console.error(`获取代币 ${tokenMintAddress} mint 信息失败:`, error.message);
+    return { decimals: 9, tokenProgram: 'spl-token', extensions: null }; // 默认返回 9 位小数的普通 SPL 代币
   }
 }
 
+/**
+ * 获取代币小数位数（使用 Helius API）
+ * @param {string} apiKey - Helius API Key
+ * @param {string} tokenMintAddress - 代币的 mint 地址
+ * @returns {Promise<number>} 代币小数位数（默认 9）
+ */
+async function getTokenDecimals(apiKey, tokenMintAddress) {
+  const { decimals } = await getTokenMintInfo(apiKey, tokenMintAddress);
+  return decimals;
+}
+
+/**
+ * Token-2022 代币账户中被扣留的转账手续费（Helius getTokenAccounts 返回的 token_extensions）
+ * @param {Object} tokenAccount - getTokenAccounts 返回的代币账户
+ * @returns {string} 原始数量
+ */
+function getWithheldAmount(tokenAccount) {
+  const extensions = tokenAccount.token_extensions || tokenAccount.tokenExtensions || {};
+  const transferFeeAmount = extensions.transfer_fee_amount || extensions.transferFeeAmount || {};
+  return String(transferFeeAmount.withheld_amount ?? transferFeeAmount.withheldAmount ?? 0);
+}
+
 /**
  * 使用 Helius DAS API 的 getTokenAccounts 方法获取代币持有人列表（支持分页）
  * 文档: https://www.helius.dev/docs/api-reference/das/gettokenaccounts
@@ -327,12 +355,14 @@ export async function getTokenHoldersViaHeliusV2(apiKey, tokenMintAddress, decim
   try {
     const heliusRpcUrl = `https://mainnet.helius-rpc.com/?api-key=${apiKey}`;
 
-    // 如果没有传入 decimals，则获取代币小数位数
-    // 如果调用方已经获取了 decimals（比如从 getTokenTotalSupply），可以传入以避免重复调用
+    // 获取 mint 信息（小数位数和是否为 Token-2022）
+    // 如果调用方已经获取了 decimals（比如从 getTokenTotalSupply），优先使用传入的值
+    const mintInfo = await getTokenMintInfo(apiKey, tokenMintAddress);
     let tokenDecimals = decimals;
     if (tokenDecimals === null || tokenDecimals === undefined) {
-      tokenDecimals = await getTokenDecimals(apiKey, tokenMintAddress);
+      tokenDecimals = mintInfo.decimals;
     }
+    const isToken2022 = mintInfo.tokenProgram === 'token-2022';
     
     let allTokenAccounts = [];
     let cursor = null;
@@ -477,6 +507,8 @@ export async function getTokenHoldersViaHeliusV2(apiKey, tokenMintAddress, decim
         const owner = tokenAccount.owner;
         const amount = BigInt(tokenAccount.amount || 0);
         const uiAmount = Number(amount) / Math.pow(10, tokenDecimals);
+        // Token-2022 转账手续费扣留在接收账户中（不属于持有人，可由手续费提取权限提走）
+        const withheld = isToken2022 ? BigInt(getWithheldAmount(tokenAccount)) : 0n;
         
         // 只处理余额大于 0 的账户
         if (uiAmount > 0) {
@@ -488,6 +520,9 @@ export async function getTokenHoldersViaHeliusV2(apiKey, tokenMintAddress, decim
             existing.totalAmount = newAmount.toString();
             existing.uiAmount = Number(newAmount) / Math.pow(10, tokenDecimals);
             existing.tokenAccounts.push(tokenAccount.address);
+            if (isToken2022) {
+              existing.withheldAmount = (BigInt(existing.withheldAmount) + withheld).toString();
+            }
           } else {
             // 新的 owner
             holderMap.set(owner, {
@@ -495,7 +530,8 @@ export async function getTokenHoldersViaHeliusV2(apiKey, tokenMintAddress, decim
               totalAmount: amount.toString(),
               decimals: tokenDecimals,
               uiAmount: uiAmount,
-              tokenAccounts: [tokenAccount.address]
+              tokenAccounts: [tokenAccount.address],
+              ...(isToken2022 ? { withheldAmount: withheld.toString() } : {})
             });
           }
         }
@@ -510,6 +546,16 @@ export async function getTokenHoldersViaHeliusV2(apiKey, tokenMintAddress, decim
     // 所以我们需要在获取所有数据后，按余额重新排序
     const holders = Array.from(holderMap.values())
       .sort((a, b) => b.uiAmount - a.uiAmount);
+
+    // Token-2022：余额为实际到账的净额，另给出被扣留的手续费和总额
+    if (isToken2022) {
+      holders.forEach(holder => {
+        holder.tokenProgram = 'token-2022';
+        holder.netAmount = holder.uiAmount;
+        holder.withheldFee = Number(holder.withheldAmount) / Math.pow(10, tokenDecimals);
+        holder.grossAmount = holder.netAmount + holder.withheldFee;
+      });
+    }
     
     console.log(`✓ 成功解析 ${holders.length} 个唯一持有人（从 ${allTokenAccounts.length} 个账户中）`);
     console.log(`注意：Helius API 返回的数据是按资产 ID 排序的，已重新按余额排序`);
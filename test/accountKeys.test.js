@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import { resolveAccountAddresses, resolveAccountKeys } from '../services/accountKeys.js';
+import { newAddress } from './helpers/swapTransaction.js';
+
+const RAYDIUM_AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+
+// 连接只用于构造解析器，测试中不会发起请求
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+/**
+ * v0 交易：2 个静态账户（签名者 + 只读程序），查找表加载 1 个 writable（池子金库）和 1 个 readonly（Raydium 程序）
+ */
+function buildV0Transaction() {
+  const signer = newAddress();
+  const staticReadonly = newAddress();
+  const vault = newAddress();
+  return {
+    signer,
+    vault,
+    transaction: {
+      transaction: {
+        message: {
+          header: { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 1 },
+          accountKeys: [signer, staticReadonly],
+          // programIdIndex 3 指向查找表加载的 readonly 账户
+          instructions: [{ programIdIndex: 3, accounts: [0, 2], data: '' }]
+        }
+      },
+      meta: {
+        fee: 5000,
+        preBalances: [2000000000, 1, 5000000000, 1],
+        postBalances: [999995000, 1, 6000000000, 1],
+        innerInstructions: [],
+        preTokenBalances: [],
+        postTokenBalances: [],
+        loadedAddresses: { writable: [vault], readonly: [RAYDIUM_AMM_V4] }
+      }
+    }
+  };
+}
+
+describe('地址查找表账户解析', () => {
+  test('json 格式按 静态账户 → writable → readonly 合并，并按消息头推断权限', () => {
+    const { signer, vault, transaction } = buildV0Transaction();
+    const accountKeys = resolveAccountKeys(transaction);
+
+    assert.deepEqual(accountKeys.map(key => key.pubkey), [signer, accountKeys[1].pubkey, vault, RAYDIUM_AMM_V4]);
+    assert.deepEqual(accountKeys.map(key => key.signer), [true, false, false, false]);
+    assert.deepEqual(accountKeys.map(key => key.writable), [true, false, true, false]);
+    assert.deepEqual(accountKeys.map(key => key.source), ['transaction', 'transaction', 'lookupTable', 'lookupTable']);
+  });
+
+  test('jsonParsed 格式已包含查找表账户时不重复追加', () => {
+    const { signer, vault, transaction } = buildV0Transaction();
+    transaction.transaction.message.accountKeys = [
+      { pubkey: signer, signer: true, writable: true, source: 'transaction' },
+      { pubkey: vault, signer: false, writable: true, source: 'lookupTable' }
+    ];
+    assert.deepEqual(resolveAccountAddresses(transaction), [signer, vault]);
+  });
+
+  test('identifyDEX 识别查找表中加载的程序', () => {
+    const { transaction } = buildV0Transaction();
+    assert.equal(parser.identifyDEX(transaction), 'raydium');
+  });
+
+  test('SOL 余额变化对应到查找表加载的账户', () => {
+    const { signer, vault, transaction } = buildV0Transaction();
+    const changes = parser.parseSOLBalanceChanges(transaction);
+
+    assert.deepEqual(changes.map(change => change.account), [signer, vault]);
+    const vaultChange = changes.find(change => change.account === vault);
+    assert.equal(vaultChange.change, 1);
+    assert.equal(vaultChange.isSigner, false);
+    assert.equal(vaultChange.isWritable, true);
+  });
+});
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  annotateHoldersWithBundles,
+  detectBundles,
+  detectSameSecondGroups,
+  findTipAccount
+} from '../services/bundleDetection.js';
+
+const TIP = '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5';
+
+const buy = (walletAddress, signature, slot, tokenAmount, extra = {}) => ({
+  walletAddress,
+  signature,
+  slot,
+  time: slot === null ? null : 1700000000 + slot,
+  tokenAmount,
+  solAmount: tokenAmount / 1000,
+  tipAccount: null,
+  ...extra
+});
+
+describe('捆绑买入检测', () => {
+  test('同一交易和同一 slot 内多个钱包买入归为一组', () => {
+    const bundles = detectBundles([
+      buy('walletA', 'sig1', 100, 1000),
+      buy('walletB', 'sig1', 100, 2000),
+      buy('walletC', 'sig2', 100, 3000),
+      buy('walletD', 'sig3', 105, 500)
+    ], { supply: 100000 });
+
+    assert.equal(bundles.length, 1);
+    assert.equal(bundles[0].id, 1);
+    assert.deepEqual(bundles[0].wallets, ['walletA', 'walletB', 'walletC']);
+    assert.deepEqual(bundles[0].reasons.sort(), ['same-slot', 'same-transaction']);
+    assert.deepEqual(bundles[0].signatures, ['sig1', 'sig2']);
+    assert.equal(bundles[0].firstSlot, 100);
+    assert.equal(bundles[0].tokenAmount, 6000);
+    assert.equal(bundles[0].supplyPercent, 6);
+  });
+
+  test('同一钱包在同一 slot 多次买入不算捆绑', () => {
+    const bundles = detectBundles([
+      buy('walletA', 'sig1', 100, 1000),
+      buy('walletA', 'sig2', 100, 1000)
+    ]);
+    assert.deepEqual(bundles, []);
+  });
+
+  test('相邻 slot 给同一个小费账户付小费', () => {
+    const bundles = detectBundles([
+      buy('walletA', 'sig1', 100, 1000, { tipAccount: TIP }),
+      buy('walletB', 'sig2', 101, 1000, { tipAccount: TIP }),
+      buy('walletC', 'sig3', 103, 1000, { tipAccount: TIP })
+    ]);
+    assert.equal(bundles.length, 1);
+    assert.deepEqual(bundles[0].wallets, ['walletA', 'walletB']);
+    assert.deepEqual(bundles[0].reasons, ['shared-tip']);
+    assert.deepEqual(bundles[0].tipAccounts, [TIP]);
+    assert.equal(bundles[0].lastSlot, 101);
+
+    // 放宽 slot 差后第三笔也并入
+    assert.equal(detectBundles([
+      buy('walletA', 'sig1', 100, 1000, { tipAccount: TIP }),
+      buy('walletB', 'sig2', 101, 1000, { tipAccount: TIP }),
+      buy('walletC', 'sig3', 103, 1000, { tipAccount: TIP })
+    ], { tipSlotGap: 2 })[0].walletCount, 3);
+  });
+
+  test('没有 slot 时同一秒买入只作为弱证据输出，不归为捆绑组，minWallets 过滤小组', () => {
+    const buys = [
+      { walletAddress: 'walletA', signature: 'sig1', slot: null, time: 1700000000, tokenAmount: 100 },
+      { walletAddress: 'walletB', signature: 'sig2', slot: null, time: 1700000000, tokenAmount: 100 },
+      { walletAddress: 'walletC', signature: 'sig3', slot: null, time: 1700000005, tokenAmount: 100 },
+      { walletAddress: 'walletD', signature: 'sig4', slot: null, time: 1700000005, tokenAmount: 100 },
+      { walletAddress: 'walletE', signature: 'sig5', slot: null, time: 1700000005, tokenAmount: 100 },
+      // 同一交易内多个钱包仍是捆绑
+      { walletAddress: 'walletF', signature: 'sig6', slot: null, time: 1700000009, tokenAmount: 100 },
+      { walletAddress: 'walletG', signature: 'sig6', slot: null, time: 1700000009, tokenAmount: 100 }
+    ];
+
+    const bundles = detectBundles(buys);
+    assert.equal(bundles.length, 1);
+    assert.deepEqual(bundles[0].wallets, ['walletF', 'walletG']);
+    assert.deepEqual(bundles[0].reasons, ['same-transaction']);
+    assert.equal(bundles[0].firstSlot, null);
+
+    const groups = detectSameSecondGroups(buys, { supply: 10000 });
+    assert.deepEqual(groups.map(group => [group.time, group.walletCount, group.evidence]),
+      [[1700000000, 2, 'weak'], [1700000005, 3, 'weak'], [1700000009, 2, 'weak']]);
+    assert.equal(groups[0].supplyPercent, 2);
+
+    const large = detectSameSecondGroups(buys, { minWallets: 3 });
+    assert.equal(large.length, 1);
+    assert.deepEqual(large[0].wallets, ['walletC', 'walletD', 'walletE']);
+
+    // 有 slot 的买入不参与同一秒分组
+    assert.deepEqual(detectSameSecondGroups([buy('walletA', 'sig1', 100, 1000), buy('walletB', 'sig2', 100, 1000)]), []);
+  });
+
+  test('识别收到小费的 Jito 小费账户', () => {
+    const tx = (preBalances, postBalances) => ({
+      transaction: { message: { accountKeys: ['payer', TIP], header: { numRequiredSignatures: 1 } } },
+      meta: { preBalances, postBalances }
+    });
+    assert.equal(findTipAccount(tx([1000000, 0], [900000, 10000])), TIP);
+    assert.equal(findTipAccount(tx([1000000, 10000], [990000, 10000])), null);
+    assert.equal(findTipAccount({ transaction: { message: { accountKeys: [] } } }), null);
+  });
+
+  test('持有人标记捆绑组并统计当前持仓占比', () => {
+    const bundles = detectBundles([
+      buy('walletA', 'sig1', 100, 1000),
+      buy('walletB', 'sig2', 100, 1000),
+      buy('walletC', 'sig3', 200, 1000),
+      buy('walletD', 'sig4', 200, 1000)
+    ]);
+    const result = annotateHoldersWithBundles([
+      { address: 'walletA', uiAmount: 500 },
+      // 聚类合并后的地址
+      { address: 'walletX', uiAmount: 300, relatedAddresses: ['walletX', 'walletB'] },
+      { address: 'walletD', uiAmount: 200 },
+      { address: 'walletE', uiAmount: 1000 }
+    ], bundles, 10000);
+
+    assert.deepEqual(result.holders.map(holder => holder.bundleId), [1, 1, 2, null]);
+    assert.equal(result.bundles[0].heldAmount, 800);
+    assert.equal(result.bundles[0].heldPercent, 8);
+    assert.equal(result.bundles[1].heldPercent, 2);
+    assert.equal(result.bundledSupplyPercent, 10);
+
+    assert.equal(annotateHoldersWithBundles([], bundles, null).bundledSupplyPercent, null);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCostBasis } from '../services/costBasis.js';
+
+const buy = (timestamp, quantity, amount) => ({ type: 'buy', timestamp, quantity, amount, signature: `buy-${timestamp}` });
+const sell = (timestamp, quantity, amount) => ({ type: 'sell', timestamp, quantity, amount, signature: `sell-${timestamp}` });
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('持仓成本计算', () => {
+  // 100 @1、100 @3，然后以 4 卖出 150
+  const trades = [buy(1000, 100, 100), buy(2000, 100, 300), sell(3000, 150, 600)];
+
+  test('FIFO：先卖出最早的批次', () => {
+    const result = calculateCostBasis(trades, { method: 'fifo', currentPrice: 5, now: 4000 });
+    close(result.realizedPnl, 600 - (100 * 1 + 50 * 3));
+    close(result.remainingQuantity, 50);
+    close(result.averageEntryPrice, 3);
+    close(result.unrealizedPnl, 50 * 5 - 150);
+    close(result.totalPnl, result.realizedPnl + result.unrealizedPnl);
+    assert.equal(result.lots[0].closedAt, 3000);
+    assert.equal(result.lots[0].holdingSeconds, 2000);
+    assert.equal(result.lots[1].closedAt, null);
+    assert.equal(result.lots[1].holdingSeconds, 2000);
+    // 100 个持有 2000 秒，50 个持有 1000 秒
+    close(result.avgHoldingSeconds, (100 * 2000 + 50 * 1000) / 150);
+  });
+
+  test('LIFO：先卖出最近的批次', () => {
+    const result = calculateCostBasis(trades, { method: 'lifo', currentPrice: 5 });
+    close(result.realizedPnl, 600 - (100 * 3 + 50 * 1));
+    close(result.averageEntryPrice, 1);
+    close(result.unrealizedPnl, 50 * 5 - 50);
+  });
+
+  test('加权平均：按平均成本结转', () => {
+    const result = calculateCostBasis(trades, { method: 'average', currentPrice: 5 });
+    close(result.realizedPnl, 600 - 150 * 2);
+    close(result.averageEntryPrice, 2);
+    close(result.remainingCost, 100);
+    close(result.unrealizedPnl, 250 - 100);
+  });
+
+  test('部分卖出不再把剩余持仓的成本算作亏损', () => {
+    // 旧算法：卖出 600 - 买入 400 = 200；按成本法已实现 350，剩余 50 个成本 150
+    const result = calculateCostBasis(trades, { method: 'fifo' });
+    close(result.realizedPnl, 350);
+    close(result.realizedCost, 250);
+    close(result.realizedPnlRatio, 140);
+    assert.equal(result.unrealizedPnl, null);
+    assert.equal(result.totalPnl, null);
+  });
+
+  test('卖出超过已知持仓的部分没有成本，单独记录', () => {
+    const result = calculateCostBasis([buy(1000, 10, 10), sell(2000, 30, 90)]);
+    close(result.realizedPnl, 10 * 3 - 10);
+    close(result.unmatchedSellQuantity, 20);
+    close(result.unmatchedSellAmount, 60);
+    assert.equal(result.remainingQuantity, 0);
+    assert.equal(result.unrealizedPnl, 0);
+    assert.equal(result.averageEntryPrice, null);
+  });
+
+  test('同一时间的买入先于卖出处理，乱序输入按时间排序', () => {
+    const result = calculateCostBasis([sell(1000, 10, 20), buy(1000, 10, 10)]);
+    close(result.realizedPnl, 10);
+    assert.equal(result.unmatchedSellQuantity, 0);
+    assert.equal(result.lots[0].holdingSeconds, 0);
+  });
+
+  test('timeline：每笔买卖之后的持仓数量、持仓成本和累计已实现盈亏', () => {
+    const fifo = calculateCostBasis(trades, { method: 'fifo', timeline: true }).timeline;
+    assert.deepEqual(fifo.map(entry => entry.positionQuantity), [100, 200, 50]);
+    assert.deepEqual(fifo.map(entry => entry.positionCost), [100, 400, 150]);
+    close(fifo[2].tradeRealizedPnl, 350);
+    close(fifo[2].realizedPnl, 350);
+    assert.equal(fifo[2].averageEntryPrice, 3);
+    assert.equal(fifo[2].signature, 'sell-3000');
+
+    const average = calculateCostBasis(trades, { method: 'average', timeline: true }).timeline;
+    close(average[2].positionCost, 100);
+    close(average[2].realizedPnl, 300);
+    assert.equal(calculateCostBasis(trades).timeline, undefined);
+  });
+
+  test('不支持的方法抛错', () => {
+    assert.throws(() => calculateCostBasis(trades, { method: 'hifo' }), /不支持的成本计算方法/);
+  });
+});
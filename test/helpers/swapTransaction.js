@@ -0,0 +1,87 @@
+import bs58 from 'bs58';
+import { Keypair } from '@solana/web3.js';
+
+/**
+ * 测试用：构造原始（json 编码）格式的 swap 交易
+ */
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const newAddress = () => Keypair.generate().publicKey.toBase58();
+
+export function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+// Transfer（3）；指定 mint 时为 TransferChecked（12）；指定 fee 时为 Token-2022 TransferCheckedWithFee（26/1）
+function tokenTransfer({ amount, mint, decimals = 6, fee }) {
+  if (fee !== undefined) {
+    return bs58.encode(Buffer.concat([Buffer.from([26, 1]), u64(amount), Buffer.from([decimals]), u64(fee)]));
+  }
+  if (mint) {
+    return bs58.encode(Buffer.concat([Buffer.from([12]), u64(amount), Buffer.from([decimals])]));
+  }
+  return bs58.encode(Buffer.concat([Buffer.from([3]), u64(amount)]));
+}
+
+/**
+ * 构造一笔 swap 交易：swap 指令 + 内部代币转账（+ 可选的 self-CPI 事件）
+ * @param {object} options
+ * @returns {object} 原始（json 编码）格式的交易
+ */
+export function buildSwapTransaction({
+  programId, swapAccounts, swapData, user, transfers, tokenAccounts, logMessages = [], cpiEvents = []
+}) {
+  const accountKeys = [user];
+  const indexOf = (address) => {
+    if (!accountKeys.includes(address)) accountKeys.push(address);
+    return accountKeys.indexOf(address);
+  };
+
+  const swapInstruction = {
+    programIdIndex: indexOf(programId),
+    accounts: swapAccounts.map(indexOf),
+    data: bs58.encode(swapData)
+  };
+  const innerInstructions = transfers.map(transfer => ({
+    programIdIndex: indexOf(transfer.programId || TOKEN_PROGRAM_ID),
+    accounts: transfer.mint
+      ? [transfer.source, transfer.mint, transfer.destination, transfer.authority].map(indexOf)
+      : [transfer.source, transfer.destination, transfer.authority].map(indexOf),
+    data: tokenTransfer(transfer)
+  }));
+  // Anchor emit_cpi! 事件：程序调用自身，数据为 e445a52e51cb9a1d + 事件数据
+  cpiEvents.forEach(event => innerInstructions.push({
+    programIdIndex: indexOf(programId),
+    accounts: [],
+    data: bs58.encode(Buffer.concat([Buffer.from('e445a52e51cb9a1d', 'hex'), event]))
+  }));
+
+  const balances = tokenAccounts.map(({ address, mint, owner, decimals, pre, post, programId }) => ({
+    pre: { accountIndex: indexOf(address), mint, owner, programId, uiTokenAmount: { amount: String(pre), decimals } },
+    post: { accountIndex: indexOf(address), mint, owner, programId, uiTokenAmount: { amount: String(post), decimals } }
+  }));
+
+  return {
+    transaction: {
+      message: {
+        header: { numRequiredSignatures: 1 },
+        accountKeys,
+        instructions: [swapInstruction]
+      }
+    },
+    meta: {
+      fee: 5000,
+      preBalances: accountKeys.map(() => 10000000000),
+      postBalances: accountKeys.map((key, index) => (index === 0 ? 10000000000 - 5000 : 10000000000)),
+      innerInstructions: [{ index: 0, instructions: innerInstructions }],
+      preTokenBalances: balances.map(balance => balance.pre),
+      postTokenBalances: balances.map(balance => balance.post),
+      logMessages
+    }
+  };
+}
@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeLaunch,
+  extractLaunchBuys,
+  extractSolRecipients,
+  findCreationTransaction
+} from '../services/launchAnalysis.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN = 'tokenMint';
+
+const tx = (signature, slot, accountKeys = ['payer'], preBalances = [0], postBalances = [0]) => ({
+  signature,
+  slot,
+  blockTime: 1700000000 + slot,
+  transaction: { message: { accountKeys, header: { numRequiredSignatures: 1 } }, signatures: [signature] },
+  meta: { err: null, preBalances, postBalances }
+});
+
+const buyInfo = (holderAddress, solAmount, legs) => ({
+  holderAddress,
+  type: 'buy',
+  soldToken: { mint: SOL_MINT, amount: solAmount },
+  boughtToken: { mint: TOKEN, amount: solAmount * 1000000 },
+  legs
+});
+
+const leg = (owner, mint, direction, amount) => ({ owner, mint, direction, amount, decimals: 9, isSigner: true });
+
+describe('代币发射分析', () => {
+  const transactions = [
+    tx('create', 100, ['deployer', TOKEN]),
+    tx('dev-buy', 100, ['deployer']),
+    tx('bundle', 101, ['walletA']),
+    tx('late', 110, ['walletC']),
+    tx('again', 120, ['walletA'])
+  ];
+  const tradeInfoMap = new Map([
+    ['dev-buy', buyInfo('deployer', 1)],
+    // 同一笔交易内两个钱包买入
+    ['bundle', buyInfo('walletA', 2, [
+      leg('walletA', TOKEN, 'in', 2000000),
+      leg('walletA', SOL_MINT, 'out', 2),
+      leg('walletB', TOKEN, 'in', 3000000),
+      leg('walletB', SOL_MINT, 'out', 3)
+    ])],
+    ['late', buyInfo('walletC', 0.5)],
+    ['again', buyInfo('walletA', 1)]
+  ]);
+
+  test('创建交易和部署者', () => {
+    assert.deepEqual(findCreationTransaction(transactions), {
+      slot: 100,
+      blockTime: 1700000100,
+      signature: 'create',
+      deployer: 'deployer'
+    });
+    assert.equal(findCreationTransaction([]), null);
+  });
+
+  test('提取买入，包含同一交易中其他钱包的买入', () => {
+    const buys = extractLaunchBuys(transactions, tradeInfoMap, TOKEN);
+    assert.deepEqual(buys.map(buy => [buy.buyer, buy.slot, buy.solAmount]), [
+      ['deployer', 100, 1],
+      ['walletA', 101, 2],
+      ['walletB', 101, 3],
+      ['walletC', 110, 0.5],
+      ['walletA', 120, 1]
+    ]);
+  });
+
+  test('部署者直接转出 SOL 的接收方', () => {
+    const recipients = extractSolRecipients([
+      tx('fund-c', 90, ['deployer', 'walletC', 'system'], [10e9, 0, 1], [7e9 - 5000, 3e9, 1]),
+      // 不是部署者付手续费的交易不计入
+      tx('other', 95, ['walletX', 'walletB'], [5e9, 0], [4e9, 1e9])
+    ], 'deployer');
+
+    assert.deepEqual([...recipients.keys()], ['walletC']);
+    assert.equal(recipients.get('walletC').lamports, 3e9);
+    assert.deepEqual(recipients.get('walletC').signatures, ['fund-c']);
+  });
+
+  test('标记狙击、捆绑和内部人', () => {
+    const result = analyzeLaunch({
+      creation: findCreationTransaction(transactions),
+      buys: extractLaunchBuys(transactions, tradeInfoMap, TOKEN),
+      deployerRecipients: new Map([['walletC', { lamports: 3e9, firstSlot: 90, signatures: ['fund-c'] }]]),
+      options: { firstBuyers: 3, sniperSlots: 2 }
+    });
+
+    assert.equal(result.launchSlot, 100);
+    assert.deepEqual(result.buyers.map(buyer => [buyer.walletAddress, buyer.slotOffset, buyer.flags]), [
+      ['deployer', 0, ['deployer', 'sniper', 'insider']],
+      ['walletA', 1, ['sniper', 'bundle']],
+      ['walletB', 1, ['sniper', 'bundle']]
+    ]);
+    assert.equal(result.buyers[1].sameTransaction, true);
+    assert.equal(result.buyers[1].buyCount, 2);
+    assert.equal(result.buyers[1].totalSol, 3);
+    assert.deepEqual(result.bundles, [{
+      slot: 101,
+      slotOffset: 1,
+      walletCount: 2,
+      wallets: ['walletA', 'walletB'],
+      totalSol: 5,
+      signatures: ['bundle']
+    }]);
+
+    const all = analyzeLaunch({
+      creation: findCreationTransaction(transactions),
+      buys: extractLaunchBuys(transactions, tradeInfoMap, TOKEN),
+      deployerRecipients: new Map([['walletC', { lamports: 3e9, firstSlot: 90, signatures: ['fund-c'] }]])
+    });
+    const walletC = all.buyers.find(buyer => buyer.walletAddress === 'walletC');
+    assert.deepEqual(walletC.flags, ['deployerFunded', 'insider']);
+    assert.equal(walletC.deployerFundingSol, 3);
+    assert.equal(all.summary.insiderCount, 2);
+    assert.equal(all.summary.sniperCount, 3);
+  });
+});
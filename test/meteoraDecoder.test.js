@@ -0,0 +1,143 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import {
+  METEORA_DLMM_PROGRAM_ID,
+  METEORA_DAMM_V2_PROGRAM_ID,
+  METEORA_DAMM_V2_POOL_AUTHORITY,
+  decodeMeteoraLbPair,
+  getDlmmBinPrice
+} from '../services/dexProtocols/meteoraDecoder.js';
+import { addressFilterConfig } from '../config/addressFilterConfig.js';
+import { TOKEN_PROGRAM_ID, SOL_MINT, newAddress, u64, buildSwapTransaction } from './helpers/swapTransaction.js';
+
+/**
+ * Meteora swap 解码测试（构造的原始格式交易，离线运行）
+ */
+
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+function i32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+}
+
+describe('Meteora DLMM', () => {
+  test('swap 买入：从 Swap 事件读取 bin 区间和手续费', () => {
+    const user = newAddress();
+    const lbPair = newAddress();
+    const reserveX = newAddress();
+    const reserveY = newAddress();
+    const userToken = newAddress();
+    const userWsol = newAddress();
+    const tokenMint = newAddress();
+
+    const swapEvent = Buffer.concat([
+      Buffer.from('516ce3becdd00ac4', 'hex'),
+      bs58.decode(lbPair), bs58.decode(user), i32(-120), i32(-118),
+      u64(1000000000), u64(4200000000), Buffer.from([0]),
+      u64(2000000), u64(100000), Buffer.alloc(16), u64(0)
+    ]);
+
+    const transaction = buildSwapTransaction({
+      programId: METEORA_DLMM_PROGRAM_ID,
+      swapAccounts: [
+        lbPair, newAddress(), reserveX, reserveY, userWsol, userToken, tokenMint, SOL_MINT,
+        newAddress(), newAddress(), user, TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, newAddress(), METEORA_DLMM_PROGRAM_ID
+      ],
+      swapData: Buffer.concat([Buffer.from('f8c69e91e17587c8', 'hex'), u64(1000000000), u64(1)]),
+      user,
+      transfers: [
+        { source: userWsol, destination: reserveY, authority: user, amount: 1000000000 },
+        { source: reserveX, destination: userToken, authority: lbPair, amount: 4200000000 }
+      ],
+      tokenAccounts: [
+        { address: reserveX, mint: tokenMint, owner: lbPair, decimals: 6, pre: 9000000000, post: 4800000000 },
+        { address: reserveY, mint: SOL_MINT, owner: lbPair, decimals: 9, pre: 0, post: 1000000000 },
+        { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 1000000000, post: 0 },
+        { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 0, post: 4200000000 }
+      ],
+      cpiEvents: [swapEvent]
+    });
+
+    const trade = parser.parseMeteoraTransaction(transaction);
+
+    assert.equal(trade.dex, 'meteora');
+    assert.equal(trade.source, 'meteora_decoder');
+    assert.equal(trade.type, 'buy');
+    assert.equal(trade.soldToken.amount, 1);
+    assert.equal(trade.boughtToken.amount, 4200);
+    assert.equal(trade.meteora.program, 'dlmm');
+    assert.equal(trade.meteora.poolId, lbPair);
+    assert.equal(trade.meteora.feeRate, 0.002);
+    assert.equal(trade.meteora.dlmm.startBinId, -120);
+    assert.equal(trade.meteora.dlmm.endBinId, -118);
+    assert.equal(trade.meteora.dlmm.swapForY, false);
+    assert.deepEqual(trade.pools[0].vaultOwners, [lbPair]);
+  });
+
+  test('LbPair 账户的 bin step 与 bin 价格', () => {
+    const data = Buffer.alloc(120);
+    Buffer.from('210b3162b565b10d', 'hex').copy(data, 0);
+    data.writeInt32LE(-500, 76);
+    data.writeUInt16LE(25, 80);
+
+    assert.deepEqual(decodeMeteoraLbPair(data), { activeId: -500, binStep: 25 });
+    // binId 0 的价格为 1（按精度换算）
+    assert.equal(getDlmmBinPrice(0, 25, 6, 9), 0.001);
+    assert.ok(Math.abs(getDlmmBinPrice(100, 25, 9, 9) - Math.pow(1.0025, 100)) < 1e-12);
+  });
+});
+
+describe('Meteora DAMM v2', () => {
+  test('swap 卖出：池子金库由共用 authority 持有', () => {
+    const user = newAddress();
+    const pool = newAddress();
+    const vaultA = newAddress();
+    const vaultB = newAddress();
+    const userToken = newAddress();
+    const userWsol = newAddress();
+    const tokenMint = newAddress();
+
+    const transaction = buildSwapTransaction({
+      programId: METEORA_DAMM_V2_PROGRAM_ID,
+      swapAccounts: [
+        METEORA_DAMM_V2_POOL_AUTHORITY, pool, userToken, userWsol, vaultA, vaultB, tokenMint, SOL_MINT,
+        user, TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, newAddress(), newAddress(), METEORA_DAMM_V2_PROGRAM_ID
+      ],
+      swapData: Buffer.concat([Buffer.from('f8c69e91e17587c8', 'hex'), u64(3000000), u64(1)]),
+      user,
+      transfers: [
+        { source: userToken, destination: vaultA, authority: user, amount: 3000000 },
+        { source: vaultB, destination: userWsol, authority: METEORA_DAMM_V2_POOL_AUTHORITY, amount: 250000000 }
+      ],
+      tokenAccounts: [
+        { address: vaultA, mint: tokenMint, owner: METEORA_DAMM_V2_POOL_AUTHORITY, decimals: 6, pre: 0, post: 3000000 },
+        { address: vaultB, mint: SOL_MINT, owner: METEORA_DAMM_V2_POOL_AUTHORITY, decimals: 9, pre: 500000000, post: 250000000 },
+        { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 3000000, post: 0 },
+        { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 0, post: 250000000 }
+      ]
+    });
+
+    const trade = parser.parseMeteoraTransaction(transaction);
+
+    assert.equal(trade.type, 'sell');
+    assert.equal(trade.soldToken.mint, tokenMint);
+    assert.equal(trade.soldToken.amount, 3);
+    assert.equal(trade.boughtToken.amount, 0.25);
+    assert.equal(trade.meteora.program, 'damm_v2');
+    assert.deepEqual(trade.pools[0].vaultOwners, [METEORA_DAMM_V2_POOL_AUTHORITY]);
+  });
+
+  test('地址过滤配置与注册表使用同一份 Meteora 程序 ID 和 authority', () => {
+    const meteora = parser.registry.get('meteora');
+    meteora.programIds.forEach(programId => assert.ok(addressFilterConfig.dexProgramIds.includes(programId)));
+    meteora.poolAuthorities.forEach(authority => {
+      assert.ok(addressFilterConfig.knownLiquidityPoolAddresses.includes(authority));
+    });
+    assert.ok(!meteora.programIds.some(programId => programId.includes('JqJqJq')));
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { findCandleGaps, interpolateCandlePrice, parsePriceCandlesCsv } from '../services/priceCandles.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+describe('K 线价格插值', () => {
+  const candle = { interval: '1m', openTime: 1700000040, open: 100, close: 106 };
+
+  test('K 线内部按开盘价和收盘价线性插值', () => {
+    assert.equal(interpolateCandlePrice(candle, null, 1700000040), 100);
+    assert.equal(interpolateCandlePrice(candle, null, 1700000070), 103);
+    assert.equal(interpolateCandlePrice(candle, null, 1700000100), 106);
+  });
+
+  test('两根 K 线之间的空档用前一根收盘价和后一根开盘价插值', () => {
+    const after = { interval: '1m', openTime: 1700000220, open: 112, close: 110 };
+    assert.equal(interpolateCandlePrice(candle, after, 1700000160), 109);
+  });
+
+  test('只有一侧数据时使用最近的价格，没有数据返回 null', () => {
+    assert.equal(interpolateCandlePrice(candle, null, 1700000400), 106);
+    assert.equal(interpolateCandlePrice(null, candle, 1699999000), 100);
+    assert.equal(interpolateCandlePrice(null, null, 1700000000), null);
+  });
+});
+
+describe('价格 CSV 解析', () => {
+  test('OHLCV 表头，时间支持秒、毫秒和 UTC 日期，并对齐到周期起点', () => {
+    const csv = [
+      'timestamp,open,high,low,close,volume',
+      '1700000040,100,101,99,100.5,12',
+      '1700000100000,100.5,102,100,101,8',
+      '2023-11-14 22:16:30,101,101,100,100.8,'
+    ].join('\n');
+
+    const { candles, skipped } = parsePriceCandlesCsv(csv, { mint: SOL_MINT });
+    assert.equal(skipped, 0);
+    assert.deepEqual(candles.map(c => c.openTime), [1700000040, 1700000100, 1700000160]);
+    assert.deepEqual(candles[0], {
+      mint: SOL_MINT, interval: '1m', openTime: 1700000040,
+      open: 100, high: 101, low: 99, close: 100.5, volume: 12, source: 'csv'
+    });
+    assert.equal(candles[2].volume, null);
+  });
+
+  test('只有价格列时 OHLC 相同，行内的 mint / interval 优先于默认值', () => {
+    const csv = [
+      'time,price,mint,interval',
+      '1700000000,0.9998,' + USDC + ',1H',
+      '1700003600,150.2,,'
+    ].join('\n');
+
+    const { candles } = parsePriceCandlesCsv(csv, { mint: SOL_MINT, interval: '1m', source: 'import' });
+    assert.equal(candles[0].mint, USDC);
+    assert.equal(candles[0].interval, '1H');
+    assert.equal(candles[0].openTime, 1699999200);
+    assert.equal(candles[0].high, 0.9998);
+    assert.equal(candles[1].mint, SOL_MINT);
+    assert.equal(candles[1].interval, '1m');
+    assert.equal(candles[1].source, 'import');
+  });
+
+  test('无效行计入 skipped，缺少必要列时抛错', () => {
+    const csv = 'time,close\nabc,100\n1700000000,0\n1700000000,\n1700000060,99';
+    const { candles, skipped } = parsePriceCandlesCsv(csv, { mint: SOL_MINT });
+    assert.equal(candles.length, 1);
+    assert.equal(skipped, 3);
+
+    assert.throws(() => parsePriceCandlesCsv('open,high\n1,2', { mint: SOL_MINT }), /缺少时间列/);
+  });
+});
+
+describe('K 线缺口', () => {
+  test('相邻 K 线和范围两端间隔超过 maxGap 时需要回补', () => {
+    assert.deepEqual(findCandleGaps([1060, 1120, 3000, 3060], 1000, 5000, 1800), [
+      { from: 1120, to: 3000 },
+      { from: 3060, to: 5000 }
+    ]);
+    assert.deepEqual(findCandleGaps([], 0, 600, 1800), []);
+    assert.deepEqual(findCandleGaps([], 0, 4000, 1800), [{ from: 0, to: 4000 }]);
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import { decodePumpEvent, decodePumpInstruction, PUMP_FUN_PROGRAM_ID } from '../services/dexProtocols/pumpFunDecoder.js';
+
+/**
+ * Pump.fun / PumpSwap 指令与事件解码测试（使用 交易详情json/ 中的原始交易，离线运行）
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '..', '交易详情json');
+
+function loadFixture(fileName) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8'));
+}
+
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+describe('PumpSwap AMM 解码', () => {
+  test('买入（buy_exact_quote_in）解码出池子、手续费和实际支付的 SOL', () => {
+    const activity = parser.decodePumpFun(loadFixture('pump-买入签名.json'));
+
+    assert.deepEqual(activity.instructions.map(ix => ix.name), ['buy_exact_quote_in']);
+    assert.equal(activity.trades.length, 1);
+
+    const [trade] = activity.trades;
+    assert.equal(trade.side, 'buy');
+    assert.equal(trade.user, 'FTg1gqW7vPm4kdU1LPM7JJnizbgPdRDy2PitKw6mY27j');
+    assert.equal(trade.mint, 'a3W4qutoEJA4232T2gwZUfgYJTetr96pU4SJMwppump');
+    assert.equal(trade.pool, '4qxSqMh6iEdbdvtMp8r5MK2psAGKNk57PfGeVo2VhczQ');
+    assert.equal(trade.creator, 'FPrWHsHS2SVqSpCZrsdqfiND2un8d4rQN1tNQJ8febNs');
+    assert.equal(trade.tokenAmount, 15503276313573);
+    // 实际支付 = 成交金额 + LP 费 + 协议费 + 创作者费
+    assert.equal(trade.userQuoteAmount, 29700000000);
+    assert.equal(
+      trade.quoteAmount + trade.fees.lpFee + trade.fees.protocolFee + trade.fees.creatorFee,
+      trade.userQuoteAmount
+    );
+  });
+
+  test('卖出解码出扣除手续费后的净收入', () => {
+    const activity = parser.decodePumpFun(loadFixture('pump-卖出签名.json'));
+    const [trade] = activity.trades;
+
+    assert.equal(trade.side, 'sell');
+    assert.equal(trade.tokenAmount, 544696469362);
+    assert.equal(trade.quoteAmount, 472800923);
+    assert.equal(trade.userQuoteAmount, 467127311);
+    assert.equal(
+      trade.quoteAmount - trade.fees.lpFee - trade.fees.protocolFee - trade.fees.creatorFee,
+      trade.userQuoteAmount
+    );
+  });
+
+  test('同一用户卖出 A 再买入 B 时解码出两笔成交', () => {
+    const activity = parser.decodePumpFun(loadFixture('jup-holder-异常.json'));
+    assert.deepEqual(activity.trades.map(trade => trade.side), ['sell', 'buy']);
+  });
+
+  test('非 Pump 交易不产生解码结果', () => {
+    const activity = parser.decodePumpFun({ transaction: { message: { accountKeys: [], instructions: [] } }, meta: {} });
+    assert.deepEqual(activity, { instructions: [], events: [], trades: [] });
+  });
+});
+
+describe('联合曲线解码', () => {
+  test('buy 指令参数和账户', () => {
+    const data = Buffer.alloc(24);
+    Buffer.from('66063d1201daebea', 'hex').copy(data, 0);
+    data.writeBigUInt64LE(1000000n, 8);
+    data.writeBigUInt64LE(5000n, 16);
+    const accounts = ['global', 'feeRecipient', 'mint', 'curve', 'curveAta', 'userAta', 'user'];
+
+    const decoded = decodePumpInstruction(PUMP_FUN_PROGRAM_ID, accounts, data);
+
+    assert.equal(decoded.program, 'bonding_curve');
+    assert.equal(decoded.name, 'buy');
+    assert.deepEqual(decoded.args, { amount: 1000000, maxSolCost: 5000 });
+    assert.equal(decoded.accounts.mint, 'mint');
+    assert.equal(decoded.accounts.user, 'user');
+  });
+
+  test('TradeEvent 兼容不带手续费字段的旧版本', () => {
+    const pubkey = Buffer.alloc(32, 1);
+    const u64 = (value) => {
+      const buffer = Buffer.alloc(8);
+      buffer.writeBigUInt64LE(BigInt(value));
+      return buffer;
+    };
+    const data = Buffer.concat([
+      Buffer.from('bddb7fd34ee661ee', 'hex'),
+      pubkey, u64(2000000000), u64(123456789), Buffer.from([1]), pubkey,
+      u64(1700000000), u64(30), u64(1073), u64(0), u64(793)
+    ]);
+
+    const event = decodePumpEvent(data);
+
+    assert.equal(event.name, 'TradeEvent');
+    assert.equal(event.isBuy, true);
+    assert.equal(event.solAmount, 2000000000);
+    assert.equal(event.tokenAmount, 123456789);
+    assert.equal(event.fee, 0);
+    assert.equal(event.creator, null);
+  });
+});
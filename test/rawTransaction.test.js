@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bs58 from 'bs58';
+import { Connection, Keypair, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import {
+  decodeSerializedTransaction,
+  loadRawTransaction,
+  normalizeRpcTransaction,
+  RawTransactionError
+} from '../services/rawTransactionLoader.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '..', '交易详情json');
+const loadFixture = (fileName) => JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8'));
+
+// 连接只用于构造解析器，测试中不会发起请求
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+function buildTransferTransaction() {
+  const payer = Keypair.generate();
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: bs58.encode(Buffer.alloc(32, 1)),
+    instructions: [SystemProgram.transfer({
+      fromPubkey: payer.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1000
+    })]
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([payer]);
+  return transaction;
+}
+
+describe('rawTransactionLoader', () => {
+  test('粘贴的 JSON-RPC 响应离线解析结果与按签名解析一致', async () => {
+    const fixture = loadFixture('pump-买入签名.json');
+    const { signature, transaction, simulated } = await loadRawTransaction(
+      JSON.stringify({ jsonrpc: '2.0', id: 1, result: fixture }),
+      { offline: true }
+    );
+
+    assert.equal(simulated, false);
+    assert.equal(signature, fixture.transaction.signatures[0]);
+    assert.equal(transaction.slot, fixture.slot);
+
+    const { dexType, tradeInfo } = await parser.parseLocalTransaction(transaction, { resolveOnChain: false });
+    const expected = parser.parseByDex(fixture, parser.identifyDEX(fixture));
+    assert.equal(dexType, 'pump_fun');
+    assert.equal(tradeInfo.type, 'buy');
+    assert.equal(tradeInfo.holderAddress, expected.holderAddress);
+    assert.equal(tradeInfo.boughtToken.amount, expected.boughtToken.amount);
+  });
+
+  test('transaction 为 [base64, encoding] 时解码为 json 结构', () => {
+    const versioned = buildTransferTransaction();
+    const encoded = Buffer.from(versioned.serialize()).toString('base64');
+    const normalized = normalizeRpcTransaction({
+      slot: 1,
+      blockTime: 1700000000,
+      transaction: [encoded, 'base64'],
+      meta: { fee: 5000, preBalances: [], postBalances: [] }
+    });
+
+    const { message } = normalized.transaction;
+    assert.equal(normalized.transaction.signatures[0], bs58.encode(versioned.signatures[0]));
+    assert.deepEqual(message.accountKeys, versioned.message.staticAccountKeys.map(key => key.toBase58()));
+    assert.equal(message.instructions.length, 1);
+    assert.equal(message.accountKeys[message.instructions[0].programIdIndex], SystemProgram.programId.toBase58());
+  });
+
+  test('自动识别 base58 / base64 编码', () => {
+    const bytes = buildTransferTransaction().serialize();
+    assert.equal(decodeSerializedTransaction(bs58.encode(bytes)).encoding, 'base58');
+    assert.equal(decodeSerializedTransaction(Buffer.from(bytes).toString('base64')).encoding, 'base64');
+    assert.throws(() => decodeSerializedTransaction('not-a-transaction'), RawTransactionError);
+  });
+
+  test('离线模式下序列化交易和缺少 meta 的交易报错', async () => {
+    const encoded = Buffer.from(buildTransferTransaction().serialize()).toString('base64');
+    await assert.rejects(loadRawTransaction(encoded, { offline: true }), RawTransactionError);
+    await assert.rejects(loadRawTransaction({ transaction: { message: {} } }), /meta/);
+    // Helius 增强交易没有原始指令和余额
+    await assert.rejects(loadRawTransaction(loadFixture('helius-地址-swpp-详情.json')), RawTransactionError);
+  });
+});
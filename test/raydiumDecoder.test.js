@@ -0,0 +1,156 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import {
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  RAYDIUM_CLMM_PROGRAM_ID,
+  RAYDIUM_CPMM_PROGRAM_ID,
+  decodeRaydiumAmmConfig
+} from '../services/dexProtocols/raydiumDecoder.js';
+import { TOKEN_PROGRAM_ID, SOL_MINT, newAddress, u64, buildSwapTransaction } from './helpers/swapTransaction.js';
+
+/**
+ * Raydium swap 解码测试（构造的原始格式交易，离线运行）
+ */
+
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+describe('Raydium AMM v4', () => {
+  test('swap_base_in_v2 买入：池子 ID、精确输入输出和 0.25% 费率', () => {
+    const user = newAddress();
+    const amm = newAddress();
+    const authority = newAddress();
+    const coinVault = newAddress();
+    const pcVault = newAddress();
+    const userWsol = newAddress();
+    const userToken = newAddress();
+    const tokenMint = newAddress();
+
+    const transaction = buildSwapTransaction({
+      programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+      swapAccounts: [TOKEN_PROGRAM_ID, amm, authority, coinVault, pcVault, userWsol, userToken, user],
+      swapData: Buffer.concat([Buffer.from([16]), u64(2000000000), u64(1)]),
+      user,
+      transfers: [
+        { source: userWsol, destination: pcVault, authority: user, amount: 2000000000 },
+        { source: coinVault, destination: userToken, authority, amount: 123456789000 }
+      ],
+      tokenAccounts: [
+        { address: coinVault, mint: tokenMint, owner: authority, decimals: 6, pre: 1000000000000, post: 876543211000 },
+        { address: pcVault, mint: SOL_MINT, owner: authority, decimals: 9, pre: 50000000000, post: 52000000000 },
+        { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 2000000000, post: 0 },
+        { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 0, post: 123456789000 }
+      ]
+    });
+
+    const trade = parser.parseRaydiumTransaction(transaction);
+
+    assert.equal(trade.source, 'raydium_decoder');
+    assert.equal(trade.type, 'buy');
+    assert.equal(trade.holderAddress, user);
+    assert.deepEqual(trade.soldToken, { mint: SOL_MINT, symbol: 'SOL', amount: 2, decimals: 9 });
+    assert.deepEqual(trade.boughtToken, { mint: tokenMint, symbol: 'Token', amount: 123456.789, decimals: 6 });
+    assert.equal(trade.raydium.program, 'amm_v4');
+    assert.equal(trade.raydium.poolId, amm);
+    assert.equal(trade.raydium.feeTierBps, 25);
+    assert.deepEqual(trade.pools, [{
+      address: amm,
+      dex: 'raydium_amm_v4',
+      mints: [SOL_MINT, tokenMint],
+      vaultOwners: [authority]
+    }]);
+  });
+});
+
+describe('Raydium CLMM', () => {
+  test('swap_v2 卖出：从 SwapEvent 读取 tick 和 sqrt price', () => {
+    const user = newAddress();
+    const ammConfig = newAddress();
+    const pool = newAddress();
+    const userToken = newAddress();
+    const userWsol = newAddress();
+    const tokenVault = newAddress();
+    const wsolVault = newAddress();
+    const tokenMint = newAddress();
+    const sqrtPriceX64 = 18446744073709551616n * 3n;
+
+    const swapData = Buffer.concat([
+      Buffer.from('2b04ed0b1ac91e62', 'hex'),
+      u64(5000000), u64(1), Buffer.alloc(16), Buffer.from([1])
+    ]);
+    const sqrtPrice = Buffer.alloc(16);
+    sqrtPrice.writeBigUInt64LE(sqrtPriceX64 & 0xffffffffffffffffn, 0);
+    sqrtPrice.writeBigUInt64LE(sqrtPriceX64 >> 64n, 8);
+    const tick = Buffer.alloc(4);
+    tick.writeInt32LE(-12345);
+    const swapEvent = Buffer.concat([
+      Buffer.from('40c6cde8260871e2', 'hex'),
+      bs58.decode(pool), bs58.decode(user), bs58.decode(userToken), bs58.decode(userWsol),
+      u64(5000000), u64(0), u64(700000000), u64(0), Buffer.from([1]),
+      sqrtPrice, Buffer.alloc(16), tick
+    ]);
+
+    const transaction = buildSwapTransaction({
+      programId: RAYDIUM_CLMM_PROGRAM_ID,
+      swapAccounts: [
+        user, ammConfig, pool, userToken, userWsol, tokenVault, wsolVault, newAddress(),
+        TOKEN_PROGRAM_ID, newAddress(), newAddress(), tokenMint, SOL_MINT
+      ],
+      swapData,
+      user,
+      transfers: [
+        { source: userToken, destination: tokenVault, authority: user, amount: 5000000 },
+        { source: wsolVault, destination: userWsol, authority: pool, amount: 700000000 }
+      ],
+      tokenAccounts: [
+        { address: tokenVault, mint: tokenMint, owner: pool, decimals: 6, pre: 0, post: 5000000 },
+        { address: wsolVault, mint: SOL_MINT, owner: pool, decimals: 9, pre: 1000000000, post: 300000000 },
+        { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 5000000, post: 0 },
+        { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 0, post: 700000000 }
+      ],
+      logMessages: [
+        `Program ${RAYDIUM_CLMM_PROGRAM_ID} invoke [1]`,
+        'Program log: Instruction: SwapV2',
+        `Program data: ${swapEvent.toString('base64')}`,
+        `Program ${RAYDIUM_CLMM_PROGRAM_ID} success`
+      ]
+    });
+
+    const trade = parser.parseRaydiumTransaction(transaction);
+
+    assert.equal(trade.type, 'sell');
+    assert.equal(trade.soldToken.amount, 5);
+    assert.equal(trade.boughtToken.amount, 0.7);
+    assert.equal(trade.raydium.program, 'clmm');
+    assert.equal(trade.raydium.ammConfig, ammConfig);
+    // CLMM 费率需要读取 AmmConfig 账户
+    assert.equal(trade.raydium.feeTierBps, null);
+    assert.equal(trade.raydium.clmm.tick, -12345);
+    assert.equal(trade.raydium.clmm.sqrtPriceX64, sqrtPriceX64.toString());
+  });
+});
+
+describe('AmmConfig 解码', () => {
+  test('CPMM 交易费率（分母 1e6）', () => {
+    const data = Buffer.concat([
+      Buffer.from('daf42168cbcb2b6f', 'hex'),
+      Buffer.from([255, 0]), Buffer.from([1, 0]),
+      u64(2500), u64(120000), u64(40000), u64(150000000)
+    ]);
+
+    const config = decodeRaydiumAmmConfig('cpmm', data);
+
+    assert.equal(config.tradeFeeRate, 2500);
+    assert.equal(config.feeRate, 0.0025);
+  });
+
+  test('非 Raydium 交易不走解码路径', () => {
+    const trade = parser.parseRaydiumTransaction({
+      transaction: { message: { header: { numRequiredSignatures: 1 }, accountKeys: [newAddress(), RAYDIUM_CPMM_PROGRAM_ID], instructions: [] } },
+      meta: { preBalances: [], postBalances: [], preTokenBalances: [], postTokenBalances: [], innerInstructions: [] }
+    });
+    assert.equal(trade, null);
+  });
+});
@@ -0,0 +1,63 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTradeInfoInsertWithSignature, planTradeLegIndexMigration, tradeInfoLegKey } from '../db/solTradeInfoMapper.js';
+
+const trade = (addr, splAddr, type = 1) => ({
+  addr,
+  splTag: 'TKN',
+  splAddr,
+  type,
+  solAmount: 1,
+  splAmount: 1000,
+  tradeAt: 1700000000,
+  signature: 'bundleSig'
+});
+
+describe('tbl_sol_trade_info 交易腿保存', () => {
+  test('同一笔交易的两条腿保存为两行', () => {
+    const legs = [trade('walletA', 'tokenX'), trade('walletB', 'tokenX')];
+    const { sql, params, rowCount } = buildTradeInfoInsertWithSignature(legs);
+
+    assert.equal(rowCount, 2);
+    assert.match(sql, /INSERT IGNORE INTO tbl_sol_trade_info/);
+    assert.equal(params.filter(param => param === 'bundleSig').length, 2);
+    assert.ok(params.includes('walletA'));
+    assert.ok(params.includes('walletB'));
+    assert.notEqual(tradeInfoLegKey(legs[0]), tradeInfoLegKey(legs[1]));
+  });
+
+  test('同一钱包买入多个代币、买卖方向不同都分别保存，重复的腿只保留一行', () => {
+    const { rowCount } = buildTradeInfoInsertWithSignature([
+      trade('walletA', 'tokenX'),
+      trade('walletA', 'tokenY'),
+      trade('walletA', 'tokenX', 2),
+      trade('walletA', 'tokenX')
+    ]);
+    assert.equal(rowCount, 3);
+  });
+
+  test('只有 signature 的唯一索引需要替换为 uk_trade_leg', () => {
+    const plan = planTradeLegIndexMigration([
+      { indexName: 'PRIMARY', nonUnique: 0, columnName: 'id', seq: 1 },
+      { indexName: 'idx_signature', nonUnique: 0, columnName: 'signature', seq: 1 },
+      { indexName: 'idx_spl_addr', nonUnique: 1, columnName: 'spl_addr', seq: 1 }
+    ]);
+    assert.equal(plan.ok, false);
+    assert.deepEqual(plan.signatureIndexes, ['idx_signature']);
+    assert.equal(plan.statement,
+      'ALTER TABLE tbl_sol_trade_info DROP INDEX `idx_signature`, ADD UNIQUE KEY uk_trade_leg (signature, addr, spl_addr, type)');
+  });
+
+  test('已经有交易腿唯一索引时不需要迁移', () => {
+    const legIndex = ['type', 'signature', 'spl_addr', 'addr'].map((columnName, i) => ({
+      indexName: 'uk_trade_leg', nonUnique: 0, columnName, seq: [4, 1, 3, 2][i]
+    }));
+    const plan = planTradeLegIndexMigration([
+      { indexName: 'PRIMARY', nonUnique: 0, columnName: 'id', seq: 1 },
+      { indexName: 'idx_signature', nonUnique: 1, columnName: 'signature', seq: 1 },
+      ...legIndex
+    ]);
+    assert.equal(plan.ok, true);
+    assert.equal(plan.statement, null);
+  });
+});
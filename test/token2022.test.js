@@ -0,0 +1,123 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import { RAYDIUM_AMM_V4_PROGRAM_ID } from '../services/dexProtocols/raydiumDecoder.js';
+import { normalizeMintExtensions, calculateTransferFee } from '../services/dexProtocols/splToken.js';
+import {
+  TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, SOL_MINT, newAddress, u64, buildSwapTransaction
+} from './helpers/swapTransaction.js';
+
+/**
+ * Token-2022 转账手续费和 mint 扩展测试
+ */
+
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+describe('Token-2022 mint 扩展', () => {
+  test('jsonParsed 和 DAS 两种结构统一为同一格式', () => {
+    const fromRpc = normalizeMintExtensions([
+      {
+        extension: 'transferFeeConfig',
+        state: {
+          newerTransferFee: { epoch: 600, maximumFee: 5000000, transferFeeBasisPoints: 100 },
+          olderTransferFee: { epoch: 500, maximumFee: 5000000, transferFeeBasisPoints: 50 },
+          withheldAmount: 42
+        }
+      },
+      { extension: 'interestBearingConfig', state: { currentRate: 250 } },
+      { extension: 'metadataPointer', state: {} }
+    ]);
+    const fromDas = normalizeMintExtensions({
+      transfer_fee_config: {
+        newer_transfer_fee: { epoch: 600, maximum_fee: 5000000, transfer_fee_basis_points: 100 },
+        older_transfer_fee: { epoch: 500, maximum_fee: 5000000, transfer_fee_basis_points: 50 },
+        withheld_amount: 42
+      },
+      interest_bearing_config: { current_rate: 250 },
+      metadata_pointer: {}
+    });
+
+    assert.deepEqual(fromRpc.names, ['transferFeeConfig', 'interestBearingConfig', 'metadataPointer']);
+    assert.deepEqual(fromDas, fromRpc);
+    assert.equal(fromRpc.transferFeeConfig.newerTransferFee.transferFeeBasisPoints, 100);
+    assert.equal(fromRpc.interestBearingConfig.currentRate, 250);
+  });
+
+  test('转账手续费向上取整、不超过上限，并按 epoch 选择费率', () => {
+    const { transferFeeConfig } = normalizeMintExtensions([{
+      extension: 'transferFeeConfig',
+      state: {
+        newerTransferFee: { epoch: 600, maximumFee: 1000, transferFeeBasisPoints: 100 },
+        olderTransferFee: { epoch: 0, maximumFee: 1000, transferFeeBasisPoints: 50 }
+      }
+    }]);
+
+    assert.equal(calculateTransferFee(transferFeeConfig, 10001, 600), 101);
+    assert.equal(calculateTransferFee(transferFeeConfig, 10001, 599), 51);
+    assert.equal(calculateTransferFee(transferFeeConfig, 10000000, 600), 1000);
+    assert.equal(calculateTransferFee(null, 10000), 0);
+  });
+});
+
+function buildToken2022Buy({ declareFee }) {
+  const user = newAddress();
+  const amm = newAddress();
+  const authority = newAddress();
+  const coinVault = newAddress();
+  const pcVault = newAddress();
+  const userWsol = newAddress();
+  const userToken = newAddress();
+  const tokenMint = newAddress();
+
+  const transaction = buildSwapTransaction({
+    programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+    swapAccounts: [TOKEN_PROGRAM_ID, amm, authority, coinVault, pcVault, userWsol, userToken, user],
+    swapData: Buffer.concat([Buffer.from([16]), u64(1000000000), u64(1)]),
+    user,
+    transfers: [
+      { source: userWsol, destination: pcVault, authority: user, amount: 1000000000 },
+      {
+        source: coinVault,
+        destination: userToken,
+        authority,
+        mint: tokenMint,
+        amount: 1000000000,
+        programId: TOKEN_2022_PROGRAM_ID,
+        ...(declareFee ? { fee: 10000000 } : {})
+      }
+    ],
+    tokenAccounts: [
+      { address: coinVault, mint: tokenMint, owner: authority, decimals: 6, pre: 5000000000, post: 4000000000, programId: TOKEN_2022_PROGRAM_ID },
+      { address: pcVault, mint: SOL_MINT, owner: authority, decimals: 9, pre: 50000000000, post: 51000000000, programId: TOKEN_PROGRAM_ID },
+      { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 1000000000, post: 0, programId: TOKEN_PROGRAM_ID },
+      // 1% 转账手续费扣留在用户的代币账户中，余额只增加 990
+      { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 0, post: 990000000, programId: TOKEN_2022_PROGRAM_ID }
+    ]
+  });
+
+  return { transaction, user };
+}
+
+describe('Token-2022 转账手续费', () => {
+  test('TransferCheckedWithFee：按声明的手续费给出总额、扣留手续费和净额', () => {
+    const { transaction, user } = buildToken2022Buy({ declareFee: true });
+    const trade = parser.parseByDex(transaction, parser.identifyDEX(transaction));
+
+    assert.equal(trade.holderAddress, user);
+    assert.equal(trade.boughtToken.tokenProgram, 'token-2022');
+    assert.deepEqual(trade.boughtToken.transferFee, { grossAmount: 1000, withheldFee: 10, netAmount: 990 });
+    assert.equal(trade.boughtToken.amount, 990);
+    assert.equal(trade.price, 1 / 990);
+    // SOL 侧是普通 SPL 代币，不补充手续费信息
+    assert.equal(trade.soldToken.transferFee, undefined);
+  });
+
+  test('TransferChecked：没有声明手续费时按接收账户的余额变化推算', () => {
+    const { transaction } = buildToken2022Buy({ declareFee: false });
+    const trade = parser.parseByDex(transaction, parser.identifyDEX(transaction));
+
+    assert.deepEqual(trade.boughtToken.transferFee, { grossAmount: 1000, withheldFee: 10, netAmount: 990 });
+    assert.equal(trade.boughtToken.amount, 990);
+  });
+});
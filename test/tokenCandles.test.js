@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateTradeCandles, extractCandleTrades, toTradePoint } from '../services/tokenCandles.js';
+
+const MINT = 'a3W4qutoEJA4232T2gwZUfgYJTetr96pU4SJMwppump';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const trade = (tradeTime, type, solAmount, splAmount, usdAmount = null) => ({ tradeTime, type, solAmount, splAmount, usdAmount });
+
+describe('代币 K 线聚合', () => {
+  const rows = [
+    trade(1700000000, 1, 1, 1000, 150),
+    trade(1700000010, 1, 3, 1000, 450),
+    trade(1700000030, 2, 0.5, 1000, 75),
+    trade(1700000059, 1, 2, 1000),
+    trade(1700000065, 2, 4, 2000)
+  ];
+
+  test('按周期聚合 OHLC、成交额和买卖笔数', () => {
+    const candles = aggregateTradeCandles(rows, '1m', MINT);
+    assert.equal(candles.length, 2);
+
+    const [first, second] = candles;
+    assert.equal(first.openTime, 1699999980);
+    assert.equal(first.open, 0.001);
+    assert.equal(first.close, 0.0005);
+    assert.equal(first.high, 0.003);
+    assert.equal(first.low, 0.0005);
+    assert.equal(second.openTime, 1700000040);
+    assert.equal(second.open, 0.002);
+    assert.equal(second.close, 0.002);
+  });
+
+  test('买卖成交额分开统计，USD 成交额只累加有值的交易', () => {
+    const [first, second] = aggregateTradeCandles(rows, '1m', MINT);
+    assert.equal(first.buyVolumeSol, 4);
+    assert.equal(first.sellVolumeSol, 0.5);
+    assert.equal(first.volumeSol, 4.5);
+    assert.equal(first.volumeToken, 3000);
+    assert.equal(first.volumeUsd, 675);
+    assert.equal(first.buyCount, 2);
+    assert.equal(first.sellCount, 1);
+    assert.equal(first.tradeCount, 3);
+
+    assert.equal(second.volumeUsd, null);
+    assert.equal(second.tradeCount, 2);
+  });
+
+  test('周期越大合并越多，1h 只有一根 K 线', () => {
+    assert.equal(aggregateTradeCandles(rows, '1s', MINT).length, 5);
+    assert.equal(aggregateTradeCandles(rows, '5m', MINT).length, 1);
+    const [hour] = aggregateTradeCandles(rows, '1h', MINT);
+    assert.equal(hour.openTime, 1699999200);
+    assert.equal(hour.tradeCount, 5);
+    assert.equal(hour.mint, MINT);
+    assert.equal(hour.interval, '1h');
+  });
+
+  test('没有 SOL 金额的代币换代币交易和未知类型不参与聚合', () => {
+    assert.equal(toTradePoint(trade(1700000000, 1, 0, 1000)), null);
+    assert.equal(toTradePoint(trade(1700000000, 3, 1, 1000)), null);
+    assert.equal(toTradePoint(trade(null, 1, 1, 1000)), null);
+    assert.deepEqual(toTradePoint(trade('1700000000', '2', '0.5', '250.5')), {
+      time: 1700000000, price: 0.5 / 250.5, side: 'sell', solAmount: 0.5, tokenAmount: 250.5, usdAmount: null
+    });
+  });
+
+  test('不支持的周期抛错', () => {
+    assert.throws(() => aggregateTradeCandles(rows, '15m', MINT), /不支持的 K 线周期/);
+  });
+});
+
+describe('K 线输入：同步交易中提取的 SOL 买卖', () => {
+  const leg = (owner, mint, direction, amount) => ({ owner, mint, direction, amount, decimals: mint === SOL_MINT ? 9 : 6, isSigner: true });
+  const tx = (signature, blockTime) => ({ signature, slot: 100, blockTime, meta: { err: null } });
+
+  test('买入和卖出都记录，不做金额阈值过滤，代币换代币不记录', () => {
+    const tradeInfo = {
+      holderAddress: 'walletA',
+      type: 'buy',
+      soldToken: { mint: SOL_MINT, amount: 0.01 },
+      boughtToken: { mint: MINT, amount: 10 },
+      solUsdPrice: 150,
+      legs: [
+        leg('walletA', SOL_MINT, 'out', 0.01),
+        leg('walletA', MINT, 'in', 10),
+        leg('walletB', MINT, 'out', 2000),
+        leg('walletB', SOL_MINT, 'in', 1),
+        leg('walletC', MINT, 'out', 50),
+        leg('walletC', 'otherMint', 'in', 5)
+      ]
+    };
+
+    const trades = extractCandleTrades(tx('sig1', 1700000000), tradeInfo, MINT, SOL_MINT);
+    assert.deepEqual(trades.map(trade => [trade.addr, trade.type, trade.solAmount, trade.tokenAmount, trade.usdAmount]), [
+      ['walletA', 1, 0.01, 10, 1.5],
+      ['walletB', 2, 1, 2000, 150]
+    ]);
+    assert.equal(trades[0].tradeTime, 1700000000);
+    assert.equal(trades[0].signature, 'sig1');
+
+    // 聚合后卖出成交额和笔数有值
+    const [candle] = aggregateTradeCandles(trades, '1m', MINT);
+    assert.equal(candle.buyCount, 1);
+    assert.equal(candle.sellCount, 1);
+    assert.equal(candle.sellVolumeSol, 1);
+    assert.equal(candle.close, 1 / 2000);
+  });
+
+  test('失败、没有解析结果或没有区块时间的交易不记录', () => {
+    const tradeInfo = { holderAddress: 'walletA', type: 'buy', soldToken: { mint: SOL_MINT, amount: 1 }, boughtToken: { mint: MINT, amount: 10 } };
+    assert.deepEqual(extractCandleTrades(tx('sig1', 1700000000), null, MINT, SOL_MINT), []);
+    assert.deepEqual(extractCandleTrades(tx('sig1', null), tradeInfo, MINT, SOL_MINT), []);
+    assert.deepEqual(extractCandleTrades({ ...tx('sig1', 1700000000), meta: { err: {} } }, tradeInfo, MINT, SOL_MINT), []);
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import {
+  extractDeployerActivity,
+  findCreatedMints,
+  findDeployerCreatedMints,
+  normalizeAssetAuthorities,
+  summarizeDeployerActivity
+} from '../services/tokenDeployer.js';
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const AUTHORITY = '11111111111111111111111111111112';
+const TOKEN = 'tokenMint';
+
+// InitializeMint2：decimals 6，mint 权限 AUTHORITY，没有 freeze 权限
+const initializeMint2Data = () => bs58.encode(Buffer.concat([Buffer.from([20, 6]), Buffer.from(bs58.decode(AUTHORITY)), Buffer.from([0])]));
+
+const balance = (owner, mint, uiAmount) => ({ owner, mint, uiTokenAmount: { uiAmountString: String(uiAmount), decimals: 6 } });
+
+const tx = (signature, slot, { accountKeys = ['deployer'], pre = [], post = [], instructions = [], inner = [] } = {}) => ({
+  signature,
+  slot,
+  blockTime: 1700000000 + slot,
+  transaction: { message: { accountKeys, header: { numRequiredSignatures: 1 }, instructions }, signatures: [signature] },
+  meta: {
+    err: null,
+    preTokenBalances: pre,
+    postTokenBalances: post,
+    innerInstructions: inner
+  }
+});
+
+describe('代币部署者追踪', () => {
+  test('整理 getAsset 的权限信息', () => {
+    assert.deepEqual(normalizeAssetAuthorities({
+      authorities: [{ address: 'updater', scopes: ['full'] }],
+      token_info: { mint_authority: 'minter' },
+      mutable: false
+    }), {
+      updateAuthority: 'updater',
+      mintAuthority: 'minter',
+      freezeAuthority: null,
+      mintAuthorityRevoked: false,
+      freezeAuthorityRevoked: true,
+      mutable: false
+    });
+    assert.equal(normalizeAssetAuthorities(null).mintAuthorityRevoked, true);
+  });
+
+  test('从内部指令识别创建的代币，只统计部署者付手续费的交易', () => {
+    const creation = tx('create', 100, {
+      accountKeys: ['deployer', 'newMint', TOKEN_PROGRAM, 'launchpad'],
+      instructions: [{ programIdIndex: 3, accounts: [0, 1], data: '' }],
+      inner: [{ index: 0, instructions: [{ programIdIndex: 2, accounts: [1], data: initializeMint2Data() }] }]
+    });
+    assert.deepEqual(findCreatedMints(creation), [{ mint: 'newMint', decimals: 6, mintAuthority: AUTHORITY }]);
+
+    const other = tx('other', 101, {
+      accountKeys: ['someone', 'otherMint', TOKEN_PROGRAM],
+      instructions: [{ programIdIndex: 2, accounts: [1], data: initializeMint2Data() }]
+    });
+    assert.deepEqual(findDeployerCreatedMints([creation, other], 'deployer'), [
+      { mint: 'newMint', decimals: 6, slot: 100, blockTime: 1700000100, signature: 'create' }
+    ]);
+  });
+
+  test('提取部署者的买卖、转出和铸造', () => {
+    const transactions = [
+      tx('minted', 100, { post: [balance('deployer', TOKEN, 1000)] }),
+      tx('sold', 101),
+      tx('sent', 102, {
+        pre: [balance('deployer', TOKEN, 600)],
+        post: [balance('deployer', TOKEN, 400), balance('friend', TOKEN, 200)]
+      }),
+      tx('other-token', 103, { post: [balance('deployer', 'otherMint', 50)] })
+    ];
+    const tradeInfoMap = new Map([
+      ['sold', {
+        holderAddress: 'deployer',
+        type: 'sell',
+        soldToken: { mint: TOKEN, amount: 400 },
+        boughtToken: { mint: SOL_MINT, amount: 2 }
+      }]
+    ]);
+
+    const activity = extractDeployerActivity(transactions, tradeInfoMap, 'deployer', [TOKEN]);
+    assert.deepEqual(activity.map(item => [item.signature, item.type, item.tokenAmount, item.solAmount, item.counterparty]), [
+      ['minted', 'mint', 1000, null, null],
+      ['sold', 'sell', 400, 2, null],
+      ['sent', 'transfer_out', 200, null, 'friend']
+    ]);
+
+    const summary = summarizeDeployerActivity(activity, { supply: 10000 });
+    assert.equal(summary.acquired, 1000);
+    assert.equal(summary.sold, 400);
+    assert.equal(summary.soldPercent, 40);
+    assert.equal(summary.soldSupplyPercent, 4);
+    assert.equal(summary.transferredOutPercent, 20);
+    assert.equal(summary.remaining, 400);
+    assert.equal(summary.solReceived, 2);
+    assert.equal(summary.firstSellTime, 1700000101);
+    assert.deepEqual(summary.transferRecipients, ['friend']);
+  });
+
+  test('没有活动时不计算比例', () => {
+    const summary = summarizeDeployerActivity([]);
+    assert.equal(summary.soldPercent, null);
+    assert.equal(summary.soldSupplyPercent, null);
+    assert.equal(summary.hasSold, false);
+  });
+});
@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateTokenTraders, buildTokenTraders, mergeTraderPnl, rankTokenTraders } from '../services/tokenTraders.js';
+
+const row = (addr, tradeTime, type, solAmount, splAmount, usdAmount = solAmount * 100) => ({
+  addr,
+  signature: `${addr}-${tradeTime}`,
+  tradeTime,
+  type,
+  solAmount,
+  splAmount,
+  usdAmount
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('代币交易者汇总', () => {
+  const rows = [
+    row('early', 1000, 1, 1, 1000000),
+    row('late', 2000, 1, 5, 1000000),
+    row('early', 2500, 1, 2, 1000000),
+    row('early', 3000, 2, 10, 1000000),
+    row('seller', 3500, 2, 1, 1000)
+  ];
+
+  test('按首次买入排序，计算建仓市值和已实现倍数', () => {
+    const traders = aggregateTokenTraders(rows, { supply: 1e9 });
+    assert.deepEqual(traders.map(trader => [trader.walletAddress, trader.buyRank]), [['early', 1], ['late', 2], ['seller', null]]);
+
+    const [early] = traders;
+    assert.equal(early.firstBuySignature, 'early-1000');
+    close(early.entryMarketCapSol, 1000);
+    close(early.entryMarketCapUsd, 100000);
+    assert.equal(early.buySol, 3);
+    assert.equal(early.remainingQuantity, 1000000);
+    // 平均卖出价 10 / 1e6，平均买入价 3 / 2e6
+    close(early.realizedMultiple, 10 / 1.5);
+    assert.equal(traders[1].realizedMultiple, null);
+  });
+
+  test('数据库按钱包汇总的结果（DECIMAL 为字符串）与逐笔汇总相同', () => {
+    const summaries = [
+      { addr: 'seller', buyCount: '0', sellCount: '1', boughtQuantity: '0', soldQuantity: '1000', buySol: '0', sellSol: '1',
+        buyUsd: '0', sellUsd: '100', usdComplete: 1, firstBuyAt: null, firstSellAt: '3500', lastSellAt: '3500' },
+      { addr: 'late', buyCount: '1', sellCount: '0', boughtQuantity: '1000000', soldQuantity: '0', buySol: '5', sellSol: '0',
+        buyUsd: '500', sellUsd: '0', usdComplete: 1, firstBuyAt: '2000', firstSellAt: null, lastSellAt: null },
+      { addr: 'early', buyCount: '2', sellCount: '1', boughtQuantity: '2000000', soldQuantity: '1000000', buySol: '3', sellSol: '10',
+        buyUsd: '300', sellUsd: '1000', usdComplete: 1, firstBuyAt: '1000', firstSellAt: '3000', lastSellAt: '3000' }
+    ];
+    const firstBuys = [
+      { addr: 'early', signature: 'early-1000', solAmount: '1', splAmount: '1000000', usdAmount: '100' },
+      { addr: 'early', signature: 'early-1000-b', solAmount: '9', splAmount: '1000000', usdAmount: '900' },
+      { addr: 'late', signature: 'late-2000', solAmount: '5', splAmount: '1000000', usdAmount: '500' }
+    ];
+    assert.deepEqual(buildTokenTraders(summaries, firstBuys, { supply: 1e9 }), aggregateTokenTraders(rows, { supply: 1e9 }));
+  });
+
+  test('没有总供应量时不计算市值，USD 金额为空时标记不完整', () => {
+    const [trader] = aggregateTokenTraders([row('a', 1, 1, 1, 100, null)]);
+    assert.equal(trader.entryMarketCapSol, null);
+    assert.equal(trader.entryPriceUsd, null);
+    assert.equal(trader.usdComplete, false);
+  });
+
+  test('收益率优先使用保存的盈亏，按收益率和规模排序分页', () => {
+    const traders = mergeTraderPnl(aggregateTokenTraders(rows), [
+      { addr: 'late', pnl: '500', total_buy_amount: '500', total_sell_amount: '0', profile_ratio: '100' }
+    ]);
+    const early = traders.find(trader => trader.walletAddress === 'early');
+    close(early.roi, (10 / 1.5 - 1) * 100);
+    assert.equal(traders.find(trader => trader.walletAddress === 'late').roi, 100);
+
+    assert.deepEqual(rankTokenTraders(traders, { sortBy: 'roi' }).traders.map(trader => trader.walletAddress), ['early', 'late', 'seller']);
+    assert.deepEqual(rankTokenTraders(traders, { sortBy: 'size' }).traders.map(trader => trader.walletAddress), ['late', 'early', 'seller']);
+
+    const page = rankTokenTraders(traders, { sortBy: 'timing', page: 2, pageSize: 1 });
+    assert.equal(page.total, 3);
+    assert.deepEqual(page.traders.map(trader => trader.walletAddress), ['late']);
+    assert.throws(() => rankTokenTraders(traders, { sortBy: 'pnl' }), /不支持的排序方式/);
+  });
+});
@@ -0,0 +1,179 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import bs58 from 'bs58';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import { RAYDIUM_AMM_V4_PROGRAM_ID } from '../services/dexProtocols/raydiumDecoder.js';
+import {
+  SYSTEM_PROGRAM_ID, COMPUTE_BUDGET_PROGRAM_ID, analyzeHeliusTradeFees
+} from '../services/tradeFees.js';
+import { feeAccountsConfig } from '../config/feeAccountsConfig.js';
+import { tradingPlatforms } from '../config/tradingPlatformConfig.js';
+import { TOKEN_PROGRAM_ID, SOL_MINT, newAddress, u64, buildSwapTransaction } from './helpers/swapTransaction.js';
+
+/**
+ * 交易成本拆分测试
+ */
+
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+const JITO_TIP_ACCOUNT = feeAccountsConfig.jitoTipAccounts[0];
+const PHOTON_FEE_ACCOUNT = tradingPlatforms.photon.feeAccounts[0];
+const ATA_RENT = 2039280;
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+/**
+ * 未知程序的买入：只能按余额变化解析，用户的 SOL 变化包含优先费、Jito 小费、Photon 平台费和新开代币账户的租金
+ */
+function buildBalanceDiffBuy() {
+  const user = newAddress();
+  const userToken = newAddress();
+  const solVault = newAddress();
+  const poolAuthority = newAddress();
+  const poolToken = newAddress();
+  const unknownProgram = newAddress();
+  const tokenMint = newAddress();
+  const accountKeys = [
+    user, userToken, solVault, poolToken, JITO_TIP_ACCOUNT, PHOTON_FEE_ACCOUNT,
+    SYSTEM_PROGRAM_ID, COMPUTE_BUDGET_PROGRAM_ID, unknownProgram
+  ];
+  const indexOf = (address) => accountKeys.indexOf(address);
+  const systemTransfer = (to, lamports) => ({
+    programIdIndex: indexOf(SYSTEM_PROGRAM_ID),
+    accounts: [indexOf(user), indexOf(to)],
+    data: bs58.encode(Buffer.concat([u32(2), u64(lamports)]))
+  });
+
+  const fee = 5000 + 10000;
+  const spent = 1000000000 + fee + 1000000 + 10000000 + ATA_RENT;
+  const preBalances = [10000000000, 0, 100000000000, 2039280, 0, 0, 1, 1, 1];
+  const postBalances = [10000000000 - spent, ATA_RENT, 101000000000, 2039280, 1000000, 10000000, 1, 1, 1];
+
+  return {
+    user,
+    tokenMint,
+    transaction: {
+      transaction: {
+        message: {
+          header: { numRequiredSignatures: 1 },
+          accountKeys,
+          instructions: [
+            { programIdIndex: indexOf(COMPUTE_BUDGET_PROGRAM_ID), accounts: [], data: bs58.encode(Buffer.concat([Buffer.from([2]), u32(200000)])) },
+            { programIdIndex: indexOf(COMPUTE_BUDGET_PROGRAM_ID), accounts: [], data: bs58.encode(Buffer.concat([Buffer.from([3]), u64(50000)])) },
+            { programIdIndex: indexOf(unknownProgram), accounts: [0, 1, 2, 3], data: bs58.encode(Buffer.from([1])) },
+            systemTransfer(JITO_TIP_ACCOUNT, 1000000),
+            systemTransfer(PHOTON_FEE_ACCOUNT, 10000000)
+          ]
+        }
+      },
+      meta: {
+        fee,
+        preBalances,
+        postBalances,
+        innerInstructions: [],
+        preTokenBalances: [
+          { accountIndex: 3, mint: tokenMint, owner: poolAuthority, uiTokenAmount: { amount: '5000000000', decimals: 6 } }
+        ],
+        postTokenBalances: [
+          { accountIndex: 1, mint: tokenMint, owner: user, uiTokenAmount: { amount: '1000000000', decimals: 6 } },
+          { accountIndex: 3, mint: tokenMint, owner: poolAuthority, uiTokenAmount: { amount: '4000000000', decimals: 6 } }
+        ],
+        logMessages: []
+      }
+    }
+  };
+}
+
+describe('余额变化解析的交易', () => {
+  test('拆分优先费、Jito 小费、平台费和租金，SOL 金额只保留成交金额', () => {
+    const { transaction, user, tokenMint } = buildBalanceDiffBuy();
+    const trade = parser.parseByDex(transaction, 'unknown');
+
+    assert.equal(trade.type, 'buy');
+    assert.equal(trade.holderAddress, user);
+    assert.equal(trade.boughtToken.mint, tokenMint);
+    assert.equal(trade.soldToken.amount, 1);
+    assert.equal(trade.price, 1 / 1000);
+    assert.equal(trade.fee, 0.000015);
+    assert.deepEqual(trade.feeBreakdown, {
+      feePayer: user,
+      baseFee: 0.000005,
+      priorityFee: 0.00001,
+      computeUnitLimit: 200000,
+      computeUnitPrice: 50000,
+      jitoTip: 0.001,
+      botFee: 0.01,
+      botPlatform: 'photon',
+      rentPaid: 0.00203928,
+      rentRefunded: 0,
+      total: 0.01305428,
+      notionalAdjusted: true
+    });
+    assert.equal(trade.solFromBalanceDiff, undefined);
+
+    // 持有人的 SOL 腿同样只保留成交金额
+    const solLeg = trade.legs.find(leg => leg.owner === user && leg.mint === SOL_MINT);
+    assert.deepEqual([solLeg.direction, solLeg.amount], ['out', 1]);
+  });
+});
+
+describe('解码器解析的交易', () => {
+  test('成交金额来自指令数据，不扣除成本，只补充费用明细', () => {
+    const user = newAddress();
+    const amm = newAddress();
+    const authority = newAddress();
+    const coinVault = newAddress();
+    const pcVault = newAddress();
+    const userWsol = newAddress();
+    const userToken = newAddress();
+    const tokenMint = newAddress();
+
+    const transaction = buildSwapTransaction({
+      programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+      swapAccounts: [TOKEN_PROGRAM_ID, amm, authority, coinVault, pcVault, userWsol, userToken, user],
+      swapData: Buffer.concat([Buffer.from([16]), u64(2000000000), u64(1)]),
+      user,
+      transfers: [
+        { source: userWsol, destination: pcVault, authority: user, amount: 2000000000 },
+        { source: coinVault, destination: userToken, authority, amount: 1000000000 }
+      ],
+      tokenAccounts: [
+        { address: coinVault, mint: tokenMint, owner: authority, decimals: 6, pre: 5000000000, post: 4000000000 },
+        { address: pcVault, mint: SOL_MINT, owner: authority, decimals: 9, pre: 50000000000, post: 52000000000 },
+        { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 2000000000, post: 0 },
+        { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 0, post: 1000000000 }
+      ]
+    });
+
+    const trade = parser.parseByDex(transaction, parser.identifyDEX(transaction));
+
+    assert.equal(trade.soldToken.amount, 2);
+    assert.equal(trade.fee, 0.000005);
+    assert.equal(trade.feeBreakdown.baseFee, 0.000005);
+    assert.equal(trade.feeBreakdown.priorityFee, 0);
+    assert.equal(trade.feeBreakdown.notionalAdjusted, false);
+  });
+});
+
+describe('analyzeHeliusTradeFees', () => {
+  test('只计入钱包自己支付的手续费、小费和平台费', () => {
+    const wallet = newAddress();
+    const costs = analyzeHeliusTradeFees({
+      feePayer: wallet,
+      fee: 25000,
+      nativeTransfers: [
+        { fromUserAccount: wallet, toUserAccount: JITO_TIP_ACCOUNT, amount: 2000000 },
+        { fromUserAccount: wallet, toUserAccount: PHOTON_FEE_ACCOUNT, amount: 5000000 },
+        { fromUserAccount: newAddress(), toUserAccount: JITO_TIP_ACCOUNT, amount: 9000000 },
+        { fromUserAccount: wallet, toUserAccount: newAddress(), amount: 700000000 }
+      ]
+    }, wallet);
+
+    assert.deepEqual(costs, { fee: 0.000025, jitoTip: 0.002, botFee: 0.005, botPlatform: 'photon', total: 0.007025 });
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import { pairTradeLegs, expandTradeLegs } from '../services/tradeLegs.js';
+
+/**
+ * 多腿交易输出测试
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const leg = (owner, mint, direction, amount, isSigner = true) => ({
+  owner, mint, direction, amount, decimals: mint === SOL_MINT ? 9 : 6, isSigner
+});
+
+describe('pairTradeLegs', () => {
+  test('捆绑交易：不同钱包的买入和卖出分别配对', () => {
+    const pairs = pairTradeLegs([
+      leg('walletA', 'tokenX', 'in', 1000),
+      leg('walletA', SOL_MINT, 'out', 2),
+      leg('walletB', 'tokenY', 'out', 500, false),
+      leg('walletB', SOL_MINT, 'in', 1.5, false)
+    ]);
+
+    assert.deepEqual(pairs.map(pair => [pair.holderAddress, pair.type, pair.soldToken.mint, pair.boughtToken.mint]), [
+      ['walletA', 'buy', SOL_MINT, 'tokenX'],
+      ['walletB', 'sell', 'tokenY', SOL_MINT]
+    ]);
+    assert.equal(pairs[1].isSigner, false);
+  });
+
+  test('同一钱包卖出 A 买入 B：合并为兑换，SOL 变化视为手续费', () => {
+    const pairs = pairTradeLegs([
+      leg('wallet', 'tokenA', 'out', 100),
+      leg('wallet', 'tokenB', 'in', 300),
+      leg('wallet', SOL_MINT, 'out', 0.002)
+    ]);
+
+    assert.equal(pairs.length, 1);
+    assert.equal(pairs[0].type, 'swap');
+    assert.equal(pairs[0].soldToken.amount, 100);
+    assert.equal(pairs[0].boughtToken.amount, 300);
+  });
+
+  test('多个代币共用同一笔 SOL 支出：对手腿金额为 null', () => {
+    const pairs = pairTradeLegs([
+      leg('wallet', 'tokenA', 'in', 100),
+      leg('wallet', 'tokenB', 'in', 300),
+      leg('wallet', SOL_MINT, 'out', 5)
+    ]);
+
+    assert.equal(pairs.length, 2);
+    pairs.forEach(pair => {
+      assert.equal(pair.type, 'buy');
+      assert.equal(pair.counterShared, true);
+      assert.equal(pair.soldToken.amount, null);
+    });
+  });
+
+  test('单边变化（空投、手续费收入）不输出', () => {
+    assert.deepEqual(pairTradeLegs([leg('feeWallet', 'tokenA', 'in', 3, false)]), []);
+  });
+});
+
+describe('expandTradeLegs', () => {
+  test('持有人主交易对使用汇总结果，其他钱包的腿补充在后面', () => {
+    const tradeInfo = {
+      type: 'buy',
+      holderAddress: 'walletA',
+      holderConfidence: 0.95,
+      holderHeuristic: 'signer_net_delta',
+      soldToken: { mint: SOL_MINT, amount: 1.98 },
+      boughtToken: { mint: 'tokenX', amount: 1000 },
+      legs: [
+        leg('walletA', 'tokenX', 'in', 1000),
+        leg('walletA', SOL_MINT, 'out', 2),
+        leg('walletB', 'tokenX', 'in', 800, false),
+        leg('walletB', SOL_MINT, 'out', 1.6, false)
+      ]
+    };
+
+    const trades = expandTradeLegs(tradeInfo, SOL_MINT);
+
+    assert.equal(trades.length, 2);
+    assert.equal(trades[0].soldToken.amount, 1.98);
+    assert.equal(trades[1].holderAddress, 'walletB');
+    assert.equal(trades[1].holderHeuristic, 'owner_net_delta');
+    assert.equal(trades[1].holderConfidence, 0.75);
+  });
+
+  test('没有 legs 时只返回汇总结果', () => {
+    const trades = expandTradeLegs({ type: 'sell', holderAddress: 'w', soldToken: { mint: 't' }, boughtToken: { mint: SOL_MINT } });
+    assert.equal(trades.length, 1);
+    assert.equal(trades[0].type, 'sell');
+  });
+});
+
+describe('解析器输出 legs', () => {
+  test('Pump 买入：持有人的代币转入和 SOL 转出', () => {
+    const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+    const transaction = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '交易详情json', 'pump-买入签名.json'), 'utf8'));
+    const trade = parser.parseByDex(transaction, parser.identifyDEX(transaction));
+
+    assert.deepEqual(trade.legs.map(item => [item.owner, item.mint, item.direction]), [
+      ['FTg1gqW7vPm4kdU1LPM7JJnizbgPdRDy2PitKw6mY27j', 'a3W4qutoEJA4232T2gwZUfgYJTetr96pU4SJMwppump', 'in'],
+      ['FTg1gqW7vPm4kdU1LPM7JJnizbgPdRDy2PitKw6mY27j', SOL_MINT, 'out']
+    ]);
+    assert.equal(trade.legs[0].amount, 15503276.313573);
+    // 单一交易对与 legs 配对结果一致，不会产生额外记录
+    assert.equal(expandTradeLegs(trade, SOL_MINT).length, 1);
+  });
+});
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+
+/**
+ * 交易解析回归测试
+ * 读取 交易详情json/ 中抓取的原始交易，离线（不发起任何 RPC）跑解析器，
+ * 与 交易详情json/expected.json 中的期望结果比对。
+ * 新增用例: node scripts/capture-trade-fixture.js <signature> <name>
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, '..', '交易详情json');
+const EXPECTED_FILE = path.join(FIXTURE_DIR, 'expected.json');
+
+// 金额比较的相对误差（余额来自 uiAmount，浮点运算会有微小误差）
+const AMOUNT_TOLERANCE = 1e-9;
+
+function loadFixture(fileName) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8'));
+}
+
+function assertAmount(actual, expected, label) {
+  assert.equal(typeof actual, 'number', `${label} 应为数字，实际为 ${actual}`);
+  const diff = Math.abs(actual - expected);
+  const scale = Math.max(Math.abs(expected), 1);
+  assert.ok(diff / scale <= AMOUNT_TOLERANCE, `${label} 期望 ${expected}，实际 ${actual}`);
+}
+
+/**
+ * 只比较期望结果中出现的字段（type、holderAddress、soldToken/boughtToken 的 mint 和 amount 等）
+ */
+function assertTradeMatches(actual, expected, label) {
+  // 期望为 null 表示该交易不应被解析为买卖（如流动性操作）
+  if (expected === null) {
+    assert.equal(actual, null, `${label} 应返回 null`);
+    return;
+  }
+  assert.ok(actual, `${label} 解析结果为空`);
+  for (const [key, value] of Object.entries(expected)) {
+    if (value && typeof value === 'object') {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        if (typeof subValue === 'number') {
+          assertAmount(actual[key]?.[subKey], subValue, `${label}.${key}.${subKey}`);
+        } else {
+          assert.deepEqual(actual[key]?.[subKey], subValue, `${label}.${key}.${subKey}`);
+        }
+      }
+    } else if (typeof value === 'number') {
+      assertAmount(actual[key], value, `${label}.${key}`);
+    } else {
+      assert.equal(actual[key], value, `${label}.${key}`);
+    }
+  }
+}
+
+const expectedCases = JSON.parse(fs.readFileSync(EXPECTED_FILE, 'utf8'));
+// 连接只用于构造解析器，测试中不会发起请求
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+
+for (const [fileName, expected] of Object.entries(expectedCases)) {
+  describe(`${fileName}${expected.description ? ` - ${expected.description}` : ''}`, () => {
+    const transaction = loadFixture(fileName);
+    const caseOptions = expected.todo ? { todo: expected.todo } : {};
+
+    if (expected.dex) {
+      test('identifyDEX', caseOptions, () => {
+        assert.equal(parser.identifyDEX(transaction), expected.dex);
+      });
+    }
+
+    if (expected.trade) {
+      test('identifyDEX + parseByDex', caseOptions, () => {
+        const dexType = parser.identifyDEX(transaction);
+        assertTradeMatches(parser.parseByDex(transaction, dexType), expected.trade, 'trade');
+      });
+    }
+
+    for (const [method, expectedTrade] of Object.entries(expected.parsers || {})) {
+      test(method, caseOptions, () => {
+        const result = method === 'parseGenericTransaction'
+          ? parser.parseGenericTransaction(transaction)
+          : parser[method](transaction);
+        assertTradeMatches(result, expectedTrade, method);
+      });
+    }
+  });
+}
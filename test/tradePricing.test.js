@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SOL_MINT, computeTradePrices, getTradeBaseAndQuote, getTradeBlockTime } from '../services/tradePricing.js';
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const MEME = 'a3W4qutoEJA4232T2gwZUfgYJTetr96pU4SJMwppump';
+const OTHER = '63uUteCL16dbwCwwK4K885SEeNmYm5iCK2UY8dNppump';
+
+describe('交易价格归一化', () => {
+  test('SOL 报价的买入按成交时的 SOL/USD 换算', () => {
+    const prices = computeTradePrices({
+      soldToken: { mint: SOL_MINT, amount: 2 },
+      boughtToken: { mint: MEME, amount: 1000000 }
+    }, { solUsd: 150 });
+
+    assert.equal(prices.baseMint, MEME);
+    assert.equal(prices.quoteMint, SOL_MINT);
+    assert.equal(prices.priceQuote, 0.000002);
+    assert.equal(prices.priceSol, 0.000002);
+    assert.ok(Math.abs(prices.priceUsd - 0.0003) < 1e-12);
+  });
+
+  test('USDC 报价的卖出先换算 USD，再按 SOL/USD 得到 SOL 价格', () => {
+    const prices = computeTradePrices({
+      soldToken: { mint: MEME, amount: -500 },
+      boughtToken: { mint: USDC, amount: 100 }
+    }, { solUsd: 200, quoteUsd: 1 });
+
+    assert.equal(prices.quoteMint, USDC);
+    assert.equal(prices.priceQuote, 0.2);
+    assert.equal(prices.priceUsd, 0.2);
+    assert.equal(prices.priceSol, 0.001);
+  });
+
+  test('SOL 与稳定币互换时以稳定币报价', () => {
+    const { base, quote } = getTradeBaseAndQuote({
+      soldToken: { mint: USDC, amount: 300 },
+      boughtToken: { mint: SOL_MINT, amount: 2 }
+    });
+    assert.equal(base.mint, SOL_MINT);
+    assert.equal(quote.mint, USDC);
+  });
+
+  test('代币换代币只给出报价比值，缺少历史价格时 USD 价格为空', () => {
+    const tokenSwap = computeTradePrices({
+      soldToken: { mint: OTHER, amount: 10 },
+      boughtToken: { mint: MEME, amount: 40 }
+    }, { solUsd: 150 });
+    assert.equal(tokenSwap.quoteMint, OTHER);
+    assert.equal(tokenSwap.priceQuote, 0.25);
+    assert.equal(tokenSwap.priceUsd, null);
+
+    const noHistory = computeTradePrices({
+      soldToken: { mint: SOL_MINT, amount: 1 },
+      boughtToken: { mint: MEME, amount: 10 }
+    });
+    assert.equal(noHistory.priceSol, 0.1);
+    assert.equal(noHistory.priceUsd, null);
+  });
+
+  test('成交时间优先使用 blockTime', () => {
+    assert.equal(getTradeBlockTime({ blockTime: 1700000000, timestamp: new Date(0) }), 1700000000);
+    assert.equal(getTradeBlockTime({ timestamp: new Date(1700000000500) }), 1700000000);
+    assert.equal(getTradeBlockTime({}), null);
+  });
+});
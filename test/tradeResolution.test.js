@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+
+/**
+ * parseTrade 解析策略测试（RPC 和 Jupiter API 都用桩函数替代，离线运行）
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const transaction = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '交易详情json', 'pump-买入签名.json'), 'utf8'));
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_MINT = 'a3W4qutoEJA4232T2gwZUfgYJTetr96pU4SJMwppump';
+const HOLDER = 'FTg1gqW7vPm4kdU1LPM7JJnizbgPdRDy2PitKw6mY27j';
+
+function createParser({ onChain = transaction, apiTrade = null } = {}) {
+  const connection = { getParsedTransaction: async () => onChain };
+  const parser = new SolanaDexTradeParser(connection);
+  parser.apiCalls = 0;
+  parser.parseJupiterViaAPI = async () => {
+    parser.apiCalls++;
+    return apiTrade && structuredClone(apiTrade);
+  };
+  return parser;
+}
+
+function jupiterTrade({ type = 'buy', solAmount = 29.7, tokenAmount = 15503276.313573 } = {}) {
+  const sol = { mint: SOL_MINT, symbol: 'SOL', amount: solAmount, decimals: 9 };
+  const token = { mint: TOKEN_MINT, symbol: 'Unknown', amount: tokenAmount, decimals: 6 };
+  return {
+    type,
+    soldToken: type === 'buy' ? sol : token,
+    boughtToken: type === 'buy' ? token : sol,
+    dex: 'jupiter',
+    source: 'jupiter_api',
+    holderAddress: null
+  };
+}
+
+describe('parseTrade 解析策略', () => {
+  test('local_only 不调用 API，只记录本地解析器', async () => {
+    const parser = createParser({ apiTrade: jupiterTrade() });
+    const trade = await parser.parseTrade('sig', { strategy: 'local_only' });
+
+    assert.equal(parser.apiCalls, 0);
+    assert.equal(trade.source, 'pump_fun_decoder');
+    assert.equal(trade.resolution.strategy, 'local_only');
+    assert.deepEqual(trade.resolution.parsers.map(p => p.source), ['pump_fun_decoder']);
+    assert.equal(trade.resolution.agreed, null);
+    assert.equal(trade.flagged, false);
+  });
+
+  test('local_then_api 本地解析成功时不调用 API，crossCheck 时交叉校验', async () => {
+    const parser = createParser({ apiTrade: jupiterTrade({ solAmount: 29.75 }) });
+
+    const trade = await parser.parseTrade('sig', { useCache: false });
+    assert.equal(parser.apiCalls, 0);
+    assert.equal(trade.resolution.strategy, 'local_then_api');
+
+    const checked = await parser.parseTrade('sig', { useCache: false, crossCheck: true });
+    assert.equal(parser.apiCalls, 1);
+    assert.equal(checked.source, 'pump_fun_decoder');
+    assert.deepEqual(checked.resolution.parsers.map(p => p.parser), ['local', 'api']);
+    // 金额差异在 1% 以内视为一致
+    assert.equal(checked.resolution.agreed, true);
+  });
+
+  test('crossCheck 的结果与不校验的结果分开缓存', async () => {
+    const parser = createParser({ apiTrade: jupiterTrade() });
+
+    await parser.parseTrade('sig');
+    const checked = await parser.parseTrade('sig', { crossCheck: true });
+    assert.equal(parser.apiCalls, 1);
+    assert.deepEqual(checked.resolution.parsers.map(p => p.parser), ['local', 'api']);
+  });
+
+  test('local_then_api 链上交易不可用时回退到 API', async () => {
+    const parser = createParser({ onChain: null, apiTrade: jupiterTrade() });
+    const trade = await parser.parseTrade('sig');
+
+    assert.equal(trade.source, 'jupiter_api');
+    assert.deepEqual(trade.resolution.parsers.map(p => p.status), ['unavailable', 'parsed']);
+  });
+
+  test('api_then_local 采用 API 结果并从交易补充持有人', async () => {
+    const parser = createParser({ apiTrade: jupiterTrade() });
+    const trade = await parser.parseTrade('sig', { strategy: 'api_then_local' });
+
+    assert.equal(trade.source, 'jupiter_api');
+    assert.equal(trade.holderAddress, HOLDER);
+    assert.equal(trade.resolution.agreed, true);
+    assert.equal(trade.flagged, false);
+  });
+
+  test('解析器方向或金额不一致时标记结果', async () => {
+    const parser = createParser({ apiTrade: jupiterTrade({ type: 'sell', solAmount: 12 }) });
+    const trade = await parser.parseTrade('sig', { strategy: 'api_then_local' });
+
+    assert.equal(trade.flagged, true);
+    assert.equal(trade.resolution.agreed, false);
+    const fields = trade.resolution.disagreements.map(d => d.field);
+    assert.ok(fields.includes('type'));
+    assert.ok(fields.includes('soldToken.mint'));
+    assert.deepEqual(trade.resolution.disagreements.find(d => d.field === 'type'), { field: 'type', local: 'buy', api: 'sell' });
+  });
+
+  test('不支持的策略直接报错', async () => {
+    const parser = createParser();
+    await assert.rejects(parser.parseTrade('sig', { strategy: 'api_only' }), /Unsupported resolution strategy/);
+  });
+
+  test('默认策略配置错误时创建解析器直接报错', () => {
+    const connection = { getParsedTransaction: async () => transaction };
+    assert.throws(() => new SolanaDexTradeParser(connection, null, { resolutionStrategy: 'local-only' }), /Unsupported resolution strategy/);
+  });
+});
@@ -0,0 +1,140 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Connection } from '@solana/web3.js';
+import SolanaDexTradeParser from '../services/SolanaDexTradeParser.js';
+import { classifyTradingPlatform } from '../services/tradingPlatformClassifier.js';
+import { SYSTEM_PROGRAM_ID } from '../services/tradeFees.js';
+import { tradingPlatforms } from '../config/tradingPlatformConfig.js';
+import { RAYDIUM_AMM_V4_PROGRAM_ID } from '../services/dexProtocols/raydiumDecoder.js';
+import { TOKEN_PROGRAM_ID, SOL_MINT, newAddress, u64, buildSwapTransaction } from './helpers/swapTransaction.js';
+
+/**
+ * 交易平台识别测试
+ */
+
+const parser = new SolanaDexTradeParser(new Connection('http://127.0.0.1:8899'));
+const routerPrograms = parser.registry.getAggregatorPrograms();
+
+const JUPITER_V6 = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+const PHOTON_PROGRAM = tradingPlatforms.photon.programIds[0];
+const PHOTON_FEE_ACCOUNT = tradingPlatforms.photon.feeAccounts[0];
+const BULLX_FEE_ACCOUNT = tradingPlatforms.bullx.feeAccounts[0];
+const GMGN_FEE_ACCOUNT = tradingPlatforms.gmgn.feeAccounts[0];
+
+const instruction = (programId, isInner = false) => ({ programId, accounts: [], data: null, parsed: null, isInner });
+const solTransfer = (source, destination, lamports) => ({
+  programId: SYSTEM_PROGRAM_ID,
+  accounts: [],
+  parsed: { type: 'transfer', info: { source, destination, lamports } },
+  isInner: false
+});
+
+describe('classifyTradingPlatform', () => {
+  test('Jupiter 路由 + 平台收费地址：识别为该平台，router 为 jupiter', () => {
+    const user = newAddress();
+    const result = classifyTradingPlatform({
+      instructions: [instruction(JUPITER_V6), solTransfer(user, BULLX_FEE_ACCOUNT, 10000000)],
+      routerPrograms
+    });
+
+    assert.equal(result.tradingPlatform, 'bullx');
+    assert.equal(result.router, 'jupiter');
+    assert.deepEqual(result.signals, [{ platform: 'bullx', type: 'fee_account', address: BULLX_FEE_ACCOUNT }]);
+  });
+
+  test('没有命中平台特征的 Jupiter 交易识别为 jupiter', () => {
+    const result = classifyTradingPlatform({ instructions: [instruction(JUPITER_V6)], routerPrograms });
+
+    assert.equal(result.tradingPlatform, 'jupiter');
+    assert.equal(result.router, 'jupiter');
+    assert.deepEqual(result.signals, []);
+  });
+
+  test('平台路由程序优先于收费地址；路由程序内部调用的聚合器记录为 router', () => {
+    const user = newAddress();
+    const result = classifyTradingPlatform({
+      instructions: [
+        instruction(PHOTON_PROGRAM),
+        instruction(JUPITER_V6, true),
+        solTransfer(user, BULLX_FEE_ACCOUNT, 1000)
+      ],
+      routerPrograms
+    });
+
+    assert.equal(result.tradingPlatform, 'photon');
+    assert.equal(result.router, 'jupiter');
+    assert.deepEqual(result.signals.map(signal => signal.type), ['program_id', 'fee_account']);
+  });
+
+  test('以代币收取的平台费通过收费地址的代币余额增加识别', () => {
+    const result = classifyTradingPlatform({
+      instructions: [instruction(newAddress())],
+      meta: {
+        preTokenBalances: [{ accountIndex: 3, mint: SOL_MINT, owner: GMGN_FEE_ACCOUNT, uiTokenAmount: { amount: '100', decimals: 9 } }],
+        postTokenBalances: [{ accountIndex: 3, mint: SOL_MINT, owner: GMGN_FEE_ACCOUNT, uiTokenAmount: { amount: '5000100', decimals: 9 } }]
+      },
+      routerPrograms
+    });
+
+    assert.equal(result.tradingPlatform, 'gmgn');
+    assert.equal(result.router, null);
+  });
+
+  test('直接调用 DEX 且没有平台特征时为 null', () => {
+    const result = classifyTradingPlatform({ instructions: [instruction(RAYDIUM_AMM_V4_PROGRAM_ID)], routerPrograms });
+    assert.deepEqual(result, { tradingPlatform: null, router: null, signals: [] });
+  });
+});
+
+describe('解析器输出下单平台', () => {
+  test('Raydium 交易中向 Photon 收费地址转账：tradingPlatform 为 photon', () => {
+    const user = newAddress();
+    const amm = newAddress();
+    const authority = newAddress();
+    const coinVault = newAddress();
+    const pcVault = newAddress();
+    const userWsol = newAddress();
+    const userToken = newAddress();
+    const tokenMint = newAddress();
+
+    const transaction = buildSwapTransaction({
+      programId: RAYDIUM_AMM_V4_PROGRAM_ID,
+      swapAccounts: [TOKEN_PROGRAM_ID, amm, authority, coinVault, pcVault, userWsol, userToken, user],
+      swapData: Buffer.concat([Buffer.from([16]), u64(1000000000), u64(1)]),
+      user,
+      transfers: [
+        { source: userWsol, destination: pcVault, authority: user, amount: 1000000000 },
+        { source: coinVault, destination: userToken, authority, amount: 1000000000 }
+      ],
+      tokenAccounts: [
+        { address: coinVault, mint: tokenMint, owner: authority, decimals: 6, pre: 5000000000, post: 4000000000 },
+        { address: pcVault, mint: SOL_MINT, owner: authority, decimals: 9, pre: 50000000000, post: 51000000000 },
+        { address: userWsol, mint: SOL_MINT, owner: user, decimals: 9, pre: 1000000000, post: 0 },
+        { address: userToken, mint: tokenMint, owner: user, decimals: 6, pre: 0, post: 1000000000 }
+      ]
+    });
+    // 追加一条原始格式的系统转账（u32 指令序号 2 + u64 lamports）：用户向 Photon 收费地址支付 0.01 SOL
+    const { accountKeys } = transaction.transaction.message;
+    accountKeys.push(PHOTON_FEE_ACCOUNT, SYSTEM_PROGRAM_ID);
+    const data = Buffer.alloc(12);
+    data.writeUInt32LE(2, 0);
+    data.writeBigUInt64LE(10000000n, 4);
+    transaction.transaction.message.instructions.push({
+      programIdIndex: accountKeys.indexOf(SYSTEM_PROGRAM_ID),
+      accounts: [0, accountKeys.indexOf(PHOTON_FEE_ACCOUNT)],
+      data
+    });
+    transaction.meta.preBalances.push(0, 1);
+    transaction.meta.postBalances.push(10000000, 1);
+    transaction.meta.postBalances[0] -= 10000000;
+
+    const trade = parser.parseByDex(transaction, parser.identifyDEX(transaction));
+
+    assert.equal(trade.tradingPlatform, 'photon');
+    assert.equal(trade.router, null);
+    assert.deepEqual(trade.platformSignals, [{ platform: 'photon', type: 'fee_account', address: PHOTON_FEE_ACCOUNT }]);
+    // 平台费单独计入费用明细
+    assert.equal(trade.feeBreakdown.botFee, 0.01);
+    assert.equal(trade.feeBreakdown.botPlatform, 'photon');
+  });
+});
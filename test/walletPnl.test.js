@@ -0,0 +1,253 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateWalletPnlFromSwaps,
+  calculateWalletPnlFromTrades,
+  buildWalletTimeline,
+  flattenSwapTrades,
+  getWalletPnlSyncMode,
+  getWalletPnlSyncCursor,
+  getOpenPositionMints,
+  getSwapSide,
+  normalizeBirdeyeToken,
+  checkWalletFilterCondition
+} from '../services/walletPnl.js';
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const CA = 'CAmint1111111111111111111111111111111111111';
+const OTHER = 'CAmint2222222222222222222222222222222222222';
+
+const swap = (timestamp, fromToken, toToken, solUsdPrice = 100) => ({
+  fromToken,
+  toToken,
+  price: null,
+  solUsdPrice,
+  signature: `sig-${timestamp}`,
+  timestamp
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('钱包盈亏（swap 数据源）', () => {
+  test('买卖方向：CA 换 SOL / 稳定币为卖出，代币换代币不统计', () => {
+    assert.deepEqual(getSwapSide(swap(1, { mint: SOL, amount: 1 }, { mint: CA, amount: 100 })), { mint: CA, type: 'buy' });
+    assert.deepEqual(getSwapSide(swap(1, { mint: CA, amount: 100 }, { mint: USDC, amount: 50 })), { mint: CA, type: 'sell' });
+    assert.equal(getSwapSide(swap(1, { mint: CA, amount: 100 }, { mint: OTHER, amount: 50 })), null);
+  });
+
+  test('按交易时的 SOL 价格计算金额，输出统一结构', () => {
+    const swaps = [
+      swap(1000, { mint: SOL, amount: 1 }, { mint: CA, amount: 1000, symbol: 'CAT' }, 100),
+      swap(2000, { mint: SOL, amount: 1 }, { mint: CA, amount: 1000 }, 200),
+      swap(3000, { mint: CA, amount: 1000 }, { mint: USDC, amount: 500 })
+    ];
+    const [token] = calculateWalletPnlFromSwaps(swaps, {
+      method: 'fifo',
+      currentPrices: new Map([[CA, 0.5]]),
+      now: 4000,
+      source: 'rpc'
+    });
+
+    assert.equal(token.tokenMint, CA);
+    assert.equal(token.tokenSymbol, 'CAT');
+    assert.equal(token.source, 'rpc');
+    close(token.totalBuyAmount, 300);
+    close(token.totalSellAmount, 500);
+    // FIFO：卖出第一批（成本 100），剩余 1000 个成本 200、现价 0.5
+    close(token.realizedPnl, 400);
+    close(token.unrealizedPnl, 300);
+    close(token.profit, 700);
+    close(token.profitRatio, 700 / 300 * 100);
+    assert.equal(token.buyCount, 2);
+    assert.equal(token.sellCount, 1);
+    assert.equal(token.holdingTime, 2000);
+    assert.equal(token.latestTransactionTimestamp, 3000);
+    assert.equal(token.lots.length, 2);
+  });
+
+  test('金额不足 20 USD 的 swap 不统计，剩余持仓需要当前价格', () => {
+    const swaps = [
+      swap(1000, { mint: SOL, amount: 0.1 }, { mint: CA, amount: 10 }, 100),
+      swap(1000, { mint: SOL, amount: 1 }, { mint: OTHER, amount: 10 }, 100)
+    ];
+    const tokens = calculateWalletPnlFromSwaps(swaps, { now: 2000 });
+    assert.deepEqual(tokens.map(token => token.tokenMint), [OTHER]);
+    assert.equal(tokens[0].unrealizedPnl, null);
+    assert.deepEqual(getOpenPositionMints(swaps), [OTHER]);
+  });
+});
+
+describe('钱包盈亏增量同步', () => {
+  const swaps = [
+    swap(1000, { mint: SOL, amount: 1 }, { mint: CA, amount: 1000 }, 100),
+    swap(2000, { mint: SOL, amount: 1 }, { mint: CA, amount: 1000 }, 200),
+    swap(3000, { mint: CA, amount: 1000 }, { mint: USDC, amount: 500 })
+  ];
+
+  test('分批保存的买卖记录重新计算结果与一次性计算相同', () => {
+    const options = { method: 'fifo', currentPrices: new Map([[CA, 0.5]]), now: 4000 };
+    const stored = [...flattenSwapTrades(swaps.slice(0, 1)), ...flattenSwapTrades(swaps.slice(1))];
+    assert.equal(stored.length, 3);
+    assert.equal(stored[0].tokenMint, CA);
+
+    const [incremental] = calculateWalletPnlFromTrades(stored, options);
+    const [full] = calculateWalletPnlFromSwaps(swaps, options);
+    assert.deepEqual(incremental, full);
+  });
+
+  test('同步方式：有游标时增量，否则全量', () => {
+    const options = { source: 'helius', kind: 'swaps', costBasisMethod: 'fifo' };
+    const state = { source: 'helius', costBasisMethod: 'fifo', lastSignature: 'sig-last', status: 'success' };
+
+    assert.deepEqual(getWalletPnlSyncMode(state, options), { mode: 'incremental', until: 'sig-last', cursor: null, reason: 'cursor' });
+    assert.equal(getWalletPnlSyncMode(null, options).mode, 'full');
+    assert.equal(getWalletPnlSyncMode(state, { ...options, forceRebuild: true }).reason, 'force');
+    assert.equal(getWalletPnlSyncMode({ ...state, lastSignature: null }, options).mode, 'full');
+    assert.equal(getWalletPnlSyncMode(state, { ...options, source: 'rpc' }).reason, 'source-changed');
+    assert.equal(getWalletPnlSyncMode(state, { ...options, kind: 'tokens' }).mode, 'full');
+    assert.deepEqual(getWalletPnlSyncMode(state, { ...options, costBasisMethod: 'lifo' }),
+      { mode: 'recalculate', until: 'sig-last', cursor: null, reason: 'cost-basis-changed' });
+  });
+
+  test('增量同步达到最大页数时保持原游标，下次从续传位置拉取到原游标', () => {
+    // 钱包的交易（新 -> 旧），上次同步到 sig-100
+    const history = [108, 107, 106, 105, 104, 103, 102, 101, 100, 99].map(n => ({ signature: `sig-${n}`, slot: n, blockTime: n }));
+    const fetchPage = ({ cursor, until, limit = 2 }) => {
+      const start = cursor ? history.findIndex(tx => tx.signature === cursor) + 1 : 0;
+      const end = history.findIndex(tx => tx.signature === until);
+      const page = history.slice(start, Math.min(start + limit, end));
+      const reachedEnd = start + page.length >= end;
+      return { signatures: page.map(tx => tx.signature), latest: page[0] || null, nextCursor: reachedEnd ? null : page[page.length - 1].signature };
+    };
+    // 与 syncWalletPnl 的翻页和保存游标相同
+    const sync = (state, maxPages) => {
+      const options = { source: 'rpc', kind: 'swaps', costBasisMethod: 'fifo' };
+      const { mode, until, cursor: resumeCursor } = getWalletPnlSyncMode(state, options);
+      const fetched = [];
+      let latest = null;
+      let cursor = resumeCursor;
+      let pages = 0;
+      let truncated = false;
+      while (true) {
+        const page = fetchPage({ cursor, until });
+        pages++;
+        latest = latest || page.latest;
+        fetched.push(...page.signatures);
+        cursor = page.nextCursor;
+        if (!cursor) break;
+        if (pages >= maxPages) {
+          truncated = true;
+          break;
+        }
+      }
+      const saved = getWalletPnlSyncCursor(state, { mode, latest, truncated, nextCursor: cursor });
+      return { fetched, state: { ...state, ...saved }, truncated };
+    };
+
+    const state = { source: 'rpc', costBasisMethod: 'fifo', lastSignature: 'sig-100', lastSlot: 100, lastBlockTime: 100, resumeCursor: null, pendingLatest: null };
+    const first = sync(state, 2);
+    assert.equal(first.truncated, true);
+    assert.deepEqual(first.fetched, ['sig-108', 'sig-107', 'sig-106', 'sig-105']);
+    assert.equal(first.state.lastSignature, 'sig-100');
+    assert.equal(first.state.resumeCursor, 'sig-105');
+    assert.equal(first.state.pendingLatest.signature, 'sig-108');
+    assert.equal(getWalletPnlSyncMode(first.state, { source: 'rpc', kind: 'swaps', costBasisMethod: 'fifo' }).reason, 'resume');
+
+    const second = sync(first.state, 2);
+    assert.equal(second.truncated, false);
+    assert.deepEqual(second.fetched, ['sig-104', 'sig-103', 'sig-102', 'sig-101']);
+    assert.equal(second.state.lastSignature, 'sig-108');
+    assert.equal(second.state.lastSlot, 108);
+    assert.equal(second.state.resumeCursor, null);
+    assert.equal(second.state.pendingLatest, null);
+    assert.deepEqual(getWalletPnlSyncMode(second.state, { source: 'rpc', kind: 'swaps', costBasisMethod: 'fifo' }),
+      { mode: 'incremental', until: 'sig-108', cursor: null, reason: 'cursor' });
+  });
+
+  test('全量同步保存最新交易为游标并清除续传位置，没有新交易的增量同步保持原游标', () => {
+    const latest = { signature: 'sig-9', slot: 9, blockTime: 9 };
+    assert.deepEqual(getWalletPnlSyncCursor(null, { mode: 'full', latest, truncated: true, nextCursor: 'sig-1' }),
+      { lastSignature: 'sig-9', lastSlot: 9, lastBlockTime: 9, resumeCursor: null, pendingLatest: null });
+    assert.deepEqual(getWalletPnlSyncCursor({ lastSignature: 'sig-5' }, { mode: 'incremental', latest: null, truncated: false, nextCursor: null }),
+      { resumeCursor: null, pendingLatest: null });
+  });
+});
+
+describe('钱包买卖时间线', () => {
+  const trades = flattenSwapTrades([
+    swap(1000, { mint: SOL, amount: 1 }, { mint: CA, amount: 1000, symbol: 'CAT' }, 100),
+    swap(1500, { mint: SOL, amount: 1 }, { mint: OTHER, amount: 10 }, 100),
+    swap(2000, { mint: SOL, amount: 1 }, { mint: CA, amount: 1000 }, 200),
+    swap(3000, { mint: CA, amount: 1500 }, { mint: USDC, amount: 750 })
+  ]);
+
+  test('按时间升序合并多个代币，记录每笔之后的持仓', () => {
+    const { entries, tokens } = buildWalletTimeline(trades);
+    assert.deepEqual(entries.map(entry => entry.timestamp), [1000, 1500, 2000, 3000]);
+    assert.equal(entries[0].tokenSymbol, 'CAT');
+    assert.deepEqual(entries.filter(entry => entry.tokenMint === CA).map(entry => entry.positionQuantity), [1000, 2000, 500]);
+    // FIFO：卖出 1000 @0.1 + 500 @0.2，成本 200
+    close(entries[3].tradeRealizedPnl, 550);
+    close(entries[3].positionCost, 100);
+    assert.deepEqual(tokens.map(token => token.tokenMint), [CA, OTHER]);
+  });
+
+  test('按代币和时间范围过滤，范围之前的买入仍计入持仓', () => {
+    const { entries, tokens } = buildWalletTimeline(trades, { mints: [CA], from: 2500 });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].type, 'sell');
+    assert.equal(entries[0].positionQuantity, 500);
+    assert.equal(tokens[0].tradeCount, 1);
+    assert.equal(buildWalletTimeline(trades, { to: 500 }).entries.length, 0);
+  });
+});
+
+describe('Birdeye 盈亏映射', () => {
+  test('映射为统一结构', () => {
+    const token = normalizeBirdeyeToken({
+      address: CA,
+      symbol: 'CAT',
+      last_trade_unix_time: 1700000000,
+      counts: { total_buy: 3, total_sell: 2 },
+      quantity: { total_bought_amount: 1000, total_sold_amount: 600, holding: 400 },
+      cashflow_usd: { total_invested: 100, total_sold: 300 },
+      pnl: { realized_profit_usd: 240, unrealized_usd: 20, total_usd: 260, total_percent: 260 },
+      pricing: { avg_buy_cost: 0.1, current_price: 0.15 }
+    });
+
+    assert.equal(token.tokenMint, CA);
+    assert.equal(token.source, 'birdeye');
+    assert.equal(token.profit, 260);
+    assert.equal(token.profitRatio, 260);
+    assert.equal(token.totalBuyAmount, 100);
+    assert.equal(token.totalSellAmount, 300);
+    assert.equal(token.remainingQuantity, 400);
+    assert.equal(token.buyCount, 3);
+    assert.equal(token.holdingTime, null);
+    assert.equal(token.latestTransactionTimestamp, 1700000000);
+  });
+});
+
+describe('钱包过滤条件', () => {
+  const token = (profit, profitRatio, holdingTime) => ({ profit, profitRatio, holdingTime });
+
+  test('高收益代币的盈利合计需要超过阈值', () => {
+    assert.equal(checkWalletFilterCondition([token(12000, 300, 3600)]), true);
+    assert.equal(checkWalletFilterCondition([token(8000, 300, 3600)]), false);
+    assert.equal(checkWalletFilterCondition([token(8000, 300, 3600)], { minPnlUsd: 5000 }), true);
+    assert.equal(checkWalletFilterCondition([token(12000, 150, 3600)], { minProfitRatio: 100 }), true);
+    assert.equal(checkWalletFilterCondition([]), false);
+  });
+
+  test('持有不到 3 分钟的代币过半视为纸手', () => {
+    assert.equal(checkWalletFilterCondition([token(12000, 300, 60), token(0, 0, 60)]), false);
+  });
+
+  test('代币数超过 10 个时需要过半持有超过 12 小时，没有持有时间的数据源跳过该检查', () => {
+    const shortHolds = Array.from({ length: 11 }, () => token(2000, 300, 3600));
+    assert.equal(checkWalletFilterCondition(shortHolds), false);
+    const birdeye = Array.from({ length: 11 }, () => token(2000, 300, null));
+    assert.equal(checkWalletFilterCondition(birdeye), true);
+  });
+});
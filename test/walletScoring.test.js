@@ -0,0 +1,136 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeWalletFactors, validateRuleSet, scoreWallet, withGateThresholds, hasSameGateThresholds } from '../services/walletScoring.js';
+import { checkWalletFilterCondition } from '../services/walletPnl.js';
+import { walletScoreRuleSets } from '../config/walletScoreRuleSets.js';
+
+const legacy = walletScoreRuleSets.find(ruleSet => ruleSet.name === 'legacy');
+const defaults = walletScoreRuleSets.find(ruleSet => ruleSet.name === 'default');
+
+const token = (profit, profitRatio, holdingTime, extra = {}) => ({
+  profit,
+  profitRatio,
+  holdingTime,
+  realizedPnl: profit,
+  sellCount: 1,
+  buyCount: 1,
+  ...extra
+});
+
+describe('钱包评分因子', () => {
+  test('胜率、持有时间中位数、收益分布和踩雷比例', () => {
+    const factors = computeWalletFactors([
+      token(1000, 200, 3600),
+      token(-500, -95, 60),
+      token(200, 20, 7200),
+      token(0, 0, null, { sellCount: 0, realizedPnl: 0 })
+    ]);
+
+    assert.equal(factors.tokenCount, 4);
+    assert.equal(factors.winRate, 2 / 3);
+    assert.equal(factors.medianHoldSeconds, 3600);
+    assert.equal(factors.realizedPnl, 700);
+    assert.equal(factors.medianRoi, 10);
+    assert.equal(factors.multiBaggerRate, 0.25);
+    assert.equal(factors.rugExposure, 0.25);
+    assert.equal(factors.flipRate, 0.25);
+    assert.equal(factors.tradesPerDay, null);
+  });
+
+  test('没有持有时间的数据源（Birdeye）持有相关因子为 null', () => {
+    const factors = computeWalletFactors([token(1000, 200, null)]);
+    assert.equal(factors.medianHoldSeconds, null);
+    assert.equal(factors.flipRate, null);
+    assert.equal(factors.longHoldRate, null);
+  });
+
+  test('日均交易笔数按最早买入到最近交易计算', () => {
+    const factors = computeWalletFactors([
+      token(100, 10, 3600, { buyCount: 6, sellCount: 4, lots: [{ openedAt: 0 }], latestTransactionTimestamp: 2 * 86400 })
+    ]);
+    assert.equal(factors.tradesPerDay, 5);
+  });
+});
+
+describe('评分规则集校验', () => {
+  test('内置规则集合法', () => {
+    walletScoreRuleSets.forEach(ruleSet => assert.deepEqual(validateRuleSet(ruleSet), []));
+  });
+
+  test('未知因子、缺少区间和非法版本', () => {
+    const errors = validateRuleSet({
+      name: 'bad name',
+      version: 0,
+      factors: { foo: { weight: 1, min: 0, max: 1 }, winRate: { weight: 1, min: 1, max: 1 } },
+      gates: [{ factor: 'winRate' }]
+    });
+    assert.equal(errors.length, 5);
+  });
+});
+
+describe('钱包评分', () => {
+  test('legacy 规则集与原纸手过滤条件一致', () => {
+    const cases = [
+      [token(12000, 300, 3600)],
+      [token(3000, 300, 3600)],
+      [token(5000, 300, 3600)],
+      [token(12000, 300, 60), token(0, 0, 60)],
+      Array.from({ length: 11 }, () => token(2000, 300, 3600)),
+      Array.from({ length: 11 }, () => token(2000, 300, null)),
+      Array.from({ length: 11 }, () => token(2000, 300, 86400))
+    ];
+    cases.forEach(tokens => {
+      assert.equal(scoreWallet(tokens, legacy).passed, checkWalletFilterCondition(tokens, { minPnlUsd: 5000 }));
+    });
+    assert.equal(scoreWallet(cases[0], legacy).score, 100);
+    assert.equal(scoreWallet(cases[1], legacy).score, 0);
+  });
+
+  test('按请求覆盖 highRoiPnl 下限与原 minPnlUsd 参数一致', () => {
+    const ruleSet = withGateThresholds(legacy, { highRoiPnl: 8000 });
+    [[token(12000, 300, 3600)], [token(8000, 300, 3600)], [token(6000, 300, 3600)]].forEach(tokens => {
+      assert.equal(scoreWallet(tokens, ruleSet).passed, checkWalletFilterCondition(tokens, { minPnlUsd: 8000 }));
+    });
+    assert.equal(legacy.gates.find(gate => gate.factor === 'highRoiPnl').min, 5000);
+    assert.equal(withGateThresholds(legacy, undefined), legacy);
+  });
+
+  test('已保存评分的阈值与规则集不同时不代表规则集的结果', () => {
+    const saved = JSON.parse(JSON.stringify(scoreWallet([token(3000, 300, 3600)], legacy).gates));
+    assert.equal(hasSameGateThresholds(saved, legacy), true);
+    assert.equal(hasSameGateThresholds(saved, withGateThresholds(legacy, { highRoiPnl: 2000 })), false);
+  });
+
+  test('按权重合计逐项得分，缺少数据的因子不计入权重', () => {
+    const ruleSet = {
+      name: 'test',
+      version: 2,
+      factors: {
+        winRate: { weight: 30, min: 0, max: 1 },
+        rugExposure: { weight: 10, min: 0, max: 1, invert: true },
+        tradesPerDay: { weight: 60, min: 0, max: 10 }
+      }
+    };
+    const result = scoreWallet([token(100, 50, 3600), token(-100, -95, 3600)], ruleSet);
+
+    assert.equal(result.ruleSet, 'test');
+    assert.equal(result.ruleVersion, 2);
+    // winRate 0.5 × 30 + (1 - 0.5) × 10，tradesPerDay 为 null 不计入
+    assert.equal(result.score, 50);
+    assert.deepEqual(result.breakdown.map(item => item.points), [15, 5, 0]);
+    assert.equal(result.breakdown[2].normalized, null);
+    assert.equal(result.passed, true);
+  });
+
+  test('代币数不足或未达到及格分时不通过', () => {
+    const tokens = [token(6000, 300, 3600), token(100, 10, 7200)];
+    const insufficient = scoreWallet(tokens, defaults);
+    assert.equal(insufficient.insufficientData, true);
+    assert.equal(insufficient.passed, false);
+
+    const low = scoreWallet([...tokens, token(-500, -95, 600)], { ...defaults, passScore: 99 });
+    assert.equal(low.insufficientData, false);
+    assert.ok(low.score < 99);
+    assert.equal(low.passed, false);
+  });
+});